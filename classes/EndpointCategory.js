@@ -9,8 +9,13 @@ const CACCLError = require('caccl-error');
 // Endpoint-related helpers
 const instantiateEndpoint = require('./instantiateEndpoint');
 const errorCodes = require('../errorCodes');
+const genLogger = require('./genLogger');
+const genFixtureSendRequest = require('./genFixtureSendRequest');
 
+const RateLimitThrottler = require('./RateLimitThrottler');
 const MemoryCache = require('./caches/MemoryCache');
+const RedisCache = require('./caches/RedisCache');
+const FileCache = require('./caches/FileCache');
 const SessionCache = require('./caches/SessionCache');
 
 /*------------------------------------------------------------------------*/
@@ -44,24 +49,81 @@ class EndpointCategory {
    *   excluded. Used when creating a new visitEndpoint function (this access
    *   token will be added to all requests). This may be overridden in any
    *   request by including an access_token query parameter
+   * @param {object} [config.retryPolicy] - Only valid if visitEndpoint is
+   *   excluded. Used when creating a new visitEndpoint function (rules for
+   *   which statuses and methods to retry and how long to wait between
+   *   retries, see classes/cacclRequest). This may be overridden in any
+   *   request by including a retryPolicy option
+   * @param {boolean|number} [config.parallelPages] - Only valid if
+   *   visitEndpoint is excluded. Used when creating a new visitEndpoint
+   *   function (if truthy, once Canvas tells us the number of the last page,
+   *   the rest of the pages are requested in parallel, with at most this
+   *   many requests at once or 4 at once if true). This may be overridden in
+   *   any request by including a parallelPages option
+   * @param {number} [config.requestTimeoutMs] - Only valid if visitEndpoint is
+   *   excluded. Used when creating a new visitEndpoint function (the number of
+   *   milliseconds to wait for Canvas to respond to each request). This may be
+   *   overridden in any request by including a requestTimeoutMs option
+   * @param {number} [config.deadlineMs] - The default number of milliseconds
+   *   that an endpoint call (including all of its pages and sub-requests) may
+   *   take. This may be overridden in any request by including a deadlineMs
+   *   option
+   * @param {boolean} [config.staleWhileRevalidate] - If truthy, cached values
+   *   are returned right away and then refreshed in the background. This may
+   *   be overridden in any request by including a staleWhileRevalidate option
+   * @param {number} [config.staleAfterMs=60000] - The number of milliseconds
+   *   after a value is cached before it's refreshed in the background (see
+   *   staleWhileRevalidate). This may be overridden in any request by
+   *   including a staleAfterMs option
+   * @param {function} [config.onRevalidate] - A function to call with the
+   *   fresh value when a value that was refreshed in the background changed.
+   *   This may be overridden in any request by including an onRevalidate
+   *   option
    * @param {function} [config.sendRequest=defaultSendRequest] - Only valid if
    *   visitEndpoint is excluded. Used when creating a new visitEndpoint
    *   function (this function is used to send https requests to Canvas)
+   * @param {object} [config.fixtures] - Only valid if visitEndpoint is
+   *   excluded. If included, sendRequest is wrapped so that requests are
+   *   recorded to or replayed from fixture files: { mode, dir } where mode is
+   *   'record' or 'replay' (see classes/genFixtureSendRequest)
    * @param {object} [config.cache=null] - A cache instance to use. If excluded,
    *   caching is turned off
    * @param {string} [config.cacheType=none] - Only valid if cache is excluded.
    *   Used when creating a new cache. If cacheType is not included, caching is
    *   turned off. If cacheType is 'memory', a new MemoryCache is created. If
    *   cacheType is 'session', you must also include config.req and we'll create
-   *   a new SessionCache. To include your own custom cache, include it as
-   *   config.cache and do not define cacheType
+   *   a new SessionCache. If cacheType is 'redis', you must also include
+   *   config.cacheOptions.client and we'll create a new RedisCache. If
+   *   cacheType is 'file', you must also include config.cacheOptions.dir and
+   *   we'll create a new FileCache. To include your own custom cache, include
+   *   it as config.cache and do not define cacheType
+   * @param {object} [config.cacheOptions] - Only valid if cache is excluded.
+   *   Options to pass to the new cache (for a MemoryCache: ttlMs, maxEntries,
+   *   and maxBytes. For a RedisCache: client, ttlMs, keyPrefix, and
+   *   namespace. For a FileCache: dir, ttlMs, lockTimeoutMs, and
+   *   lockStaleMs)
    * @param {object} [config.api=this] - Top level EndpointCategory instance
    *   of which this EndpointCategory instance is a descendent
    * @param {function} [uncache=create new uncache function] - A function that
-   *   takes paths and a response object, uncaches those paths, then resolves
-   *   to the response object
+   *   takes paths, a response object, and (optionally) a list of cache tags,
+   *   uncaches those paths and all paths with those tags, then resolves to the
+   *   response object
    * @param {string} [config.authenticityToken] - An authenticity token
    *   to add to all requests no matter what (cannot be overridden)
+   * @param {function[]} [config.middleware] - A list of request middleware
+   *   functions to run around every request. Each is called with
+   *   (request, next) and must resolve with a response. See
+   *   classes/instantiateEndpoint/helpers/runMiddleware
+   * @param {object|function} [config.logger] - A logger to send structured
+   *   library events to (an object with debug/info/warn/error functions or a
+   *   function that takes each log entry). If excluded, nothing is logged
+   * @param {string} [config.logLevel=info] - The minimum level to log: 'debug',
+   *   'info', 'warn', or 'error'
+   * @param {object|boolean} [config.rateLimit] - Options for the rate limit
+   *   throttler that is shared by all endpoints (see
+   *   classes/RateLimitThrottler). If false, requests are not throttled
+   * @param {RateLimitThrottler} [config.throttler=new throttler] - A throttler
+   *   instance to share. If excluded, one is created
    */
   constructor(oldConfig = {}, Subclass) {
     const config = this._preProcessParams(oldConfig);
@@ -83,15 +145,28 @@ class EndpointCategory {
           || `perform an unnamed ${prop} task`
         );
 
-        console.log('EndpointCategory config', config)
+        // Check if the endpoint can stream its pages (by default, only list
+        // endpoints stream)
+        const streamable = (
+          endpointCoreFunction.streamable !== undefined
+            ? endpointCoreFunction.streamable
+            : prop.startsWith('list')
+        );
 
         // Instantiate the endpoint
         this[prop] = instantiateEndpoint({
           action,
+          streamable,
           requiredParams: endpointCoreFunction.requiredParams,
+          paramSchema: endpointCoreFunction.paramSchema,
+          reads: endpointCoreFunction.reads,
+          invalidates: endpointCoreFunction.invalidates,
+          cacheTtlMs: endpointCoreFunction.cacheTtlMs,
           endpointCoreFunction: Subclass[prop],
           cache: config.cache,
           uncache: config.uncache,
+          logger: config.logger,
+          throttler: config.throttler,
           api: config.api,
           authenticityToken: config.authenticityToken,
           defaults: {
@@ -99,9 +174,18 @@ class EndpointCategory {
             itemsPerPage: config.itemsPerPage,
             apiPathPrefix: config.apiPathPrefix,
             numRetries: config.numRetries,
+            retryPolicy: config.retryPolicy,
+            parallelPages: config.parallelPages,
+            requestTimeoutMs: config.requestTimeoutMs,
+            deadlineMs: config.deadlineMs,
+            staleWhileRevalidate: config.staleWhileRevalidate,
+            staleAfterMs: config.staleAfterMs,
+            onRevalidate: config.onRevalidate,
+            dryRun: config.dryRun,
             sendRequest: config.sendRequest,
             canvasHost: config.canvasHost,
             basePath: config.basePath,
+            middleware: config.middleware,
           },
         });
       }
@@ -132,16 +216,48 @@ class EndpointCategory {
       config.api = this;
     }
 
+    // Initialize the logger (silent if no logger was included)
+    config.logger = genLogger(config.logger, config.logLevel);
+
+    // Record or replay fixtures (sendRequest is only wrapped once because
+    // sub-categories share the config object)
+    if (
+      config.fixtures
+      && !(config.sendRequest && config.sendRequest.isFixtureSendRequest)
+    ) {
+      config.sendRequest = genFixtureSendRequest(Object.assign(
+        {},
+        config.fixtures,
+        { sendRequest: config.sendRequest }
+      ));
+    }
+
+    // Initialize the rate limit throttler (shared by all endpoints)
+    if (!config.throttler && config.rateLimit !== false) {
+      config.throttler = new RateLimitThrottler(config.rateLimit || {});
+    }
+
     // Initialize the cache
     if (!config.cache) {
       if (config.cacheType === 'memory') {
-        config.cache = new MemoryCache();
+        config.cache = new MemoryCache(config.cacheOptions);
       } else if (config.cacheType === 'session' && config.req) {
         config.cache = new SessionCache(config.req);
+      } else if (config.cacheType === 'redis') {
+        // Namespace by Canvas host and user
+        config.cache = new RedisCache(Object.assign(
+          {
+            canvasHost: config.canvasHost,
+            accessToken: config.accessToken,
+          },
+          config.cacheOptions || {}
+        ));
+      } else if (config.cacheType === 'file') {
+        config.cache = new FileCache(config.cacheOptions);
       } else if (config.cacheType) {
         // Invalid cache type
         throw new CACCLError({
-          message: 'Canvas API was initialized improperly: cacheType must be "memory" or "session". If "session", req must be included.',
+          message: 'Canvas API was initialized improperly: cacheType must be "memory", "session", "redis", or "file". If "session", req must be included. If "redis", cacheOptions.client must be included. If "file", cacheOptions.dir must be included.',
           code: errorCodes.invalid_cache,
         });
       }
@@ -152,29 +268,57 @@ class EndpointCategory {
       // Create an uncache function to pass to endpoints
       if (config.cache) {
         // Create uncache function that changes the cache
-        config.uncache = (paths, response) => {
-          return config.cache
-            .getAllPaths()
-            .then((cachedPaths) => {
-              // Find paths that need to be uncached
-              const pathsToUncache = [];
-              paths.forEach((path) => {
-                if (path.endsWith('*')) {
-                  // This is a prefix-based path. Loop to find paths that match.
-                  const prefix = path.split('*')[0];
-                  cachedPaths.forEach((cachedPath) => {
-                    if (cachedPath.startsWith(prefix)) {
-                      // Prefix matches! Uncache this!
-                      pathsToUncache.push(cachedPath);
-                    }
+        config.uncache = (paths, response, tags) => {
+          const prefixes = paths
+            .filter((path) => {
+              return path.endsWith('*');
+            })
+            .map((path) => {
+              return path.split('*')[0];
+            });
+
+          // Find the cached paths that match the prefixes
+          let findPathsWithPrefixes;
+          if (prefixes.length === 0) {
+            findPathsWithPrefixes = Promise.resolve([]);
+          } else if (config.cache.getPathsWithPrefix) {
+            // The cache can look up paths by prefix
+            findPathsWithPrefixes = Promise.all(prefixes.map((prefix) => {
+              return config.cache.getPathsWithPrefix(prefix);
+            }))
+              .then((lists) => {
+                return [].concat(...lists);
+              });
+          } else {
+            // Loop through all paths to find paths that match
+            findPathsWithPrefixes = config.cache
+              .getAllPaths()
+              .then((cachedPaths) => {
+                return cachedPaths.filter((cachedPath) => {
+                  return prefixes.some((prefix) => {
+                    return cachedPath.startsWith(prefix);
                   });
-                } else {
-                  // This is a normal path. Just add it.
-                  pathsToUncache.push(path);
-                }
+                });
               });
+          }
+
+          // Find the cached paths that have the tags (if the cache supports
+          // tags)
+          const findPathsWithTags = (
+            (tags && tags.length > 0 && config.cache.getPathsWithTags)
+              ? config.cache.getPathsWithTags(tags)
+              : Promise.resolve([])
+          );
 
-              // Uncache
+          return Promise.all([findPathsWithPrefixes, findPathsWithTags])
+            .then(([pathsWithPrefixes, pathsWithTags]) => {
+              // Uncache normal paths plus paths that match the prefixes or
+              // have the tags
+              const pathsToUncache = paths
+                .filter((path) => {
+                  return !path.endsWith('*');
+                })
+                .concat(pathsWithPrefixes, pathsWithTags);
               return config.cache.deletePaths(pathsToUncache);
             })
             .then(() => {
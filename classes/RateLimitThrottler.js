@@ -0,0 +1,361 @@
+/**
+ * Class that keeps track of the Canvas rate limit quota and throttles requests
+ * @author Gabe Abrams
+ * @module classes/RateLimitThrottler
+ * @see module: classes/RateLimitThrottler
+ */
+
+const genAbortedError = require('./genAbortedError');
+
+/**
+ * Gets a header value, ignoring the case of the header name
+ * @author Gabe Abrams
+ * @param {object} [headers] - the response headers
+ * @param {string} name - the lowercase name of the header
+ * @return {string|undefined} the header value
+ */
+const _getHeader = (headers, name) => {
+  if (!headers) {
+    return undefined;
+  }
+  const prop = Object.keys(headers).find((key) => {
+    return key.toLowerCase() === name;
+  });
+  return (prop ? headers[prop] : undefined);
+};
+
+/**
+ * Waits a number of milliseconds
+ * @author Gabe Abrams
+ * @param {number} ms - the number of milliseconds to wait
+ * @param {AbortSignal} [signal] - if included and triggered, we stop waiting
+ *   and reject with an aborted error
+ * @return {Promise} promise that resolves after the wait
+ */
+const _wait = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (!signal) {
+      return setTimeout(resolve, ms);
+    }
+    if (signal.aborted) {
+      return reject(genAbortedError());
+    }
+
+    let timeout;
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(genAbortedError());
+    };
+    timeout = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    return signal.addEventListener('abort', onAbort);
+  });
+};
+
+/** Class that throttles requests as the Canvas rate limit bucket drains */
+class RateLimitThrottler {
+  /**
+   * Creates a RateLimitThrottler
+   * @author Gabe Abrams
+   * @param {object} [options] - throttling options
+   * @param {number} [options.threshold=200] - when the remaining quota
+   *   (X-Rate-Limit-Remaining) drops below this value, requests are queued and
+   *   sent one at a time
+   * @param {number} [options.maxSpacingMs=1000] - the number of milliseconds
+   *   to wait between requests when the remaining quota is empty. As the
+   *   quota drains from the threshold to zero, the time between requests
+   *   grows from 0 to this value
+   * @param {number} [options.maxRetries=3] - the number of times to retry a
+   *   request that Canvas throttled
+   * @param {number} [options.baseDelayMs=1000] - the delay before the first
+   *   retry of a throttled request. Doubles with each retry
+   * @param {number} [options.maxDelayMs=30000] - the maximum delay before
+   *   retrying a throttled request
+   */
+  constructor(options = {}) {
+    this._threshold = (
+      options.threshold !== undefined
+        ? options.threshold
+        : 200
+    );
+    this._maxSpacingMs = (
+      options.maxSpacingMs !== undefined
+        ? options.maxSpacingMs
+        : 1000
+    );
+    this._maxRetries = (
+      options.maxRetries !== undefined
+        ? options.maxRetries
+        : 3
+    );
+    this._baseDelayMs = (
+      options.baseDelayMs !== undefined
+        ? options.baseDelayMs
+        : 1000
+    );
+    this._maxDelayMs = (
+      options.maxDelayMs !== undefined
+        ? options.maxDelayMs
+        : 30000
+    );
+
+    // Quota info (null until Canvas tells us)
+    this._remaining = null;
+    this._lastRequestCost = null;
+
+    // Queue of tasks: { sendFn, resolve, reject, signal, onAbort }
+    this._queue = [];
+    this._numInFlight = 0;
+    this._lastStartTime = 0;
+    this._drainTimeout = null;
+
+    // Counters
+    this._numThrottled = 0;
+    this._numRetries = 0;
+  }
+
+  /**
+   * Checks if a response indicates that Canvas throttled the request
+   * @author Gabe Abrams
+   * @param {object} response - the response in the form
+   *   { body, status, headers }
+   * @return {boolean} true if the request was throttled
+   */
+  static isThrottledResponse(response) {
+    if (!response) {
+      return false;
+    }
+    if (response.status === 429) {
+      return true;
+    }
+    if (response.status !== 403) {
+      return false;
+    }
+    const { body } = response;
+    if (typeof body === 'string') {
+      return body.toLowerCase().includes('rate limit exceeded');
+    }
+    return !!(body && body.status === 'throttled');
+  }
+
+  /**
+   * Sends a request once we have enough quota, retrying with backoff if
+   *   Canvas throttles the request
+   * @author Gabe Abrams
+   * @param {function} sendFn - function that sends the request and returns a
+   *   promise that resolves with { body, status, headers }
+   * @param {AbortSignal} [signal] - if included and triggered, we stop
+   *   waiting (in the queue or before a retry) and reject with an aborted
+   *   error
+   * @return {Promise.<object>} promise that resolves with the response. If
+   *   all retries were throttled, resolves with the last throttled response
+   */
+  send(sendFn, signal) {
+    const attempt = (attemptNumber) => {
+      return this._schedule(sendFn, signal)
+        .then((response) => {
+          if (!RateLimitThrottler.isThrottledResponse(response)) {
+            return response;
+          }
+
+          // Throttled! Retry if we can
+          // (429 responses are retried by the request sender's retry policy)
+          this._numThrottled += 1;
+          if (
+            response.status === 429
+            || attemptNumber >= this._maxRetries
+          ) {
+            return response;
+          }
+          this._numRetries += 1;
+
+          // Exponential backoff with jitter
+          const delay = Math.min(
+            this._maxDelayMs,
+            (this._baseDelayMs * (2 ** attemptNumber))
+            + Math.floor(Math.random() * this._baseDelayMs)
+          );
+          return _wait(delay, signal)
+            .then(() => {
+              return attempt(attemptNumber + 1);
+            });
+        });
+    };
+
+    return attempt(0);
+  }
+
+  /**
+   * Gets the current quota stats
+   * @author Gabe Abrams
+   * @return {object} stats in the form:
+   *   {
+   *     remaining: remaining quota (null if unknown),
+   *     lastRequestCost: cost of the most recent request (null if unknown),
+   *     isThrottling: true if requests are currently being slowed down,
+   *     numInFlight: number of requests currently being sent,
+   *     numQueued: number of requests waiting to be sent,
+   *     numThrottled: number of responses that Canvas throttled,
+   *     numRetries: number of times a throttled request was retried,
+   *   }
+   */
+  getStats() {
+    return {
+      remaining: this._remaining,
+      lastRequestCost: this._lastRequestCost,
+      isThrottling: this._isThrottling(),
+      numInFlight: this._numInFlight,
+      numQueued: this._queue.length,
+      numThrottled: this._numThrottled,
+      numRetries: this._numRetries,
+    };
+  }
+
+  /**
+   * Checks if requests should be slowed down
+   * @author Gabe Abrams
+   * @return {boolean} true if the remaining quota is below the threshold
+   */
+  _isThrottling() {
+    return (
+      this._remaining !== null
+      && this._remaining < this._threshold
+    );
+  }
+
+  /**
+   * Adds a request to the queue
+   * @author Gabe Abrams
+   * @param {function} sendFn - function that sends the request
+   * @param {AbortSignal} [signal] - if included and triggered before the
+   *   request is sent, the request is removed from the queue and we reject
+   *   with an aborted error
+   * @return {Promise.<object>} promise that resolves with the response
+   */
+  _schedule(sendFn, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(genAbortedError());
+      }
+
+      const task = {
+        sendFn,
+        resolve,
+        reject,
+        signal,
+      };
+      if (signal) {
+        task.onAbort = () => {
+          const index = this._queue.indexOf(task);
+          if (index >= 0) {
+            this._queue.splice(index, 1);
+            reject(genAbortedError());
+          }
+        };
+        signal.addEventListener('abort', task.onAbort);
+      }
+
+      this._queue.push(task);
+      return this._drain();
+    });
+  }
+
+  /**
+   * Sends as many queued requests as the current quota allows
+   * @author Gabe Abrams
+   */
+  _drain() {
+    while (this._queue.length > 0) {
+      // Wait for a scheduled drain
+      if (this._drainTimeout) {
+        return;
+      }
+
+      // Unlimited concurrency unless we're throttling
+      if (!this._isThrottling()) {
+        this._run(this._queue.shift());
+      } else {
+        // Send one request at a time
+        if (this._numInFlight > 0) {
+          return;
+        }
+
+        // Space out requests more as the quota drains
+        const fractionLeft = Math.max(0, this._remaining) / this._threshold;
+        const spacingMs = Math.round(this._maxSpacingMs * (1 - fractionLeft));
+        const waitMs = (this._lastStartTime + spacingMs) - Date.now();
+        if (waitMs > 0) {
+          this._drainTimeout = setTimeout(() => {
+            this._drainTimeout = null;
+            this._drain();
+          }, waitMs);
+          return;
+        }
+
+        this._run(this._queue.shift());
+      }
+    }
+  }
+
+  /**
+   * Sends a queued request and updates the quota based on the response
+   * @author Gabe Abrams
+   * @param {object} task - the queued task:
+   *   { sendFn, resolve, reject, signal, onAbort }
+   */
+  _run(task) {
+    // The request is leaving the queue (sendFn handles aborts from now on)
+    if (task.signal) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+
+    this._numInFlight += 1;
+    this._lastStartTime = Date.now();
+
+    const finish = () => {
+      this._numInFlight -= 1;
+      this._drain();
+    };
+
+    Promise.resolve()
+      .then(task.sendFn)
+      .then((response) => {
+        this._updateQuota(response);
+        finish();
+        task.resolve(response);
+      })
+      .catch((err) => {
+        finish();
+        task.reject(err);
+      });
+  }
+
+  /**
+   * Updates the quota info based on the rate limit headers in a response
+   * @author Gabe Abrams
+   * @param {object} response - the response in the form
+   *   { body, status, headers }
+   */
+  _updateQuota(response) {
+    const headers = (response ? response.headers : null);
+
+    const remaining = parseFloat(
+      _getHeader(headers, 'x-rate-limit-remaining')
+    );
+    if (!Number.isNaN(remaining)) {
+      this._remaining = remaining;
+    } else if (RateLimitThrottler.isThrottledResponse(response)) {
+      // Throttled without telling us how much is left. Assume empty
+      this._remaining = 0;
+    }
+
+    const cost = parseFloat(_getHeader(headers, 'x-request-cost'));
+    if (!Number.isNaN(cost)) {
+      this._lastRequestCost = cost;
+    }
+  }
+}
+
+module.exports = RateLimitThrottler;
@@ -1,16 +1,112 @@
 const axios = require('axios');
 const qs = require('qs');
-const CACCLError = require('caccl-error');
 const https = require('https');
 
+const genAbortedError = require('./genAbortedError');
+const { NetworkError, TimeoutError } = require('./errors');
+
 const errorCodes = {
   notConnected: 'CSR1',
   selfSigned: 'CSR2',
+  timedOut: 'CSR3',
 };
 
 // Create an agent to ignore unauthorize ssl issues
 const ignoreSSLIssuesAgent = new https.Agent({ rejectUnauthorized: false });
 
+// Default retry policy
+const DEFAULT_RETRY_POLICY = {
+  statuses: [429, 502, 503, 504],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  jitter: true,
+  respectRetryAfter: true,
+};
+
+/**
+ * Waits a number of milliseconds
+ * @author Gabe Abrams
+ * @param {number} ms - the number of milliseconds to wait
+ * @param {AbortSignal} [signal] - if included and triggered, we stop waiting
+ *   and reject with an aborted error
+ * @return {Promise} promise that resolves after the wait
+ */
+const _wait = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (!signal) {
+      return setTimeout(resolve, ms);
+    }
+    if (signal.aborted) {
+      return reject(genAbortedError());
+    }
+
+    let timeout;
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(genAbortedError());
+    };
+    timeout = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    return signal.addEventListener('abort', onAbort);
+  });
+};
+
+/**
+ * Parses a Retry-After header value
+ * @author Gabe Abrams
+ * @param {object} [headers] - the response headers
+ * @return {number|null} the number of milliseconds to wait or null if there is
+ *   no valid Retry-After header
+ */
+const _parseRetryAfter = (headers) => {
+  if (!headers) {
+    return null;
+  }
+  const prop = Object.keys(headers).find((key) => {
+    return key.toLowerCase() === 'retry-after';
+  });
+  if (!prop) {
+    return null;
+  }
+  const value = String(headers[prop]).trim();
+
+  // Delay in seconds
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+
+  // HTTP date
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    return null;
+  }
+  return Math.max(0, timestamp - Date.now());
+};
+
+/**
+ * Calculates the delay before a retry using exponential backoff
+ * @author Gabe Abrams
+ * @param {object} retryPolicy - the retry policy
+ * @param {number} attemptNumber - the number of the attempt that failed
+ *   (starting at 0)
+ * @return {number} the number of milliseconds to wait
+ */
+const _calcBackoff = (retryPolicy, attemptNumber) => {
+  const delay = Math.min(
+    retryPolicy.maxDelayMs,
+    retryPolicy.baseDelayMs * (2 ** attemptNumber)
+  );
+
+  // Wait somewhere between half the delay and the full delay
+  if (retryPolicy.jitter) {
+    return Math.round((delay / 2) + (Math.random() * (delay / 2)));
+  }
+  return delay;
+};
+
 // Check if we should send cross-domain credentials
 const sendCrossDomainCredentials = !!(
   process.env.DEV
@@ -27,15 +123,45 @@ const sendCrossDomainCredentials = !!(
  * @param {object} [headers] - headers to include in the request
  * @param {number} [numRetries=0] - number of times to retry the request if it
  *   fails
+ * @param {object} [retryPolicy] - rules for when and how to retry. Any
+ *   excluded property takes its default value
+ * @param {number[]} [retryPolicy.statuses=[429, 502, 503, 504]] - response
+ *   statuses that should be retried
+ * @param {string[]} [retryPolicy.methods=[GET, HEAD, OPTIONS, PUT, DELETE]] -
+ *   methods that are safe to retry. Requests with other methods (e.g. POST) are
+ *   never retried, even if the network request failed
+ * @param {number} [retryPolicy.baseDelayMs=500] - the delay before the first
+ *   retry. Doubles with each retry
+ * @param {number} [retryPolicy.maxDelayMs=10000] - the maximum delay before a
+ *   retry. If the Retry-After header asks us to wait longer than this, we
+ *   don't retry
+ * @param {boolean} [retryPolicy.jitter=true] - if true, each delay is
+ *   randomized between half the delay and the full delay
+ * @param {boolean} [retryPolicy.respectRetryAfter=true] - if true and the
+ *   response has a Retry-After header, we wait the amount of time it asks for
  * @param {boolean} [ignoreSSLIssues=false] - if true, ignores SSL certificate
  *   issues. If host is localhost:8088, this will default to true
+ * @param {object} [logger] - a logger (see classes/genLogger) to send retry
+ *   events to
+ * @param {number} [timeoutMs] - the number of milliseconds to wait for Canvas
+ *   to respond before giving up on an attempt. If excluded, we wait forever
+ * @param {AbortSignal} [signal] - if included and triggered, the in-flight
+ *   request is cancelled, no more retries are attempted, and we reject with
+ *   an aborted error
  * @return {Promise.<CACCLErrror|object>} Returns { body, status, headers } on
- *   success, CACCLError on failure
+ *   success, NetworkError or TimeoutError (see classes/errors) on failure
  */
 const sendRequest = (options) => {
   // Set max number of retries if not defined
   const numRetries = (options.numRetries ? options.numRetries : 0);
 
+  // Fill in retry policy
+  const retryPolicy = Object.assign(
+    {},
+    DEFAULT_RETRY_POLICY,
+    options.retryPolicy || {}
+  );
+
   // Use default method if applicable
   const method = options.method || 'GET';
 
@@ -59,8 +185,6 @@ const sendRequest = (options) => {
     url = `${proto}://${options.host}${options.path}${query}`;
   }
 
-  console.log('cacclRequest url', url);
-
   // Default ignoreSSLIssues
   const ignoreSSLIssues = (
     options.ignoreSSLIssues !== undefined
@@ -88,45 +212,171 @@ const sendRequest = (options) => {
     data = options.params;
   }
 
-  // Send request
-  return axios({
-    method,
-    url,
-    data,
-    httpsAgent,
-    headers,
-    withCredentials: sendCrossDomainCredentials,
-  })
-    .catch((err) => {
-      // Axios throws an error if the request status indicates an error
-      // sendRequest is supposed to resolve if the request went through, whether
-      // the status indicates an error or not.
-      if (err.response) {
-        // Resolve with response
-        return Promise.resolve(err.response);
+  // Only retry methods that are safe to retry
+  const methodCanBeRetried = retryPolicy.methods.some((retryMethod) => {
+    return retryMethod.toUpperCase() === method.toUpperCase();
+  });
+
+  /**
+   * Sends the request, retrying if allowed
+   * @author Gabe Abrams
+   * @param {number} attemptNumber - the number of the current attempt
+   *   (starting at 0)
+   * @return {Promise.<object>} promise that resolves with the axios response
+   */
+  const sendAttempt = (attemptNumber) => {
+    const retriesLeft = numRetries - attemptNumber;
+    const canRetry = (methodCanBeRetried && retriesLeft > 0);
+
+    /**
+     * Waits then retries the request
+     * @author Gabe Abrams
+     * @param {number} delayMs - the number of milliseconds to wait
+     * @param {string} reason - the reason for the retry
+     * @return {Promise.<object>} promise that resolves with the axios response
+     */
+    const retry = (delayMs, reason) => {
+      if (options.logger) {
+        options.logger.warn('request.retry', {
+          method,
+          host: options.host,
+          path: options.path,
+          retriesLeft: retriesLeft - 1,
+          delayMs,
+          reason,
+        });
       }
-      // Request failed! Check if we have more attempts
-      if (numRetries > 0) {
-        // Update options with one less retry
-        const newOptions = options;
-        newOptions.numRetries -= 1;
-        return sendRequest(newOptions);
+      return _wait(delayMs, options.signal)
+        .then(() => {
+          return sendAttempt(attemptNumber + 1);
+        });
+    };
+
+    // Don't send if we've been aborted
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(genAbortedError());
+    }
+
+    // Cancel the request if we're aborted
+    let cancelSource;
+    let onAbort;
+    if (signal) {
+      cancelSource = axios.CancelToken.source();
+      onAbort = () => {
+        cancelSource.cancel();
+      };
+      signal.addEventListener('abort', onAbort);
+    }
+    const stopListening = () => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
       }
+    };
 
-      // Self-signed certificate error:
-      if (err.message.includes('self signed certificate')) {
-        throw new CACCLError({
-          message: 'We refused to send a request because the receiver has self-signed certificates.',
-          code: errorCodes.selfSigned,
-        });
+    /**
+     * Retries the request if its status should be retried
+     * @author Gabe Abrams
+     * @param {object} response - the axios response of this attempt
+     * @return {Promise.<object>} promise that resolves with the axios response
+     *   of this attempt or of the retry
+     */
+    const checkStatus = (response) => {
+      if (
+        !canRetry
+        || retryPolicy.statuses.indexOf(response.status) < 0
+      ) {
+        return Promise.resolve(response);
       }
 
-      // No tries left
-      throw new CACCLError({
-        message: 'We encountered an error when trying to send a network request. If this issue persists, contact an admin.',
-        code: errorCodes.notConnected,
-      });
+      // Figure out how long to wait
+      let delayMs = _calcBackoff(retryPolicy, attemptNumber);
+      if (retryPolicy.respectRetryAfter) {
+        const retryAfterMs = _parseRetryAfter(response.headers);
+        if (retryAfterMs !== null) {
+          if (retryAfterMs > retryPolicy.maxDelayMs) {
+            // Canvas wants us to wait too long. Give up
+            return Promise.resolve(response);
+          }
+          delayMs = retryAfterMs;
+        }
+      }
+
+      return retry(delayMs, `status ${response.status}`);
+    };
+
+    return axios({
+      method,
+      url,
+      data,
+      httpsAgent,
+      headers,
+      withCredentials: sendCrossDomainCredentials,
+      cancelToken: (cancelSource ? cancelSource.token : undefined),
+      timeout: (options.timeoutMs || 0),
     })
+      // Each attempt only decides once whether to retry: the handlers below
+      // are siblings so results of retries aren't checked again
+      .then((response) => {
+        stopListening();
+        return checkStatus(response);
+      }, (err) => {
+        stopListening();
+
+        // Request was cancelled because we were aborted
+        if (axios.isCancel(err)) {
+          throw genAbortedError();
+        }
+
+        // Axios throws an error if the request status indicates an error
+        // sendRequest is supposed to resolve if the request went through,
+        // whether the status indicates an error or not.
+        if (err.response) {
+          // Resolve with response (or retry if its status should be retried)
+          return checkStatus(err.response);
+        }
+        // Request failed! Check if we have more attempts
+        const timedOut = (err.code === 'ECONNABORTED');
+        if (canRetry) {
+          return retry(
+            _calcBackoff(retryPolicy, attemptNumber),
+            (timedOut ? 'timeout' : err.message)
+          );
+        }
+
+        // Canvas took too long to respond
+        if (timedOut) {
+          throw new TimeoutError({
+            message: `We gave up on a network request because Canvas took longer than ${options.timeoutMs}ms to respond. If this issue persists, contact an admin.`,
+            code: errorCodes.timedOut,
+            method,
+            path: options.path,
+          });
+        }
+
+        // Self-signed certificate error:
+        if (err.message.includes('self signed certificate')) {
+          throw new NetworkError({
+            message: 'We refused to send a request because the receiver has self-signed certificates.',
+            code: errorCodes.selfSigned,
+            method,
+            path: options.path,
+            retryable: false,
+          });
+        }
+
+        // No tries left
+        throw new NetworkError({
+          message: 'We encountered an error when trying to send a network request. If this issue persists, contact an admin.',
+          code: errorCodes.notConnected,
+          method,
+          path: options.path,
+        });
+      });
+  };
+
+  // Send request
+  return sendAttempt(0)
     .then((response) => {
       return {
         body: response.data,
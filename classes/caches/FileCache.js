@@ -0,0 +1,821 @@
+/**
+ * File cache class
+ * @author Gabe Abrams
+ * @module classes/caches/FileCache
+ * @see module: classes/caches/FileCache
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const pathLib = require('path');
+const CACCLError = require('caccl-error');
+
+const errorCodes = require('../../errorCodes.js');
+const hashParams = require('./helpers/hashParams.js');
+
+// Version of the export format
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Creates a file-safe hash of a value
+ * @author Gabe Abrams
+ * @param {string} value - the value to hash
+ * @return {string} the hash (hex)
+ */
+const _hash = (value) => {
+  return (
+    crypto
+      .createHash('sha256')
+      .update(String(value))
+      .digest('hex')
+  );
+};
+
+/**
+ * Checks if a filename is a hash (and not a temporary file or a file that
+ *   describes its directory)
+ * @author Gabe Abrams
+ * @param {string} filename - the filename to check
+ * @return {boolean} true if the filename is a hash
+ */
+const _isHash = (filename) => {
+  return /^[0-9a-f]{64}$/.test(filename);
+};
+
+/**
+ * Generates an id that's unique across processes
+ * @author Gabe Abrams
+ * @return {string} the id
+ */
+const _genUniqueId = () => {
+  return `${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+};
+
+/**
+ * Waits for a number of milliseconds
+ * @author Gabe Abrams
+ * @param {number} ms - the number of milliseconds to wait
+ * @return {Promise} promise that resolves after the wait
+ */
+const _wait = (ms) => {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+};
+
+/**
+ * Reads a file, resolving with undefined if it doesn't exist
+ * @author Gabe Abrams
+ * @param {string} filename - the file to read
+ * @return {Promise.<string>} promise that resolves with the contents of the
+ *   file or undefined if the file doesn't exist
+ */
+const _readFileIfExists = (filename) => {
+  return fs.promises.readFile(filename, 'utf8')
+    .catch((err) => {
+      if (err.code === 'ENOENT') {
+        return undefined;
+      }
+      throw err;
+    });
+};
+
+/**
+ * Lists the contents of a directory, resolving with an empty list if it
+ *   doesn't exist
+ * @author Gabe Abrams
+ * @param {string} dir - the directory to list
+ * @return {Promise.<string[]>} promise that resolves with the names of the
+ *   files in the directory
+ */
+const _readDirIfExists = (dir) => {
+  return fs.promises.readdir(dir)
+    .catch((err) => {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    });
+};
+
+/**
+ * Parses an entry
+ * @author Gabe Abrams
+ * @param {string} [json] - the contents of an entry's file
+ * @return {object} the entry or undefined if it couldn't be parsed
+ */
+const _parseEntry = (json) => {
+  if (!json) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * Writes a file atomically (readers never see a partially written file)
+ * @author Gabe Abrams
+ * @param {string} filename - the file to write
+ * @param {string} contents - the contents of the file
+ * @return {Promise} Promise that resolves when the file is written
+ */
+const _writeFileAtomically = (filename, contents) => {
+  const tempFilename = `${filename}.${_genUniqueId()}.tmp`;
+  return fs.promises.writeFile(tempFilename, contents)
+    .then(() => {
+      return fs.promises.rename(tempFilename, filename);
+    })
+    .catch((err) => {
+      return fs.promises.rm(tempFilename, { force: true })
+        .then(() => {
+          throw err;
+        });
+    });
+};
+
+/**
+ * Class that stores cache on disk so it lasts between runs and can be shared
+ *   by processes on the same machine. Every write is atomic (written to a
+ *   temporary file and then renamed) and changes are made while holding a
+ *   lock file. Files are laid out as follows (within the cache directory):
+ *   lock - the lock file (exists while a process is changing the cache and
+ *     holds a token that's unique to the holder)
+ *   paths/hash(path)/path - the path
+ *   paths/hash(path)/hash(paramsKey).json - an entry
+ *     ({ path, paramsKey, value, expiresAt })
+ *   tags/hash(tag)/tag - the tag
+ *   tags/hash(tag)/hash(path) - the path (if the path has the tag)
+ */
+class FileCache {
+  /**
+   * Creates a FileCache
+   * @author Gabe Abrams
+   * @param {object} options - cache options
+   * @param {string} options.dir - the directory to store the cache in (it's
+   *   created if it doesn't exist)
+   * @param {number} [options.ttlMs] - the default number of milliseconds that
+   *   an entry stays in the cache. If excluded, entries never expire
+   * @param {number} [options.lockTimeoutMs=10000] - the number of milliseconds
+   *   to wait for another process to release the lock
+   * @param {number} [options.lockStaleMs=30000] - the number of milliseconds
+   *   after which a lock is assumed to be left over from a process that
+   *   crashed (and is taken over)
+   */
+  constructor(options = {}) {
+    if (!options.dir) {
+      throw new CACCLError({
+        message: 'We could not create a new file cache because no directory was included. Please contact an admin.',
+        code: errorCodes.fileCacheNoDirectory,
+      });
+    }
+
+    this._dir = pathLib.resolve(options.dir);
+    this._ttlMs = options.ttlMs;
+    this._lockTimeoutMs = options.lockTimeoutMs || 10000;
+    this._lockStaleMs = options.lockStaleMs || 30000;
+
+    // Changes made by this instance (one at a time)
+    this._changeQueue = Promise.resolve();
+
+    // Token in the lock file while this instance holds the lock
+    this._lockToken = undefined;
+
+    // Counters
+    this._hits = 0;
+    this._misses = 0;
+    this._expirations = 0;
+
+    this.storePromises = false;
+  }
+
+  /**
+   * Gets a value given the key pair (path, param)
+   * @author Gabe Abrams
+   * @method get
+   * @param {string} path - The url path that is cached
+   * @param {object} params - The get parameters for the cached request
+   * @return {Promise.<object>} Promise that resolves with cached value
+   */
+  get(path, params) {
+    if (!path || !params) {
+      this._misses += 1;
+      return Promise.resolve();
+    }
+
+    const filename = this._entryFile(path, hashParams(params));
+    return _readFileIfExists(filename)
+      .then((json) => {
+        const entry = _parseEntry(json);
+        if (!entry) {
+          this._misses += 1;
+          return undefined;
+        }
+
+        // Remove the entry if it has expired
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+          this._expirations += 1;
+          this._misses += 1;
+          return this._deleteExpiredEntry(filename)
+            .then(() => {
+              return undefined;
+            });
+        }
+
+        this._hits += 1;
+        return entry.value;
+      });
+  }
+
+  /**
+   * Saves a value to the key pair (path, param), fetchable using get function
+   * @author Gabe Abrams
+   * @method set
+   * @param {string} path - The url path to cache
+   * @param {object} params - The get parameters to cache
+   * @param {string} value - The value to cache
+   * @param {object} [options] - options for this entry
+   * @param {number} [options.ttlMs=cache default] - the number of
+   *   milliseconds that this entry stays in the cache
+   * @return {Promise} Promise that resolves when set and save are complete
+   */
+  set(path, params, value, options = {}) {
+    // Make sure we have an item to store
+    if (
+      !path
+      || !params
+      || !value
+    ) {
+      // Nothing to store. Skip this
+      return Promise.resolve();
+    }
+
+    const ttlMs = (
+      options.ttlMs !== undefined
+        ? options.ttlMs
+        : this._ttlMs
+    );
+    return this._writeEntry({
+      path,
+      paramsKey: hashParams(params),
+      value,
+      expiresAt: (ttlMs ? Date.now() + ttlMs : null),
+    });
+  }
+
+  /**
+   * Deletes a specific path (and all associated params) from the cache
+   * @author Gabe Abrams
+   * @method deletePaths
+   * @return {Promise} Promise that resolves when the path is deleted
+   */
+  deletePaths(paths) {
+    if (!paths || paths.length === 0) {
+      // Nothing to delete (no paths)
+      return Promise.resolve();
+    }
+
+    return this._change(() => {
+      return Promise.all(paths.map((path) => {
+        return fs.promises.rm(this._pathDir(path), {
+          recursive: true,
+          force: true,
+        });
+      }));
+    });
+  }
+
+  /**
+   * Gets the list of all cached paths
+   * @author Gabe Abrams
+   * @method getAllPaths
+   * @return {Promise.<string[]>} Promise that resolves with the list of cached
+   *   paths
+   */
+  getAllPaths() {
+    const pathsDir = pathLib.join(this._dir, 'paths');
+    return _readDirIfExists(pathsDir)
+      .then((pathHashes) => {
+        return Promise.all(pathHashes.map((pathHash) => {
+          return _readFileIfExists(pathLib.join(pathsDir, pathHash, 'path'));
+        }));
+      })
+      .then((paths) => {
+        return paths.filter((path) => {
+          return !!path;
+        });
+      });
+  }
+
+  /**
+   * Deletes the entire cache
+   * @author Gabe Abrams
+   * @method deleteAllPaths
+   * @return {Promise} Promise that resolves when delete is complete
+   */
+  deleteAllPaths() {
+    return this._change(() => {
+      return Promise.all(['paths', 'tags'].map((subdir) => {
+        return fs.promises.rm(pathLib.join(this._dir, subdir), {
+          recursive: true,
+          force: true,
+        });
+      }));
+    });
+  }
+
+  /**
+   * Tags a cached path so it can be uncached by tag
+   * @author Gabe Abrams
+   * @method addTags
+   * @param {string} path - the cached path
+   * @param {string[]} tags - the tags to add to the path
+   * @return {Promise} Promise that resolves when the tags are added
+   */
+  addTags(path, tags) {
+    if (!path || !tags || tags.length === 0) {
+      return Promise.resolve();
+    }
+
+    return this._change(() => {
+      return Promise.all(tags.map((tag) => {
+        const tagDir = this._tagDir(tag);
+        return fs.promises.mkdir(tagDir, { recursive: true })
+          .then(() => {
+            return Promise.all([
+              _writeFileAtomically(pathLib.join(tagDir, 'tag'), tag),
+              _writeFileAtomically(
+                pathLib.join(tagDir, _hash(path)),
+                path
+              ),
+            ]);
+          });
+      }));
+    });
+  }
+
+  /**
+   * Gets the list of paths that have any of the tags
+   * @author Gabe Abrams
+   * @method getPathsWithTags
+   * @param {string[]} tags - the tags to look for
+   * @return {Promise.<string[]>} Promise that resolves with the list of
+   *   paths that have at least one of the tags (may include paths that are no
+   *   longer cached)
+   */
+  getPathsWithTags(tags) {
+    return Promise.all((tags || []).map((tag) => {
+      const tagDir = this._tagDir(tag);
+      return _readDirIfExists(tagDir)
+        .then((filenames) => {
+          return Promise.all(filenames.filter(_isHash).map((pathHash) => {
+            return _readFileIfExists(pathLib.join(tagDir, pathHash));
+          }));
+        });
+    }))
+      .then((lists) => {
+        const paths = [].concat(...lists).filter((path) => {
+          return !!path;
+        });
+        return Array.from(new Set(paths));
+      });
+  }
+
+  /**
+   * Gets cache stats (for this instance)
+   * @author Gabe Abrams
+   * @method getStats
+   * @return {object} stats in the form:
+   *   {
+   *     hits: number of lookups that found a value,
+   *     misses: number of lookups that didn't find a value,
+   *     expirations: number of entries removed because their TTL passed,
+   *   }
+   */
+  getStats() {
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      expirations: this._expirations,
+    };
+  }
+
+  /**
+   * Runs functions that call endpoints (one at a time) so the values they
+   *   request are cached. Example:
+   *   cache.warm([() => { return api.course.listStudents({ courseId }); }])
+   * @author Gabe Abrams
+   * @method warm
+   * @param {function[]} tasks - functions that each return a promise
+   * @return {Promise.<object>} Promise that resolves with
+   *   { numWarmed, errors, numPaths } where numWarmed is the number of tasks
+   *   that succeeded, errors is the list of errors from tasks that failed, and
+   *   numPaths is the number of paths that are now cached
+   */
+  warm(tasks) {
+    const results = {
+      numWarmed: 0,
+      errors: [],
+    };
+    return (tasks || []).reduce((prevTask, task) => {
+      return prevTask
+        .then(() => {
+          return task();
+        })
+        .then(() => {
+          results.numWarmed += 1;
+        })
+        .catch((err) => {
+          results.errors.push(err);
+        });
+    }, Promise.resolve())
+      .then(() => {
+        return this.getAllPaths();
+      })
+      .then((paths) => {
+        results.numPaths = paths.length;
+        return results;
+      });
+  }
+
+  /**
+   * Exports all entries (that haven't expired) as a snapshot that can be
+   *   saved as JSON and imported into a FileCache on another machine
+   * @author Gabe Abrams
+   * @method export
+   * @return {Promise.<object>} Promise that resolves with the snapshot in the
+   *   form { version, createdAt, entries, tags } where entries is a list of
+   *   { path, paramsKey, value, expiresAt } and tags maps each tag to its
+   *   list of paths
+   */
+  export() {
+    const pathsDir = pathLib.join(this._dir, 'paths');
+    const tagsDir = pathLib.join(this._dir, 'tags');
+    const now = Date.now();
+
+    // Read all entries
+    const readEntries = _readDirIfExists(pathsDir)
+      .then((pathHashes) => {
+        return Promise.all(pathHashes.map((pathHash) => {
+          const pathDir = pathLib.join(pathsDir, pathHash);
+          return _readDirIfExists(pathDir)
+            .then((filenames) => {
+              return Promise.all(
+                filenames
+                  .filter((filename) => {
+                    return filename.endsWith('.json');
+                  })
+                  .map((filename) => {
+                    return _readFileIfExists(pathLib.join(pathDir, filename));
+                  })
+              );
+            });
+        }));
+      })
+      .then((lists) => {
+        return [].concat(...lists)
+          .map((json) => {
+            return _parseEntry(json);
+          })
+          .filter((entry) => {
+            return (
+              entry
+              && (!entry.expiresAt || entry.expiresAt > now)
+            );
+          });
+      });
+
+    // Read all tags (the name of each tag is stored in its directory)
+    const readTags = _readDirIfExists(tagsDir)
+      .then((tagHashes) => {
+        return Promise.all(tagHashes.map((tagHash) => {
+          const tagDir = pathLib.join(tagsDir, tagHash);
+          return Promise.all([
+            _readFileIfExists(pathLib.join(tagDir, 'tag')),
+            _readDirIfExists(tagDir)
+              .then((pathHashes) => {
+                return Promise.all(
+                  pathHashes
+                    .filter(_isHash)
+                    .map((pathHash) => {
+                      return _readFileIfExists(pathLib.join(tagDir, pathHash));
+                    })
+                );
+              }),
+          ]);
+        }));
+      })
+      .then((tagPairs) => {
+        const tags = {};
+        tagPairs.forEach(([tag, paths]) => {
+          if (tag) {
+            tags[tag] = paths.filter((path) => {
+              return !!path;
+            });
+          }
+        });
+        return tags;
+      });
+
+    return Promise.all([readEntries, readTags])
+      .then(([entries, tags]) => {
+        return {
+          version: SNAPSHOT_VERSION,
+          createdAt: now,
+          entries,
+          tags,
+        };
+      });
+  }
+
+  /**
+   * Imports a snapshot created by export. Entries that have expired are
+   *   skipped and existing entries with the same key are replaced
+   * @author Gabe Abrams
+   * @method import
+   * @param {object} snapshot - the snapshot (see export)
+   * @return {Promise.<number>} Promise that resolves with the number of
+   *   entries that were imported
+   */
+  import(snapshot) {
+    const now = Date.now();
+    const entries = ((snapshot && snapshot.entries) || []).filter((entry) => {
+      return (
+        entry
+        && entry.path
+        && entry.paramsKey
+        && (!entry.expiresAt || entry.expiresAt > now)
+      );
+    });
+    const tags = ((snapshot && snapshot.tags) || {});
+
+    // Write entries one at a time
+    return entries.reduce((prevWrite, entry) => {
+      return prevWrite.then(() => {
+        return this._writeEntry({
+          path: entry.path,
+          paramsKey: entry.paramsKey,
+          value: entry.value,
+          expiresAt: entry.expiresAt || null,
+        });
+      });
+    }, Promise.resolve())
+      .then(() => {
+        // Add tags to the paths
+        const pathToTags = {};
+        Object.keys(tags).forEach((tag) => {
+          (tags[tag] || []).forEach((path) => {
+            if (!pathToTags[path]) {
+              pathToTags[path] = [];
+            }
+            pathToTags[path].push(tag);
+          });
+        });
+        return Promise.all(Object.keys(pathToTags).map((path) => {
+          return this.addTags(path, pathToTags[path]);
+        }));
+      })
+      .then(() => {
+        return entries.length;
+      });
+  }
+
+  /**
+   * Writes an entry to disk
+   * @author Gabe Abrams
+   * @param {object} entry - the entry: { path, paramsKey, value, expiresAt }
+   * @return {Promise} Promise that resolves when the entry is written
+   */
+  _writeEntry(entry) {
+    const json = JSON.stringify(entry);
+    const pathDir = this._pathDir(entry.path);
+    return this._change(() => {
+      return fs.promises.mkdir(pathDir, { recursive: true })
+        .then(() => {
+          return _writeFileAtomically(
+            pathLib.join(pathDir, 'path'),
+            entry.path
+          );
+        })
+        .then(() => {
+          return _writeFileAtomically(
+            this._entryFile(entry.path, entry.paramsKey),
+            json
+          );
+        });
+    });
+  }
+
+  /**
+   * Deletes an entry that has expired (if it wasn't replaced in the meantime)
+   * @author Gabe Abrams
+   * @param {string} filename - the entry's file
+   * @return {Promise} Promise that resolves when the entry is deleted
+   */
+  _deleteExpiredEntry(filename) {
+    return this._change(() => {
+      return _readFileIfExists(filename)
+        .then((json) => {
+          const entry = _parseEntry(json);
+          if (
+            !entry
+            || !entry.expiresAt
+            || entry.expiresAt > Date.now()
+          ) {
+            // Already deleted or replaced
+            return undefined;
+          }
+          return fs.promises.rm(filename, { force: true });
+        });
+    });
+  }
+
+  /**
+   * Makes a change to the cache while holding the lock. Changes made by this
+   *   instance are made one at a time
+   * @author Gabe Abrams
+   * @param {function} makeChange - function that makes the change and returns
+   *   a promise
+   * @return {Promise} Promise that resolves when the change is complete
+   */
+  _change(makeChange) {
+    const changePromise = this._changeQueue
+      .then(() => {
+        return this._acquireLock();
+      })
+      .then(() => {
+        return makeChange()
+          .then(() => {
+            return this._releaseLock();
+          })
+          .catch((err) => {
+            return this._releaseLock()
+              .then(() => {
+                throw err;
+              });
+          });
+      })
+      .then(() => {
+        return undefined;
+      });
+
+    // Continue the queue even if this change fails
+    this._changeQueue = changePromise.catch(() => {});
+
+    return changePromise;
+  }
+
+  /**
+   * Acquires the lock file (waiting for other processes to release it)
+   * @author Gabe Abrams
+   * @param {number} [startTime=now] - the time we started waiting
+   * @return {Promise} Promise that resolves when we have the lock
+   */
+  _acquireLock(startTime = Date.now()) {
+    const lockFile = pathLib.join(this._dir, 'lock');
+    const token = _genUniqueId();
+    return fs.promises.mkdir(this._dir, { recursive: true })
+      .then(() => {
+        // Only one process can create the lock file
+        return fs.promises.open(lockFile, 'wx');
+      })
+      .then((fileHandle) => {
+        this._lockToken = token;
+        return fileHandle.write(token)
+          .then(() => {
+            return fileHandle.close();
+          });
+      })
+      .catch((err) => {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+
+        // Another process has the lock. Check if it's stale
+        return fs.promises.stat(lockFile)
+          .then((stats) => {
+            if (Date.now() - stats.mtimeMs > this._lockStaleMs) {
+              // The process that held the lock crashed. Take it over
+              return _readFileIfExists(lockFile)
+                .then((staleToken) => {
+                  if (staleToken === undefined) {
+                    return undefined;
+                  }
+                  return this._removeLock(staleToken);
+                });
+            }
+
+            if (Date.now() - startTime > this._lockTimeoutMs) {
+              throw new CACCLError({
+                message: `We could not update the file cache because another process held its lock for more than ${this._lockTimeoutMs}ms.`,
+                code: errorCodes.fileCacheLockTimeout,
+              });
+            }
+
+            return _wait(10 + Math.floor(Math.random() * 40));
+          }, (statErr) => {
+            // The lock was released while we checked. Try again
+            if (statErr.code === 'ENOENT') {
+              return undefined;
+            }
+            throw statErr;
+          })
+          .then(() => {
+            return this._acquireLock(startTime);
+          });
+      });
+  }
+
+  /**
+   * Releases the lock file (if we still hold it)
+   * @author Gabe Abrams
+   * @return {Promise} Promise that resolves when the lock is released
+   */
+  _releaseLock() {
+    const token = this._lockToken;
+    this._lockToken = undefined;
+    return this._removeLock(token);
+  }
+
+  /**
+   * Removes the lock file if it holds a specific token. The lock file is
+   *   renamed first (atomically) so only one process can remove it, then it's
+   *   put back if it turns out to belong to another holder
+   * @author Gabe Abrams
+   * @param {string} token - the token of the lock to remove
+   * @return {Promise.<boolean>} Promise that resolves with true if the lock
+   *   was removed
+   */
+  _removeLock(token) {
+    const lockFile = pathLib.join(this._dir, 'lock');
+    const removedLockFile = `${lockFile}.${_genUniqueId()}.removed`;
+    return fs.promises.rename(lockFile, removedLockFile)
+      .then(() => {
+        return _readFileIfExists(removedLockFile)
+          .then((heldBy) => {
+            if (heldBy === token) {
+              return true;
+            }
+
+            // Another holder got the lock first. Give it back unless yet
+            // another holder has taken its place
+            return fs.promises.link(removedLockFile, lockFile)
+              .catch((err) => {
+                if (err.code !== 'EEXIST') {
+                  throw err;
+                }
+              })
+              .then(() => {
+                return false;
+              });
+          })
+          .then((removed) => {
+            return fs.promises.rm(removedLockFile, { force: true })
+              .then(() => {
+                return removed;
+              });
+          });
+      }, (err) => {
+        // Someone else already removed the lock
+        if (err.code === 'ENOENT') {
+          return false;
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Gets the directory of a path
+   * @author Gabe Abrams
+   * @param {string} path - the path
+   * @return {string} the directory
+   */
+  _pathDir(path) {
+    return pathLib.join(this._dir, 'paths', _hash(path));
+  }
+
+  /**
+   * Gets the file of an entry
+   * @author Gabe Abrams
+   * @param {string} path - the path
+   * @param {string} paramsKey - the hashed params
+   * @return {string} the file
+   */
+  _entryFile(path, paramsKey) {
+    return pathLib.join(this._pathDir(path), `${_hash(paramsKey)}.json`);
+  }
+
+  /**
+   * Gets the directory of a tag
+   * @author Gabe Abrams
+   * @param {string} tag - the tag
+   * @return {string} the directory
+   */
+  _tagDir(tag) {
+    return pathLib.join(this._dir, 'tags', _hash(tag));
+  }
+}
+
+module.exports = FileCache;
@@ -7,14 +7,57 @@
 
 const hashParams = require('./helpers/hashParams.js');
 
+/**
+ * Estimates the number of bytes a value takes up
+ * @author Gabe Abrams
+ * @param {any} value - the value to measure
+ * @return {number} the size of the value when JSON encoded (0 if the value
+ *   can't be encoded)
+ */
+const _estimateSize = (value) => {
+  try {
+    return Buffer.byteLength(JSON.stringify(value) || '');
+  } catch (err) {
+    return 0;
+  }
+};
+
 /** Class that stores cache in memory */
 class MemoryCache {
   /**
    * Creates a MemoryCache
    * @author Gabe Abrams
+   * @param {object} [options] - cache options
+   * @param {number} [options.ttlMs] - the default number of milliseconds
+   *   that an entry stays in the cache. If excluded, entries never expire
+   * @param {number} [options.maxEntries] - the maximum number of entries to
+   *   keep. When full, the least recently used entries are evicted
+   * @param {number} [options.maxBytes] - the maximum total size (in bytes,
+   *   JSON encoded) of all entries. When full, the least recently used entries
+   *   are evicted
    */
-  constructor() {
+  constructor(options = {}) {
+    this._ttlMs = options.ttlMs;
+    this._maxEntries = options.maxEntries;
+    this._maxBytes = options.maxBytes;
+
+    // path => Map of paramsKey => entry
     this._map = new Map();
+    // Every entry, least recently used first: entryKey => entry
+    this._lru = new Map();
+    this._numBytes = 0;
+
+    // tag => Set of paths
+    this._tags = new Map();
+    // path => Set of tags
+    this._pathTags = new Map();
+
+    // Counters
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
+    this._expirations = 0;
+
     this.storePromises = true;
   }
 
@@ -35,9 +78,24 @@ class MemoryCache {
     ) {
       // This path has some cached values. Look up based on params
       const paramsKey = hashParams(params);
-      return Promise.resolve(this._map.get(path).get(paramsKey));
+      const entry = this._map.get(path).get(paramsKey);
+      if (entry) {
+        // Remove the entry if it has expired
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+          this._expirations += 1;
+          this._deleteEntry(entry);
+        } else {
+          // Mark as most recently used
+          this._lru.delete(entry.key);
+          this._lru.set(entry.key, entry);
+
+          this._hits += 1;
+          return Promise.resolve(entry.value);
+        }
+      }
     }
     // No cached value: resolve with undefined
+    this._misses += 1;
     return Promise.resolve();
   }
 
@@ -48,9 +106,12 @@ class MemoryCache {
    * @param {string} path - The url path to cache
    * @param {object} params - The get parameters to cache
    * @param {string} value - The value to cache
+   * @param {object} [options] - options for this entry
+   * @param {number} [options.ttlMs=cache default] - the number of
+   *   milliseconds that this entry stays in the cache
    * @return {Promise} Promise that resolves when set and save are complete
    */
-  set(path, params, value) {
+  set(path, params, value, options = {}) {
     // Make sure we have an item to store
     if (
       !path
@@ -58,7 +119,18 @@ class MemoryCache {
       || !value
     ) {
       // Nothing to store. Skip this
-      return;
+      return Promise.resolve();
+    }
+
+    // Replace the existing entry
+    const paramsKey = hashParams(params);
+    const existingEntry = (
+      this._map.has(path)
+        ? this._map.get(path).get(paramsKey)
+        : undefined
+    );
+    if (existingEntry) {
+      this._deleteEntry(existingEntry);
     }
 
     // Initialize submap if needed
@@ -67,9 +139,38 @@ class MemoryCache {
     }
 
     // Store new triplet
-    const paramsKey = hashParams(params);
-    this._map.get(path).set(paramsKey, value);
-    return Promise.resolve();
+    const ttlMs = (
+      options.ttlMs !== undefined
+        ? options.ttlMs
+        : this._ttlMs
+    );
+    const entry = {
+      path,
+      paramsKey,
+      key: `${path}\n${paramsKey}`,
+      value,
+      expiresAt: (ttlMs ? Date.now() + ttlMs : null),
+      size: 0,
+    };
+    this._map.get(path).set(paramsKey, entry);
+    this._lru.set(entry.key, entry);
+
+    // Measure the entry (wait for promises to resolve)
+    return Promise.resolve(value)
+      .then((resolvedValue) => {
+        // Only count the size if the entry wasn't removed while we waited
+        if (this._lru.get(entry.key) === entry) {
+          entry.size = _estimateSize(resolvedValue);
+          this._numBytes += entry.size;
+        }
+        this._evict();
+      })
+      .catch(() => {
+        // Don't keep values that failed
+        if (this._lru.get(entry.key) === entry) {
+          this._deleteEntry(entry);
+        }
+      });
   }
 
   /**
@@ -86,7 +187,12 @@ class MemoryCache {
 
     // Delete each path individually
     paths.forEach((path) => {
-      this._map.delete(path);
+      if (!this._map.has(path)) {
+        return;
+      }
+      Array.from(this._map.get(path).values()).forEach((entry) => {
+        this._deleteEntry(entry);
+      });
     });
 
     return Promise.resolve();
@@ -100,9 +206,56 @@ class MemoryCache {
    *   paths
    */
   getAllPaths() {
+    this._deleteExpiredEntries();
     return Promise.resolve(Array.from(this._map.keys()));
   }
 
+  /**
+   * Tags a cached path so it can be uncached by tag
+   * @author Gabe Abrams
+   * @method addTags
+   * @param {string} path - the cached path
+   * @param {string[]} tags - the tags to add to the path
+   * @return {Promise} Promise that resolves when the tags are added
+   */
+  addTags(path, tags) {
+    // Only tag paths that are cached
+    if (!this._map.has(path) || !tags) {
+      return Promise.resolve();
+    }
+
+    if (!this._pathTags.has(path)) {
+      this._pathTags.set(path, new Set());
+    }
+    tags.forEach((tag) => {
+      if (!this._tags.has(tag)) {
+        this._tags.set(tag, new Set());
+      }
+      this._tags.get(tag).add(path);
+      this._pathTags.get(path).add(tag);
+    });
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Gets the list of cached paths that have any of the tags
+   * @author Gabe Abrams
+   * @method getPathsWithTags
+   * @param {string[]} tags - the tags to look for
+   * @return {Promise.<string[]>} Promise that resolves with the list of cached
+   *   paths that have at least one of the tags
+   */
+  getPathsWithTags(tags) {
+    const paths = new Set();
+    (tags || []).forEach((tag) => {
+      (this._tags.get(tag) || []).forEach((path) => {
+        paths.add(path);
+      });
+    });
+    return Promise.resolve(Array.from(paths));
+  }
+
   /**
    * Deletes the entire cache
    * @author Gabe Abrams
@@ -111,8 +264,115 @@ class MemoryCache {
    */
   deleteAllPaths() {
     this._map = new Map();
+    this._lru = new Map();
+    this._numBytes = 0;
+    this._tags = new Map();
+    this._pathTags = new Map();
     return Promise.resolve();
   }
+
+  /**
+   * Gets cache stats
+   * @author Gabe Abrams
+   * @method getStats
+   * @return {object} stats in the form:
+   *   {
+   *     hits: number of lookups that found a value,
+   *     misses: number of lookups that didn't find a value,
+   *     evictions: number of entries removed to stay within the limits,
+   *     expirations: number of entries removed because their TTL passed,
+   *     numEntries: number of entries in the cache,
+   *     numBytes: estimated size of all entries (JSON encoded),
+   *   }
+   */
+  getStats() {
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions,
+      expirations: this._expirations,
+      numEntries: this._lru.size,
+      numBytes: this._numBytes,
+    };
+  }
+
+  /**
+   * Removes an entry from the cache
+   * @author Gabe Abrams
+   * @param {object} entry - the entry to remove
+   */
+  _deleteEntry(entry) {
+    this._lru.delete(entry.key);
+    this._numBytes -= entry.size;
+
+    const submap = this._map.get(entry.path);
+    if (submap) {
+      submap.delete(entry.paramsKey);
+      if (submap.size === 0) {
+        this._map.delete(entry.path);
+        this._untagPath(entry.path);
+      }
+    }
+  }
+
+  /**
+   * Removes all tags from a path (once the path is no longer cached)
+   * @author Gabe Abrams
+   * @param {string} path - the path to untag
+   */
+  _untagPath(path) {
+    if (!this._pathTags.has(path)) {
+      return;
+    }
+
+    this._pathTags.get(path).forEach((tag) => {
+      const paths = this._tags.get(tag);
+      paths.delete(path);
+      if (paths.size === 0) {
+        this._tags.delete(tag);
+      }
+    });
+    this._pathTags.delete(path);
+  }
+
+  /**
+   * Removes all entries that have expired
+   * @author Gabe Abrams
+   */
+  _deleteExpiredEntries() {
+    const now = Date.now();
+    Array.from(this._lru.values()).forEach((entry) => {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this._expirations += 1;
+        this._deleteEntry(entry);
+      }
+    });
+  }
+
+  /**
+   * Evicts the least recently used entries until the cache is within its
+   *   limits
+   * @author Gabe Abrams
+   */
+  _evict() {
+    const isOverLimit = () => {
+      return (
+        (this._maxEntries && this._lru.size > this._maxEntries)
+        || (this._maxBytes && this._numBytes > this._maxBytes)
+      );
+    };
+
+    // Remove expired entries before evicting anything that's still fresh
+    if (isOverLimit()) {
+      this._deleteExpiredEntries();
+    }
+
+    while (isOverLimit()) {
+      const leastRecentlyUsed = this._lru.values().next().value;
+      this._evictions += 1;
+      this._deleteEntry(leastRecentlyUsed);
+    }
+  }
 }
 
 module.exports = MemoryCache;
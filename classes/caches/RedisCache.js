@@ -0,0 +1,455 @@
+/**
+ * Redis cache class
+ * @author Gabe Abrams
+ * @module classes/caches/RedisCache
+ * @see module: classes/caches/RedisCache
+ */
+
+const CACCLError = require('caccl-error');
+
+const errorCodes = require('../../errorCodes.js');
+const fingerprint = require('./helpers/fingerprint.js');
+const hashParams = require('./helpers/hashParams.js');
+
+// Highest character used when looking up paths by prefix
+const MAX_CHAR = '\xff';
+
+/**
+ * Class that stores cache in redis so it can be shared between processes.
+ *   Keys are laid out as follows (ns is the namespace):
+ *   ns:paths - sorted set of all cached paths (all with score 0 so they can
+ *     be looked up by prefix using ZRANGEBYLEX)
+ *   ns:params:path - set of params keys cached for the path
+ *   ns:value:path:paramsKey - the JSON encoded value
+ *   ns:tags - set of all tags
+ *   ns:tag:tag - set of paths with the tag (may include paths that are no
+ *     longer cached until the tag is looked up)
+ *   Index keys don't expire. Instead, entries that expired are removed from
+ *   the indexes when a lookup finds them missing
+ */
+class RedisCache {
+  /**
+   * Creates a RedisCache
+   * @author Gabe Abrams
+   * @param {object} options - cache options
+   * @param {object} options.client - a connected redis client with a
+   *   promise-based, ioredis-style interface (get, set, del, exists, sadd,
+   *   srem, smembers, zadd, zrem, zscore, zrange, zrangebylex)
+   * @param {string} [options.keyPrefix=caccl-api] - a prefix to add to all
+   *   keys
+   * @param {string} [options.canvasHost] - the Canvas host, used to namespace
+   *   keys
+   * @param {string} [options.accessToken] - the access token of the user, used
+   *   to namespace keys (only a fingerprint of the token is stored)
+   * @param {string} [options.namespace] - a custom namespace to use instead of
+   *   the one generated from canvasHost and accessToken
+   * @param {number} [options.ttlMs] - the default number of milliseconds that
+   *   an entry stays in the cache. If excluded, entries never expire
+   */
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new CACCLError({
+        message: 'We could not create a new redis cache because no redis client was included. Please contact an admin.',
+        code: errorCodes.redisCacheNoClient,
+      });
+    }
+
+    this._client = options.client;
+    this._ttlMs = options.ttlMs;
+
+    // Namespace keys by Canvas host and user
+    const namespace = (
+      options.namespace
+      || [
+        options.canvasHost || 'canvas',
+        (options.accessToken ? fingerprint(options.accessToken) : 'shared'),
+      ].join(':')
+    );
+    this._prefix = `${options.keyPrefix || 'caccl-api'}:${namespace}`;
+
+    // Counters
+    this._hits = 0;
+    this._misses = 0;
+
+    this.storePromises = false;
+  }
+
+  /**
+   * Gets a value given the key pair (path, param)
+   * @author Gabe Abrams
+   * @method get
+   * @param {string} path - The url path that is cached
+   * @param {object} params - The get parameters for the cached request
+   * @return {Promise.<object>} Promise that resolves with cached value
+   */
+  get(path, params) {
+    if (!path || !params) {
+      this._misses += 1;
+      return Promise.resolve();
+    }
+
+    const paramsKey = hashParams(params);
+    return this._client.get(this._valueKey(path, paramsKey))
+      .then((json) => {
+        if (json === null || json === undefined) {
+          this._misses += 1;
+
+          // The entry may have expired. Remove it from the indexes
+          return this._removeDeadEntry(path, paramsKey)
+            .then(() => {
+              return undefined;
+            });
+        }
+        this._hits += 1;
+        return JSON.parse(json);
+      });
+  }
+
+  /**
+   * Saves a value to the key pair (path, param), fetchable using get function
+   * @author Gabe Abrams
+   * @method set
+   * @param {string} path - The url path to cache
+   * @param {object} params - The get parameters to cache
+   * @param {string} value - The value to cache
+   * @param {object} [options] - options for this entry
+   * @param {number} [options.ttlMs=cache default] - the number of
+   *   milliseconds that this entry stays in the cache
+   * @return {Promise} Promise that resolves when set and save are complete
+   */
+  set(path, params, value, options = {}) {
+    // Make sure we have an item to store
+    if (
+      !path
+      || !params
+      || !value
+    ) {
+      // Nothing to store. Skip this
+      return Promise.resolve();
+    }
+
+    const ttlMs = (
+      options.ttlMs !== undefined
+        ? options.ttlMs
+        : this._ttlMs
+    );
+    const paramsKey = hashParams(params);
+    const valueKey = this._valueKey(path, paramsKey);
+    const json = JSON.stringify(value);
+
+    return Promise.all([
+      (
+        ttlMs
+          ? this._client.set(valueKey, json, 'PX', ttlMs)
+          : this._client.set(valueKey, json)
+      ),
+      this._client.sadd(this._paramsKey(path), paramsKey),
+      this._client.zadd(this._pathsKey(), 0, path),
+    ])
+      .then(() => {
+        return undefined;
+      });
+  }
+
+  /**
+   * Deletes a specific path (and all associated params) from the cache
+   * @author Gabe Abrams
+   * @method deletePaths
+   * @return {Promise} Promise that resolves when the path is deleted
+   */
+  deletePaths(paths) {
+    if (!paths || paths.length === 0) {
+      // Nothing to delete (no paths)
+      return Promise.resolve();
+    }
+
+    return Promise.all(paths.map((path) => {
+      return this._client.smembers(this._paramsKey(path))
+        .then((paramsKeys) => {
+          const keys = (paramsKeys || []).map((paramsKey) => {
+            return this._valueKey(path, paramsKey);
+          });
+          keys.push(this._paramsKey(path));
+          return Promise.all([
+            this._client.del(...keys),
+            this._client.zrem(this._pathsKey(), path),
+          ]);
+        });
+    }))
+      .then(() => {
+        return undefined;
+      });
+  }
+
+  /**
+   * Gets the list of all cached paths
+   * @author Gabe Abrams
+   * @method getAllPaths
+   * @return {Promise.<string[]>} Promise that resolves with the list of cached
+   *   paths
+   */
+  getAllPaths() {
+    return this._client.zrange(this._pathsKey(), 0, -1);
+  }
+
+  /**
+   * Gets the list of cached paths that start with a prefix (without looking
+   *   through all paths)
+   * @author Gabe Abrams
+   * @method getPathsWithPrefix
+   * @param {string} prefix - the prefix to look for
+   * @return {Promise.<string[]>} Promise that resolves with the list of cached
+   *   paths that start with the prefix
+   */
+  getPathsWithPrefix(prefix) {
+    return this._client.zrangebylex(
+      this._pathsKey(),
+      `[${prefix}`,
+      `[${prefix}${MAX_CHAR}`
+    );
+  }
+
+  /**
+   * Tags a cached path so it can be uncached by tag
+   * @author Gabe Abrams
+   * @method addTags
+   * @param {string} path - the cached path
+   * @param {string[]} tags - the tags to add to the path
+   * @return {Promise} Promise that resolves when the tags are added
+   */
+  addTags(path, tags) {
+    if (!path || !tags || tags.length === 0) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(tags.map((tag) => {
+      return Promise.all([
+        this._client.sadd(this._tagKey(tag), path),
+        this._client.sadd(this._tagsKey(), tag),
+      ]);
+    }))
+      .then(() => {
+        return undefined;
+      });
+  }
+
+  /**
+   * Gets the list of cached paths that have any of the tags
+   * @author Gabe Abrams
+   * @method getPathsWithTags
+   * @param {string[]} tags - the tags to look for
+   * @return {Promise.<string[]>} Promise that resolves with the list of
+   *   paths that have at least one of the tags
+   */
+  getPathsWithTags(tags) {
+    return Promise.all((tags || []).map((tag) => {
+      return this._getLivePathsWithTag(tag);
+    }))
+      .then((lists) => {
+        return Array.from(new Set([].concat(...lists)));
+      });
+  }
+
+  /**
+   * Deletes the entire cache
+   * @author Gabe Abrams
+   * @method deleteAllPaths
+   * @return {Promise} Promise that resolves when delete is complete
+   */
+  deleteAllPaths() {
+    return this.getAllPaths()
+      .then((paths) => {
+        return this.deletePaths(paths);
+      })
+      .then(() => {
+        return this._client.smembers(this._tagsKey());
+      })
+      .then((tags) => {
+        const tagKeys = (tags || []).map((tag) => {
+          return this._tagKey(tag);
+        });
+        return this._client.del(this._pathsKey(), this._tagsKey(), ...tagKeys);
+      })
+      .then(() => {
+        return undefined;
+      });
+  }
+
+  /**
+   * Gets cache stats (for this process)
+   * @author Gabe Abrams
+   * @method getStats
+   * @return {object} stats in the form:
+   *   {
+   *     hits: number of lookups that found a value,
+   *     misses: number of lookups that didn't find a value,
+   *   }
+   */
+  getStats() {
+    return {
+      hits: this._hits,
+      misses: this._misses,
+    };
+  }
+
+  /**
+   * Removes an entry that's missing its value from the indexes. If the path
+   *   has no other entries that still have values, the path is removed too
+   * @author Gabe Abrams
+   * @param {string} path - the path of the entry
+   * @param {string} paramsKey - the hashed params of the entry
+   * @return {Promise} Promise that resolves when the indexes are cleaned up
+   */
+  _removeDeadEntry(path, paramsKey) {
+    const paramsSetKey = this._paramsKey(path);
+    return this._client.srem(paramsSetKey, paramsKey)
+      .then((numRemoved) => {
+        // The entry wasn't in the index (it was never cached)
+        if (!numRemoved) {
+          return undefined;
+        }
+
+        // Check the rest of the path's entries
+        return this._client.smembers(paramsSetKey)
+          .then((paramsKeys) => {
+            return Promise.all((paramsKeys || []).map((otherParamsKey) => {
+              return this._client.exists(this._valueKey(path, otherParamsKey))
+                .then((exists) => {
+                  return (exists ? null : otherParamsKey);
+                });
+            }));
+          })
+          .then((results) => {
+            const deadParamsKeys = results.filter((result) => {
+              return result !== null;
+            });
+            const removeDeadParams = (
+              deadParamsKeys.length > 0
+                ? this._client.srem(paramsSetKey, ...deadParamsKeys)
+                : Promise.resolve()
+            );
+
+            // Some entries still have values. Only remove the dead ones
+            if (deadParamsKeys.length < results.length) {
+              return removeDeadParams;
+            }
+
+            // No entries have values. Remove the path
+            return removeDeadParams
+              .then(() => {
+                return this._client.zrem(this._pathsKey(), path);
+              })
+              .then(() => {
+                // Put the path back if it was cached again in the meantime
+                return this._client.smembers(paramsSetKey);
+              })
+              .then((paramsKeys) => {
+                if (!paramsKeys || paramsKeys.length === 0) {
+                  return undefined;
+                }
+                return this._client.zadd(this._pathsKey(), 0, path);
+              });
+          });
+      });
+  }
+
+  /**
+   * Gets the paths with a tag, removing paths that are no longer cached from
+   *   the tag (and removing the tag if it has no paths left)
+   * @author Gabe Abrams
+   * @param {string} tag - the tag
+   * @return {Promise.<string[]>} Promise that resolves with the cached paths
+   *   that have the tag
+   */
+  _getLivePathsWithTag(tag) {
+    const tagKey = this._tagKey(tag);
+    return this._client.smembers(tagKey)
+      .then((paths) => {
+        return Promise.all((paths || []).map((path) => {
+          return this._client.zscore(this._pathsKey(), path)
+            .then((score) => {
+              return {
+                path,
+                isCached: (score !== null && score !== undefined),
+              };
+            });
+        }));
+      })
+      .then((results) => {
+        const livePaths = [];
+        const deadPaths = [];
+        results.forEach(({ path, isCached }) => {
+          if (isCached) {
+            livePaths.push(path);
+          } else {
+            deadPaths.push(path);
+          }
+        });
+        if (deadPaths.length === 0) {
+          return livePaths;
+        }
+
+        return this._client.srem(tagKey, ...deadPaths)
+          .then(() => {
+            if (livePaths.length > 0) {
+              return undefined;
+            }
+            return this._client.srem(this._tagsKey(), tag);
+          })
+          .then(() => {
+            return livePaths;
+          });
+      });
+  }
+
+  /**
+   * Gets the key of the sorted set of all paths
+   * @author Gabe Abrams
+   * @return {string} the key
+   */
+  _pathsKey() {
+    return `${this._prefix}:paths`;
+  }
+
+  /**
+   * Gets the key of the set of params keys for a path
+   * @author Gabe Abrams
+   * @param {string} path - the path
+   * @return {string} the key
+   */
+  _paramsKey(path) {
+    return `${this._prefix}:params:${path}`;
+  }
+
+  /**
+   * Gets the key of the set of all tags
+   * @author Gabe Abrams
+   * @return {string} the key
+   */
+  _tagsKey() {
+    return `${this._prefix}:tags`;
+  }
+
+  /**
+   * Gets the key of the set of paths with a tag
+   * @author Gabe Abrams
+   * @param {string} tag - the tag
+   * @return {string} the key
+   */
+  _tagKey(tag) {
+    return `${this._prefix}:tag:${tag}`;
+  }
+
+  /**
+   * Gets the key of a value
+   * @author Gabe Abrams
+   * @param {string} path - the path
+   * @param {string} paramsKey - the hashed params
+   * @return {string} the key
+   */
+  _valueKey(path, paramsKey) {
+    return `${this._prefix}:value:${path}:${paramsKey}`;
+  }
+}
+
+module.exports = RedisCache;
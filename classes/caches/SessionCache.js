@@ -33,6 +33,9 @@ class SessionCache {
     if (!this._req.session.cache) {
       this._req.session.cache = {};
     }
+    if (!this._req.session.cacheTags) {
+      this._req.session.cacheTags = {};
+    }
   }
 
   /**
@@ -101,6 +104,17 @@ class SessionCache {
       delete this._req.session.cache[path];
     });
 
+    // Remove the paths from their tags (and remove tags with no paths left)
+    const { cacheTags } = this._req.session;
+    Object.keys(cacheTags).forEach((tag) => {
+      cacheTags[tag] = cacheTags[tag].filter((path) => {
+        return paths.indexOf(path) < 0;
+      });
+      if (cacheTags[tag].length === 0) {
+        delete cacheTags[tag];
+      }
+    });
+
     // Save
     return this._save();
   }
@@ -115,6 +129,52 @@ class SessionCache {
     return Promise.resolve(Object.keys(this._req.session.cache));
   }
 
+  /**
+   * Tags a cached path so it can be uncached by tag
+   * @author Gabe Abrams
+   * @param {string} path - the cached path
+   * @param {string[]} tags - the tags to add to the path
+   * @return {Promise} Promise that resolves when the tags are added
+   */
+  addTags(path, tags) {
+    // Only tag paths that are cached
+    if (!this._req.session.cache[path] || !tags) {
+      return Promise.resolve();
+    }
+
+    const { cacheTags } = this._req.session;
+    tags.forEach((tag) => {
+      if (!cacheTags[tag]) {
+        cacheTags[tag] = [];
+      }
+      if (cacheTags[tag].indexOf(path) < 0) {
+        cacheTags[tag].push(path);
+      }
+    });
+
+    // Save
+    return this._save();
+  }
+
+  /**
+   * Gets the list of paths that have any of the tags
+   * @author Gabe Abrams
+   * @param {string[]} tags - the tags to look for
+   * @return {Promise.<string[]>} Promise that resolves with the list of
+   *   paths that have at least one of the tags
+   */
+  getPathsWithTags(tags) {
+    const paths = [];
+    (tags || []).forEach((tag) => {
+      (this._req.session.cacheTags[tag] || []).forEach((path) => {
+        if (paths.indexOf(path) < 0) {
+          paths.push(path);
+        }
+      });
+    });
+    return Promise.resolve(paths);
+  }
+
   /**
    * Deletes the entire cache
    * @author Gabe Abrams
@@ -122,6 +182,7 @@ class SessionCache {
    */
   deleteAllPaths() {
     this._req.session.cache = {};
+    this._req.session.cacheTags = {};
     return this._save();
   }
 
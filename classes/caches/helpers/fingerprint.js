@@ -0,0 +1,26 @@
+/**
+ * Function that creates a short, non-reversible fingerprint of a secret so
+ *   that it can be used in cache keys without storing the secret itself
+ * @author Gabe Abrams
+ * @module classes/caches/helpers/fingerprint
+ * @see module: classes/caches/helpers/fingerprint
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Creates a short, non-reversible fingerprint of a value
+ * @author Gabe Abrams
+ * @param {string} value - the value to fingerprint
+ * @return {string} the fingerprint (first 16 hex characters of the sha256
+ *   hash)
+ */
+module.exports = (value) => {
+  return (
+    crypto
+      .createHash('sha256')
+      .update(String(value))
+      .digest('hex')
+      .substring(0, 16)
+  );
+};
@@ -5,12 +5,36 @@
  * @see module: classes/caches/helpers/hashParams
  */
 
+/**
+ * Recursively copies a value, sorting the properties of all objects so that
+ *   property order doesn't change the key
+ * @author Gabe Abrams
+ * @param {any} value - the value to sort
+ * @return {any} sorted copy of the value
+ */
+const _sortProps = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(_sortProps);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const sorted = {};
+  Object.keys(value)
+    .sort()
+    .forEach((prop) => {
+      sorted[prop] = _sortProps(value[prop]);
+    });
+  return sorted;
+};
+
 /**
  * Creates a cache key out of a set of params
  * @author Gabe Abrams
  * @param {object} params - Object containing get parameters
- * @return {string} hashed cache key
+ * @return {string} hashed cache key (the same for params that only differ in
+ *   property order)
  */
 module.exports = (params) => {
-  return JSON.stringify(params);
+  return JSON.stringify(_sortProps(params));
 };
@@ -0,0 +1,44 @@
+/**
+ * Function that scopes request params to a Canvas host and user so they can
+ *   be used as the params part of a cache key
+ * @author Gabe Abrams
+ * @module classes/caches/helpers/scopeCacheParams
+ * @see module: classes/caches/helpers/scopeCacheParams
+ */
+
+const fingerprint = require('./fingerprint');
+
+// Params that are never included in cache keys
+const SECRET_PARAMS = ['access_token', 'authenticity_token'];
+
+/**
+ * Scopes request params to a Canvas host and user. Caches hash the result
+ *   (see hashParams), so cached values are never shared between Canvas hosts
+ *   or users and raw tokens are never part of a cache key
+ * @author Gabe Abrams
+ * @param {string} [canvasHost] - the Canvas host the request is sent to
+ * @param {string} [accessToken] - the access token the request is sent with
+ *   (if params includes an access_token, that token is used instead)
+ * @param {object} [params={}] - the request params
+ * @return {object} scoped params in the form
+ *   { host, user, params } where user is a fingerprint of the access token
+ *   (or null if there is no access token) and params excludes tokens
+ */
+module.exports = (config) => {
+  const params = config.params || {};
+  const accessToken = (params.access_token || config.accessToken);
+
+  // Copy params without tokens
+  const paramsWithoutSecrets = {};
+  Object.keys(params).forEach((prop) => {
+    if (SECRET_PARAMS.indexOf(prop) < 0) {
+      paramsWithoutSecrets[prop] = params[prop];
+    }
+  });
+
+  return {
+    host: (config.canvasHost || null),
+    user: (accessToken ? fingerprint(accessToken) : null),
+    params: paramsWithoutSecrets,
+  };
+};
@@ -0,0 +1,136 @@
+/**
+ * Typed errors that endpoints reject with. All of them are CACCLErrors, so
+ *   existing checks on err.code keep working
+ * @author Gabe Abrams
+ * @module classes/errors
+ * @see module: classes/errors
+ */
+
+const CACCLError = require('caccl-error');
+
+/**
+ * Error that describes a failed request to Canvas
+ * @author Gabe Abrams
+ */
+class CanvasAPIError extends CACCLError {
+  /**
+   * Creates a new error
+   * @author Gabe Abrams
+   * @param {object} [options={}] - options for the error
+   * @param {string} [options.message] - the human-readable error message
+   * @param {string} [options.code] - the error code (see errorCodes.js)
+   * @param {string} [options.name] - the name of the error. Defaults to the
+   *   name of the error class
+   * @param {number} [options.status] - the http status of the Canvas response
+   *   (null if we didn't get a response)
+   * @param {string} [options.method] - the http method of the request
+   * @param {string} [options.path] - the path of the request
+   * @param {string} [options.requestId] - the id Canvas gave the request (from
+   *   the X-Request-Context-Id header)
+   * @param {object[]} [options.canvasErrors=[]] - the errors that Canvas
+   *   included in its response
+   * @param {boolean} [options.retryable] - true if the request might succeed
+   *   if it's sent again. Defaults to true if Canvas responded with a 5xx
+   *   status
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = options.name || this.constructor.name;
+    this.status = (options.status !== undefined ? options.status : null);
+    this.method = options.method || null;
+    this.path = options.path || null;
+    this.requestId = options.requestId || null;
+    this.canvasErrors = options.canvasErrors || [];
+    this.retryable = (
+      options.retryable !== undefined
+        ? !!options.retryable
+        : this.status >= 500
+    );
+  }
+}
+
+/**
+ * Error for when the Canvas resource or endpoint doesn't exist
+ * @author Gabe Abrams
+ */
+class NotFoundError extends CanvasAPIError {}
+
+/**
+ * Error for when Canvas doesn't let us (or the current user) do something
+ * @author Gabe Abrams
+ */
+class UnauthorizedError extends CanvasAPIError {}
+
+/**
+ * Error for when Canvas throttled us and we ran out of retries
+ * @author Gabe Abrams
+ */
+class ThrottledError extends CanvasAPIError {
+  /**
+   * Creates a new error (retryable by default)
+   * @author Gabe Abrams
+   * @param {object} [options={}] - options for the error (see CanvasAPIError)
+   */
+  constructor(options = {}) {
+    super(Object.assign({ retryable: true }, options));
+  }
+}
+
+/**
+ * Error for when Canvas rejected the params we sent
+ * @author Gabe Abrams
+ */
+class ValidationError extends CanvasAPIError {
+  /**
+   * Creates a new error
+   * @author Gabe Abrams
+   * @param {object} [options={}] - options for the error (see CanvasAPIError)
+   * @param {object[]} [options.fields=[]] - list of { field, messages } where
+   *   field is the name of the param that Canvas rejected (null if the problem
+   *   isn't about a specific param) and messages is the list of problems
+   */
+  constructor(options = {}) {
+    super(options);
+    this.fields = options.fields || [];
+  }
+}
+
+/**
+ * Error for when we couldn't reach Canvas
+ * @author Gabe Abrams
+ */
+class NetworkError extends CanvasAPIError {
+  /**
+   * Creates a new error (retryable by default)
+   * @author Gabe Abrams
+   * @param {object} [options={}] - options for the error (see CanvasAPIError)
+   */
+  constructor(options = {}) {
+    super(Object.assign({ retryable: true }, options));
+  }
+}
+
+/**
+ * Error for when Canvas took too long to respond
+ * @author Gabe Abrams
+ */
+class TimeoutError extends CanvasAPIError {
+  /**
+   * Creates a new error (retryable by default)
+   * @author Gabe Abrams
+   * @param {object} [options={}] - options for the error (see CanvasAPIError)
+   */
+  constructor(options = {}) {
+    super(Object.assign({ retryable: true }, options));
+  }
+}
+
+module.exports = {
+  CanvasAPIError,
+  NotFoundError,
+  UnauthorizedError,
+  ThrottledError,
+  ValidationError,
+  NetworkError,
+  TimeoutError,
+};
@@ -0,0 +1,20 @@
+/**
+ * Function that creates an AbortController if the runtime supports them
+ * @author Gabe Abrams
+ * @module classes/genAbortController
+ * @see module: classes/genAbortController
+ */
+
+/**
+ * Creates an AbortController if the runtime supports them (AbortController
+ *   is only global in Node 15 and up)
+ * @author Gabe Abrams
+ * @return {AbortController} a new AbortController or null if the runtime
+ *   doesn't support them
+ */
+module.exports = () => {
+  if (typeof AbortController === 'undefined') {
+    return null;
+  }
+  return new AbortController();
+};
@@ -0,0 +1,24 @@
+/**
+ * Function that creates the error that endpoints reject with when their
+ *   abort signal is triggered
+ * @author Gabe Abrams
+ * @module classes/genAbortedError
+ * @see module: classes/genAbortedError
+ */
+
+const CACCLError = require('caccl-error');
+
+const errorCodes = require('../errorCodes');
+
+/**
+ * Creates the error that endpoints reject with when their abort signal is
+ *   triggered
+ * @author Gabe Abrams
+ * @return {CACCLError} the error
+ */
+module.exports = () => {
+  return new CACCLError({
+    message: 'The request was cancelled because its abort signal was triggered.',
+    code: errorCodes.endpointCallAborted,
+  });
+};
@@ -0,0 +1,181 @@
+/**
+ * Function that creates the functions for looking at and managing the cache
+ *   (exposed as api.cache)
+ * @author Gabe Abrams
+ * @module classes/genCacheManager
+ * @see module: classes/genCacheManager
+ */
+
+const CACCLError = require('caccl-error');
+
+const errorCodes = require('../errorCodes');
+
+/**
+ * Checks if a path matches a pattern
+ * @author Gabe Abrams
+ * @param {string} path - the path to check
+ * @param {string|RegExp} pattern - the pattern (see invalidate)
+ * @return {boolean} true if the path matches the pattern
+ */
+const _matches = (path, pattern) => {
+  if (pattern instanceof RegExp) {
+    // Use search so global patterns don't remember where they left off
+    return (path.search(pattern) >= 0);
+  }
+  if (pattern.endsWith('*')) {
+    return path.startsWith(pattern.substring(0, pattern.length - 1));
+  }
+  return path === pattern;
+};
+
+/**
+ * Creates the functions for looking at and managing the cache. Works with
+ *   any cache that implements the Cache interface (see
+ *   contributor-docs/Cache.md)
+ * @author Gabe Abrams
+ * @param {object} [cache] - the cache instance. If excluded, the functions
+ *   act as if the cache is empty
+ * @return {object} cache manager with stats, list, invalidate, clear, and
+ *   prefetch functions
+ */
+module.exports = (cache) => {
+  return {
+    /**
+     * Gets cache stats
+     * @author Gabe Abrams
+     * @return {Promise.<object>} Promise that resolves with the cache's stats
+     *   (if it keeps any, see the cache's getStats function) plus numPaths
+     *   (the number of cached paths) or null if there is no cache
+     */
+    stats: () => {
+      if (!cache) {
+        return Promise.resolve(null);
+      }
+
+      return Promise.all([
+        (cache.getStats ? cache.getStats() : {}),
+        cache.getAllPaths(),
+      ])
+        .then(([stats, paths]) => {
+          return Object.assign({}, stats, { numPaths: paths.length });
+        });
+    },
+
+    /**
+     * Lists the cached paths
+     * @author Gabe Abrams
+     * @return {Promise.<string[]>} Promise that resolves with the sorted list
+     *   of cached paths
+     */
+    list: () => {
+      if (!cache) {
+        return Promise.resolve([]);
+      }
+
+      return cache.getAllPaths()
+        .then((paths) => {
+          return paths.slice().sort();
+        });
+    },
+
+    /**
+     * Uncaches the paths that match a pattern
+     * @author Gabe Abrams
+     * @param {string|RegExp|Array.<string|RegExp>} pattern - the pattern(s)
+     *   to match. A string matches a path exactly unless it ends with "*", in
+     *   which case it matches all paths that start with the text before the
+     *   "*". A RegExp matches all paths that it tests true for
+     * @return {Promise.<string[]>} Promise that resolves with the list of
+     *   paths that were uncached
+     */
+    invalidate: (pattern) => {
+      const patterns = [].concat(pattern).filter((item) => {
+        return (typeof item === 'string' || item instanceof RegExp);
+      });
+      if (!cache || patterns.length === 0) {
+        return Promise.resolve([]);
+      }
+
+      // Look up prefixes directly if the cache supports it and every pattern
+      // is a prefix
+      const allPrefixes = patterns.every((item) => {
+        return (typeof item === 'string' && item.endsWith('*'));
+      });
+      let findMatchingPaths;
+      if (allPrefixes && cache.getPathsWithPrefix) {
+        findMatchingPaths = Promise.all(patterns.map((prefix) => {
+          return cache.getPathsWithPrefix(
+            prefix.substring(0, prefix.length - 1)
+          );
+        }))
+          .then((lists) => {
+            return Array.from(new Set([].concat(...lists)));
+          });
+      } else {
+        findMatchingPaths = cache.getAllPaths()
+          .then((paths) => {
+            return paths.filter((path) => {
+              return patterns.some((item) => {
+                return _matches(path, item);
+              });
+            });
+          });
+      }
+
+      return findMatchingPaths
+        .then((paths) => {
+          return cache.deletePaths(paths)
+            .then(() => {
+              return paths;
+            });
+        });
+    },
+
+    /**
+     * Uncaches everything
+     * @author Gabe Abrams
+     * @return {Promise} Promise that resolves when the cache is cleared
+     */
+    clear: () => {
+      if (!cache) {
+        return Promise.resolve();
+      }
+
+      return cache.deleteAllPaths()
+        .then(() => {
+          return undefined;
+        });
+    },
+
+    /**
+     * Calls an endpoint ahead of time so its value is cached when it's
+     *   needed. Example:
+     *   api.cache.prefetch(api.course.listStudents, { courseId: 5 })
+     * @author Gabe Abrams
+     * @param {function} endpointFn - the endpoint function to call
+     * @param {object|object[]} [args={}] - the options to pass to the endpoint
+     *   function. If a list is included, the endpoint is called once with each
+     *   item in the list
+     * @return {Promise} Promise that resolves when the values are cached
+     */
+    prefetch: (endpointFn, args = {}) => {
+      if (typeof endpointFn !== 'function') {
+        return Promise.reject(new CACCLError({
+          message: 'We could not prefetch a value because the endpoint to call was not a function. Please contact an admin.',
+          code: errorCodes.cachePrefetchInvalidEndpoint,
+        }));
+      }
+      if (!cache) {
+        // Nothing to fill
+        return Promise.resolve();
+      }
+
+      return Promise.all([].concat(args).map((options) => {
+        return endpointFn(options);
+      }))
+        .then(() => {
+          return undefined;
+        });
+    },
+  };
+};
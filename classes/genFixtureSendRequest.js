@@ -0,0 +1,234 @@
+/**
+ * Function that wraps a sendRequest function so requests and responses are
+ *   recorded to fixture files or replayed from them
+ * @author Gabe Abrams
+ * @module classes/genFixtureSendRequest
+ * @see module: classes/genFixtureSendRequest
+ */
+
+const fs = require('fs');
+const pathLib = require('path');
+const CACCLError = require('caccl-error');
+
+const errorCodes = require('../errorCodes');
+const defaultSendRequest = require('./cacclRequest');
+const redact = require('./redact');
+const fingerprint = require('./caches/helpers/fingerprint');
+const hashParams = require('./caches/helpers/hashParams');
+
+// Response headers that are never recorded (lowercase)
+const UNRECORDED_HEADERS = ['set-cookie'];
+
+/**
+ * Creates the filename of the fixture for a request. Requests match if they
+ *   have the same method, path, and params (in any order). Redacted params
+ *   are ignored so recordings work with any access token (or none)
+ * @author Gabe Abrams
+ * @param {string} method - the http method
+ * @param {string} path - the path of the request
+ * @param {object} params - the redacted request params
+ * @return {string} the filename (e.g.
+ *   GET_api_v1_courses_5_assignments_3f2a...json)
+ */
+const _genFilename = (method, path, params) => {
+  const readablePath = (
+    path
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .substring(0, 80)
+  );
+  const matchedParams = {};
+  Object.keys(params).forEach((prop) => {
+    if (params[prop] !== redact.REDACTED) {
+      matchedParams[prop] = params[prop];
+    }
+  });
+  const hash = fingerprint(`${method} ${path} ${hashParams(matchedParams)}`);
+  return `${method}_${readablePath}_${hash}.json`;
+};
+
+/**
+ * Copies a response, redacting secrets and removing headers that shouldn't be
+ *   recorded
+ * @author Gabe Abrams
+ * @param {object} response - the response ({ status, headers, body })
+ * @return {object} the response to record
+ */
+const _genRecordedResponse = (response) => {
+  const headers = {};
+  Object.keys(response.headers || {}).forEach((name) => {
+    if (UNRECORDED_HEADERS.indexOf(name.toLowerCase()) < 0) {
+      headers[name] = response.headers[name];
+    }
+  });
+
+  return redact({
+    headers,
+    status: response.status,
+    body: response.body,
+  });
+};
+
+/**
+ * Creates a sendRequest function that records or replays fixtures
+ * @author Gabe Abrams
+ * @param {object} options - fixture options
+ * @param {string} options.mode - 'record' (send requests and write each
+ *   request and its responses to a fixture file) or 'replay' (serve responses
+ *   from fixture files without sending anything)
+ * @param {string} options.dir - the directory to store fixture files in
+ * @param {function} [options.sendRequest=classes/cacclRequest] - the function
+ *   that sends requests when recording
+ * @return {function} sendRequest function with the same interface as
+ *   classes/cacclRequest. When replaying, rejects with a CACCLError if no
+ *   fixture was recorded for a request. Each fixture file holds
+ *   { request: { method, path, params }, responses: [...] } and responses are
+ *   replayed in the order they were recorded (after the last one, the last
+ *   one is repeated)
+ */
+module.exports = (options = {}) => {
+  const { mode, dir } = options;
+  if (mode !== 'record' && mode !== 'replay') {
+    throw new CACCLError({
+      message: 'Canvas API was initialized improperly: fixtures.mode must be "record" or "replay".',
+      code: errorCodes.fixturesInvalidOptions,
+    });
+  }
+  if (!dir) {
+    throw new CACCLError({
+      message: 'Canvas API was initialized improperly: fixtures.dir must be included.',
+      code: errorCodes.fixturesInvalidOptions,
+    });
+  }
+
+  // Function that sends requests when recording
+  const sendRequest = options.sendRequest || defaultSendRequest;
+
+  // Map of filename => { request, responses }
+  const fixtures = new Map();
+
+  /*----------------------------------------*/
+  /*                 Record                 */
+  /*----------------------------------------*/
+
+  // Map of filename => promise that resolves when the last write is done
+  const writes = new Map();
+
+  /**
+   * Sends a request and records it
+   * @author Gabe Abrams
+   * @param {object} requestOptions - options for sendRequest
+   * @return {Promise.<object>} promise that resolves with the response once
+   *   it has been recorded
+   */
+  const record = (requestOptions) => {
+    const method = String(requestOptions.method || 'GET').toUpperCase();
+    const params = redact(requestOptions.params || {});
+    const filename = _genFilename(method, requestOptions.path, params);
+
+    return sendRequest(requestOptions)
+      .then((response) => {
+        // Add the response to the fixture (recordings from earlier runs are
+        // replaced)
+        if (!fixtures.has(filename)) {
+          fixtures.set(filename, {
+            request: {
+              method,
+              params,
+              path: requestOptions.path,
+            },
+            responses: [],
+          });
+        }
+        const fixture = fixtures.get(filename);
+        fixture.responses.push(_genRecordedResponse(response));
+
+        // Write the fixture (one write at a time for each file)
+        const contents = JSON.stringify(fixture, null, 2);
+        const write = (writes.get(filename) || Promise.resolve())
+          .then(() => {
+            return fs.promises.mkdir(dir, { recursive: true });
+          })
+          .then(() => {
+            return fs.promises.writeFile(
+              pathLib.join(dir, filename),
+              contents
+            );
+          });
+        writes.set(filename, write);
+
+        return write.then(() => {
+          return response;
+        });
+      });
+  };
+
+  /*----------------------------------------*/
+  /*                 Replay                 */
+  /*----------------------------------------*/
+
+  // Map of filename => number of times the fixture has been replayed
+  const numReplays = new Map();
+
+  /**
+   * Reads a fixture file (only the first time it's needed)
+   * @author Gabe Abrams
+   * @param {string} filename - the name of the fixture file
+   * @return {Promise.<object>} promise that resolves with the fixture or
+   *   undefined if there is no fixture file
+   */
+  const loadFixture = (filename) => {
+    if (fixtures.has(filename)) {
+      return Promise.resolve(fixtures.get(filename));
+    }
+    return fs.promises.readFile(pathLib.join(dir, filename), 'utf8')
+      .then((json) => {
+        const fixture = JSON.parse(json);
+        fixtures.set(filename, fixture);
+        return fixture;
+      })
+      .catch((err) => {
+        if (err.code === 'ENOENT') {
+          return undefined;
+        }
+        throw err;
+      });
+  };
+
+  /**
+   * Serves the recorded response for a request
+   * @author Gabe Abrams
+   * @param {object} requestOptions - options for sendRequest
+   * @return {Promise.<object>} promise that resolves with the recorded
+   *   response
+   */
+  const replay = (requestOptions) => {
+    const method = String(requestOptions.method || 'GET').toUpperCase();
+    const params = redact(requestOptions.params || {});
+    const filename = _genFilename(method, requestOptions.path, params);
+
+    return loadFixture(filename)
+      .then((fixture) => {
+        if (!fixture || fixture.responses.length === 0) {
+          throw new CACCLError({
+            message: `No fixture was recorded for ${method} ${requestOptions.path} with params ${JSON.stringify(params)} (expected ${pathLib.join(dir, filename)}). Record fixtures again to include this request.`,
+            code: errorCodes.fixtureNotFound,
+          });
+        }
+
+        // Serve responses in the order they were recorded
+        const replayNumber = numReplays.get(filename) || 0;
+        numReplays.set(filename, replayNumber + 1);
+        const response = fixture.responses[
+          Math.min(replayNumber, fixture.responses.length - 1)
+        ];
+
+        // Copy so callers can't change the fixture
+        return JSON.parse(JSON.stringify(response));
+      });
+  };
+
+  const fixtureSendRequest = (mode === 'record' ? record : replay);
+  fixtureSendRequest.isFixtureSendRequest = true;
+  return fixtureSendRequest;
+};
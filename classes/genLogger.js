@@ -0,0 +1,64 @@
+/**
+ * Function that wraps a user-provided logger so that library events are
+ *   filtered by level and sensitive values are redacted
+ * @author Gabe Abrams
+ * @module classes/genLogger
+ * @see module: classes/genLogger
+ */
+
+const redact = require('./redact');
+
+// Log levels in order of increasing severity
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Creates a logger
+ * @author Gabe Abrams
+ * @param {object|function} [logger] - the user-provided logger. Either an
+ *   object with debug/info/warn/error functions (e.g. console or most logging
+ *   libraries) or a function that is called with each log entry. If excluded,
+ *   nothing is logged
+ * @param {string} [logLevel=info] - the minimum level to log: 'debug', 'info',
+ *   'warn', or 'error'
+ * @return {object} logger with debug, info, warn, and error functions, each of
+ *   which takes (event, details) and logs the structured entry
+ *   { level, event, ...details } with sensitive values redacted
+ */
+module.exports = (logger, logLevel = 'info') => {
+  // Don't wrap a logger twice
+  if (logger && logger.isCACCLLogger) {
+    return logger;
+  }
+
+  const minLevelIndex = Math.max(0, LEVELS.indexOf(logLevel));
+
+  const wrapped = { isCACCLLogger: true };
+  LEVELS.forEach((level, levelIndex) => {
+    // Silent if no logger or below the minimum level
+    if (!logger || levelIndex < minLevelIndex) {
+      wrapped[level] = () => {};
+      return;
+    }
+
+    wrapped[level] = (event, details = {}) => {
+      const entry = Object.assign(
+        { level, event },
+        redact(details)
+      );
+
+      try {
+        if (typeof logger === 'function') {
+          logger(entry);
+        } else if (typeof logger[level] === 'function') {
+          logger[level](entry);
+        } else if (typeof logger.log === 'function') {
+          logger.log(entry);
+        }
+      } catch (err) {
+        // Logging must never break a request
+      }
+    };
+  });
+
+  return wrapped;
+};
@@ -1,24 +1,144 @@
 const parseLinkHeader = require('parse-link-header');
 const pathLib = require('path');
-const CACCLError = require('caccl-error');
 
 const defaultSendRequest = require('../cacclRequest');
 const errorCodes = require('../../errorCodes');
+const genAbortController = require('../genAbortController');
+const genAbortedError = require('../genAbortedError');
+const genLogger = require('../genLogger');
+const RateLimitThrottler = require('../RateLimitThrottler');
+const {
+  CanvasAPIError,
+  NotFoundError,
+  ThrottledError,
+  ValidationError,
+} = require('../errors');
 const interpretCanvasError = require('./helpers/interpretCanvasError');
+const getErrorDetails = require('./helpers/getErrorDetails');
+const parseValidationErrors = require('./helpers/parseValidationErrors');
+const describeValidationErrors = require(
+  './helpers/describeValidationErrors'
+);
 const preProcessParams = require('./helpers/preProcessParams');
+const runMiddleware = require('./helpers/runMiddleware');
+const coalesceRequest = require('./helpers/coalesceRequest');
+const hashParams = require('../caches/helpers/hashParams');
+const scopeCacheParams = require('../caches/helpers/scopeCacheParams');
+
+// Number of pages to request at once if parallelPages is true
+const DEFAULT_PARALLEL_PAGES = 4;
+
+// Default number of milliseconds before a cached value is refreshed in the
+// background (if staleWhileRevalidate is on)
+const DEFAULT_STALE_AFTER_MS = 60000;
+
+// Maximum number of cached values to remember the age of (per cache)
+const MAX_CACHED_AT_TIMES = 10000;
+
+// Times when values were cached by this process:
+// cache => Map(entry key => timestamp)
+const cachedAtTimes = new WeakMap();
+
+// Ids of functions (used to tell if requests are processed the same way)
+const functionIds = new WeakMap();
+let nextFunctionId = 1;
+
+/**
+ * Gets a unique id for a function
+ * @author Gabe Abrams
+ * @param {function} [fn] - the function
+ * @return {number} the id of the function (or null if there is no function)
+ */
+const _getFunctionId = (fn) => {
+  if (typeof fn !== 'function') {
+    return null;
+  }
+  if (!functionIds.has(fn)) {
+    functionIds.set(fn, nextFunctionId);
+    nextFunctionId += 1;
+  }
+  return functionIds.get(fn);
+};
+
+/**
+ * Remembers that a value was just cached. Only the most recently cached
+ *   values are remembered
+ * @author Gabe Abrams
+ * @param {object} cache - the cache the value was stored in
+ * @param {string} entryKey - the key of the cached value
+ */
+const _recordCachedAt = (cache, entryKey) => {
+  if (!cachedAtTimes.has(cache)) {
+    cachedAtTimes.set(cache, new Map());
+  }
+  const times = cachedAtTimes.get(cache);
+
+  // Move the entry to the end (newest)
+  times.delete(entryKey);
+  times.set(entryKey, Date.now());
+
+  // Forget the oldest entries
+  while (times.size > MAX_CACHED_AT_TIMES) {
+    times.delete(times.keys().next().value);
+  }
+};
+
+/**
+ * Gets the age of a cached value
+ * @author Gabe Abrams
+ * @param {object} cache - the cache the value is stored in
+ * @param {string} entryKey - the key of the cached value
+ * @return {number} the number of milliseconds since the value was cached or
+ *   Infinity if we don't know (it was cached by another process or forgotten)
+ */
+const _getCachedValueAge = (cache, entryKey) => {
+  const times = cachedAtTimes.get(cache);
+  if (!times || !times.has(entryKey)) {
+    return Infinity;
+  }
+  return Date.now() - times.get(entryKey);
+};
 
 /**
  * Generates a new visitEndpoint function
  * @author Gabe Abrams
  * @param {number} itemsPerPage - the number of items to request in each page
  * @param {number} maxPages - the maximum number of pages to request
+ * @param {number} [startPage=1] - the first page to request
+ * @param {boolean|number} [parallelPages] - if truthy and Canvas tells us the
+ *   number of the last page, the pages after the first page are requested in
+ *   parallel (at most this many at once or 4 at once if true). Pages are
+ *   still added and passed to onNewPage in order
  * @param {string} canvasHost - the Canvas host to send requests to
  * @param {string} apiPathPrefix - a prefix to prepend to all request paths
  * @param {number} numRetries - the number of times to retry failed requests
+ * @param {object} [retryPolicy] - rules for which statuses and methods to
+ *   retry and how long to wait between retries (see classes/cacclRequest)
+ * @param {number} [requestTimeoutMs] - the number of milliseconds to wait for
+ *   Canvas to respond to each request before giving up on it
  * @param {string} [accessToken] - the access token to add to all requests
  * @param {object} [cache] - the cache instance
+ * @param {number} [cacheTtlMs] - the number of milliseconds that cached
+ *   values stay in the cache (overrides the cache's default). Only valid if
+ *   the cache supports TTLs
  * @param {function} [uncache] - a function that uncaches a list of paths then
  *   resolves with the passed in value. Only valid if cache is included
+ * @param {string[]} [readTags] - cache tags to add to cached GET responses
+ *   (only added if the cache supports tags)
+ * @param {string[]} [invalidateTags] - cache tags to uncache after non-GET
+ *   requests. If included and the cache supports tags, the tagged paths are
+ *   uncached in addition to the paths we guess changed (the path we hit, the
+ *   paths under it, and its parent)
+ * @param {boolean} [staleWhileRevalidate] - if truthy, cached values are
+ *   returned right away and then refreshed in the background. Only valid if
+ *   method is GET and cache is included
+ * @param {number} [staleAfterMs=60000] - the number of milliseconds after a
+ *   value is cached before it's refreshed in the background (see
+ *   staleWhileRevalidate). Values cached by other processes are always
+ *   refreshed the first time they're used
+ * @param {function} [onRevalidate] - called with the fresh value when a
+ *   value that was refreshed in the background (see staleWhileRevalidate)
+ *   changed
  * @param {boolean} [dontCache] - if truthy, we don't cache values after we
  *   request them from Canvas. Only valid if method is GET and cache is included
  * @param {boolean} [ignoreCache] - if truthy, we don't look to see if we have
@@ -35,6 +155,28 @@ const preProcessParams = require('./helpers/preProcessParams');
  * @param {function} [pagePostProcessor] - if included, this function is used
  *   on each page before it is added to the list of pages. This is the default
  *   value, can be added directly to the visitEndpoint call
+ * @param {object} [logger] - the logger to send structured events to (see
+ *   classes/genLogger)
+ * @param {RateLimitThrottler} [throttler] - the rate limit throttler to send
+ *   requests through. If excluded, requests are not throttled
+ * @param {function[]} [middleware] - list of request middleware functions of
+ *   the form (request, next) => Promise.<response>. See
+ *   classes/instantiateEndpoint/helpers/runMiddleware
+ * @param {AbortSignal} [signal] - if included and triggered, in-flight
+ *   requests are cancelled, no more pages are requested, and visitEndpoint
+ *   rejects with an aborted error
+ * @param {function} [pageConsumer] - if included, GET requests stream their
+ *   pages to this function instead of collecting them: it's called with
+ *   (page, pageNumber) and returns a promise that resolves when the next page
+ *   should be requested (or rejects to stop). Streamed values are not cached
+ *   and visitEndpoint resolves with an empty list
+ * @param {object[]} [plannedRequests] - if included, we're in dry-run mode:
+ *   non-GET requests are not sent. Instead, { method, path, params } is added
+ *   to this list and visitEndpoint resolves with an empty object. The
+ *   returned visitEndpoint function has isDryRun set to true
+ * @param {Map} [encodedIds] - map of ids that were URL-encoded by
+ *   helpers/resolveIds => the ids before they were encoded (they're decoded
+ *   when used in params)
  * @param {string}
  */
 module.exports = (config = {}) => {
@@ -49,12 +191,41 @@ module.exports = (config = {}) => {
     basePath,
     apiPathPrefix,
     numRetries,
+    retryPolicy,
+    requestTimeoutMs,
     cache,
+    cacheTtlMs,
     uncache,
     authenticityToken,
+    readTags,
+    invalidateTags,
+    staleWhileRevalidate,
+    onRevalidate,
+    middleware,
+    throttler,
+    pageConsumer,
+    signal,
+    plannedRequests,
+    encodedIds,
   } = config;
 
-  console.log('genVisitEndpoint config', config);
+  // Number of milliseconds before cached values are refreshed in the
+  // background
+  const staleAfterMs = (
+    config.staleAfterMs !== undefined
+      ? config.staleAfterMs
+      : DEFAULT_STALE_AFTER_MS
+  );
+
+  // Number of pages to request at once (0 if requesting one at a time)
+  const parallelPages = (
+    config.parallelPages === true
+      ? DEFAULT_PARALLEL_PAGES
+      : Math.max(0, Number.parseInt(config.parallelPages, 10) || 0)
+  );
+
+  // Set up logger (silent if not included)
+  const logger = (config.logger || genLogger());
 
   // Set up sendRequest
   const sendRequest = (config.sendRequest || defaultSendRequest);
@@ -75,12 +246,26 @@ module.exports = (config = {}) => {
    *   page contents and pageNumber is the number of the current page (starting
    *   at page 1)
    */
-  return (requestInfo = {}) => {
+  const visitEndpoint = (requestInfo = {}) => {
     /* ----------------- Extract request information ---------------- */
     const method = (requestInfo.method || 'GET');
     const params = requestInfo.params || {};
     const { path } = requestInfo;
 
+    // Dry run: record changes instead of sending them
+    if (plannedRequests && method !== 'GET') {
+      plannedRequests.push({
+        method,
+        path: apiPathPrefix + path,
+        params: preProcessParams({ method, params, encodedIds }),
+      });
+      logger.info('request.planned', { method, path });
+      return Promise.resolve({});
+    }
+
+    // Stream pages instead of collecting them (only for GET requests)
+    const streamPages = (!!pageConsumer && method === 'GET');
+
     /* -------------- Extract config and apply defaults ------------- */
     // dontCache - if truthy, does not cache the final result (must be true if
     //   no cache included or method is not 'GET')
@@ -89,6 +274,7 @@ module.exports = (config = {}) => {
       || config.dontCache
       || method !== 'GET'
       || requestInfo.dontCache
+      || streamPages
     );
     // ignoreCache - if truthy, does not look up cached value before sending
     //   request (must be true if no cache included or method is not 'GET')
@@ -104,191 +290,568 @@ module.exports = (config = {}) => {
       || requestInfo.pagePostProcessor
     );
 
+    // Params used in cache keys (scoped to the Canvas host and user)
+    const cacheParams = scopeCacheParams({
+      canvasHost,
+      accessToken,
+      params,
+    });
+
+    // Key of the cached value (used to remember when it was cached)
+    const entryKey = JSON.stringify([path, hashParams(cacheParams)]);
+
     // Step 1: check for cached value
     let getCachedValue = Promise.resolve(null);
     if (!ignoreCache) {
-      getCachedValue = cache.get(path, params);
+      getCachedValue = cache.get(path, cacheParams);
     }
 
     // Step 2: fetch value if no cached value
-    let usedCachedValue = true;
-    const getValue = getCachedValue
-      .then((cachedValue) => {
-        if (cachedValue) {
-          return Promise.resolve(cachedValue);
+    /**
+     * Fetches the value from Canvas
+     * @author Gabe Abrams
+     * @param {AbortSignal} [requestSignal] - if triggered, in-flight requests
+     *   are cancelled and no more pages are requested
+     * @return {Promise} promise that resolves with all data
+     */
+    const fetchFromCanvas = (requestSignal) => {
+      // Pre-process the request params
+      const preProcessedParams = preProcessParams({
+        method,
+        params,
+        encodedIds,
+        itemsPerPage,
+        accessToken,
+        authenticityToken,
+      });
+
+      /**
+       * Requests a page and checks the response
+       * @author Gabe Abrams
+       * @param {number} pageNumber - the number of the page to request
+       * @param {AbortSignal} [pageSignal=requestSignal] - if triggered, the
+       *   request for this page is cancelled
+       * @return {Promise.<object>} promise that resolves with
+       *   { body, links } where body is the post-processed page and links
+       *   is the parsed link header
+       */
+      const requestPage = (pageNumber, pageSignal = requestSignal) => {
+        // Add the page number to the request (if applicable)
+        const paramsWithPageNumber = Object.assign({}, preProcessedParams);
+        if (pageNumber > 1) {
+          paramsWithPageNumber.page = pageNumber;
         }
 
-        // Pre-process the request params
-        const preProcessedParams = preProcessParams({
+        logger.debug('request.start', {
           method,
-          params,
-          itemsPerPage,
-          accessToken,
-          authenticityToken,
+          host: canvasHost,
+          path: apiPathPrefix + path,
+          pageNumber,
         });
 
-        // We are using the cached value. Keep note of this
-        usedCachedValue = false;
+        // Function that sends the request (through the middleware chain)
+        const sendThroughMiddleware = () => {
+          // Don't send if we've been aborted (we may have been waiting in
+          // the throttler's queue)
+          if (pageSignal && pageSignal.aborted) {
+            return Promise.reject(genAbortedError());
+          }
 
-        // Fetch value from Canvas (no cached value)
-        return new Promise((resolve, reject) => {
-          const pages = [];
-          const fetchPage = (pageNumber) => {
-            // Add the page number to the request (if applicable)
-            const paramsWithPageNumber = preProcessedParams;
-            if (pageNumber > 1) {
-              paramsWithPageNumber.page = pageNumber;
+          return runMiddleware(
+            middleware,
+            {
+              method,
+              host: canvasHost,
+              path: apiPathPrefix + path,
+              params: Object.assign({}, paramsWithPageNumber),
+              headers: {},
+            },
+            (request) => {
+              return sendRequest({
+                method: request.method,
+                numRetries,
+                retryPolicy,
+                timeoutMs: requestTimeoutMs,
+                params: request.params,
+                path: request.path,
+                host: request.host,
+                headers: request.headers,
+                proto,
+                basePath,
+                // Ignore self-signed certificate if host is simulated
+                // Canvas
+                ignoreSSLIssues: (request.host === 'localhost:8088'),
+                logger,
+                signal: pageSignal,
+              });
+            }
+          );
+        };
+
+        // Send the request (wait for rate limit quota if throttling)
+        return (
+          throttler
+            ? throttler.send(sendThroughMiddleware, pageSignal)
+            : sendThroughMiddleware()
+        )
+          .then((response) => {
+            // Stop if we were aborted while the request was being sent
+            if (pageSignal && pageSignal.aborted) {
+              throw genAbortedError();
             }
 
-            // Send the request
-            sendRequest({
+            // Details to attach to errors
+            const errorDetails = getErrorDetails(
+              response,
               method,
-              numRetries,
-              params: paramsWithPageNumber,
-              path: apiPathPrefix + path,
-              host: canvasHost,
-              proto,
-              basePath,
-              // Ignore self-signed certificate if host is simulated Canvas
-              ignoreSSLIssues: (canvasHost === 'localhost:8088'),
-            })
-              .then((response) => {
-                // Check if the API call failed:
-                // > 404 - endpoint not found
-                if (response.status === 404) {
-                  return reject(new CACCLError({
-                    message: `The endpoint ${(canvasHost ? 'https://' + canvasHost : '')}${path} does not exist: Canvas responded with a 404 message. Please check your endpoint path.`,
-                    code: errorCodes.notFound,
-                  }));
-                }
-                // > 400 - Invalid syntax
-                if (response.status === 400) {
-                  // Terms only in root accounts
-                  if (
-                    response.body.message
-                    && response.body.message.includes('Terms only belong to root_accounts')
-                  ) {
-                    return reject(new CACCLError({
-                      message: 'We could not look up the list of terms because terms only belong to root accounts and this is not a root account.',
-                      code: errorCodes.termsOnlyInRootAccounts,
-                    }));
-                  }
-
-                  // Invalid tab location
-                  if (response.body.error && response.body.error === 'That tab location is invalid') {
-                    return reject(new CACCLError({
-                      message: 'The requested tab location is invalid.',
-                      code: errorCodes.invalidTabLocation,
-                    }));
-                  }
-
-                  // Compile errors into string
-                  let errors;
-                  try {
-                    const parsed = JSON.parse(response.body);
-                    (parsed.errors || [parsed.message]).forEach((err) => {
-                      if (!errors) {
-                        errors = '';
-                      } else {
-                        errors += ', ';
-                      }
-                      errors += err.split(':')[0];
-                    });
-                    errors += '.';
-                  } catch (err) {
-                    errors = 'unknown (could not parse Canvas response)';
-                  }
-                  // Reject with our generated error
-                  return reject(new CACCLError({
-                    message: `The endpoint https://${canvasHost}${path} or params are invalid. Canvas responded with a 400 message (invalid syntax): ${errors}`,
-                    code: errorCodes.invalidSyntax,
-                  }));
-                }
+              apiPathPrefix + path
+            );
 
-                // Parse body (if it's not already parsed)
-                let parsedBody;
-                if (response.body && typeof response.body !== 'string') {
-                  // Body isn't a string. Assume it's already parsed
-                  parsedBody = response.body;
-                } else {
-                  // Attempt to parse body
-                  try {
-                    parsedBody = JSON.parse(response.body);
-                  } catch (err) {
-                    return reject(new CACCLError({
-                      message: 'We couldn\'t understand Canvas\'s response because it was malformed. Please contact an admin if this continues to occur.',
-                      code: errorCodes.malformed,
-                    }));
-                  }
-                }
+            // Check if the API call failed:
+            // > 404 - endpoint not found
+            if (response.status === 404) {
+              throw new NotFoundError(Object.assign({}, errorDetails, {
+                message: `The endpoint ${(canvasHost ? 'https://' + canvasHost : '')}${path} does not exist: Canvas responded with a 404 message. Please check your endpoint path.`,
+                code: errorCodes.notFound,
+              }));
+            }
+            // > 403/429 - Throttled (and we ran out of retries)
+            if (RateLimitThrottler.isThrottledResponse(response)) {
+              throw new ThrottledError(Object.assign({}, errorDetails, {
+                message: 'Canvas is receiving high traffic and has throttled our access. Please wait a few minutes and try again.',
+                code: errorCodes.throttled,
+              }));
+            }
+            // > 400 - Invalid syntax
+            if (response.status === 400) {
+              // Terms only in root accounts
+              if (
+                response.body
+                && response.body.message
+                && response.body.message.includes('Terms only belong to root_accounts')
+              ) {
+                throw new ValidationError(Object.assign({}, errorDetails, {
+                  message: 'We could not look up the list of terms because terms only belong to root accounts and this is not a root account.',
+                  code: errorCodes.termsOnlyInRootAccounts,
+                }));
+              }
 
-                // Check for a Canvas error
-                const canvasError = interpretCanvasError(
-                  parsedBody, response.status
-                );
-                if (canvasError) {
-                  // We got an error. Reject!
-                  return reject(canvasError);
-                }
+              // Invalid tab location
+              if (
+                response.body
+                && response.body.error === 'That tab location is invalid'
+              ) {
+                throw new ValidationError(Object.assign({}, errorDetails, {
+                  message: 'The requested tab location is invalid.',
+                  code: errorCodes.invalidTabLocation,
+                }));
+              }
+
+              // Figure out which params were invalid
+              const fields = parseValidationErrors(response.body);
+
+              // Throw our generated error
+              throw new ValidationError(Object.assign({}, errorDetails, {
+                message: `The endpoint https://${canvasHost}${path} or params are invalid. Canvas responded with a 400 message (invalid syntax): ${describeValidationErrors(fields)}`,
+                code: errorCodes.invalidSyntax,
+                fields,
+              }));
+            }
+
+            // Parse body (if it's not already parsed)
+            let parsedBody;
+            if (response.body && typeof response.body !== 'string') {
+              // Body isn't a string. Assume it's already parsed
+              parsedBody = response.body;
+            } else {
+              // Attempt to parse body
+              try {
+                parsedBody = JSON.parse(response.body);
+              } catch (err) {
+                throw new CanvasAPIError(Object.assign({}, errorDetails, {
+                  message: 'We couldn\'t understand Canvas\'s response because it was malformed. Please contact an admin if this continues to occur.',
+                  code: errorCodes.malformed,
+                }));
+              }
+            }
+
+            // Check for a Canvas error
+            const canvasError = interpretCanvasError(
+              parsedBody,
+              response.status,
+              errorDetails
+            );
+            if (canvasError) {
+              // We got an error. Reject!
+              throw canvasError;
+            }
+
+            // Post-process the body
+            if (pagePostProcessor) {
+              parsedBody = pagePostProcessor(parsedBody);
+            }
+
+            logger.debug('page.fetched', {
+              method,
+              path,
+              pageNumber,
+              status: response.status,
+              numItems: (
+                Array.isArray(parsedBody)
+                  ? parsedBody.length
+                  : undefined
+              ),
+            });
+
+            // Parse the link header
+            let links;
+            try {
+              links = parseLinkHeader(response.headers.link) || {};
+            } catch (err) {
+              links = {};
+            }
+
+            return {
+              body: parsedBody,
+              links,
+            };
+          });
+      };
+
+      // Fetch value from Canvas (no cached value)
+      const pages = [];
+      let numPages = 0;
+
+      /**
+       * Saves a page and sends notifications. Pages must be added in order
+       * @author Gabe Abrams
+       * @param {any} body - the post-processed page
+       * @return {Promise} promise that resolves when the page has been
+       *   consumed (if streaming)
+       */
+      const addPage = (body) => {
+        // Page is valid. Save it (unless we're streaming pages)
+        numPages += 1;
+        if (!streamPages) {
+          pages.push(body);
+        }
+
+        // Send notifications
+        if (requestInfo.onNewPage) {
+          requestInfo.onNewPage(body, numPages);
+        }
+        if (config.onNewPage) {
+          config.onNewPage(body, numPages);
+        }
+
+        // Wait for the page to be consumed (if streaming)
+        return (
+          streamPages
+            ? pageConsumer(body, numPages)
+            : Promise.resolve()
+        );
+      };
+
+      /**
+       * Concatenates the pages (if necessary)
+       * @author Gabe Abrams
+       * @return {any} all data
+       */
+      const getAllData = () => {
+        return (
+          pages.length === 1
+            ? pages[0]
+            : [].concat(...pages)
+        );
+      };
+
+      /**
+       * Requests a range of pages in parallel (with at most
+       *   parallelPages requests at once), adding them in order
+       * @author Gabe Abrams
+       * @param {number} firstPageNumber - the first page to request
+       * @param {number} lastPageNumber - the last page to request
+       * @return {Promise} promise that resolves when all pages have been
+       *   added
+       */
+      const fetchPagesInParallel = (firstPageNumber, lastPageNumber) => {
+        // Cancels the rest of the pages if a page fails (or if the whole
+        // request is cancelled). If the runtime doesn't support
+        // AbortController, pages that are in flight finish but aren't added
+        const pagesController = genAbortController();
+        const pagesSignal = (
+          pagesController
+            ? pagesController.signal
+            : requestSignal
+        );
+        const abortPages = () => {
+          if (pagesController) {
+            pagesController.abort();
+          }
+        };
+        if (requestSignal && pagesController) {
+          if (requestSignal.aborted) {
+            abortPages();
+          } else {
+            requestSignal.addEventListener('abort', abortPages);
+          }
+        }
 
-                // Post-process the body
-                if (pagePostProcessor) {
-                  parsedBody = pagePostProcessor(parsedBody);
+        return new Promise((resolve, reject) => {
+          // Pages that arrived before the pages that come before them
+          const waitingPages = new Map();
+          let nextPageToRequest = firstPageNumber;
+          let nextPageToAdd = firstPageNumber;
+          let numInFlight = 0;
+          let failed = false;
+
+          let requestMorePages;
+
+          const requestAndAddPage = (pageNumber) => {
+            numInFlight += 1;
+            requestPage(pageNumber, pagesSignal)
+              .then(({ body }) => {
+                numInFlight -= 1;
+
+                // Another page failed. Don't add pages after it
+                if (failed) {
+                  return undefined;
                 }
 
-                // Page is valid. Save it
-                pages.push(parsedBody);
+                waitingPages.set(pageNumber, body);
 
-                // Send notifications
-                if (requestInfo.onNewPage) {
-                  requestInfo.onNewPage(parsedBody, pages.length);
+                // Add all pages that are next in line
+                while (waitingPages.has(nextPageToAdd)) {
+                  addPage(waitingPages.get(nextPageToAdd));
+                  waitingPages.delete(nextPageToAdd);
+                  nextPageToAdd += 1;
                 }
-                if (config.onNewPage) {
-                  config.onNewPage(parsedBody, pages.length);
+                if (nextPageToAdd > lastPageNumber) {
+                  return resolve();
                 }
 
-                // Check for next page
-                let nextPagePath;
-                try {
-                  const { link } = response.headers;
-                  const parsedLinkHeader = parseLinkHeader(link);
-                  const nextPageURL = parsedLinkHeader.next.url;
-                  const host = nextPageURL.split('/')[2];
-                  nextPagePath = nextPageURL.split(host)[1];
-                } catch (err) {
-                  nextPagePath = null;
+                return requestMorePages();
+              })
+              .catch((err) => {
+                // Only the first failure counts (the rest are pages that we
+                // cancelled because of it)
+                if (failed) {
+                  return;
                 }
+                failed = true;
+                abortPages();
+                reject(err);
+              });
+          };
 
+          requestMorePages = () => {
+            while (
+              !failed
+              && numInFlight < parallelPages
+              && nextPageToRequest <= lastPageNumber
+            ) {
+              requestAndAddPage(nextPageToRequest);
+              nextPageToRequest += 1;
+            }
+          };
+          requestMorePages();
+        })
+          .then(() => {
+            if (requestSignal) {
+              requestSignal.removeEventListener('abort', abortPages);
+            }
+          }, (err) => {
+            if (requestSignal) {
+              requestSignal.removeEventListener('abort', abortPages);
+            }
+            throw err;
+          });
+      };
+
+      /**
+       * Requests pages one by one, following the link header. Switches to
+       *   parallel requests if allowed and the number of pages is known
+       * @author Gabe Abrams
+       * @param {number} pageNumber - the number of the page to request
+       * @return {Promise} promise that resolves with all data
+       */
+      const fetchPagesInOrder = (pageNumber) => {
+        return requestPage(pageNumber)
+          .then(({ body, links }) => {
+            return addPage(body)
+              .then(() => {
                 // Check if we're allowed to fetch another page
                 const allowedToFetchAnotherPage = (
                   !maxPages
-                  || pages.length < maxPages
+                  || numPages < maxPages
                 );
 
-                // Fetch next page if we're allowed to and we have a next page
-                if (nextPagePath && allowedToFetchAnotherPage) {
-                  return fetchPage(pageNumber + 1);
+                // We don't need to fetch any more pages. Wrap up.
+                if (!links.next || !allowedToFetchAnotherPage) {
+                  return getAllData();
                 }
 
-                // We don't need to fetch any more pages. Wrap up.
-                // Concatenate pages if necessary
-                const allData = (
-                  pages.length === 1
-                    ? pages[0]
-                    : [].concat(...pages)
+                // Fetch the rest of the pages in parallel if we know the
+                // number of the last page
+                const lastPageNumber = (
+                  (links.last && /^\d+$/.test(links.last.page))
+                    ? Number.parseInt(links.last.page, 10)
+                    : null
                 );
+                if (
+                  parallelPages
+                  && !streamPages
+                  && lastPageNumber
+                  && lastPageNumber > pageNumber
+                ) {
+                  return fetchPagesInParallel(
+                    pageNumber + 1,
+                    (
+                      maxPages
+                        ? Math.min(
+                          lastPageNumber,
+                          pageNumber + (maxPages - numPages)
+                        )
+                        : lastPageNumber
+                    )
+                  )
+                    .then(getAllData);
+                }
 
-                // Resolve with data
-                return resolve(allData);
-              })
-              .catch((err) => {
-                // An error occurred while trying to send the request
-                return reject(err);
+                // Fetch next page
+                return fetchPagesInOrder(pageNumber + 1);
               });
-          };
-          // Fetch the first page starts off a chain
-          fetchPage(startPage || 1);
+          });
+      };
+
+      // Fetch the first page starts off a chain
+      return fetchPagesInOrder(startPage || 1);
+    };
+
+    /**
+     * Fetches the value from Canvas, sharing the request with identical
+     *   requests that are already in flight (only GET requests that don't
+     *   stream or report their pages are shared)
+     * @author Gabe Abrams
+     * @param {AbortSignal} [callerSignal] - if triggered, we stop waiting for
+     *   the value (the requests are only cancelled once every caller that
+     *   shares them has stopped waiting)
+     * @return {Promise} promise that resolves with all data
+     */
+    const fetchValue = (callerSignal) => {
+      const canShareRequest = (
+        method === 'GET'
+        && !streamPages
+        && !requestInfo.onNewPage
+        && !config.onNewPage
+      );
+      if (!canShareRequest) {
+        return fetchFromCanvas(callerSignal);
+      }
+
+      // Identical requests go to the same Canvas host as the same user with
+      // the same params and are processed the same way
+      const key = JSON.stringify([
+        apiPathPrefix,
+        path,
+        hashParams(cacheParams),
+        itemsPerPage,
+        maxPages || null,
+        startPage || 1,
+        _getFunctionId(pagePostProcessor),
+        _getFunctionId(sendRequest),
+        (middleware || []).map(_getFunctionId),
+      ]);
+
+      const { promise, coalesced } = coalesceRequest({
+        key,
+        start: fetchFromCanvas,
+        signal: callerSignal,
+      });
+      if (coalesced) {
+        logger.debug('request.coalesced', { method, path });
+      }
+      return promise;
+    };
+
+    /**
+     * Stores a value in the cache and tags its path
+     * @author Gabe Abrams
+     * @param {any} item - the value (or promise) to store
+     * @return {Promise} promise that resolves when the value is stored
+     */
+    const storeValue = (item) => {
+      return cache.set(
+        path,
+        cacheParams,
+        item,
+        { ttlMs: cacheTtlMs }
+      )
+        .then(() => {
+          _recordCachedAt(cache, entryKey);
+
+          // Tag the path (if the cache supports tags)
+          if (readTags && readTags.length > 0 && cache.addTags) {
+            return cache.addTags(path, readTags);
+          }
+        });
+    };
+
+    /**
+     * Refreshes a cached value in the background. If the value changed, the
+     *   new value is cached and passed to onRevalidate
+     * @author Gabe Abrams
+     * @param {any} cachedValue - the value that is currently cached
+     */
+    const revalidate = (cachedValue) => {
+      fetchValue()
+        .then((freshValue) => {
+          return storeValue(freshValue)
+            .then(() => {
+              const changed = (
+                JSON.stringify(freshValue) !== JSON.stringify(cachedValue)
+              );
+              logger.debug('cache.revalidated', { method, path, changed });
+              if (changed && onRevalidate) {
+                onRevalidate(freshValue);
+              }
+            });
+        })
+        .catch((err) => {
+          logger.warn('cache.revalidateFailed', {
+            method,
+            path,
+            message: (err && err.message),
+          });
         });
+    };
+
+    let usedCachedValue = true;
+    const getValue = getCachedValue
+      .then((cachedValue) => {
+        if (cachedValue) {
+          logger.debug('cache.hit', { method, path });
+
+          // Refresh the value in the background (if applicable and the
+          // value is stale)
+          if (
+            staleWhileRevalidate
+            && !dontCache
+            && _getCachedValueAge(cache, entryKey) >= staleAfterMs
+          ) {
+            revalidate(cachedValue);
+          }
+
+          return Promise.resolve(cachedValue);
+        }
+        if (!ignoreCache) {
+          logger.debug('cache.miss', { method, path });
+        }
+
+        // We are not using the cached value. Keep note of this
+        usedCachedValue = false;
+
+        return fetchValue(signal);
       });
 
     // Step 3: cache the value
@@ -311,11 +874,7 @@ module.exports = (config = {}) => {
         );
 
         // Store the item
-        return cache.set(
-          path,
-          params,
-          itemToStore
-        )
+        return storeValue(itemToStore)
           .then(() => {
             // On cache success, resolve with value
             return Promise.resolve(value);
@@ -327,6 +886,8 @@ module.exports = (config = {}) => {
     // If method is 'POST', uncache path we hit
     // If method is 'PUT OR DELETE',
     //   uncache path we hit plus parent path
+    // If the endpoint declared which tags it invalidates, also uncache all
+    //   paths with those tags
     let uncacheThenResolveWithValue;
     if (!cache || method === 'GET') {
       uncacheThenResolveWithValue = cacheThenResolveWithValue;
@@ -344,7 +905,7 @@ module.exports = (config = {}) => {
           if (value && value.url) {
             pathsToUncache.push(`${path}/${value.url}`);
           }
-          return uncache(pathsToUncache, value);
+          return uncache(pathsToUncache, value, invalidateTags);
         });
     } else {
       // Uncache path we hit plus the parent path
@@ -358,10 +919,13 @@ module.exports = (config = {}) => {
       // Uncache
       uncacheThenResolveWithValue = cacheThenResolveWithValue
         .then((value) => {
-          return uncache(pathsToUncache, value);
+          return uncache(pathsToUncache, value, invalidateTags);
         });
     }
 
     return uncacheThenResolveWithValue;
   };
+  visitEndpoint.isDryRun = !!plannedRequests;
+
+  return visitEndpoint;
 };
@@ -0,0 +1,126 @@
+/**
+ * Function that shares one in-flight request between identical callers
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/coalesceRequest
+ * @see module: classes/instantiateEndpoint/helpers/coalesceRequest
+ */
+
+const genAbortController = require('../../genAbortController');
+const genAbortedError = require('../../genAbortedError');
+
+// In-flight requests (shared by all api instances):
+// key => { promise, controller, numWaiting } where controller is null if the
+// request can't be cancelled
+const inFlightRequests = new Map();
+
+/**
+ * Joins the in-flight request with the same key or starts a new one. The
+ *   request is only cancelled once every caller that is waiting for it has
+ *   aborted
+ * @author Gabe Abrams
+ * @param {string} key - the key that identifies identical requests
+ * @param {function} start - function that starts the request. Called with an
+ *   AbortSignal that is triggered when all callers abort (or undefined if the
+ *   request can't be cancelled). Must return a promise
+ * @param {AbortSignal} [signal] - the caller's abort signal. If triggered,
+ *   this caller stops waiting and the promise rejects with an aborted error
+ * @return {object} { promise, coalesced } where promise resolves with the
+ *   result of the request and coalesced is true if an in-flight request was
+ *   joined
+ */
+module.exports = (config) => {
+  const { key, start, signal } = config;
+
+  // Don't join or start anything if the caller has already aborted
+  if (signal && signal.aborted) {
+    return {
+      promise: Promise.reject(genAbortedError()),
+      coalesced: false,
+    };
+  }
+
+  // Join the in-flight request or start a new one
+  let request = inFlightRequests.get(key);
+  const coalesced = !!request;
+  if (!request) {
+    // The request can only be cancelled once everyone waiting for it has
+    // aborted, so we only need a controller if the first caller can abort
+    const controller = (signal ? genAbortController() : null);
+    request = {
+      controller,
+      numWaiting: 0,
+    };
+    const forget = () => {
+      if (inFlightRequests.get(key) === request) {
+        inFlightRequests.delete(key);
+      }
+    };
+    request.promise = start(controller ? controller.signal : undefined)
+      .then((value) => {
+        forget();
+        return value;
+      })
+      .catch((err) => {
+        forget();
+        throw err;
+      });
+    inFlightRequests.set(key, request);
+  }
+  request.numWaiting += 1;
+
+  // Wait for the request (or for this caller to abort)
+  const promise = new Promise((resolve, reject) => {
+    let finished = false;
+
+    const onAbort = () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+
+      // Cancel the request if nobody else is waiting for it
+      request.numWaiting -= 1;
+      if (request.numWaiting === 0) {
+        if (inFlightRequests.get(key) === request) {
+          inFlightRequests.delete(key);
+        }
+        if (request.controller) {
+          request.controller.abort();
+        }
+      }
+
+      reject(genAbortedError());
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    request.promise
+      .then((value) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve(value);
+      })
+      .catch((err) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        reject(err);
+      });
+  });
+
+  return {
+    promise,
+    coalesced,
+  };
+};
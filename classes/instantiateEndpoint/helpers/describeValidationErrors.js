@@ -0,0 +1,27 @@
+/**
+ * Function that turns a list of validation errors into a human-readable
+ *   description
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/describeValidationErrors
+ * @see module: classes/instantiateEndpoint/helpers/describeValidationErrors
+ */
+
+/**
+ * Turns a list of validation errors into a human-readable description.
+ *   Example: "points_possible: must be greater than 0; name: blank."
+ * @author Gabe Abrams
+ * @param {object[]} fields - list of { field, messages } (see
+ *   helpers/parseValidationErrors)
+ * @return {string} the description
+ */
+module.exports = (fields) => {
+  if (fields.length === 0) {
+    return 'unknown (Canvas did not say which params were invalid).';
+  }
+
+  const descriptions = fields.map((item) => {
+    const messages = item.messages.join(', ');
+    return (item.field ? `${item.field}: ${messages}` : messages);
+  });
+  return `${descriptions.join('; ')}.`;
+};
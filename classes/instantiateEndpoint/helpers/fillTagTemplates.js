@@ -0,0 +1,41 @@
+/**
+ * Function that turns an endpoint's cache tag templates into cache tags
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/fillTagTemplates
+ * @see module: classes/instantiateEndpoint/helpers/fillTagTemplates
+ */
+
+/**
+ * Fills in tag templates using the options passed to an endpoint. Each
+ *   template is a string with {optionName} placeholders. Example:
+ *   'course:{courseId}:submissions' with options { courseId: 5 } becomes
+ *   'course:5:submissions'
+ * @author Gabe Abrams
+ * @param {string[]} [templates=[]] - the tag templates
+ * @param {object} [options={}] - the options passed to the endpoint
+ * @return {string[]} list of tags. Templates with placeholders that don't have
+ *   a matching option are skipped
+ */
+module.exports = (templates = [], options = {}) => {
+  const tags = [];
+  templates.forEach((template) => {
+    let missingOption = false;
+    const tag = template.replace(/\{(\w+)\}/g, (_, optionName) => {
+      const value = options[optionName];
+      if (
+        value === undefined
+        || value === null
+        || typeof value === 'object'
+      ) {
+        missingOption = true;
+        return '';
+      }
+      return String(value);
+    });
+
+    if (!missingOption && tags.indexOf(tag) < 0) {
+      tags.push(tag);
+    }
+  });
+  return tags;
+};
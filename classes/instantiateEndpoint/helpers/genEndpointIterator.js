@@ -0,0 +1,175 @@
+/**
+ * Creates an async iterator that lazily streams the items that an endpoint
+ *   returns, one page at a time
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/genEndpointIterator
+ * @see module: classes/instantiateEndpoint/helpers/genEndpointIterator
+ */
+
+const CACCLError = require('caccl-error');
+
+const errorCodes = require('../../../errorCodes');
+
+/**
+ * Creates an async iterator that lazily streams the items that an endpoint
+ *   returns. The next page is only requested once all items from the
+ *   previous page have been consumed. If the loop ends early, no more pages
+ *   are requested. If the endpoint does not stream its pages (e.g. the
+ *   result was cached or the endpoint post-processes the full list), the
+ *   endpoint's result is iterated once it resolves
+ * @author Gabe Abrams
+ * @param {function} runEndpoint - function that runs the endpoint. Called
+ *   with a pageConsumer function and returns a promise that resolves with the
+ *   endpoint's result. The pageConsumer function is called with each page
+ *   and returns a promise that resolves when the next page should be
+ *   requested or rejects if iteration has stopped
+ * @return {object} async iterator (can be used in a for await...of loop)
+ */
+module.exports = (runEndpoint) => {
+  let started = false;
+  let finished = false;
+  let stopped = false;
+  let streamedAPage = false;
+  let error = null;
+
+  // Items that have been fetched but not yet consumed
+  let buffer = [];
+
+  // next() calls that are waiting for an item: [{ resolve, reject }]
+  const waitingForItems = [];
+
+  // Page consumer that is waiting for permission to request the next page
+  let waitingForPageRequest = null;
+
+  /**
+   * Creates the error that the page consumer rejects with once iteration has
+   *   stopped
+   * @author Gabe Abrams
+   * @return {CACCLError} the error
+   */
+  const genStoppedError = () => {
+    return new CACCLError({
+      message: 'We stopped requesting pages because iteration ended early.',
+      code: errorCodes.endpointIterationStopped,
+    });
+  };
+
+  /**
+   * Hands out items to waiting next() calls and requests the next page if
+   *   we've run out of items
+   * @author Gabe Abrams
+   */
+  const update = () => {
+    while (waitingForItems.length > 0) {
+      if (buffer.length > 0) {
+        waitingForItems.shift().resolve({
+          value: buffer.shift(),
+          done: false,
+        });
+      } else if (error) {
+        const err = error;
+        error = null;
+        waitingForItems.shift().reject(err);
+      } else if (finished) {
+        waitingForItems.shift().resolve({
+          value: undefined,
+          done: true,
+        });
+      } else {
+        // Out of items. Allow the next page to be requested
+        if (waitingForPageRequest) {
+          const { resolve } = waitingForPageRequest;
+          waitingForPageRequest = null;
+          resolve();
+        }
+        return;
+      }
+    }
+  };
+
+  /**
+   * Receives a page from the endpoint
+   * @author Gabe Abrams
+   * @param {any} page - the contents of the page
+   * @return {Promise} promise that resolves when the next page should be
+   *   requested
+   */
+  const pageConsumer = (page) => {
+    if (stopped) {
+      return Promise.reject(genStoppedError());
+    }
+
+    streamedAPage = true;
+    buffer = buffer.concat(page);
+
+    return new Promise((resolve, reject) => {
+      waitingForPageRequest = { resolve, reject };
+      update();
+    });
+  };
+
+  /**
+   * Starts running the endpoint
+   * @author Gabe Abrams
+   */
+  const start = () => {
+    started = true;
+    Promise.resolve()
+      .then(() => {
+        return runEndpoint(pageConsumer);
+      })
+      .then((value) => {
+        // Iterate the result if the endpoint didn't stream its pages
+        if (!streamedAPage && value !== undefined && value !== null) {
+          buffer = buffer.concat(value);
+        }
+        finished = true;
+        update();
+      })
+      .catch((err) => {
+        if (!stopped) {
+          error = err;
+        }
+        finished = true;
+        update();
+      });
+  };
+
+  const iterator = {
+    next: () => {
+      if (stopped) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve, reject) => {
+        waitingForItems.push({ resolve, reject });
+        if (!started) {
+          start();
+        }
+        update();
+      });
+    },
+    return: (value) => {
+      stopped = true;
+      buffer = [];
+
+      // Stop the endpoint from requesting more pages
+      if (waitingForPageRequest) {
+        const { reject } = waitingForPageRequest;
+        waitingForPageRequest = null;
+        reject(genStoppedError());
+      }
+
+      // Finish any waiting next() calls
+      while (waitingForItems.length > 0) {
+        waitingForItems.shift().resolve({ value: undefined, done: true });
+      }
+
+      return Promise.resolve({ value, done: true });
+    },
+    [Symbol.asyncIterator]: () => {
+      return iterator;
+    },
+  };
+
+  return iterator;
+};
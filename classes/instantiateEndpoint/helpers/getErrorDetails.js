@@ -0,0 +1,86 @@
+/**
+ * Function that pulls the details that typed errors carry out of a Canvas
+ *   response
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/getErrorDetails
+ * @see module: classes/instantiateEndpoint/helpers/getErrorDetails
+ */
+
+/**
+ * Gets the value of a header (header names are case-insensitive)
+ * @author Gabe Abrams
+ * @param {object} [headers] - the response headers
+ * @param {string} name - the lowercase name of the header
+ * @return {string|null} the value of the header or null if it's not there
+ */
+const _getHeader = (headers, name) => {
+  if (!headers) {
+    return null;
+  }
+  const prop = Object.keys(headers).find((key) => {
+    return key.toLowerCase() === name;
+  });
+  return (prop ? String(headers[prop]) : null);
+};
+
+/**
+ * Gets the list of errors that Canvas included in a response body. Canvas
+ *   either sends a list of errors, a map of errors keyed by attribute, or a
+ *   single message
+ * @author Gabe Abrams
+ * @param {object} [body] - the response body
+ * @return {object[]} the list of errors
+ */
+const _getCanvasErrors = (body) => {
+  if (!body || typeof body !== 'object') {
+    return [];
+  }
+
+  // List of errors
+  if (Array.isArray(body.errors)) {
+    return body.errors.map((err) => {
+      return (typeof err === 'string' ? { message: err } : err);
+    });
+  }
+
+  // Errors keyed by attribute
+  if (body.errors && typeof body.errors === 'object') {
+    const canvasErrors = [];
+    Object.keys(body.errors).forEach((attribute) => {
+      [].concat(body.errors[attribute]).forEach((err) => {
+        canvasErrors.push(
+          typeof err === 'string'
+            ? { attribute, message: err }
+            : Object.assign({ attribute }, err)
+        );
+      });
+    });
+    return canvasErrors;
+  }
+
+  // Single message
+  if (body.message) {
+    return [{ message: body.message }];
+  }
+
+  return [];
+};
+
+/**
+ * Pulls the details that typed errors carry out of a Canvas response
+ * @author Gabe Abrams
+ * @param {object} response - the Canvas response { status, headers, body }
+ * @param {string} method - the http method of the request
+ * @param {string} path - the path of the request
+ * @return {object} details { status, method, path, requestId, canvasErrors }
+ *   to pass into a typed error (see classes/errors)
+ */
+module.exports = (response, method, path) => {
+  return {
+    status: response.status,
+    method,
+    path,
+    requestId: _getHeader(response.headers, 'x-request-context-id'),
+    canvasErrors: _getCanvasErrors(response.body),
+  };
+};
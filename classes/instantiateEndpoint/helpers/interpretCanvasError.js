@@ -6,18 +6,47 @@
  * @see module: classes/request/helpers/interpretCanvasError
  */
 
-const CACCLError = require('caccl-error');
-
 const errorCodes = require('../../../errorCodes');
+const {
+  CanvasAPIError,
+  NotFoundError,
+  UnauthorizedError,
+  ThrottledError,
+  ValidationError,
+} = require('../../errors');
+const parseValidationErrors = require('./parseValidationErrors');
+const describeValidationErrors = require('./describeValidationErrors');
 
 /**
  * Detects errors and turns them into human-readable errors
  * @author Gabe Abrams
  * @param {object} body - The JSON body of the Canvas response
  * @param {number} status - The https status of the response
- * @return {CACCLError|null} error if one was detected, null if no error
+ * @param {object} [details={}] - details about the request to attach to the
+ *   error (see helpers/getErrorDetails)
+ * @return {CanvasAPIError|null} error if one was detected, null if no error
  */
-module.exports = (body, status) => {
+module.exports = (body, status, details = {}) => {
+  /**
+   * Creates a typed error with the request details attached (and the list of
+   *   invalid params if it's a validation error)
+   * @author Gabe Abrams
+   * @param {class} ErrorClass - the class of error to create
+   * @param {string} message - the human-readable error message
+   * @param {string} code - the error code
+   * @return {CanvasAPIError} the error
+   */
+  const genError = (ErrorClass, message, code) => {
+    const options = Object.assign({ status }, details, {
+      message,
+      code,
+    });
+    if (ErrorClass === ValidationError) {
+      options.fields = parseValidationErrors(body);
+    }
+    return new ErrorClass(options);
+  };
+
   try {
     if (status > 300 || status < 200) {
       // Status indicates that an error occurred. Try to detect the error type
@@ -38,10 +67,11 @@ module.exports = (body, status) => {
         body.status === '404 Not Found'
         || firstErrorMessage === 'The specified resource does not exist.'
       ) {
-        return new CACCLError({
-          message: 'We could not find the Canvas resource we were looking for.',
-          code: errorCodes.endpointNotFound,
-        });
+        return genError(
+          NotFoundError,
+          'We could not find the Canvas resource we were looking for.',
+          errorCodes.endpointNotFound
+        );
       }
 
       // Front page error
@@ -52,26 +82,38 @@ module.exports = (body, status) => {
         && body.errors.front_page[0].type
         && body.errors.front_page[0].type === 'The front page cannot be unpublished'
       ) {
-        return new CACCLError({
-          message: 'The front page cannot be unpublished',
-          code: errorCodes.frontPageCannotBeUnpublished,
-        });
+        return genError(
+          ValidationError,
+          'The front page cannot be unpublished',
+          errorCodes.frontPageCannotBeUnpublished
+        );
+      }
+
+      // Invalid params
+      if (status === 422) {
+        return genError(
+          ValidationError,
+          `Canvas could not save the changes because some params are invalid: ${describeValidationErrors(parseValidationErrors(body))}`,
+          errorCodes.invalidParams
+        );
       }
 
       // Canvas internal error
       if (firstErrorCode === 'internal_server_error') {
-        return new CACCLError({
-          message: 'Canvas experienced an internal error. If this continues to occur, contact academic technologies and/or an admin.',
-          code: errorCodes.canvasInternalError,
-        });
+        return genError(
+          CanvasAPIError,
+          'Canvas experienced an internal error. If this continues to occur, contact academic technologies and/or an admin.',
+          errorCodes.canvasInternalError
+        );
       }
 
       // Unauthenticated
       if (body.status === 'unauthenticated') {
-        return new CACCLError({
-          message: 'Unfortunately, we cannot access Canvas because we don\'t have an access token. If this error persists, please contact an admin.',
-          code: errorCodes.unauthenticated,
-        });
+        return genError(
+          UnauthorizedError,
+          'Unfortunately, we cannot access Canvas because we don\'t have an access token. If this error persists, please contact an admin.',
+          errorCodes.unauthenticated
+        );
       }
 
       // Unauthorized
@@ -82,95 +124,107 @@ module.exports = (body, status) => {
       ) {
         // Check for invalid access token
         if (body.message === 'Invalid access token.') {
-          return new CACCLError({
-            message: 'Unfortunately, Canvas revoked our access to the API. This can happen if our authorization expires. Please re-launch the app.',
-            code: errorCodes.invalidAccessToken,
-          });
+          return genError(
+            UnauthorizedError,
+            'Unfortunately, Canvas revoked our access to the API. This can happen if our authorization expires. Please re-launch the app.',
+            errorCodes.invalidAccessToken
+          );
         }
 
         // Check if the user is not authorized
         if (firstErrorMessage.startsWith('user not authorized')) {
-          return new CACCLError({
-            message: 'Unfortunately, we couldn\'t complete a task because the current user does not have the correct permissions. If you think this is an error, please try again.',
-            code: errorCodes.userNotAuthorized,
-          });
+          return genError(
+            UnauthorizedError,
+            'Unfortunately, we couldn\'t complete a task because the current user does not have the correct permissions. If you think this is an error, please try again.',
+            errorCodes.userNotAuthorized
+          );
         }
 
         // User doesn't have the proper privileges. We don't know why.
-        return new CACCLError({
-          message: 'Canvas denied us access to a resource because you do not have the proper privileges.',
-          code: errorCodes.unauthorized,
-        });
+        return genError(
+          UnauthorizedError,
+          'Canvas denied us access to a resource because you do not have the proper privileges.',
+          errorCodes.unauthorized
+        );
       }
 
       // Access Denied
       if (body.error && body.error === 'access_denied') {
-        return new CACCLError({
-          message: 'Canvas denied our access. Please try again or re-install the tool. If this issue persists, please contact an admin.',
-          code: errorCodes.accessDenied,
-        });
+        return genError(
+          UnauthorizedError,
+          'Canvas denied our access. Please try again or re-install the tool. If this issue persists, please contact an admin.',
+          errorCodes.accessDenied
+        );
       }
 
       // Throttling
       if (body.status && body.status === 'throttled') {
-        return new CACCLError({
-          message: 'Canvas is receiving high traffic and has throttled our access. Please wait a few minutes and try again.',
-          code: errorCodes.throttled,
-        });
+        return genError(
+          ThrottledError,
+          'Canvas is receiving high traffic and has throttled our access. Please wait a few minutes and try again.',
+          errorCodes.throttled
+        );
       }
 
       // Missing assignment
       if (firstErrorMessage.startsWith('assignment is missing')) {
-        return new CACCLError({
-          message: 'We couldn\'t find the assignment we were looking for.',
-          code: errorCodes.assignmentMissing,
-        });
+        return genError(
+          NotFoundError,
+          'We couldn\'t find the assignment we were looking for.',
+          errorCodes.assignmentMissing
+        );
       }
 
       // Unknown student IDs
       if (firstErrorMessage.startsWith('unknown student ids')) {
-        return new CACCLError({
-          message: 'We couldn\'t find the student we were looking for.',
-          code: errorCodes.studentMissing,
-        });
+        return genError(
+          NotFoundError,
+          'We couldn\'t find the student we were looking for.',
+          errorCodes.studentMissing
+        );
       }
 
       // Invalid file IDs
       if (body.message === 'No valid file ids given') {
-        return new CACCLError({
-          message: 'We couldn\'t upload files because no valid file IDs were given',
-          code: errorCodes.noValidFileIDs,
-        });
+        return genError(
+          ValidationError,
+          'We couldn\'t upload files because no valid file IDs were given',
+          errorCodes.noValidFileIDs
+        );
       }
 
       // Invalid submission type
       if (body.message === 'Invalid submission[submission_type] given') {
-        return new CACCLError({
-          message: 'Invalid submission type given',
-          code: errorCodes.invalidSubmissionTypeFromCanvas,
-        });
+        return genError(
+          ValidationError,
+          'Invalid submission type given',
+          errorCodes.invalidSubmissionTypeFromCanvas
+        );
       }
 
       // Conflicting quiz submission
       if (body.message === 'a quiz submission already exists') {
-        return new CACCLError({
-          message: 'A quiz submission already exists or a submission is already currently in progress. If a submission is open and in progress, please end it before trying to start another.',
-          code: errorCodes.quizSubmissionAlreadyExists,
-        });
+        return genError(
+          ValidationError,
+          'A quiz submission already exists or a submission is already currently in progress. If a submission is open and in progress, please end it before trying to start another.',
+          errorCodes.quizSubmissionAlreadyExists
+        );
       }
 
       // We couldn't identify this error. Report this as "unknown"
-      return new CACCLError({
-        message: 'Canvas responded with an unknown error.',
-        code: errorCodes.unknown,
-      });
+      return genError(
+        CanvasAPIError,
+        'Canvas responded with an unknown error.',
+        errorCodes.unknown
+      );
     }
   } catch (err) {
     // Encountered error while trying to find an error
-    return new CACCLError({
-      message: 'We ran into an issue while trying to interpret the Canvas response and detect Canvas errors.',
-      code: errorCodes.couldNotProcessForErrors,
-    });
+    return genError(
+      CanvasAPIError,
+      'We ran into an issue while trying to interpret the Canvas response and detect Canvas errors.',
+      errorCodes.couldNotProcessForErrors
+    );
   }
 
   // No error found
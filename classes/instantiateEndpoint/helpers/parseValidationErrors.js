@@ -0,0 +1,119 @@
+/**
+ * Function that turns the errors in a Canvas validation response into a list
+ *   of fields and their messages
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/parseValidationErrors
+ * @see module: classes/instantiateEndpoint/helpers/parseValidationErrors
+ */
+
+/**
+ * Gets the message out of a Canvas error
+ * @author Gabe Abrams
+ * @param {string|object} err - the error
+ * @return {string} the message
+ */
+const _getMessage = (err) => {
+  if (typeof err === 'string') {
+    return err;
+  }
+  if (err && (err.message || err.type)) {
+    return String(err.message || err.type);
+  }
+  return JSON.stringify(err);
+};
+
+/**
+ * Turns the errors in a Canvas validation response into a list of fields and
+ *   their messages. Handles errors keyed by field
+ *   ({ errors: { name: [{ message }] } }), lists of errors
+ *   ({ errors: [{ message: 'name: is blank' }] }), and single messages
+ *   ({ message }). Errors that aren't about a specific field have a null field
+ * @author Gabe Abrams
+ * @param {object} [body] - the parsed Canvas response body
+ * @return {object[]} list of { field, messages } where field is the name of
+ *   the param (or null) and messages is the list of problems with it
+ */
+module.exports = (body) => {
+  const fields = [];
+
+  /**
+   * Adds a message to a field
+   * @author Gabe Abrams
+   * @param {string|null} field - the name of the field
+   * @param {string} message - the message to add
+   */
+  const addMessage = (field, message) => {
+    let item = fields.find((existing) => {
+      return existing.field === field;
+    });
+    if (!item) {
+      item = { field, messages: [] };
+      fields.push(item);
+    }
+    if (item.messages.indexOf(message) < 0) {
+      item.messages.push(message);
+    }
+  };
+
+  /**
+   * Adds errors that are keyed by field. Nested objects are keyed by the
+   *   fields inside of them
+   * @author Gabe Abrams
+   * @param {object} errorMap - the map of errors
+   */
+  const addErrorMap = (errorMap) => {
+    Object.keys(errorMap).forEach((key) => {
+      const value = errorMap[key];
+
+      // Nested errors (e.g. { assignment: { name: [...] } })
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (value.message || value.type) {
+          addMessage(key, _getMessage(value));
+        } else {
+          addErrorMap(value);
+        }
+        return;
+      }
+
+      // Canvas uses "base" for errors that aren't about a specific field
+      const field = (key === 'base' ? null : key);
+      [].concat(value).forEach((err) => {
+        addMessage(
+          (err && err.attribute && err.attribute !== 'base')
+            ? err.attribute
+            : field,
+          _getMessage(err)
+        );
+      });
+    });
+  };
+
+  if (!body || typeof body !== 'object') {
+    return fields;
+  }
+
+  if (Array.isArray(body.errors)) {
+    // List of errors: each may start with the name of a field
+    body.errors.forEach((err) => {
+      if (err && err.attribute) {
+        addMessage(err.attribute, _getMessage(err));
+        return;
+      }
+      const message = _getMessage(err);
+      const match = message.match(/^([a-z_][\w.[\]]*):\s*(.+)$/i);
+      if (match) {
+        addMessage(match[1], match[2]);
+      } else {
+        addMessage(null, message);
+      }
+    });
+  } else if (body.errors && typeof body.errors === 'object') {
+    addErrorMap(body.errors);
+  } else if (typeof body.errors === 'string') {
+    addMessage(null, body.errors);
+  } else if (body.message || typeof body.error === 'string') {
+    addMessage(null, String(body.message || body.error));
+  }
+
+  return fields;
+};
@@ -9,12 +9,32 @@
 const EXCLUDED_VALUE = require('./valueThatsExcluded');
 
 /**
- * Recursively excludes values that match EXCLUDED_VALUE
+ * Decodes ids that were URL-encoded by helpers/resolveIds. Ids are encoded so
+ *   they can be used in paths, but they're encoded again when sent as params,
+ *   so we decode them first. Other values are left as is
+ * @author Gabe Abrams
+ * @param {*} value - the value to decode
+ * @param {Map} [encodedIds] - map of encoded ids => the ids before they were
+ *   encoded (see helpers/resolveIds)
+ * @return {*} the decoded value
+ */
+const _decodeResolvedId = (value, encodedIds) => {
+  if (!encodedIds || !encodedIds.has(value)) {
+    return value;
+  }
+  return encodedIds.get(value);
+};
+
+/**
+ * Recursively excludes values that match EXCLUDED_VALUE (and decodes ids that
+ *   were URL-encoded by helpers/resolveIds)
  * @author Gabe Abrams
  * @param {object} value - object to preprocess
+ * @param {Map} [encodedIds] - map of encoded ids => the ids before they were
+ *   encoded
  * @return {object} pre-processed object with values excluded
  */
-const _recursivelyExcludeParams = (obj) => {
+const _recursivelyExcludeParams = (obj, encodedIds) => {
   if (Array.isArray(obj)) {
     // This is an array
     // Filter out excluded elements then call recursively on each element
@@ -23,23 +43,23 @@ const _recursivelyExcludeParams = (obj) => {
         return (item !== EXCLUDED_VALUE);
       })
       .map((item) => {
-        return _recursivelyExcludeParams(item);
+        return _recursivelyExcludeParams(item, encodedIds);
       });
   }
 
-  if (typeof obj === 'object') {
+  if (obj && typeof obj === 'object') {
     const newObj = {};
     Object.keys(obj).forEach((prop) => {
       if (obj[prop] === EXCLUDED_VALUE) {
         // Skip excluded value
         return;
       }
-      newObj[prop] = _recursivelyExcludeParams(obj[prop]);
+      newObj[prop] = _recursivelyExcludeParams(obj[prop], encodedIds);
     });
     return newObj;
   }
 
-  return obj;
+  return _decodeResolvedId(obj, encodedIds);
 };
 
 /**
@@ -52,13 +72,16 @@ const _recursivelyExcludeParams = (obj) => {
  * @param {string} [authenticityToken] - An authenticity token
  *   to add to all requests no matter what (cannot be overridden)
  * @param {object} [params={}] - the original https parameters of the request
+ * @param {Map} [encodedIds] - map of ids that were URL-encoded by
+ *   helpers/resolveIds => the ids before they were encoded. Only these values
+ *   are decoded
  * @return {object} pre-processed request parameters
  */
 module.exports = (config) => {
   const oldParams = config.params || {};
 
   // Exclude params that have value equal to EXCLUDED_VALUE
-  const newParams = _recursivelyExcludeParams(oldParams);
+  const newParams = _recursivelyExcludeParams(oldParams, config.encodedIds);
 
   // Add access token to request (if we have one and one isn't already added)
   if (config.accessToken && !newParams.access_token) {
@@ -0,0 +1,176 @@
+/**
+ * Function that turns SIS ids and other alternate ids in endpoint options
+ *   into the forms that Canvas accepts
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/resolveIds
+ * @see module: classes/instantiateEndpoint/helpers/resolveIds
+ */
+
+// Types of Canvas objects that have SIS ids: param name (without Id/Ids) =>
+//   the type of object used in the SIS id prefix (sis_<type>_id)
+const ID_TYPES = {
+  course: 'course',
+  section: 'section',
+  account: 'account',
+  subaccount: 'account',
+  term: 'term',
+  enrollmentTerm: 'term',
+  group: 'group',
+  groupSet: 'group_category',
+  user: 'user',
+  currentUser: 'user',
+  student: 'user',
+  teacher: 'user',
+  ta: 'user',
+  designer: 'user',
+  observer: 'user',
+  recipient: 'user',
+};
+
+// Ids that already have a prefix (e.g. "sis_course_id:ABC")
+const PREFIXED_ID_REGEX = /^(sis_[a-z_]+):(.+)$/;
+
+/**
+ * Decodes a URI component (if it's not encoded, it's returned as is)
+ * @author Gabe Abrams
+ * @param {string} value - the value to decode
+ * @return {string} the decoded value
+ */
+const _safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * URL-encodes an id. Periods are encoded too: otherwise, Canvas reads a
+ *   trailing ".edu" (for example) as a format extension
+ * @author Gabe Abrams
+ * @param {string} value - the id to encode
+ * @return {string} the encoded id
+ */
+const _encodeId = (value) => {
+  return encodeURIComponent(value).replace(/\./g, '%2E');
+};
+
+/**
+ * Turns an alternate id into the form that Canvas accepts in paths
+ * @author Gabe Abrams
+ * @param {*} value - the id
+ * @param {string} [type] - the type of object (see ID_TYPES)
+ * @return {object} { id, rawId } where id is the resolved id and rawId is
+ *   the resolved id before it was URL-encoded (excluded if the id wasn't
+ *   changed) or { message } if the id is invalid
+ */
+const _resolveId = (value, type) => {
+  // Prefixed id: encode the part after the prefix
+  if (typeof value === 'string') {
+    const match = value.match(PREFIXED_ID_REGEX);
+    if (!match) {
+      return { id: value };
+    }
+    const decodedId = _safeDecode(match[2]);
+    return {
+      id: `${match[1]}:${_encodeId(decodedId)}`,
+      rawId: `${match[1]}:${decodedId}`,
+    };
+  }
+
+  // Not an alternate id
+  if (
+    !value
+    || typeof value !== 'object'
+    || (value.sisId === undefined && value.loginId === undefined)
+  ) {
+    return { id: value };
+  }
+
+  // Alternate id object
+  if (!type) {
+    return { message: 'does not support SIS ids' };
+  }
+  if (value.sisId !== undefined && value.loginId !== undefined) {
+    return { message: 'cannot include both a sisId and a loginId' };
+  }
+  if (value.loginId !== undefined) {
+    if (type !== 'user') {
+      return { message: 'only user ids can be login ids' };
+    }
+    return {
+      id: `sis_login_id:${_encodeId(String(value.loginId))}`,
+      rawId: `sis_login_id:${value.loginId}`,
+    };
+  }
+  return {
+    id: `sis_${type}_id:${_encodeId(String(value.sisId))}`,
+    rawId: `sis_${type}_id:${value.sisId}`,
+  };
+};
+
+/**
+ * Turns SIS ids and other alternate ids in endpoint options into the forms
+ *   that Canvas accepts. Any option named <type>Id or <type>Ids (see
+ *   ID_TYPES) may be { sisId } (or { loginId } for users) or a prefixed string
+ *   like "sis_course_id:ABC". Ids are URL-encoded so they can be used in
+ *   paths (see helpers/preProcessParams for how they're decoded when they're
+ *   used in request params)
+ * @author Gabe Abrams
+ * @param {object} options - the options passed to the endpoint
+ * @return {object} { options, fields, encodedIds } where options is a copy of
+ *   the options with ids resolved, fields is a list of { field, messages }
+ *   describing invalid ids (empty if all ids are valid), and encodedIds is a
+ *   map of the URL-encoded ids that we created => the ids before they were
+ *   encoded
+ */
+const resolveIds = (options) => {
+  const resolvedOptions = Object.assign({}, options);
+  const fields = [];
+  const encodedIds = new Map();
+
+  Object.keys(options).forEach((field) => {
+    const match = field.match(/^(\w+)Ids?$/);
+    if (!match) {
+      return;
+    }
+    const type = ID_TYPES[match[1]];
+    const value = options[field];
+
+    // Resolve the id (or each id in the list)
+    const messages = [];
+    const resolve = (item) => {
+      const { id, rawId, message } = _resolveId(item, type);
+      if (message) {
+        messages.push(message);
+      }
+      if (rawId !== undefined) {
+        encodedIds.set(id, rawId);
+      }
+      return id;
+    };
+    resolvedOptions[field] = (
+      Array.isArray(value)
+        ? value.map(resolve)
+        : resolve(value)
+    );
+
+    if (messages.length > 0) {
+      fields.push({
+        field,
+        messages: Array.from(new Set(messages)),
+      });
+    }
+  });
+
+  return {
+    options: resolvedOptions,
+    fields,
+    encodedIds,
+  };
+};
+
+// Let other tools (e.g. typeBuilder) find the params that take alternate ids
+resolveIds.ID_TYPES = ID_TYPES;
+
+module.exports = resolveIds;
@@ -0,0 +1,83 @@
+/**
+ * Function that runs a request through a chain of middleware functions before
+ *   the request is sent to Canvas
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/runMiddleware
+ * @see module: classes/instantiateEndpoint/helpers/runMiddleware
+ */
+
+const CACCLError = require('caccl-error');
+
+const errorCodes = require('../../../errorCodes');
+
+/**
+ * Runs a request through a list of middleware functions. Each middleware
+ *   function is called with (request, next) and must return a promise that
+ *   resolves with a response. To continue down the chain, a middleware function
+ *   calls next(request) (the request may be modified or replaced). To
+ *   short-circuit the chain, a middleware function resolves with its own
+ *   response without calling next
+ * @author Gabe Abrams
+ * @param {function[]} middleware - the list of middleware functions, outermost
+ *   first
+ * @param {object} request - the request to send in the form
+ *   { method, host, path, params, headers }
+ * @param {function} send - the function that actually sends the request. Called
+ *   with the (possibly modified) request and returns a promise that resolves
+ *   with { body, status, headers }
+ * @return {Promise.<object>} promise that resolves with the response in the
+ *   form { body, status, headers }
+ */
+module.exports = (middleware, request, send) => {
+  // Skip the chain if there's no middleware
+  if (!middleware || middleware.length === 0) {
+    return send(request);
+  }
+
+  /**
+   * Calls the middleware function at the given index
+   * @author Gabe Abrams
+   * @param {number} index - the index of the middleware function to call
+   * @param {object} currRequest - the request as it exists at this point in
+   *   the chain
+   * @return {Promise.<object>} promise that resolves with the response
+   */
+  const dispatch = (index, currRequest) => {
+    // Reached the end of the chain. Send the request
+    if (index >= middleware.length) {
+      return send(currRequest);
+    }
+
+    // Function that continues down the chain
+    const next = (newRequest) => {
+      return dispatch(index + 1, newRequest || currRequest);
+    };
+
+    // Run this middleware function
+    let result;
+    try {
+      result = middleware[index](currRequest, next);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    // Make sure the middleware function resolved with a response
+    return Promise.resolve(result)
+      .then((response) => {
+        if (
+          !response
+          || typeof response !== 'object'
+          || response.status === undefined
+        ) {
+          throw new CACCLError({
+            message: `A request middleware function (position ${index + 1} in the chain) did not resolve with a response. Middleware functions must either return next(request) or resolve with a { body, status, headers } response.`,
+            code: errorCodes.middlewareInvalidResponse,
+          });
+        }
+        return response;
+      });
+  };
+
+  // Kick off the chain
+  return dispatch(0, request);
+};
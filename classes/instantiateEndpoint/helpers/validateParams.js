@@ -0,0 +1,190 @@
+/**
+ * Function that checks the options passed to an endpoint against the
+ *   endpoint's param schema
+ * @author Gabe Abrams
+ * @module classes/instantiateEndpoint/helpers/validateParams
+ * @see module: classes/instantiateEndpoint/helpers/validateParams
+ */
+
+// Canvas ids are non-negative integers (or strings of digits). Ids from other
+//   shards look like "<shard id>~<id>" and SIS ids look like
+//   "sis_<type>_id:<sis id>" (see helpers/resolveIds)
+const ID_REGEX = /^(\d+(~\d+)?|sis_[a-z_]+:.+)$/;
+
+// Numbers may be sent as strings
+const NUMBER_REGEX = /^-?\d+(\.\d+)?$/;
+
+// Checks for each type: type => { check, description }
+const TYPES = {
+  id: {
+    check: (value) => {
+      return (
+        (Number.isInteger(value) && value >= 0)
+        || (typeof value === 'string' && ID_REGEX.test(value))
+        || (
+          !!value
+          && typeof value === 'object'
+          && (value.sisId !== undefined || value.loginId !== undefined)
+        )
+      );
+    },
+    description: 'a Canvas id',
+  },
+  string: {
+    check: (value) => {
+      return (typeof value === 'string');
+    },
+    description: 'a string',
+  },
+  number: {
+    check: (value) => {
+      return (
+        (typeof value === 'number' && Number.isFinite(value))
+        || (typeof value === 'string' && NUMBER_REGEX.test(value))
+      );
+    },
+    description: 'a number',
+  },
+  integer: {
+    check: (value) => {
+      return (
+        Number.isInteger(value)
+        || (typeof value === 'string' && /^-?\d+$/.test(value))
+      );
+    },
+    description: 'an integer',
+  },
+  boolean: {
+    check: (value) => {
+      return (typeof value === 'boolean');
+    },
+    description: 'a boolean',
+  },
+  date: {
+    check: (value) => {
+      if (value instanceof Date) {
+        return !Number.isNaN(value.getTime());
+      }
+      return (
+        typeof value === 'string'
+        && !Number.isNaN(Date.parse(value))
+      );
+    },
+    description: 'a date',
+  },
+  array: {
+    check: (value) => {
+      return Array.isArray(value);
+    },
+    description: 'an array',
+  },
+  object: {
+    check: (value) => {
+      return (
+        !!value
+        && typeof value === 'object'
+        && !Array.isArray(value)
+      );
+    },
+    description: 'an object',
+  },
+  function: {
+    check: (value) => {
+      return (typeof value === 'function');
+    },
+    description: 'a function',
+  },
+};
+
+/**
+ * Checks if a value is one of a list of types
+ * @author Gabe Abrams
+ * @param {*} value - the value to check
+ * @param {string|string[]} type - the type or list of allowed types
+ * @return {string|null} description of the expected type if the value doesn't
+ *   match, null if it matches
+ */
+const _checkType = (value, type) => {
+  const types = [].concat(type);
+  const matches = types.some((name) => {
+    return TYPES[name].check(value);
+  });
+  if (matches) {
+    return null;
+  }
+  return types
+    .map((name) => {
+      return TYPES[name].description;
+    })
+    .join(' or ');
+};
+
+/**
+ * Checks the options passed to an endpoint against the endpoint's param
+ *   schema. Only params that are included are checked (requiredParams are
+ *   checked separately). Each param's entry in the schema may include:
+ *   type (a type or list of types: id, string, number, integer, boolean, date,
+ *   array, object, function), items (the type of each item if the param is an
+ *   array), enum (the list of allowed values), and excludes (list of params
+ *   that can't be included at the same time). Params that are null are
+ *   treated as excluded
+ * @author Gabe Abrams
+ * @param {object} schema - the param schema (param name => rules)
+ * @param {object} options - the options passed to the endpoint
+ * @return {object[]} list of { field, messages } describing invalid params.
+ *   Empty if all params are valid
+ */
+module.exports = (schema, options) => {
+  const fields = [];
+
+  Object.keys(schema).forEach((field) => {
+    const rules = schema[field];
+    const value = options[field];
+
+    // Skip excluded params (endpoints treat null as excluded)
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const messages = [];
+
+    // Check type
+    if (rules.type) {
+      const expected = _checkType(value, rules.type);
+      if (expected) {
+        messages.push(`must be ${expected}`);
+      }
+    }
+
+    // Check array items
+    if (rules.items && Array.isArray(value)) {
+      const badIndex = value.findIndex((item) => {
+        return !!_checkType(item, rules.items);
+      });
+      if (badIndex >= 0) {
+        messages.push(`item ${badIndex} must be ${_checkType(value[badIndex], rules.items)}`);
+      }
+    }
+
+    // Check allowed values
+    if (rules.enum && rules.enum.indexOf(value) < 0) {
+      messages.push(`must be one of: ${rules.enum.join(', ')}`);
+    }
+
+    // Check mutually exclusive params
+    (rules.excludes || []).forEach((otherField) => {
+      if (
+        options[otherField] !== undefined
+        && options[otherField] !== null
+      ) {
+        messages.push(`cannot be included with ${otherField}`);
+      }
+    });
+
+    if (messages.length > 0) {
+      fields.push({ field, messages });
+    }
+  });
+
+  return fields;
+};
@@ -9,7 +9,18 @@
 const CACCLError = require('caccl-error');
 
 const errorCodes = require('../../errorCodes');
+const genAbortController = require('../genAbortController');
+const genAbortedError = require('../genAbortedError');
+const genLogger = require('../genLogger');
+const { TimeoutError, ValidationError } = require('../errors');
 const genVisitEndpoint = require('./genVisitEndpoint');
+const fillTagTemplates = require('./helpers/fillTagTemplates');
+const genEndpointIterator = require('./helpers/genEndpointIterator');
+const validateParams = require('./helpers/validateParams');
+const resolveIds = require('./helpers/resolveIds');
+const describeValidationErrors = require(
+  './helpers/describeValidationErrors'
+);
 
 /**
  * Creates an endpoint function given the endpointCoreFunction (function),
@@ -25,10 +36,30 @@ const genVisitEndpoint = require('./genVisitEndpoint');
  *   no cache is included
  * @param {function} uncache - a function that uncaches a list of paths and
  *   passes through a response, or just passes through a response if not caching
+ * @param {object} [logger] - The logger to send structured events to (see
+ *   classes/genLogger). Silent if excluded
+ * @param {RateLimitThrottler} [throttler] - The rate limit throttler shared
+ *   by all endpoints. Requests are not throttled if excluded
  * @param {object} api - Top level instance of endpoints/Endpoints.js that
  *   the EndpointCategory we're adding an endpoint to is an ancestor of
  * @param {string} [authenticityToken] - An authenticity token
  *   to add to all requests no matter what (cannot be overridden)
+ * @param {boolean} [streamable] - if true, endpointFn.iterate streams items
+ *   as each page arrives. Otherwise, endpointFn.iterate waits for the full
+ *   result before iterating it
+ * @param {string[]} [reads] - cache tag templates for the resources that the
+ *   endpoint reads (see helpers/fillTagTemplates). Cached GET responses are
+ *   tagged with these tags
+ * @param {string[]} [invalidates] - cache tag templates for the resources
+ *   that the endpoint changes. After each non-GET request, cached values with
+ *   these tags are uncached
+ * @param {number} [cacheTtlMs] - the number of milliseconds that the
+ *   endpoint's responses stay in the cache (overrides the cache's default).
+ *   Calls may override this by including a cacheTtlMs option
+ * @param {object} [paramSchema] - rules for the endpoint's params (param name
+ *   => { type, items, enum, excludes, required, default }, see
+ *   helpers/validateParams). Invalid params are rejected before any requests
+ *   are sent and excluded params with a default take that default
  * @param {string} [defaults.accessToken] - a default access token to apply to
  *   all requests
  * @param {number} [defaults.itemsPerPage=100] - the default number of pages to
@@ -37,9 +68,37 @@ const genVisitEndpoint = require('./genVisitEndpoint');
  *   request paths
  * @param {number} [defaults.numRetries=3] - the default number of times to
  *   retry failed requests
+ * @param {object} [defaults.retryPolicy] - the default rules for which
+ *   statuses and methods to retry and how long to wait between retries (see
+ *   classes/cacclRequest)
+ * @param {boolean|number} [defaults.parallelPages] - if truthy, pages are
+ *   requested in parallel once Canvas tells us the number of the last page
+ *   (see genVisitEndpoint)
+ * @param {number} [defaults.requestTimeoutMs] - the default number of
+ *   milliseconds to wait for Canvas to respond to each request
+ * @param {number} [defaults.deadlineMs] - the default number of milliseconds
+ *   that an endpoint call may take, including all of its pages and
+ *   sub-requests
+ * @param {boolean} [defaults.staleWhileRevalidate] - if truthy, cached values
+ *   are returned right away and then refreshed in the background
+ * @param {number} [defaults.staleAfterMs] - the default number of
+ *   milliseconds after a value is cached before it's refreshed in the
+ *   background (see defaults.staleWhileRevalidate)
+ * @param {function} [defaults.onRevalidate] - the default function to call
+ *   with the fresh value when a value that was refreshed in the background
+ *   changed
  * @param {function} [defaults.sendRequest=caccl-send-request instance] - a
  *   custom function that sends https requests (we recommend not including this)
- * @return {function} endpoint function that the library-user will call
+ * @param {function[]} [defaults.middleware] - a list of request middleware
+ *   functions to run around every request. Middleware included in the
+ *   endpoint call's options.middleware runs inside of these
+ * @param {boolean} [defaults.dryRun] - if truthy, non-GET requests are
+ *   recorded instead of sent and calls that would have sent them resolve
+ *   with the list of planned { method, path, params } requests
+ * @return {function} endpoint function that the library-user will call. The
+ *   function has an iterate function that takes the same options and returns
+ *   an async iterator that lazily streams the returned items and a
+ *   paramSchema property that describes the endpoint's params (for tooling)
  */
 module.exports = (config = {}) => {
   // Destructure config
@@ -50,26 +109,98 @@ module.exports = (config = {}) => {
     action,
     requiredParams,
     authenticityToken,
+    streamable,
+    reads,
+    invalidates,
+    cacheTtlMs,
   } = config;
   const defaults = (config.defaults || {});
+  const logger = (config.logger || genLogger());
+
+  // Combine the param schema with the list of required params
+  const paramSchema = {};
+  Object.keys(config.paramSchema || {}).forEach((param) => {
+    paramSchema[param] = Object.assign({}, config.paramSchema[param]);
+  });
+  (requiredParams || []).forEach((param) => {
+    paramSchema[param] = Object.assign({}, paramSchema[param], {
+      required: true,
+    });
+  });
+  const allRequiredParams = Array.from(new Set([].concat(
+    requiredParams || [],
+    Object.keys(paramSchema).filter((param) => {
+      return paramSchema[param].required;
+    })
+  )));
+
+  /**
+   * Runs the endpoint
+   * @author Gabe Abrams
+   * @param {object} [callOptions={}] - the options passed to the endpoint
+   * @param {function} [pageConsumer] - if included, GET requests stream their
+   *   pages to this function (see genVisitEndpoint)
+   * @return {Promise} promise that resolves with the endpoint's result
+   */
+  const runEndpoint = (callOptions = {}, pageConsumer) => {
+    // Don't start if we've already been aborted
+    if (callOptions.signal && callOptions.signal.aborted) {
+      return Promise.reject(genAbortedError());
+    }
 
-  // Return a new fully-functional endpoint function
-  return (options = {}) => {
     // Make sure required parameters are included
-    if (requiredParams) {
-      // Check that all required parameters are not undefined
-      for (let i = 0; i < requiredParams.length; i++) {
-        const requiredParam = requiredParams[i];
-        if (options[requiredParam] === undefined) {
-          // Found an excluded required parameter
-          return Promise.reject(new CACCLError({
-            message: `We could not ${action} because the ${requiredParam} parameter is required but was excluded.`,
-            code: errorCodes.endpointCallExcludedRequiredParam,
-          }));
-        }
+    for (let i = 0; i < allRequiredParams.length; i++) {
+      const requiredParam = allRequiredParams[i];
+      if (callOptions[requiredParam] === undefined) {
+        // Found an excluded required parameter
+        return Promise.reject(new CACCLError({
+          message: `We could not ${action} because the ${requiredParam} parameter is required but was excluded.`,
+          code: errorCodes.endpointCallExcludedRequiredParam,
+        }));
       }
     }
 
+    // Make sure the included parameters are valid and turn SIS ids (and
+    // other alternate ids) into the forms that Canvas accepts
+    const resolved = resolveIds(callOptions);
+    const invalidFields = [].concat(
+      validateParams(paramSchema, callOptions),
+      resolved.fields
+    );
+    if (invalidFields.length > 0) {
+      return Promise.reject(new ValidationError({
+        message: `We could not ${action} because some parameters are invalid: ${describeValidationErrors(invalidFields)}`,
+        code: errorCodes.endpointCallInvalidParam,
+        fields: invalidFields,
+      }));
+    }
+
+    // Fill in defaults for excluded parameters
+    const { options } = resolved;
+    Object.keys(paramSchema).forEach((param) => {
+      if (
+        options[param] === undefined
+        && paramSchema[param].default !== undefined
+      ) {
+        options[param] = paramSchema[param].default;
+      }
+    });
+
+    // Set up the deadline for the whole call (covers all pages and
+    // sub-requests): when it passes, we abort everything (if the runtime
+    // doesn't support AbortController, we just stop waiting)
+    const deadlineMs = (
+      options.deadlineMs !== undefined
+        ? options.deadlineMs
+        : defaults.deadlineMs
+    );
+    const deadlineController = (deadlineMs ? genAbortController() : null);
+    const signal = (
+      deadlineController
+        ? deadlineController.signal
+        : options.signal
+    );
+
     // Generate a new visitEndpoint function
     const defaultNumRetries = (
       defaults.numRetries !== undefined
@@ -77,8 +208,6 @@ module.exports = (config = {}) => {
         : 3
     );
     let { canvasHost, proto } = options;
-    console.log('instantiateEndpoint options', options);
-    console.log('instantiateEndpoint basePath', defaults.basePath);
     if (options.canvasHost === undefined) {
       canvasHost = (
         defaults.canvasHost === undefined
@@ -86,9 +215,23 @@ module.exports = (config = {}) => {
           : defaults.canvasHost
       );
     }
+    // Dry run: record changes instead of sending them
+    const dryRun = (
+      options.dryRun !== undefined
+        ? options.dryRun
+        : defaults.dryRun
+    );
+    const plannedRequests = (dryRun ? [] : undefined);
+
     const visitEndpoint = genVisitEndpoint({
       cache,
       uncache,
+      plannedRequests,
+      encodedIds: resolved.encodedIds,
+      readTags: fillTagTemplates(reads, options),
+      invalidateTags: fillTagTemplates(invalidates, options),
+      logger,
+      throttler: config.throttler,
       canvasHost,
       basePath: defaults.basePath,
       proto,
@@ -116,11 +259,54 @@ module.exports = (config = {}) => {
           ? options.numRetries
           : defaultNumRetries
       ),
+      retryPolicy: Object.assign(
+        {},
+        defaults.retryPolicy || {},
+        options.retryPolicy || {}
+      ),
+      requestTimeoutMs: (
+        options.requestTimeoutMs !== undefined
+          ? options.requestTimeoutMs
+          : defaults.requestTimeoutMs
+      ),
       dontCache: options.dontCache,
+      cacheTtlMs: (
+        options.cacheTtlMs !== undefined
+          ? options.cacheTtlMs
+          : cacheTtlMs
+      ),
+      staleWhileRevalidate: (
+        options.staleWhileRevalidate !== undefined
+          ? options.staleWhileRevalidate
+          : defaults.staleWhileRevalidate
+      ),
+      staleAfterMs: (
+        options.staleAfterMs !== undefined
+          ? options.staleAfterMs
+          : defaults.staleAfterMs
+      ),
+      onRevalidate: (
+        options.onRevalidate
+        || defaults.onRevalidate
+      ),
       ignoreCache: options.ignoreCache,
-      sendRequest: options.sendRequest, // TODO: also allow default sendRequest
+      sendRequest: (
+        options.sendRequest
+        || defaults.sendRequest
+      ),
       startPage: options.startPage,
+      parallelPages: (
+        options.parallelPages !== undefined
+          ? options.parallelPages
+          : defaults.parallelPages
+      ),
       onNewPage: options.onNewPage,
+      middleware: [].concat(
+        defaults.middleware || [],
+        options.middleware || []
+      ),
+      pageConsumer,
+      signal,
     });
 
     // Run the endpoint
@@ -137,11 +323,52 @@ module.exports = (config = {}) => {
     // > Create context for core function
     const ctx = {
       visitEndpoint,
-      uncache,
+      // Nothing changed during a dry run, so there's nothing to uncache
+      uncache: (
+        dryRun
+          ? (paths, response) => {
+            return Promise.resolve(response);
+          }
+          : uncache
+      ),
       api,
     };
-    // > Run the core endpoint function with ctx as this
-    const runPromise = config.endpointCoreFunction.bind(ctx)(options);
+    // > Start the deadline timer (if applicable)
+    let deadlinePromise;
+    let deadlineTimeout;
+    const forwardAbort = () => {
+      deadlineController.abort();
+    };
+    if (deadlineMs) {
+      // Abort if the caller aborts
+      if (deadlineController && options.signal) {
+        options.signal.addEventListener('abort', forwardAbort);
+      }
+      deadlinePromise = new Promise((resolve, reject) => {
+        deadlineTimeout = setTimeout(() => {
+          reject(new TimeoutError({
+            message: `We stopped waiting for Canvas because the request took longer than its ${deadlineMs}ms deadline.`,
+            code: errorCodes.endpointCallDeadlineExceeded,
+          }));
+          if (deadlineController) {
+            deadlineController.abort();
+          }
+        }, deadlineMs);
+      });
+    }
+    const stopDeadline = () => {
+      clearTimeout(deadlineTimeout);
+      if (deadlineController && options.signal) {
+        options.signal.removeEventListener('abort', forwardAbort);
+      }
+    };
+    // > Run the core endpoint function with ctx as this (sub-requests use
+    //   the deadline's signal)
+    const runPromise = config.endpointCoreFunction.bind(ctx)(
+      deadlineController
+        ? Object.assign({}, options, { signal })
+        : options
+    );
 
     // Check to make sure the endpointCoreFunction returned a promise
     if (
@@ -150,14 +377,42 @@ module.exports = (config = {}) => {
       || !runPromise.catch
     ) {
       // Endpoint didn't return promise
+      stopDeadline();
       return Promise.reject(new CACCLError({
         message: `The "${action}" endpoint malfunctioned: it didn't return a promise. Please contact an admin.`,
         code: errorCodes.endpointDidntReturnPromise,
       }));
     }
 
+    // Race against the deadline
+    const resultPromise = (
+      deadlinePromise
+        ? Promise.race([runPromise, deadlinePromise])
+        : runPromise
+    )
+      .then((result) => {
+        stopDeadline();
+
+        // Dry run: resolve with the changes we would have made (calls that
+        // only read from Canvas resolve as usual)
+        if (plannedRequests && plannedRequests.length > 0) {
+          return plannedRequests;
+        }
+
+        return result;
+      })
+      .catch((err) => {
+        stopDeadline();
+        throw err;
+      });
+
     // Post-process errors to make them human-readable
-    return runPromise.catch((err) => {
+    return resultPromise.catch((err) => {
+      // Iteration ended early. Not an error
+      if (err && err.code === errorCodes.endpointIterationStopped) {
+        throw err;
+      }
+
       // Turn into CACCLError if not already
       let newError = err;
       if (!err.isCACCLError) {
@@ -187,7 +442,33 @@ module.exports = (config = {}) => {
         newError.message = `While attempting to ${action}, we ran into an error: ${(err.message || 'unknown')}`;
       }
 
+      // Aborted calls were cancelled on purpose. Not an error
+      if (newError.code === errorCodes.endpointCallAborted) {
+        logger.info('endpoint.aborted', { action });
+      } else {
+        logger.error('endpoint.error', {
+          action,
+          code: newError.code,
+          message: newError.message,
+        });
+      }
+
       throw newError;
     });
   };
+
+  // Return a new fully-functional endpoint function
+  const endpointFn = (options = {}) => {
+    return runEndpoint(options);
+  };
+  endpointFn.iterate = (options = {}) => {
+    return genEndpointIterator((pageConsumer) => {
+      return runEndpoint(
+        options,
+        (streamable ? pageConsumer : undefined)
+      );
+    });
+  };
+  endpointFn.paramSchema = paramSchema;
+  return endpointFn;
 };
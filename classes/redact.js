@@ -0,0 +1,61 @@
+/**
+ * Function that copies a value with access tokens and other secrets redacted
+ *   (used for logs and recorded fixtures)
+ * @author Gabe Abrams
+ * @module classes/redact
+ * @see module: classes/redact
+ */
+
+// Properties that are always redacted (lowercase, underscores removed)
+const SENSITIVE_PROPS = new Set([
+  'accesstoken',
+  'authenticitytoken',
+  'authorization',
+  'password',
+  'clientsecret',
+  'refreshtoken',
+]);
+
+// Tokens that appear inside of urls or query strings
+const SENSITIVE_QUERY_REGEX = /((?:access_token|authenticity_token)=)[^&\s]+/gi;
+
+// Replacement for redacted values
+const REDACTED = '[REDACTED]';
+
+/**
+ * Recursively copies a value, redacting sensitive properties
+ * @author Gabe Abrams
+ * @param {any} value - the value to redact
+ * @param {number} [depth=0] - the current depth (we stop recursing at 10)
+ * @return {any} redacted copy of the value
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return value.replace(SENSITIVE_QUERY_REGEX, `$1${REDACTED}`);
+  }
+
+  if (!value || typeof value !== 'object' || depth > 10) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      return redact(item, depth + 1);
+    });
+  }
+
+  const redacted = {};
+  Object.keys(value).forEach((prop) => {
+    redacted[prop] = (
+      SENSITIVE_PROPS.has(prop.toLowerCase().replace(/_/g, ''))
+        ? REDACTED
+        : redact(value[prop], depth + 1)
+    );
+  });
+  return redacted;
+};
+
+// Let callers recognize redacted values
+redact.REDACTED = REDACTED;
+
+module.exports = redact;
@@ -26,7 +26,7 @@ class EnrollmentTerm extends EndpointCategory {
  * @instance
  * @async
  * @param {object} options - object containing all arguments
- * @param {number} [options.accountId=1] - Canvas account Id to list enrollment
+ * @param {number} options.accountId - Canvas account Id to list enrollment
  *   terms. If account is not a root account, we get info on the provided
  *   account (one extra request) and get its root account, then we request
  *   terms for that root account. Only root accounts have enrollment terms, so
@@ -72,6 +72,7 @@ EnrollmentTerm.list = function (options) {
       // This is not a root account. Get the current account
       return this.api.account.get({
         accountId: options.accountId,
+        signal: options.signal,
       })
         .then((account) => {
           // Extract its root account id
@@ -84,6 +85,9 @@ EnrollmentTerm.list = function (options) {
 };
 EnrollmentTerm.list.action = 'list enrollment terms for a Canvas account';
 EnrollmentTerm.list.requiredParams = ['accountId'];
+EnrollmentTerm.list.reads = [
+  'account:{accountId}:terms',
+];
 EnrollmentTerm.list.scopes = ['url:GET|/api/v1/accounts/:account_id/terms'];
 
 /**
@@ -107,6 +111,9 @@ EnrollmentTerm.get = function (options) {
 };
 EnrollmentTerm.get.action = 'get an enrollment term';
 EnrollmentTerm.get.requiredParams = ['accountId', 'enrollmentTermId'];
+EnrollmentTerm.get.reads = [
+  'account:{accountId}:terms',
+];
 EnrollmentTerm.get.scopes = ['url:GET|/api/v1/accounts/:account_id/terms/:id'];
 
 /*------------------------------------------------------------------------*/
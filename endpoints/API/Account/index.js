@@ -45,6 +45,9 @@ Account.get = function (options) {
 };
 Account.get.action = 'get info on a specific account';
 Account.get.requiredParams = ['accountId'];
+Account.get.reads = [
+  'account:{accountId}',
+];
 Account.get.scopes = ['url:GET|/api/v1/accounts/:id'];
 
 /**
@@ -63,6 +66,9 @@ Account.list = function () {
   });
 };
 Account.list.action = 'get the list of accounts';
+Account.list.reads = [
+  'accounts',
+];
 Account.list.scopes = ['url:GET|/api/v1/accounts'];
 
 /**
@@ -85,6 +91,9 @@ Account.listAdmins = function (options) {
 };
 Account.listAdmins.action = 'get the list of admins in a specific account';
 Account.listAdmins.requiredParams = ['accountId'];
+Account.listAdmins.reads = [
+  'account:{accountId}:admins',
+];
 Account.listAdmins.scopes = ['url:GET|/api/v1/accounts/:account_id/admins'];
 
 /**
@@ -226,6 +235,9 @@ Account.listCourses = function (options) {
 };
 Account.listCourses.action = 'get the list of courses in a specific account';
 Account.listCourses.requiredParams = ['accountId'];
+Account.listCourses.reads = [
+  'account:{accountId}:courses',
+];
 Account.listCourses.scopes = ['url:GET|/api/v1/accounts/:account_id/courses'];
 
 /*------------------------------------------------------------------------*/
@@ -5,6 +5,7 @@
 
 const EndpointCategory = require('../../../classes/EndpointCategory');
 const prefix = require('../../common/prefix');
+const runBulk = require('../../common/runBulk');
 
 class Conversation extends EndpointCategory {
   constructor(config) {
@@ -30,12 +31,27 @@ class Conversation extends EndpointCategory {
  * @param {string} options.body - body of the message
  * @param {number} [options.courseId=no course] - the id of the course to send
  *   from
- * @return {Conversation[]} Array of Canvas Conversations {@link https://canvas.instructure.com/doc/api/conversations.html#method.conversations.create}
+ * @param {number} [options.concurrency=10] - Recipients are sent messages in
+ *   batches of 100. This is the max number of batches to send at once
+ * @param {object} [options.checkpoint] - a checkpoint from a previous call
+ *   with the same recipients (in any order). Batches that were already sent
+ *   are skipped
+ * @param {function} [options.onCheckpoint] - function called with the latest
+ *   checkpoint each time a batch is sent
+ * @return {object} { succeeded, failed, checkpoint } where succeeded is a list
+ *   of { item, index, result } (item is the batch of recipient ids and result
+ *   is the list of Canvas Conversations {@link https://canvas.instructure.com/doc/api/conversations.html#method.conversations.create}),
+ *   failed is a list of { item, index, error }, and checkpoint can be passed
+ *   to a later call to only send the batches that failed
  */
 Conversation.create = function (options) {
-  // Separate recipients into batches of 100
+  // Separate recipients into batches of 100 (sorted so the batches are the
+  // same if the recipients are reordered)
   const recipientBatches = [[]];
-  options.recipientIds.forEach((recipientId) => {
+  const sortedRecipientIds = options.recipientIds.slice().sort((a, b) => {
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+  });
+  sortedRecipientIds.forEach((recipientId) => {
     if (recipientBatches[recipientBatches.length - 1].length >= 100) {
       // Batch full! Create a new batch
       recipientBatches.push([]);
@@ -45,10 +61,19 @@ Conversation.create = function (options) {
     recipientBatches[recipientBatches.length - 1].push(recipientId);
   });
 
-  // Run in parallel
-  return (
-    // Create parallel tasks for each recipient batch
-    Promise.all(recipientBatches.map((recipients) => {
+  // Send each batch (a few at a time)
+  return runBulk({
+    items: recipientBatches,
+    concurrency: options.concurrency,
+    checkpoint: options.checkpoint,
+    onCheckpoint: options.onCheckpoint,
+    signal: options.signal,
+    getKey: (recipients) => {
+      // Identify each batch by its recipients (so a checkpoint never skips
+      // recipients that weren't sent the message)
+      return recipients.join(',');
+    },
+    task: (recipients) => {
       // Create params for this batch
       const params = {
         recipients,
@@ -67,12 +92,8 @@ Conversation.create = function (options) {
         path: `${prefix.v1}/conversations`,
         method: 'POST',
       });
-    }))
-      // Concatenate into one long list
-      .then((conversationBatches) => {
-        return [].concat(...conversationBatches);
-      })
-  );
+    },
+  });
 };
 Conversation.create.action = 'create a new conversation';
 Conversation.create.requiredParams = ['recipientIds', 'subject', 'body'];
@@ -39,6 +39,9 @@ Analytics.getStudentParticipationData = function (options) {
 };
 Analytics.getStudentParticipationData.action = 'get participation data for a student in a course';
 Analytics.getStudentParticipationData.requiredParams = ['courseId', 'studentId'];
+Analytics.getStudentParticipationData.reads = [
+  'course:{courseId}:analytics',
+];
 Analytics.getStudentParticipationData.scopes = [
   'url:GET|/api/v1/courses/:course_id/analytics/users/:student_id/activity',
 ];
@@ -66,6 +69,9 @@ Analytics.getStudentMessagingData = function (options) {
 };
 Analytics.getStudentMessagingData.action = 'get messaging data for a student in a course';
 Analytics.getStudentMessagingData.requiredParams = ['courseId', 'studentId'];
+Analytics.getStudentMessagingData.reads = [
+  'course:{courseId}:analytics',
+];
 Analytics.getStudentMessagingData.scopes = [
   'url:GET|/api/v1/courses/:course_id/analytics/users/:student_id/communication',
 ];
@@ -81,7 +87,7 @@ Analytics.getStudentMessagingData.scopes = [
  * @method listDailyActivitySummaries
  * @param {object} options - object containing all arguments
  * @param {number} options.courseId - Canvas course Id to query
- * @return {CourseLevelParticipationData} list of daily activity summaries {@link https://canvas.instructure.com/doc/api/analytics.html#method.analytics_api.course_participation}
+ * @return {CourseLevelParticipationData[]} list of daily activity summaries {@link https://canvas.instructure.com/doc/api/analytics.html#method.analytics_api.course_participation}
  */
 Analytics.listDailyActivitySummaries = function (options) {
   return this.visitEndpoint({
@@ -92,6 +98,9 @@ Analytics.listDailyActivitySummaries = function (options) {
 };
 Analytics.listDailyActivitySummaries.action = 'get a list of daily activity summaries for each day in a course';
 Analytics.listDailyActivitySummaries.requiredParams = ['courseId'];
+Analytics.listDailyActivitySummaries.reads = [
+  'course:{courseId}:analytics',
+];
 Analytics.listDailyActivitySummaries.scopes = [
   'url:GET|/api/v1/courses/:course_id/analytics/activity',
 ];
@@ -107,7 +116,7 @@ Analytics.listDailyActivitySummaries.scopes = [
  * @method listAssignmentSummaries
  * @param {object} options - object containing all arguments
  * @param {number} options.courseId - Canvas course Id to query
- * @return {CourseLevelAssignmentData} list of assignment summaries {@link https://canvas.instructure.com/doc/api/analytics.html#method.analytics_api.course_assignments}
+ * @return {CourseLevelAssignmentData[]} list of assignment summaries {@link https://canvas.instructure.com/doc/api/analytics.html#method.analytics_api.course_assignments}
  */
 Analytics.listAssignmentSummaries = function (options) {
   return this.visitEndpoint({
@@ -118,6 +127,9 @@ Analytics.listAssignmentSummaries = function (options) {
 };
 Analytics.listAssignmentSummaries.action = 'get a list of assignment summaries for all assignments in a course';
 Analytics.listAssignmentSummaries.requiredParams = ['courseId'];
+Analytics.listAssignmentSummaries.reads = [
+  'course:{courseId}:analytics',
+];
 Analytics.listAssignmentSummaries.scopes = [
   'url:GET|/api/v1/courses/:course_id/analytics/assignments',
 ];
@@ -144,6 +156,9 @@ Analytics.listStudentSummaries = function (options) {
 };
 Analytics.listStudentSummaries.action = 'get a list of student summaries for all students in a course';
 Analytics.listStudentSummaries.requiredParams = ['courseId'];
+Analytics.listStudentSummaries.reads = [
+  'course:{courseId}:analytics',
+];
 Analytics.listStudentSummaries.scopes = [
   'url:GET|/api/v1/courses/:course_id/analytics/student_summaries',
 ];
@@ -172,6 +187,9 @@ Analytics.getStudentSummary = function (options) {
 };
 Analytics.getStudentSummary.action = 'get a student summary for a student in a course';
 Analytics.getStudentSummary.requiredParams = ['courseId', 'studentId'];
+Analytics.getStudentSummary.reads = [
+  'course:{courseId}:analytics',
+];
 Analytics.getStudentSummary.scopes = [
   'url:GET|/api/v1/courses/:course_id/analytics/student_summaries',
 ];
@@ -44,6 +44,10 @@ Announcement.create = function (options) {
 };
 Announcement.create.action = 'create an announcement in a course';
 Announcement.create.requiredParams = ['courseId', 'title', 'message'];
+Announcement.create.invalidates = [
+  'course:{courseId}:announcements',
+  'course:{courseId}:discussion-topics',
+];
 Announcement.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/discussion_topics',
 ];
@@ -91,6 +95,9 @@ Announcement.list = function (options) {
 };
 Announcement.list.action = 'get the list of announcements in a course';
 Announcement.list.requiredParams = ['courseId'];
+Announcement.list.reads = [
+  'course:{courseId}:announcements',
+];
 Announcement.list.scopes = [
   'url:GET|/api/v1/announcements',
 ];
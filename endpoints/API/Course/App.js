@@ -8,6 +8,7 @@ const CACCLError = require('caccl-error');
 const EndpointCategory = require('../../../classes/EndpointCategory');
 const prefix = require('../../common/prefix');
 const utils = require('../../common/utils');
+const runBulk = require('../../common/runBulk');
 const errorCodes = require('../../../errorCodes');
 
 class App extends EndpointCategory {
@@ -53,6 +54,9 @@ App.list = function (options) {
 };
 App.list.action = 'get the list of apps installed into a course';
 App.list.requiredParams = ['courseId'];
+App.list.reads = [
+  'course:{courseId}:apps',
+];
 App.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/external_tools',
 ];
@@ -77,6 +81,9 @@ App.get = function (options) {
 };
 App.get.action = 'get info on a specific LTI app in a course';
 App.get.requiredParams = ['courseId', 'appId'];
+App.get.reads = [
+  'course:{courseId}:apps',
+];
 App.get.scopes = [
   'url:GET|/api/v1/courses/:course_id/external_tools/:external_tool_id',
 ];
@@ -123,6 +130,10 @@ App.add.requiredParams = [
   'secret',
   'xml',
 ];
+App.add.invalidates = [
+  'course:{courseId}:apps',
+  'course:{courseId}:nav-menu-items',
+];
 App.add.scopes = [
   'url:POST|/api/v1/courses/:course_id/external_tools',
 ];
@@ -147,6 +158,10 @@ App.remove = function (options) {
 };
 App.remove.action = 'remove an LTI app from a course';
 App.remove.requiredParams = ['courseId', 'appId'];
+App.remove.invalidates = [
+  'course:{courseId}:apps',
+  'course:{courseId}:nav-menu-items',
+];
 App.remove.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/external_tools/:external_tool_id',
 ];
@@ -181,6 +196,7 @@ App.getMetadata = function (options) {
   // Get the list of apps
   return this.api.course.app.list({
     courseId: options.courseId,
+    signal: options.signal,
   })
     .then((apps) => {
       // Find the first app that has this metadata_id
@@ -253,7 +269,17 @@ App.getMetadata.scopes = [App.list];
  * @param {number} options.metadata_id - metadata identifier (see endpoint
  *   description)
  * @param {object} [options.metadata={}] - json metadata object
- * @return {ExternalTool[]} Array of external tools (the apps that were updated) {@link https://canvas.instructure.com/doc/api/external_tools.html#method.external_tools.show}
+ * @param {number} [options.concurrency=10] - the max number of apps to update
+ *   at once
+ * @param {object} [options.checkpoint] - a checkpoint from a previous call.
+ *   Apps that were already updated are skipped
+ * @param {function} [options.onCheckpoint] - function called with the latest
+ *   checkpoint each time an app is updated
+ * @return {object} { succeeded, failed, checkpoint } where succeeded is a list
+ *   of { item, index, result } (item is the app before the update and result
+ *   is the updated external tool {@link https://canvas.instructure.com/doc/api/external_tools.html#method.external_tools.show}),
+ *   failed is a list of { item, index, error }, and checkpoint can be passed
+ *   to a later call to only update the apps that failed
  */
 App.updateMetadata = function (options) {
   // Pre-process metadata
@@ -263,6 +289,7 @@ App.updateMetadata = function (options) {
   let appsToUpdate;
   return this.api.course.app.list({
     courseId: options.courseId,
+    signal: options.signal,
   })
     .then((apps) => {
       // Find all apps with this metadata_id
@@ -281,9 +308,17 @@ App.updateMetadata = function (options) {
         });
       }
 
-      // Update all app metadata objects in parallel
-      return Promise.all(
-        appsToUpdate.map((app) => {
+      // Update all app metadata objects (a few at a time)
+      return runBulk({
+        items: appsToUpdate,
+        concurrency: options.concurrency,
+        checkpoint: options.checkpoint,
+        onCheckpoint: options.onCheckpoint,
+        signal: options.signal,
+        getKey: (app) => {
+          return app.id;
+        },
+        task: (app) => {
           // Perform merge for custom fields so we don't lose other custom vals
           const params = {
             'custom_fields[metadata]': metadata,
@@ -302,12 +337,15 @@ App.updateMetadata = function (options) {
             path: `${prefix.v1}/courses/${options.courseId}/external_tools/${app.id}`,
             method: 'PUT',
           });
-        })
-      );
+        },
+      });
     });
 };
 App.updateMetadata.action = 'get metadata for an LTI app in a course';
 App.updateMetadata.requiredParams = ['courseId', 'metadata_id'];
+App.updateMetadata.invalidates = [
+  'course:{courseId}:apps',
+];
 App.updateMetadata.scopes = [
   App.list,
   'url:PUT|/api/v1/courses/:course_id/external_tools/:external_tool_id',
@@ -7,7 +7,6 @@ const fs = require('fs');
 const path = require('path');
 const request = require('request');
 const urlLib = require('url');
-const async = require('async');
 const CACCLError = require('caccl-error');
 
 const EndpointCategory = require('../../../classes/EndpointCategory');
@@ -15,6 +14,7 @@ const errorCodes = require('../../../errorCodes');
 const prefix = require('../../common/prefix');
 const utils = require('../../common/utils');
 const waitForCompletion = require('../../common/waitForCompletion');
+const runBulk = require('../../common/runBulk');
 const EXCLUDED_PARAM = require('../../../classes/instantiateEndpoint/helpers/valueThatsExcluded');
 
 class Assignment extends EndpointCategory {
@@ -60,6 +60,12 @@ Assignment.list = function (options) {
 };
 Assignment.list.action = 'get the list of assignments in a course';
 Assignment.list.requiredParams = ['courseId'];
+Assignment.list.paramSchema = {
+  courseId: { type: 'id' },
+};
+Assignment.list.reads = [
+  'course:{courseId}:assignments',
+];
 Assignment.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignments',
 ];
@@ -90,6 +96,13 @@ Assignment.get = function (options) {
 };
 Assignment.get.action = 'get info on a specific assignment in a course';
 Assignment.get.requiredParams = ['courseId', 'assignmentId'];
+Assignment.get.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+};
+Assignment.get.reads = [
+  'course:{courseId}:assignments',
+];
 Assignment.get.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignments/:id',
 ];
@@ -178,6 +191,48 @@ Assignment.update = function (options) {
 };
 Assignment.update.action = 'update an assignment in a course';
 Assignment.update.requiredParams = ['courseId', 'assignmentId'];
+Assignment.update.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  name: { type: 'string' },
+  pointsPossible: { type: 'number' },
+  dueAt: { type: 'date' },
+  lockAt: { type: 'date' },
+  unlockAt: { type: 'date' },
+  description: { type: 'string' },
+  submissionTypes: {
+    type: ['string', 'array'],
+    items: 'string',
+  },
+  allowedExtensions: {
+    type: ['string', 'array'],
+    items: 'string',
+  },
+  gradingType: {
+    type: 'string',
+    enum: [
+      'pass_fail',
+      'percent',
+      'letter_grade',
+      'gpa_scale',
+      'points',
+      'not_graded',
+    ],
+  },
+  position: { type: 'integer' },
+  published: { type: 'boolean' },
+  muted: { type: 'boolean' },
+  groupSetId: { type: 'id' },
+  assignmentGroupId: { type: 'id' },
+  peerReviewsEnabled: { type: 'boolean' },
+  automaticPeerReviewsEnabled: { type: 'boolean' },
+  omitFromFinalGrade: { type: 'boolean' },
+  gradeGroupStudentsIndividually: { type: 'boolean' },
+};
+Assignment.update.invalidates = [
+  'course:{courseId}:assignments',
+  'course:{courseId}:assignment-groups',
+];
 Assignment.update.scopes = [
   'url:PUT|/api/v1/courses/:course_id/assignments/:id',
 ];
@@ -292,6 +347,7 @@ Assignment.create = function (options) {
         this.api.course.app.get({
           courseId: options.courseId,
           appId: options.assignmentAppId,
+          signal: options.signal,
         })
           .then((app) => {
             params['assignment[external_tool_tag_attributes][url]'] = app.url;
@@ -314,6 +370,47 @@ Assignment.create = function (options) {
 };
 Assignment.create.action = 'create a new assignment in a course';
 Assignment.create.requiredParams = ['courseId'];
+Assignment.create.paramSchema = {
+  courseId: { type: 'id' },
+  name: {
+    type: 'string',
+    default: 'Unnamed Assignment',
+  },
+  pointsPossible: { type: 'number' },
+  dueAt: { type: 'date' },
+  lockAt: { type: 'date' },
+  unlockAt: { type: 'date' },
+  description: { type: 'string' },
+  submissionTypes: {
+    type: ['string', 'array'],
+    items: 'string',
+  },
+  allowedExtensions: {
+    type: ['string', 'array'],
+    items: 'string',
+  },
+  gradingType: {
+    type: 'string',
+    enum: [
+      'pass_fail',
+      'percent',
+      'letter_grade',
+      'gpa_scale',
+      'points',
+      'not_graded',
+    ],
+    default: 'points',
+  },
+  position: { type: 'integer' },
+  groupSetId: { type: 'id' },
+  assignmentGroupId: { type: 'id' },
+  assignmentAppId: { type: 'id' },
+  assignmentAppURL: { type: 'string' },
+};
+Assignment.create.invalidates = [
+  'course:{courseId}:assignments',
+  'course:{courseId}:assignment-groups',
+];
 Assignment.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/assignments',
   'url:GET|/api/v1/courses/:course_id/external_tools/:external_tool_id',
@@ -339,6 +436,16 @@ Assignment.delete = function (options) {
 };
 Assignment.delete.action = 'delete an assignment from a course';
 Assignment.delete.requiredParams = ['courseId', 'assignmentId'];
+Assignment.delete.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+};
+Assignment.delete.invalidates = [
+  'course:{courseId}:assignments',
+  'course:{courseId}:submissions',
+  'course:{courseId}:gradebook',
+  'course:{courseId}:assignment-groups',
+];
 Assignment.delete.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/assignments/:id',
 ];
@@ -363,17 +470,22 @@ Assignment.listGradeableStudents = function (options) {
   return this.visitEndpoint({
     path: `${prefix.v1}/courses/${options.courseId}/assignments/${options.assignmentId}/gradeable_students`,
     method: 'GET',
-  })
-    .then((students) => {
-      return Promise.resolve(
-        students.filter((s) => {
-          return !s.fake_student;
-        })
-      );
-    });
+    pagePostProcessor: (page) => {
+      return page.filter((s) => {
+        return !s.fake_student;
+      });
+    },
+  });
 };
 Assignment.listGradeableStudents.action = 'get the list of students who are gradeable in a specific assignment in a course';
 Assignment.listGradeableStudents.requiredParams = ['courseId', 'assignmentId'];
+Assignment.listGradeableStudents.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+};
+Assignment.listGradeableStudents.reads = [
+  'course:{courseId}:assignments',
+];
 Assignment.listGradeableStudents.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignments/:assignment_id/gradeable_students',
 ];
@@ -408,6 +520,15 @@ Assignment.createSubmissionComment.requiredParams = [
   'assignmentId',
   'studentId',
 ];
+Assignment.createSubmissionComment.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  studentId: { type: 'id' },
+  comment: { type: 'string' },
+};
+Assignment.createSubmissionComment.invalidates = [
+  'course:{courseId}:submissions',
+];
 Assignment.createSubmissionComment.scopes = [
   'url:PUT|/api/v1/courses/:course_id/assignments/:assignment_id/submissions/:user_id',
 ];
@@ -445,6 +566,17 @@ Assignment.updateGrade.requiredParams = [
   'assignmentId',
   'studentId',
 ];
+Assignment.updateGrade.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  studentId: { type: 'id' },
+  points: { type: 'number' },
+  comment: { type: 'string' },
+};
+Assignment.updateGrade.invalidates = [
+  'course:{courseId}:submissions',
+  'course:{courseId}:gradebook',
+];
 Assignment.updateGrade.scopes = [
   'url:PUT|/api/v1/courses/:course_id/assignments/:assignment_id/submissions/:user_id',
 ];
@@ -508,6 +640,7 @@ Assignment.updateGrades = function (options) {
     promiseChain = this.api.course.assignment.get({
       courseId: options.courseId,
       assignmentId: options.assignmentId,
+      signal: options.signal,
     })
       .then((assignment) => {
         if (!assignment.rubric) {
@@ -577,143 +710,134 @@ Assignment.updateGrades = function (options) {
   }
 
   /* --- 2. Perform Merge --- */
-  promiseChain = promiseChain.then(() => {
-    return new Promise((resolve, reject) => {
-      // Pull student submissions that need to be merged
-      const _fetchSub = (studentId, next) => {
-        this.api.course.assignment.getSubmission({
-          studentId,
-          courseId: options.courseId,
-          assignmentId: options.assignmentId,
-          includeRubricAssessment: true,
-          excludeUser: true, // Save request space
-        })
-          .then((response) => {
-            return next(null, response);
-          })
-          .catch((err) => {
-            return next(err);
+  promiseChain = promiseChain
+    .then(() => {
+      // Pull student submissions that need to be merged, 10 at a time
+      return runBulk({
+        items: studentsToMerge,
+        concurrency: 10,
+        signal: options.signal,
+        task: (studentId) => {
+          return this.api.course.assignment.getSubmission({
+            studentId,
+            courseId: options.courseId,
+            assignmentId: options.assignmentId,
+            includeRubricAssessment: true,
+            excludeUser: true, // Save request space
+            signal: options.signal,
           });
-      };
-
-      // Pull all student submissions, 20 at a time
-      async.mapLimit(studentsToMerge, 10, _fetchSub, (err, subs) => {
-        if (err) {
-          return reject(err);
-        }
+        },
+      });
+    })
+    .then(({ succeeded, failed }) => {
+      // We can't merge without every submission
+      if (failed.length > 0) {
+        throw failed[0].error;
+      }
+      const subs = succeeded.map((fetched) => {
+        return fetched.result;
+      });
 
-        try {
-          // Prep for merge (if applicable)
-          const params = {};
-
-          if (subs.length > 0) {
-            // Keep track of which items are being overwritten
-            const overwritingMap = {};
-            // ^ {studentId => rubricId => {
-            //      points: true/false, is being overwritten,
-            //      comment: true/false, is being overwritten
-            //    }}
-            options.gradeItems.forEach((gradeItem) => {
-              if (!gradeItem.rubricId) {
-                // No need to keep track of non-rubric item updates
-                // (these are not being merged)
-                return;
-              }
-              const sid = gradeItem.studentId;
-              const rid = gradeItem.rubricId;
-              // Initialize map if needed
-              if (!overwritingMap[sid]) {
-                overwritingMap[sid] = {};
-              }
-              if (!overwritingMap[sid][rid]) {
-                overwritingMap[sid][rid] = {};
-              }
-              // Save points and comments
-              if (gradeItem.points !== undefined) {
-                overwritingMap[sid][rid].points = true;
-              }
-              if (gradeItem.comment !== undefined) {
-                overwritingMap[sid][rid].comment = true;
-              }
-            });
+      // Prep for merge (if applicable)
+      const params = {};
 
-            // Perform actual merge
-            subs.forEach((sub) => {
-              if (!sub.rubric_assessment) {
-                // No need to merge: submission has no rubric content yet
-                return;
-              }
-              const sid = sub.user_id;
-              // Loop through rubric items and merge
-              Object.keys(sub.rubric_assessment).forEach((rubricId) => {
-                // Get previous values
-                const oldPoints = sub.rubric_assessment[rubricId].points;
-                const oldComment = sub.rubric_assessment[rubricId].comments;
-
-                // Check if we're overwriting these values
-                let overwritePoints;
-                let overwriteComment;
-                if (overwritingMap[sid] && overwritingMap[sid][rubricId]) {
-                  overwritePoints = overwritingMap[sid][rubricId].points;
-                  overwriteComment = overwritingMap[sid][rubricId].comment;
-                }
+      if (subs.length > 0) {
+        // Keep track of which items are being overwritten
+        const overwritingMap = {};
+        // ^ {studentId => rubricId => {
+        //      points: true/false, is being overwritten,
+        //      comment: true/false, is being overwritten
+        //    }}
+        options.gradeItems.forEach((gradeItem) => {
+          if (!gradeItem.rubricId) {
+            // No need to keep track of non-rubric item updates
+            // (these are not being merged)
+            return;
+          }
+          const sid = gradeItem.studentId;
+          const rid = gradeItem.rubricId;
+          // Initialize map if needed
+          if (!overwritingMap[sid]) {
+            overwritingMap[sid] = {};
+          }
+          if (!overwritingMap[sid][rid]) {
+            overwritingMap[sid][rid] = {};
+          }
+          // Save points and comments
+          if (gradeItem.points !== undefined) {
+            overwritingMap[sid][rid].points = true;
+          }
+          if (gradeItem.comment !== undefined) {
+            overwritingMap[sid][rid].comment = true;
+          }
+        });
 
-                // Add old value
-                if (
-                  oldPoints !== undefined
-                  && oldPoints !== null
-                  && !overwritePoints
-                ) {
-                  // We have an old points val and we're not overwriting it
-                  // (include the old points value)
-                  params[`grade_data[${sid}][rubric_assessment][${rubricId}][points]`] = oldPoints;
-                }
-                if (oldComment && !overwriteComment) {
-                  // We have an old comment and we're not overwriting it
-                  // (include the old comment)
-                  params[`grade_data[${sid}][rubric_assessment][${rubricId}][comments]`] = oldComment;
-                }
-              });
-            });
+        // Perform actual merge
+        subs.forEach((sub) => {
+          if (!sub.rubric_assessment) {
+            // No need to merge: submission has no rubric content yet
+            return;
           }
+          const sid = sub.user_id;
+          // Loop through rubric items and merge
+          Object.keys(sub.rubric_assessment).forEach((rubricId) => {
+            // Get previous values
+            const oldPoints = sub.rubric_assessment[rubricId].points;
+            const oldComment = sub.rubric_assessment[rubricId].comments;
+
+            // Check if we're overwriting these values
+            let overwritePoints;
+            let overwriteComment;
+            if (overwritingMap[sid] && overwritingMap[sid][rubricId]) {
+              overwritePoints = overwritingMap[sid][rubricId].points;
+              overwriteComment = overwritingMap[sid][rubricId].comment;
+            }
 
-          // Add rest of grade item updates to params
-          options.gradeItems.forEach((gradeItem) => {
-            if (gradeItem.rubricId) {
-              if (gradeItem.points !== undefined) {
-                params[`grade_data[${gradeItem.studentId}][rubric_assessment][${gradeItem.rubricId}][points]`] = gradeItem.points;
-              }
-              if (gradeItem.comment) {
-                params[`grade_data[${gradeItem.studentId}][rubric_assessment][${gradeItem.rubricId}][comments]`] = gradeItem.comment;
-              }
-            } else {
-              if (gradeItem.points !== undefined) {
-                params[`grade_data[${gradeItem.studentId}][posted_grade]`] = gradeItem.points;
-              }
-              if (gradeItem.comment) {
-                params[`grade_data[${gradeItem.studentId}][text_comment]`] = gradeItem.comment;
-              }
+            // Add old value
+            if (
+              oldPoints !== undefined
+              && oldPoints !== null
+              && !overwritePoints
+            ) {
+              // We have an old points val and we're not overwriting it
+              // (include the old points value)
+              params[`grade_data[${sid}][rubric_assessment][${rubricId}][points]`] = oldPoints;
+            }
+            if (oldComment && !overwriteComment) {
+              // We have an old comment and we're not overwriting it
+              // (include the old comment)
+              params[`grade_data[${sid}][rubric_assessment][${rubricId}][comments]`] = oldComment;
             }
           });
+        });
+      }
 
-          // Send request
-          this.visitEndpoint({
-            params,
-            path: `${prefix.v1}/courses/${options.courseId}/assignments/${options.assignmentId}/submissions/update_grades`,
-            method: 'POST',
-          })
-            .then((response) => {
-              return resolve(response);
-            })
-            .catch((updateGradesErr) => {
-              return reject(updateGradesErr);
-            });
-        } catch (mergeError) {
-          return reject(mergeError);
+      // Add rest of grade item updates to params
+      options.gradeItems.forEach((gradeItem) => {
+        if (gradeItem.rubricId) {
+          if (gradeItem.points !== undefined) {
+            params[`grade_data[${gradeItem.studentId}][rubric_assessment][${gradeItem.rubricId}][points]`] = gradeItem.points;
+          }
+          if (gradeItem.comment) {
+            params[`grade_data[${gradeItem.studentId}][rubric_assessment][${gradeItem.rubricId}][comments]`] = gradeItem.comment;
+          }
+        } else {
+          if (gradeItem.points !== undefined) {
+            params[`grade_data[${gradeItem.studentId}][posted_grade]`] = gradeItem.points;
+          }
+          if (gradeItem.comment) {
+            params[`grade_data[${gradeItem.studentId}][text_comment]`] = gradeItem.comment;
+          }
         }
       });
+
+      // Send request
+      return this.visitEndpoint({
+        params,
+        path: `${prefix.v1}/courses/${options.courseId}/assignments/${options.assignmentId}/submissions/update_grades`,
+        method: 'POST',
+      });
     });
-  });
 
   /* --- 3. Wait for completion (if applicable) --- */
   if (options.waitForCompletion) {
@@ -722,6 +846,7 @@ Assignment.updateGrades = function (options) {
         progress,
         visitEndpoint: this.visitEndpoint,
         timeout: options.waitForCompletionTimeout,
+        signal: options.signal,
       });
     });
   }
@@ -734,6 +859,22 @@ Assignment.updateGrades.requiredParams = [
   'assignmentId',
   'gradeItems',
 ];
+Assignment.updateGrades.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  gradeItems: {
+    type: 'array',
+    items: 'object',
+  },
+  waitForCompletionTimeout: {
+    type: 'number',
+    default: 2,
+  },
+};
+Assignment.updateGrades.invalidates = [
+  'course:{courseId}:submissions',
+  'course:{courseId}:gradebook',
+];
 Assignment.updateGrades.scopes = [
   Assignment.get,
   Assignment.getSubmission,
@@ -754,7 +895,7 @@ Assignment.updateGrades.scopes = [
  * @param {object} options - object containing all arguments
  * @param {number} options.courseId - Canvas course id to query
  * @param {number} options.assignmentId - Canvas assignment id to look up
- * @return {AssignmentOverride} list of Canvas AssignmentOverrides {@link https://canvas.instructure.com/doc/api/assignments.html#AssignmentOverride}
+ * @return {AssignmentOverride[]} list of Canvas AssignmentOverrides {@link https://canvas.instructure.com/doc/api/assignments.html#AssignmentOverride}
  */
 Assignment.listOverrides = function (options) {
   return this.visitEndpoint({
@@ -764,6 +905,13 @@ Assignment.listOverrides = function (options) {
 };
 Assignment.listOverrides.action = 'get a list of assignment overrides for a specific assignment in a course';
 Assignment.listOverrides.requiredParams = ['courseId', 'assignmentId'];
+Assignment.listOverrides.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+};
+Assignment.listOverrides.reads = [
+  'course:{courseId}:assignments',
+];
 Assignment.listOverrides.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignments/:assignment_id/overrides',
 ];
@@ -789,6 +937,14 @@ Assignment.getOverride = function (options) {
 };
 Assignment.getOverride.action = 'get a list of assignment overrides for a specific assignment in a course';
 Assignment.getOverride.requiredParams = ['courseId', 'assignmentId'];
+Assignment.getOverride.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  overrideId: { type: 'id' },
+};
+Assignment.getOverride.reads = [
+  'course:{courseId}:assignments',
+];
 Assignment.getOverride.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignments/:assignment_id/overrides/:id',
 ];
@@ -879,6 +1035,30 @@ Assignment.createOverride.requiredParams = [
   'courseId',
   'assignmentId',
 ];
+Assignment.createOverride.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  studentIds: {
+    type: 'array',
+    items: 'id',
+    excludes: ['groupId', 'sectionId'],
+  },
+  groupId: {
+    type: 'id',
+    excludes: ['studentIds', 'sectionId'],
+  },
+  sectionId: {
+    type: 'id',
+    excludes: ['studentIds', 'groupId'],
+  },
+  title: { type: 'string' },
+  dueAt: { type: 'date' },
+  lockAt: { type: 'date' },
+  unlockAt: { type: 'date' },
+};
+Assignment.createOverride.invalidates = [
+  'course:{courseId}:assignments',
+];
 Assignment.createOverride.scopes = [
   'url:POST|/api/v1/courses/:course_id/assignments/:assignment_id/overrides',
 ];
@@ -956,6 +1136,22 @@ Assignment.updateOverride.requiredParams = [
   'assignmentId',
   'overrideId',
 ];
+Assignment.updateOverride.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  overrideId: { type: 'id' },
+  studentIds: {
+    type: 'array',
+    items: 'id',
+  },
+  title: { type: 'string' },
+  dueAt: { type: 'date' },
+  lockAt: { type: 'date' },
+  unlockAt: { type: 'date' },
+};
+Assignment.updateOverride.invalidates = [
+  'course:{courseId}:assignments',
+];
 Assignment.updateOverride.scopes = [
   'url:PUT|/api/v1/courses/:course_id/assignments/:assignment_id/overrides/:id',
 ];
@@ -991,6 +1187,14 @@ Assignment.deleteOverride.requiredParams = [
   'assignmentId',
   'overrideId',
 ];
+Assignment.deleteOverride.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  overrideId: { type: 'id' },
+};
+Assignment.deleteOverride.invalidates = [
+  'course:{courseId}:assignments',
+];
 Assignment.deleteOverride.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/assignments/:assignment_id/overrides/:id',
 ];
@@ -1092,9 +1296,19 @@ Assignment.listSubmissions = function (options) {
 };
 Assignment.listSubmissions.action = 'list the submissions to a specific assignment in a course';
 Assignment.listSubmissions.requiredParams = ['courseId', 'assignmentId'];
+Assignment.listSubmissions.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+};
+Assignment.listSubmissions.reads = [
+  'course:{courseId}:submissions',
+];
 Assignment.listSubmissions.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignments/:assignment_id/submissions',
 ];
+// The test student is filtered out of the full list, so pages can't be
+// streamed
+Assignment.listSubmissions.streamable = false;
 
 /**
  * Lists the submissions for a batch of assignment/students in a course
@@ -1162,6 +1376,30 @@ Assignment.listAllSubmissions = function (options) {
 };
 Assignment.listAllSubmissions.action = 'list a batch of submissions in a course';
 Assignment.listAllSubmissions.requiredParams = ['courseId'];
+Assignment.listAllSubmissions.paramSchema = {
+  courseId: { type: 'id' },
+  studentIds: {
+    type: 'array',
+    items: 'id',
+  },
+  assignmentIds: {
+    type: 'array',
+    items: 'id',
+  },
+  submittedSince: { type: 'date' },
+  gradedSince: { type: 'date' },
+  workflowState: {
+    type: 'string',
+    enum: ['submitted', 'unsubmitted', 'graded', 'pending_review'],
+  },
+  enrollmentState: {
+    type: 'string',
+    enum: ['active', 'concluded'],
+  },
+};
+Assignment.listAllSubmissions.reads = [
+  'course:{courseId}:submissions',
+];
 Assignment.listAllSubmissions.scopes = [
   'url:GET|/api/v1/courses/:course_id/students/submissions',
 ];
@@ -1204,6 +1442,14 @@ Assignment.getSubmission.requiredParams = [
   'assignmentId',
   'studentId',
 ];
+Assignment.getSubmission.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  studentId: { type: 'id' },
+};
+Assignment.getSubmission.reads = [
+  'course:{courseId}:submissions',
+];
 Assignment.getSubmission.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignments/:assignment_id/submissions/:user_id',
 ];
@@ -1260,6 +1506,16 @@ Assignment.createTextSubmission.requiredParams = [
   'assignmentId',
   'text',
 ];
+Assignment.createTextSubmission.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  text: { type: 'string' },
+  currentUserId: { type: 'id' },
+  comment: { type: 'string' },
+};
+Assignment.createTextSubmission.invalidates = [
+  'course:{courseId}:submissions',
+];
 Assignment.createTextSubmission.scopes = [
   getCurrentUserId,
   'url:POST|/api/v1/courses/:course_id/assignments/:assignment_id/submissions',
@@ -1317,6 +1573,16 @@ Assignment.createURLSubmission.requiredParams = [
   'assignmentId',
   'url',
 ];
+Assignment.createURLSubmission.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  url: { type: 'string' },
+  currentUserId: { type: 'id' },
+  comment: { type: 'string' },
+};
+Assignment.createURLSubmission.invalidates = [
+  'course:{courseId}:submissions',
+];
 Assignment.createURLSubmission.scopes = [
   getCurrentUserId,
   'url:POST|/api/v1/courses/:course_id/assignments/:assignment_id/submissions',
@@ -1356,10 +1622,10 @@ Assignment.createFileSubmission = function (options) {
       }
 
 
-      // Function that uploads an individual file
-      const uploadFile = (filename, next) => {
+      // Function that uploads an individual file and resolves with its id
+      const uploadFile = (filename) => {
         // 1. Prepare the file upload (create a slot to upload into)
-        this.visitEndpoint({
+        return this.visitEndpoint({
           path: `${prefix.v1}/courses/${options.courseId}/assignments/${options.assignmentId}/submissions/self/files`,
           method: 'POST',
           params: {
@@ -1390,68 +1656,64 @@ Assignment.createFileSubmission = function (options) {
                   || !res.headers.location
                 ) {
                   return uploadReject(new CACCLError({
-                    message: `We could not upload the submission file to Canvas because an error occurred: "${err.message}". If this isn't expected, please contact an admin.`,
+                    message: `We could not upload the submission file to Canvas because an error occurred: "${err ? err.message : 'Canvas did not return the location of the file'}". If this isn't expected, please contact an admin.`,
                     code: errorCodes.submissionFileUploadFailed,
                   }));
                 }
 
-                // Send POST request to activate the file
-                const parsed = urlLib.parse(res.headers.location);
-                this.visitEndpoint({
-                  host: parsed.hostname,
-                  path: parsed.path,
-                  method: 'POST',
-                })
-                  .then((verifyResponse) => {
-                    // File verified! Continue with file id
-                    return next(null, verifyResponse.id);
-                  })
-                  .catch((verifyError) => {
-                    return next(new CACCLError({
-                      message: `We could not activate a submission file after it was uploaded because we ran into an error: "${verifyError.message}". If this isn't expected, please contact an admin.`,
-                      code: errorCodes.submissionFileActivateFailed,
-                    }));
-                  });
+                return uploadResolve(res.headers.location);
               });
             });
-          });
-      };
-
-      return new Promise((resolve, reject) => {
-        // Now that we have a function  upload one file,
-        // upload all files in parallel (3 at a time max)
-        async.mapLimit(
-          options.filenames,
-          3,
-          uploadFile,
-          (err, fileIds) => {
-            if (err) {
-              // At least one file failed
-              return reject(err);
-            }
-
-            // All files succeeded! Continue and submit the assignment
-            this.visitEndpoint({
-              path: `${prefix.v1}/courses/${options.courseId}/assignments/${options.assignmentId}/submissions`,
+          })
+          .then((location) => {
+            // 3. Send POST request to activate the file
+            const parsed = urlLib.parse(location);
+            return this.visitEndpoint({
+              host: parsed.hostname,
+              path: parsed.path,
               method: 'POST',
-              params: {
-                'submission[submission_type]': 'online_upload',
-                'submission[file_ids]': fileIds,
-                'comment[text_comment]':
-                  utils.includeIfTruthy(options.comment),
-              },
             })
-              .then((response) => {
-                // Resolve the sendSubmissionPromise now that actual
-                // submission was made
-                return resolve(response);
-              })
-              .catch((submitError) => {
-                return reject(submitError);
+              .catch((verifyError) => {
+                throw new CACCLError({
+                  message: `We could not activate a submission file after it was uploaded because we ran into an error: "${verifyError.message}". If this isn't expected, please contact an admin.`,
+                  code: errorCodes.submissionFileActivateFailed,
+                });
               });
-          }
-        );
+          })
+          .then((verifyResponse) => {
+            // File verified! Continue with file id
+            return verifyResponse.id;
+          });
+      };
+
+      // Upload all files in parallel (3 at a time max)
+      return runBulk({
+        items: options.filenames,
+        concurrency: 3,
+        signal: options.signal,
+        task: uploadFile,
       })
+        .then(({ succeeded, failed }) => {
+          if (failed.length > 0) {
+            // At least one file failed
+            throw failed[0].error;
+          }
+          const fileIds = succeeded.map((uploaded) => {
+            return uploaded.result;
+          });
+
+          // All files succeeded! Continue and submit the assignment
+          return this.visitEndpoint({
+            path: `${prefix.v1}/courses/${options.courseId}/assignments/${options.assignmentId}/submissions`,
+            method: 'POST',
+            params: {
+              'submission[submission_type]': 'online_upload',
+              'submission[file_ids]': fileIds,
+              'comment[text_comment]':
+                utils.includeIfTruthy(options.comment),
+            },
+          });
+        })
         .catch((prepError) => {
           throw new CACCLError({
             message: `We could not prep Canvas to accept a new submission file because we ran into an error: "${prepError.message}". If you think this isn't expected, please contact an admin.`,
@@ -1476,6 +1738,19 @@ Assignment.createFileSubmission.requiredParams = [
   'assignmentId',
   'filenames',
 ];
+Assignment.createFileSubmission.paramSchema = {
+  courseId: { type: 'id' },
+  assignmentId: { type: 'id' },
+  filenames: {
+    type: 'array',
+    items: 'string',
+  },
+  currentUserId: { type: 'id' },
+  comment: { type: 'string' },
+};
+Assignment.createFileSubmission.invalidates = [
+  'course:{courseId}:submissions',
+];
 Assignment.createFileSubmission.scopes = [
   getCurrentUserId,
   'url:POST|/api/v1/courses/:course_id/assignments/:assignment_id/submissions',
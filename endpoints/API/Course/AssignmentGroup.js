@@ -36,6 +36,9 @@ AssignmentGroup.list = function (options) {
 };
 AssignmentGroup.list.action = 'list the assignment groups in a course';
 AssignmentGroup.list.requiredParams = ['courseId'];
+AssignmentGroup.list.reads = [
+  'course:{courseId}:assignment-groups',
+];
 AssignmentGroup.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignment_groups',
 ];
@@ -70,6 +73,9 @@ AssignmentGroup.get.requiredParams = [
   'courseId',
   'assignmentGroupId',
 ];
+AssignmentGroup.get.reads = [
+  'course:{courseId}:assignment-groups',
+];
 AssignmentGroup.get.scopes = [
   'url:GET|/api/v1/courses/:course_id/assignment_groups/:assignment_group_id',
 ];
@@ -100,6 +106,9 @@ AssignmentGroup.update = function (options) {
 };
 AssignmentGroup.update.action = 'update an assignment group in a course';
 AssignmentGroup.update.requiredParams = ['courseId', 'assignmentGroupId'];
+AssignmentGroup.update.invalidates = [
+  'course:{courseId}:assignment-groups',
+];
 AssignmentGroup.update.scopes = [
   'url:PUT|/api/v1/courses/:course_id/assignment_groups/:assignment_group_id',
 ];
@@ -129,6 +138,9 @@ AssignmentGroup.create = function (options) {
 };
 AssignmentGroup.create.action = 'create a new assignment group in a course';
 AssignmentGroup.create.requiredParams = ['courseId', 'name'];
+AssignmentGroup.create.invalidates = [
+  'course:{courseId}:assignment-groups',
+];
 AssignmentGroup.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/assignment_groups',
 ];
@@ -167,6 +179,12 @@ AssignmentGroup.delete = function (options) {
 };
 AssignmentGroup.delete.action = 'delete an assignment group from a course';
 AssignmentGroup.delete.requiredParams = ['courseId', 'assignmentGroupId'];
+AssignmentGroup.delete.invalidates = [
+  'course:{courseId}:assignment-groups',
+  'course:{courseId}:assignments',
+  'course:{courseId}:submissions',
+  'course:{courseId}:gradebook',
+];
 AssignmentGroup.delete.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/assignment_groups/:assignment_group_id',
 ];
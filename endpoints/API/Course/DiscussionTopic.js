@@ -58,6 +58,9 @@ DiscussionTopic.list = function (options) {
 };
 DiscussionTopic.list.action = 'get the list of discussion topics in a course';
 DiscussionTopic.list.requiredParams = ['courseId'];
+DiscussionTopic.list.reads = [
+  'course:{courseId}:discussion-topics',
+];
 DiscussionTopic.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/discussion_topics',
 ];
@@ -119,6 +122,10 @@ DiscussionTopic.create = function (options) {
 };
 DiscussionTopic.create.action = 'create a discussion topic in a course';
 DiscussionTopic.create.requiredParams = ['courseId', 'title', 'message'];
+DiscussionTopic.create.invalidates = [
+  'course:{courseId}:discussion-topics',
+  'course:{courseId}:announcements',
+];
 DiscussionTopic.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/discussion_topics',
 ];
@@ -144,6 +151,10 @@ DiscussionTopic.delete = function (options) {
 };
 DiscussionTopic.delete.action = 'delete a discussion topic from a course';
 DiscussionTopic.delete.requiredParams = ['courseId', 'topicId'];
+DiscussionTopic.delete.invalidates = [
+  'course:{courseId}:discussion-topics',
+  'course:{courseId}:announcements',
+];
 DiscussionTopic.delete.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/discussion_topics/:topic_id',
 ];
@@ -169,6 +180,9 @@ DiscussionTopic.listEntries = function (options) {
 };
 DiscussionTopic.listEntries.action = 'list entries in a discussion topic in a course';
 DiscussionTopic.listEntries.requiredParams = ['courseId', 'topicId'];
+DiscussionTopic.listEntries.reads = [
+  'course:{courseId}:discussion-topics',
+];
 DiscussionTopic.listEntries.scopes = [
   'url:GET|/api/v1/courses/:course_id/discussion_topics/:topic_id/entries',
 ];
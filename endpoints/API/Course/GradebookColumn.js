@@ -51,6 +51,9 @@ GradebookColumn.list = function (options) {
 };
 GradebookColumn.list.action = 'get the list of gradebook columns in a course';
 GradebookColumn.list.requiredParams = ['courseId'];
+GradebookColumn.list.reads = [
+  'course:{courseId}:gradebook',
+];
 GradebookColumn.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/custom_gradebook_columns',
 ];
@@ -75,6 +78,7 @@ GradebookColumn.get = function (options) {
   return this.api.course.gradebookColumn.list({
     courseId: options.courseId,
     includeHidden: options.isHidden,
+    signal: options.signal,
   })
     .then((columns) => {
       for (let i = 0; i < columns.length; i++) {
@@ -130,6 +134,9 @@ GradebookColumn.update = function (options) {
 };
 GradebookColumn.update.action = 'update a gradebook column\'s information';
 GradebookColumn.update.requiredParams = ['courseId', 'columnId'];
+GradebookColumn.update.invalidates = [
+  'course:{courseId}:gradebook',
+];
 GradebookColumn.update.scopes = [
   'url:PUT|/api/v1/courses/:course_id/custom_gradebook_columns/:id',
 ];
@@ -164,6 +171,9 @@ GradebookColumn.create = function (options) {
 };
 GradebookColumn.create.action = 'create a new gradebook column in a course';
 GradebookColumn.create.requiredParams = ['courseId'];
+GradebookColumn.create.invalidates = [
+  'course:{courseId}:gradebook',
+];
 GradebookColumn.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/custom_gradebook_columns',
 ];
@@ -188,6 +198,9 @@ GradebookColumn.delete = function (options) {
 };
 GradebookColumn.delete.action = 'delete a gradebook column from a course';
 GradebookColumn.delete.requiredParams = ['courseId', 'columnId'];
+GradebookColumn.delete.invalidates = [
+  'course:{courseId}:gradebook',
+];
 GradebookColumn.delete.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/custom_gradebook_columns/:id',
 ];
@@ -219,6 +232,9 @@ GradebookColumn.listEntries = function (options) {
 };
 GradebookColumn.listEntries.action = 'get the list of entries in a specific gradebook column in a course';
 GradebookColumn.listEntries.requiredParams = ['courseId', 'columnId'];
+GradebookColumn.listEntries.reads = [
+  'course:{courseId}:gradebook',
+];
 GradebookColumn.listEntries.scopes = [
   'url:GET|/api/v1/courses/:course_id/custom_gradebook_columns/:id/data',
 ];
@@ -262,6 +278,9 @@ GradebookColumn.updateEntry.requiredParams = [
   'studentId',
   'content',
 ];
+GradebookColumn.updateEntry.invalidates = [
+  'course:{courseId}:gradebook',
+];
 GradebookColumn.updateEntry.scopes = [
   'url:PUT|/api/v1/courses/:course_id/custom_gradebook_columns/:id/data/:user_id',
 ];
@@ -310,6 +329,7 @@ GradebookColumn.updateEntries = function (options) {
               visitEndpoint: this.visitEndpoint,
               progress,
               timeout: options.waitForCompletionTimeout,
+              signal: options.signal,
             });
           }
         });
@@ -321,6 +341,9 @@ GradebookColumn.updateEntries.requiredParams = [
   'columnId',
   'entries',
 ];
+GradebookColumn.updateEntries.invalidates = [
+  'course:{courseId}:gradebook',
+];
 GradebookColumn.updateEntries.scopes = [
   'url:PUT|/api/v1/courses/:course_id/custom_gradebook_column_data',
 ];
@@ -23,6 +23,32 @@ class Group extends EndpointCategory {
 /*                             Group Endpoints                            */
 /*------------------------------------------------------------------------*/
 
+/**
+ * Gets the list of groups in a course
+ * @author Gabe Abrams
+ * @method list
+ * @memberof api.course.group
+ * @instance
+ * @async
+ * @param {object} options - object containing all arguments
+ * @param {number} options.courseId - Canvas course Id
+ * @return {Group[]} list of Canvas Groups {@link https://canvas.instructure.com/doc/api/groups.html#Group}
+ */
+Group.list = function (options) {
+  return this.visitEndpoint({
+    path: `${prefix.v1}/courses/${options.courseId}/groups`,
+    method: 'GET',
+  });
+};
+Group.list.action = 'get the list of groups in a course';
+Group.list.requiredParams = ['courseId'];
+Group.list.reads = [
+  'course:{courseId}:groups',
+];
+Group.list.scopes = [
+  'url:GET|/api/v1/courses/:course_id/groups',
+];
+
 /**
  * Gets info on a specific group in a course
  * @author Gabe Abrams
@@ -42,6 +68,9 @@ Group.get = function (options) {
 };
 Group.get.action = 'get info on a specific group in a course';
 Group.get.requiredParams = ['groupId'];
+Group.get.reads = [
+  'group:{groupId}',
+];
 Group.get.scopes = [
   'url:GET|/api/v1/groups/:group_id',
 ];
@@ -71,6 +100,9 @@ Group.listMembers = function (options) {
 };
 Group.listMembers.action = 'get the list of members in a specific group';
 Group.listMembers.requiredParams = ['groupId'];
+Group.listMembers.reads = [
+  'group:{groupId}:members',
+];
 Group.listMembers.scopes = [
   'url:GET|/api/v1/groups/:group_id/users',
 ];
@@ -105,6 +137,10 @@ Group.updateMembers = function (options) {
 };
 Group.updateMembers.action = 'update the list of members in a group';
 Group.updateMembers.requiredParams = ['groupId'];
+Group.updateMembers.invalidates = [
+  'group:{groupId}',
+  'group:{groupId}:members',
+];
 Group.updateMembers.scopes = [
   'url:PUT|/api/v1/groups/:group_id',
 ];
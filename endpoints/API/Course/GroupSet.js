@@ -45,6 +45,9 @@ GroupSet.list = function (options) {
 };
 GroupSet.list.action = 'get the list of group sets in a course';
 GroupSet.list.requiredParams = ['courseId'];
+GroupSet.list.reads = [
+  'course:{courseId}:group-sets',
+];
 GroupSet.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/group_categories',
 ];
@@ -68,6 +71,9 @@ GroupSet.get = function (options) {
 };
 GroupSet.get.action = 'get info on a specific group set in a course';
 GroupSet.get.requiredParams = ['groupSetId'];
+GroupSet.get.reads = [
+  'group-set:{groupSetId}',
+];
 GroupSet.get.scopes = [
   'url:GET|/api/v1/group_categories/:group_category_id',
 ];
@@ -101,6 +107,9 @@ GroupSet.create = function (options) {
 };
 GroupSet.create.action = 'create a new group set in a course';
 GroupSet.create.requiredParams = ['courseId', 'name'];
+GroupSet.create.invalidates = [
+  'course:{courseId}:group-sets',
+];
 GroupSet.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/group_categories',
 ];
@@ -131,6 +140,12 @@ GroupSet.delete = function (options) {
 };
 GroupSet.delete.action = 'delete a specific group set from a course';
 GroupSet.delete.requiredParams = ['courseId', 'groupSetId'];
+GroupSet.delete.invalidates = [
+  'course:{courseId}:group-sets',
+  'group-set:{groupSetId}',
+  'group-set:{groupSetId}:groups',
+  'course:{courseId}:groups',
+];
 GroupSet.delete.scopes = [
   'url:DELETE|/api/v1/group_categories/:group_category_id',
 ];
@@ -158,6 +173,9 @@ GroupSet.listGroups = function (options) {
 };
 GroupSet.listGroups.action = 'get the list of groups in a group set';
 GroupSet.listGroups.requiredParams = ['groupSetId'];
+GroupSet.listGroups.reads = [
+  'group-set:{groupSetId}:groups',
+];
 GroupSet.listGroups.scopes = [
   'url:GET|/api/v1/group_categories/:group_category_id/groups',
 ];
@@ -219,6 +237,12 @@ GroupSet.createGroup = function (options) {
 };
 GroupSet.createGroup.action = 'create a new group in a group set';
 GroupSet.createGroup.requiredParams = ['courseId', 'groupSetId'];
+GroupSet.createGroup.invalidates = [
+  'course:{courseId}:group-sets',
+  'group-set:{groupSetId}',
+  'group-set:{groupSetId}:groups',
+  'course:{courseId}:groups',
+];
 GroupSet.createGroup.scopes = [
   'url:POST|/api/v1/group_categories/:group_category_id/groups',
 ];
@@ -233,6 +257,8 @@ GroupSet.createGroup.scopes = [
  * @param {object} options - object containing all arguments
  * @param {number} options.groupSetId - Canvas group set Id
  * @param {number} options.groupId - Canvas group Id to delete
+ * @param {number} [options.courseId] - Canvas course Id. If included, the
+ *   course's cached lists of groups and group sets are also uncached
  * @return {Group} Canvas Group {@link https://canvas.instructure.com/doc/api/groups.html#Group}
  */
 GroupSet.deleteGroup = function (options) {
@@ -249,6 +275,14 @@ GroupSet.deleteGroup = function (options) {
 };
 GroupSet.deleteGroup.action = 'delete a specific group from a group set';
 GroupSet.deleteGroup.requiredParams = ['groupSetId', 'groupId'];
+GroupSet.deleteGroup.invalidates = [
+  'group-set:{groupSetId}:groups',
+  'group:{groupId}',
+  'group:{groupId}:members',
+  'course:{courseId}:group-sets',
+  'course:{courseId}:groups',
+  'group-set:{groupSetId}',
+];
 GroupSet.deleteGroup.scopes = [
   'url:DELETE|/api/v1/groups/:group_id',
 ];
@@ -38,6 +38,9 @@ NavMenuItem.list = function (options) {
 };
 NavMenuItem.list.action = 'get the list of nav menu items in a course';
 NavMenuItem.list.requiredParams = ['courseId'];
+NavMenuItem.list.reads = [
+  'course:{courseId}:nav-menu-items',
+];
 NavMenuItem.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/tabs',
 ];
@@ -91,7 +94,10 @@ NavMenuItem.update = function (options) {
   }
 
   // Get the list of nav menu items
-  return this.api.course.navMenuItem.list({ courseId: options.courseId })
+  return this.api.course.navMenuItem.list({
+    courseId: options.courseId,
+    signal: options.signal,
+  })
     .then((items) => {
       // Find the item we are looking for
       let item;
@@ -195,6 +201,9 @@ NavMenuItem.update = function (options) {
 };
 NavMenuItem.update.action = 'update a nav menu item in a course';
 NavMenuItem.update.requiredParams = ['courseId'];
+NavMenuItem.update.invalidates = [
+  'course:{courseId}:nav-menu-items',
+];
 NavMenuItem.update.scopes = [
   NavMenuItem.list,
   'url:GET|/api/v1/courses/:course_id/tabs',
@@ -36,6 +36,9 @@ Page.list = function (options) {
 };
 Page.list.action = 'get the list of pages in a course';
 Page.list.requiredParams = ['courseId'];
+Page.list.reads = [
+  'course:{courseId}:pages',
+];
 Page.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/pages',
 ];
@@ -61,6 +64,9 @@ Page.get = function (options) {
 };
 Page.get.action = 'get info on a specific page in a course';
 Page.get.requiredParams = ['courseId', 'pageURL'];
+Page.get.reads = [
+  'course:{courseId}:pages',
+];
 Page.get.scopes = [
   'url:GET|/api/v1/courses/:course_id/pages/:url',
 ];
@@ -73,7 +79,7 @@ Page.get.scopes = [
  * @instance
  * @async
  * @param {object} options - object containing all arguments
- * @param {number} options.courseID - Canvas course ID holding the page to
+ * @param {number} options.courseId - Canvas course Id holding the page to
  *   update
  * @param {string} options.pageURL - Canvas page url (just the last part of
  *   path)
@@ -106,6 +112,9 @@ Page.update = function (options) {
 };
 Page.update.action = 'update a specific page in a course';
 Page.update.requiredParams = ['courseId', 'pageURL'];
+Page.update.invalidates = [
+  'course:{courseId}:pages',
+];
 Page.update.scopes = [
   'url:PUT|/api/v1/courses/:course_id/pages/:url',
 ];
@@ -145,6 +154,9 @@ Page.create = function (options) {
 };
 Page.create.action = 'create a new page in a course';
 Page.create.requiredParams = ['courseId'];
+Page.create.invalidates = [
+  'course:{courseId}:pages',
+];
 Page.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/pages/:url',
 ];
@@ -169,6 +181,9 @@ Page.delete = function (options) {
 };
 Page.delete.action = 'delete a page from a course';
 Page.delete.requiredParams = ['courseId', 'pageURL'];
+Page.delete.invalidates = [
+  'course:{courseId}:pages',
+];
 Page.delete.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/pages/:url',
 ];
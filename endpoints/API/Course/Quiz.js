@@ -50,6 +50,9 @@ Quiz.list = function (options) {
 };
 Quiz.list.action = 'get the list of quizzes in a course';
 Quiz.list.requiredParams = ['courseId'];
+Quiz.list.reads = [
+  'course:{courseId}:quizzes',
+];
 Quiz.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/quizzes',
 ];
@@ -75,6 +78,9 @@ Quiz.get = function (options) {
 };
 Quiz.get.action = 'get info on a specific quiz in a course';
 Quiz.get.requiredParams = ['courseId', 'quizId'];
+Quiz.get.reads = [
+  'course:{courseId}:quizzes',
+];
 Quiz.get.scopes = [
   'url:GET|/api/v1/courses/:course_id/quizzes/:id',
 ];
@@ -211,6 +217,11 @@ Quiz.update = function (options) {
 };
 Quiz.update.action = 'update a specific quiz in a course';
 Quiz.update.requiredParams = ['courseId', 'quizId'];
+Quiz.update.invalidates = [
+  'course:{courseId}:quizzes',
+  'course:{courseId}:assignments',
+  'course:{courseId}:assignment-groups',
+];
 Quiz.update.scopes = [
   'url:PUT|/api/v1/courses/:course_id/quizzes/:id',
 ];
@@ -339,6 +350,11 @@ Quiz.create = function (options) {
 };
 Quiz.create.action = 'update a specific quiz in a course';
 Quiz.create.requiredParams = ['courseId', 'title'];
+Quiz.create.invalidates = [
+  'course:{courseId}:quizzes',
+  'course:{courseId}:assignments',
+  'course:{courseId}:assignment-groups',
+];
 Quiz.create.scopes = [
   'url:POST|/api/v1/courses/:course_id/quizzes',
 ];
@@ -375,6 +391,11 @@ Quiz.delete = function (options) {
 };
 Quiz.delete.action = 'delete a specific quiz from a course';
 Quiz.delete.requiredParams = ['courseId', 'quizId'];
+Quiz.delete.invalidates = [
+  'course:{courseId}:quizzes',
+  'course:{courseId}:assignments',
+  'course:{courseId}:assignment-groups',
+];
 Quiz.delete.scopes = [
   'url:DELETE|/api/v1/courses/:course_id/quizzes/:id',
 ];
@@ -404,6 +425,9 @@ Quiz.listQuestions = function (options) {
 };
 Quiz.listQuestions.action = 'get the list of questions in a specific quiz in a course';
 Quiz.listQuestions.requiredParams = ['courseId', 'quizId'];
+Quiz.listQuestions.reads = [
+  'course:{courseId}:quiz-questions',
+];
 Quiz.listQuestions.scopes = [
   'url:GET|/api/v1/courses/:course_id/quizzes/:quiz_id/questions',
 ];
@@ -476,6 +500,10 @@ Quiz.createMultipleChoiceQuestion.requiredParams = [
   'pointsPossible',
   'answers',
 ];
+Quiz.createMultipleChoiceQuestion.invalidates = [
+  'course:{courseId}:quiz-questions',
+  'course:{courseId}:quizzes',
+];
 Quiz.createMultipleChoiceQuestion.scopes = [
   'url:POST|/api/v1/courses/:course_id/quizzes/:quiz_id/questions',
 ];
@@ -535,6 +563,10 @@ Quiz.createEssayQuestion.requiredParams = [
   'text',
   'pointsPossible',
 ];
+Quiz.createEssayQuestion.invalidates = [
+  'course:{courseId}:quiz-questions',
+  'course:{courseId}:quizzes',
+];
 Quiz.createEssayQuestion.scopes = [
   'url:POST|/api/v1/courses/:course_id/quizzes/:quiz_id/questions',
 ];
@@ -594,6 +626,10 @@ Quiz.createShortAnswerQuestion.requiredParams = [
   'text',
   'pointsPossible',
 ];
+Quiz.createShortAnswerQuestion.invalidates = [
+  'course:{courseId}:quiz-questions',
+  'course:{courseId}:quizzes',
+];
 Quiz.createShortAnswerQuestion.scopes = [
   'url:POST|/api/v1/courses/:course_id/quizzes/:quiz_id/questions',
 ];
@@ -619,13 +655,16 @@ Quiz.listSubmissions = function (options) {
   return this.visitEndpoint({
     path: `${prefix.v1}/courses/${options.courseId}/quizzes/${options.quizId}/submissions`,
     method: 'GET',
-  })
-    .then((response) => {
-      return Promise.resolve(response.quiz_submissions);
-    });
+    pagePostProcessor: (page) => {
+      return page.quiz_submissions;
+    },
+  });
 };
 Quiz.listSubmissions.action = 'get the list of submissions to a specific quiz in a course';
 Quiz.listSubmissions.requiredParams = ['courseId', 'quizId'];
+Quiz.listSubmissions.reads = [
+  'course:{courseId}:quiz-submissions',
+];
 Quiz.listSubmissions.scopes = [
   'url:GET|/api/v1/courses/:course_id/quizzes/:quiz_id/submissions',
 ];
@@ -659,6 +698,9 @@ Quiz.getSubmission.requiredParams = [
   'quizId',
   'submissionId',
 ];
+Quiz.getSubmission.reads = [
+  'course:{courseId}:quiz-submissions',
+];
 Quiz.getSubmission.scopes = [
   'url:GET|/api/v1/courses/:course_id/quizzes/:quiz_id/submissions/:id',
 ];
@@ -740,6 +782,11 @@ Quiz.createSubmission.requiredParams = [
   'quizId',
   'answers',
 ];
+Quiz.createSubmission.invalidates = [
+  'course:{courseId}:quiz-submissions',
+  'course:{courseId}:submissions',
+  'course:{courseId}:gradebook',
+];
 Quiz.createSubmission.scopes = [
   'url:POST|/api/v1/courses/:course_id/quizzes/:quiz_id/submissions',
   'url:POST|/api/v1/quiz_submissions/:quiz_submission_id/questions',
@@ -801,6 +848,7 @@ Quiz.listQuestionGrades = function (options) {
           url: pendingReport.progress_url,
         },
         visitEndpoint: this.visitEndpoint,
+        signal: options.signal,
       });
     })
     .then(() => {
@@ -950,10 +998,15 @@ Quiz.listQuestionGrades = function (options) {
 };
 Quiz.listQuestionGrades.action = 'list quiz question grades for a specific quiz in a course';
 Quiz.listQuestionGrades.requiredParams = ['courseId', 'quizId'];
+Quiz.listQuestionGrades.reads = [
+  'course:{courseId}:quiz-submissions',
+];
 Quiz.listQuestionGrades.scopes = [
   'url:POST|/api/v1/courses/:course_id/quizzes/:quiz_id/reports',
   'url:GET|/api/v1/courses/:course_id/quizzes/:quiz_id/reports/:id',
 ];
+// Grades come from a generated report, not from pages of a list
+Quiz.listQuestionGrades.streamable = false;
 
 /**
  * Updates the question grades for a specific submission to a quiz in a course
@@ -987,6 +1040,7 @@ Quiz.updateQuestionGrades = function (options) {
       courseId: options.courseId,
       quizId: options.quizId,
       submissionId: options.submissionId,
+      signal: options.signal,
     })
       .then((submission) => {
         return Promise.resolve(submission.attempt);
@@ -1030,6 +1084,11 @@ Quiz.updateQuestionGrades.requiredParams = [
   'quizId',
   'submissionId',
 ];
+Quiz.updateQuestionGrades.invalidates = [
+  'course:{courseId}:quiz-submissions',
+  'course:{courseId}:submissions',
+  'course:{courseId}:gradebook',
+];
 Quiz.updateQuestionGrades.scopes = [
   Quiz.getSubmission,
   'url:PUT|/api/v1/courses/:course_id/quizzes/:quiz_id/submissions/:id',
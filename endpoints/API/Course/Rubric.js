@@ -35,6 +35,9 @@ Rubric.list = function (options) {
 };
 Rubric.list.action = 'list all the rubrics in a course';
 Rubric.list.requiredParams = ['courseId'];
+Rubric.list.reads = [
+  'course:{courseId}:rubrics',
+];
 Rubric.list.scopes = [
   'url:GET|/api/v1/courses/:course_id/rubrics',
 ];
@@ -69,6 +72,9 @@ Rubric.get = function (options) {
 };
 Rubric.get.action = 'get info on a specific rubric in a course';
 Rubric.get.requiredParams = ['courseId', 'rubricId'];
+Rubric.get.reads = [
+  'course:{courseId}:rubrics',
+];
 Rubric.get.scopes = [
   'url:GET|/api/v1/courses/:course_id/rubrics/:id',
 ];
@@ -158,6 +164,10 @@ Rubric.createFreeFormGradingRubricInAssignment.requiredParams = [
   'assignmentId',
   'rubricItems',
 ];
+Rubric.createFreeFormGradingRubricInAssignment.invalidates = [
+  'course:{courseId}:rubrics',
+  'course:{courseId}:assignments',
+];
 Rubric.createFreeFormGradingRubricInAssignment.scopes = [
   'url:POST|/api/v1/courses/:course_id/rubrics',
 ];
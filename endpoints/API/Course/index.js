@@ -98,6 +98,9 @@ Course.get = function (options) {
 };
 Course.get.action = 'get info on a specific course';
 Course.get.requiredParams = ['courseId'];
+Course.get.reads = [
+  'course:{courseId}',
+];
 Course.get.scopes = [
   'url:GET|/api/v1/courses/:id',
 ];
@@ -165,6 +168,9 @@ Course.listEnrollments = function (options) {
 };
 Course.listEnrollments.action = 'get enrollments from a course';
 Course.listEnrollments.requiredParams = ['courseId'];
+Course.listEnrollments.reads = [
+  'course:{courseId}:enrollments',
+];
 Course.listEnrollments.scopes = [
   'url:GET|/api/v1/courses/:course_id/enrollments',
 ];
@@ -314,6 +320,9 @@ Course.getUser = function (options) {
 };
 Course.getUser.action = 'get info on a user in a course';
 Course.getUser.requiredParams = ['courseId', 'userId'];
+Course.getUser.reads = [
+  'course:{courseId}:users',
+];
 Course.getUser.scopes = [
   'url:GET|/api/v1/courses/:course_id/users/:id',
 ];
@@ -358,6 +367,9 @@ Course.listUsers = function (options) {
 };
 Course.listUsers.action = 'get info on all users in a course';
 Course.listUsers.requiredParams = ['courseId'];
+Course.listUsers.reads = [
+  'course:{courseId}:users',
+];
 Course.listUsers.scopes = [
   'url:GET|/api/v1/courses/:course_id/users',
 ];
@@ -16,16 +16,17 @@ class Other extends EndpointCategory {
 /*------------------------------------------------------------------------*/
 
 /**
- * Gets info on the current user
+ * Calls any Canvas endpoint
  * @author Gabe Abrams
  * @method endpoint
  * @memberof api.other
  * @instance
- * @param {string} path - the path of the endpoint to call
+ * @param {object} options - object containing all arguments
+ * @param {string} options.path - the path of the endpoint to call
  *   (e.g. /api/v1/courses), just the path: not the host or protocol
- * @param {string} [method=GET] - the http method to use
- * @param {object} [params={}] - the get query params or the post/put/delete
- *   body params
+ * @param {string} [options.method=GET] - the http method to use
+ * @param {object} [options.params={}] - the get query params or the
+ *   post/put/delete body params
  * @return {object} Canvas object
  */
 Other.endpoint = function (options) {
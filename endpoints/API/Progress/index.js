@@ -0,0 +1,133 @@
+/**
+ * Functions for tracking long-running jobs (grade uploads, content
+ *   migrations, reports, etc.)
+ * @namespace api.progress
+ */
+
+const EndpointCategory = require('../../../classes/EndpointCategory');
+const prefix = require('../../common/prefix');
+const utils = require('../../common/utils');
+const waitForCompletion = require('../../common/waitForCompletion');
+
+class Progress extends EndpointCategory {
+  constructor(config) {
+    super(config, Progress);
+  }
+}
+
+/*------------------------------------------------------------------------*/
+/*                                Endpoints                               */
+/*------------------------------------------------------------------------*/
+
+/**
+ * Gets the current state of a job. Progress is never cached because it
+ *   changes while the job runs
+ * @author Gabe Abrams
+ * @method get
+ * @memberof api.progress
+ * @instance
+ * @async
+ * @param {object} options - object containing all arguments
+ * @param {number} options.progressId - the id of the Progress object
+ * @return {Progress} Canvas Progress object {@link https://canvas.instructure.com/doc/api/progress.html#Progress}
+ */
+Progress.get = function (options) {
+  return this.visitEndpoint({
+    path: `${prefix.v1}/progress/${options.progressId}`,
+    method: 'GET',
+    ignoreCache: true,
+    dontCache: true,
+  });
+};
+Progress.get.action = 'get the progress of a job';
+Progress.get.requiredParams = ['progressId'];
+Progress.get.paramSchema = {
+  progressId: { type: 'id' },
+};
+Progress.get.scopes = [
+  'url:GET|/api/v1/progress/:id',
+];
+
+/**
+ * Cancels a job (only works for jobs that Canvas allows to be cancelled)
+ * @author Gabe Abrams
+ * @method cancel
+ * @memberof api.progress
+ * @instance
+ * @async
+ * @param {object} options - object containing all arguments
+ * @param {number} options.progressId - the id of the Progress object
+ * @param {string} [options.message] - a message to store on the Progress
+ *   object explaining why the job was cancelled
+ * @return {Progress} Canvas Progress object {@link https://canvas.instructure.com/doc/api/progress.html#Progress}
+ */
+Progress.cancel = function (options) {
+  return this.visitEndpoint({
+    path: `${prefix.v1}/progress/${options.progressId}/cancel`,
+    method: 'POST',
+    params: {
+      message: utils.includeIfTruthy(options.message),
+    },
+  });
+};
+Progress.cancel.action = 'cancel a job';
+Progress.cancel.requiredParams = ['progressId'];
+Progress.cancel.paramSchema = {
+  progressId: { type: 'id' },
+  message: { type: 'string' },
+};
+Progress.cancel.scopes = [
+  'url:POST|/api/v1/progress/:id/cancel',
+];
+
+/**
+ * Waits for a job to finish. Checks often at first, then less often while
+ *   the job's completion doesn't change. To keep tracking a job after a
+ *   restart, save its progress id and pass it in later
+ * @author Gabe Abrams
+ * @method waitFor
+ * @memberof api.progress
+ * @instance
+ * @async
+ * @param {object} options - object containing all arguments
+ * @param {object|number} options.progress - the Canvas Progress object {@link https://canvas.instructure.com/doc/api/progress.html#Progress}
+ *   returned when the job was started, or its id
+ * @param {function} [options.onUpdate] - function called with the Progress
+ *   object each time the job's state or completion percentage
+ *   (progress.completion, 0-100) changes
+ * @param {object} [options.backoff] - polling intervals:
+ *   { initialMs, maxMs, factor } where initialMs (default: 250) is the number
+ *   of milliseconds to wait between checks at first and after the completion
+ *   changes, the wait is multiplied by factor (default: 1.5) each time the
+ *   completion doesn't change, and maxMs (default: 5000) is the longest wait
+ * @param {number} [options.timeout=no timeout] - the number of minutes to wait
+ *   before giving up (the job keeps running in Canvas)
+ * @return {Progress} the completed Canvas Progress object {@link https://canvas.instructure.com/doc/api/progress.html#Progress}
+ */
+Progress.waitFor = function (options) {
+  return waitForCompletion({
+    progress: options.progress,
+    visitEndpoint: this.visitEndpoint,
+    timeout: options.timeout || Infinity,
+    backoff: options.backoff,
+    onUpdate: options.onUpdate,
+    signal: options.signal,
+  });
+};
+Progress.waitFor.action = 'wait for a job to finish';
+Progress.waitFor.requiredParams = ['progress'];
+Progress.waitFor.paramSchema = {
+  progress: { type: ['object', 'id'] },
+  onUpdate: { type: 'function' },
+  backoff: { type: 'object' },
+  timeout: { type: 'number' },
+};
+Progress.waitFor.scopes = [
+  Progress.get,
+];
+
+/*------------------------------------------------------------------------*/
+/*                                 Export                                 */
+/*------------------------------------------------------------------------*/
+
+module.exports = Progress;
@@ -32,6 +32,9 @@ Self.getProfile = function () {
   });
 };
 Self.getProfile.action = 'get info on the current user';
+Self.getProfile.reads = [
+  'user:self',
+];
 Self.getProfile.scopes = [
   'url:GET|/api/v1/users/:user_id/profile',
 ];
@@ -58,6 +61,9 @@ Self.listCourses = function (options) {
   });
 };
 Self.listCourses.action = 'get the list of courses associated with the current user';
+Self.listCourses.reads = [
+  'user:self:courses',
+];
 Self.listCourses.scopes = [
   'url:GET|/api/v1/courses',
 ];
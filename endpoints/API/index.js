@@ -1,4 +1,5 @@
 const EndpointCategory = require('../../classes/EndpointCategory');
+const genCacheManager = require('../../classes/genCacheManager');
 
 // Import subcategories
 const Account = require('./Account');
@@ -6,11 +7,32 @@ const Conversation = require('./Conversation');
 const Course = require('./Course');
 const GraphQL = require('./GraphQL');
 const Other = require('./Other');
+const Progress = require('./Progress');
 const User = require('./User');
 
 class API extends EndpointCategory {
-  constructor(config) {
+  constructor(config = {}) {
     super(config, API);
+
+    // Expose rate limit quota info
+    this.rateLimit = {
+      /**
+       * Gets the current rate limit quota stats
+       * @return {object|null} stats (see classes/RateLimitThrottler) or null
+       *   if rate limit throttling is turned off
+       */
+      stats: () => {
+        return (
+          config.throttler
+            ? config.throttler.getStats()
+            : null
+        );
+      },
+    };
+
+    // Expose functions for looking at and managing the cache (see
+    // classes/genCacheManager)
+    this.cache = genCacheManager(config.cache);
   }
 }
 
@@ -24,6 +46,7 @@ API.conversation = Conversation;
 API.course = Course;
 API.graphQL = GraphQL;
 API.other = Other;
+API.progress = Progress;
 API.user = User;
 
 /*------------------------------------------------------------------------*/
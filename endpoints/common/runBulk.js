@@ -0,0 +1,160 @@
+/**
+ * Functionality to run many tasks (e.g. one request per item) with limited
+ *   concurrency, collecting per-item successes and failures
+ * @author Gabe Abrams
+ * @module endpoints/common/runBulk
+ * @see module: endpoints/common/runBulk
+ */
+
+const errorCodes = require('../../errorCodes');
+const genAbortedError = require('../../classes/genAbortedError');
+
+/**
+ * Runs a task for each item, a few at a time. One item failing doesn't stop
+ *   the other items from running: the promise resolves with the items that
+ *   succeeded and the items that failed. The only exception is when the
+ *   signal is triggered (or a task is aborted): then we stop starting new
+ *   tasks and reject with an aborted error
+ * @author Gabe Abrams
+ * @param {array} items - the items to run the task on
+ * @param {function} task - function (item, index) => Promise that runs the
+ *   task for one item
+ * @param {number} [concurrency=10] - the max number of tasks to run at once
+ * @param {function} [getKey=index] - function (item, index) => key that
+ *   identifies an item in checkpoints. Keys must be JSON-serializable
+ * @param {object} [checkpoint] - a checkpoint from a previous run. Items
+ *   that were completed in the previous run are skipped
+ * @param {function} [onCheckpoint] - function called with the latest
+ *   checkpoint each time an item succeeds (e.g. to save it so an interrupted
+ *   run can be resumed)
+ * @param {AbortSignal} [signal] - if included and triggered, we stop starting
+ *   new tasks and reject with an aborted error
+ * @return {Promise.<object>} promise that resolves with
+ *   { succeeded, failed, checkpoint } where succeeded is a list of
+ *   { item, index, result }, failed is a list of { item, index, error }, and
+ *   checkpoint is { completed } where completed is the list of keys of all
+ *   completed items (including ones completed in previous runs). Items skipped
+ *   because of the checkpoint aren't in succeeded or failed
+ */
+module.exports = (options) => {
+  const { items, task, signal } = options;
+  const concurrency = Math.max(1, options.concurrency || 10);
+  const getKey = (options.getKey || ((item, index) => {
+    return index;
+  }));
+
+  // Keep track of items completed in previous runs
+  const completed = (
+    (options.checkpoint && options.checkpoint.completed)
+      ? options.checkpoint.completed.slice()
+      : []
+  );
+  const completedKeys = new Set(completed.map((key) => {
+    return JSON.stringify(key);
+  }));
+
+  return new Promise((resolve, reject) => {
+    const succeeded = [];
+    const failed = [];
+    let nextIndex = 0;
+    let numRunning = 0;
+    let finished = false;
+
+    /**
+     * Stops the run and rejects with an error
+     * @author Gabe Abrams
+     * @param {Error} err - the error to reject with
+     */
+    const stop = (err) => {
+      finished = true;
+      reject(err);
+    };
+
+    /**
+     * Runs the task for one item and records the outcome
+     * @author Gabe Abrams
+     * @param {*} item - the item
+     * @param {number} index - the index of the item
+     * @param {*} key - the key of the item (see getKey)
+     * @return {Promise} promise that resolves when the task is done
+     */
+    const runTask = (item, index, key) => {
+      return Promise.resolve()
+        .then(() => {
+          return task(item, index);
+        })
+        .then(
+          (result) => {
+            succeeded.push({ item, index, result });
+            completed.push(key);
+            if (options.onCheckpoint) {
+              options.onCheckpoint({ completed: completed.slice() });
+            }
+          },
+          (error) => {
+            // Aborts stop the whole run
+            if (error && error.code === errorCodes.endpointCallAborted) {
+              stop(error);
+            } else {
+              failed.push({ item, index, error });
+            }
+          }
+        )
+        .catch((err) => {
+          // The onCheckpoint function threw an error
+          stop(err);
+        });
+    };
+
+    /**
+     * Starts as many tasks as allowed, resolves if all tasks are done
+     * @author Gabe Abrams
+     */
+    const startTasks = () => {
+      if (finished) {
+        return;
+      }
+
+      // Stop if aborted
+      if (signal && signal.aborted) {
+        stop(genAbortedError());
+        return;
+      }
+
+      // Start another task when one finishes
+      const onTaskDone = () => {
+        numRunning -= 1;
+        startTasks();
+      };
+
+      while (numRunning < concurrency && nextIndex < items.length) {
+        const index = nextIndex;
+        const item = items[index];
+        const key = getKey(item, index);
+        nextIndex += 1;
+
+        // Skip items that were completed in a previous run
+        if (!completedKeys.has(JSON.stringify(key))) {
+          numRunning += 1;
+          runTask(item, index, key).then(onTaskDone);
+        }
+      }
+
+      // Resolve once all tasks are done
+      if (numRunning === 0 && nextIndex >= items.length) {
+        finished = true;
+
+        // Sort so results are in the same order as the items
+        const byIndex = (a, b) => {
+          return a.index - b.index;
+        };
+        resolve({
+          succeeded: succeeded.sort(byIndex),
+          failed: failed.sort(byIndex),
+          checkpoint: { completed: completed.slice() },
+        });
+      }
+    };
+    startTasks();
+  });
+};
@@ -9,29 +9,99 @@ const urlLib = require('url');
 const CACCLError = require('caccl-error');
 
 const errorCodes = require('../../errorCodes');
+const genAbortedError = require('../../classes/genAbortedError');
+const prefix = require('./prefix');
+
+// Default polling intervals
+const DEFAULT_BACKOFF = {
+  initialMs: 250,
+  maxMs: 5000,
+  factor: 1.5,
+};
 
 /**
  * Creates a new promise that resolves when the task has been completed. The
- *   process pings Canvas every refreshMs milliseconds.
+ *   process pings Canvas every backoff.initialMs milliseconds at first, then
+ *   checks less often (up to every backoff.maxMs milliseconds) while the
+ *   job's completion doesn't change
  * @author Gabe Abrams
- * @param {object} progress - a Canvas Progress object {@link https://canvas.instructure.com/doc/api/progress.html#Progress}
+ * @param {object|number|string} progress - a Canvas Progress object {@link https://canvas.instructure.com/doc/api/progress.html#Progress}
  *   that was returned from a request for a large change in Canvas (e.g., batch
- *   grade upload, batch gradebook column data change)
+ *   grade upload, batch gradebook column data change) or its id
  * @param {function} visitEndpoint - the visitEndpoint function included in the
  *   endpoint's config object
  * @param {number} [timeout=2] - Number of minutes to wait before timing out
- * @param {number} [refreshMs=250] - Number of milliseconds to wait between
- *   progress checks
+ *   (Infinity to never time out)
+ * @param {number} [refreshMs=250] - Number of milliseconds to wait before the
+ *   first progress check (same as backoff.initialMs)
+ * @param {object} [backoff] - polling intervals: { initialMs, maxMs, factor }
+ *   where initialMs (default: 250) is the number of milliseconds to wait
+ *   between checks at first and after the completion changes, the wait is
+ *   multiplied by factor (default: 1.5) each time the completion doesn't
+ *   change, and maxMs (default: 5000) is the longest wait
+ * @param {function} [onUpdate] - function called with the Progress object each
+ *   time its state or completion percentage changes
+ * @param {AbortSignal} [signal] - if included and triggered, we stop checking
+ *   and reject with an aborted error
  * @return promise that either resolves with a Progress object {@link https://canvas.instructure.com/doc/api/progress.html#Progress}
  *   upon successful completion, or rejects with a CACCLError
  */
 module.exports = (options) => {
-  return new Promise((resolve, reject) => {
+  return new Promise((resolveWithProgress, rejectWithError) => {
+    const { signal } = options;
+
+    // Stop checking if we're aborted
+    let checkTimeout;
+    const onAbort = () => {
+      clearTimeout(checkTimeout);
+      rejectWithError(genAbortedError());
+    };
+    if (signal) {
+      if (signal.aborted) {
+        return rejectWithError(genAbortedError());
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+
+    // Stop listening for aborts once we're done
+    const resolve = (progress) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolveWithProgress(progress);
+    };
+    const reject = (err) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      rejectWithError(err);
+    };
+
+    // Nothing was sent during a dry run, so there's nothing to wait for
+    if (options.visitEndpoint.isDryRun && typeof options.progress === 'object') {
+      return resolve(options.progress);
+    }
+
     // Prep for timeout
     const timeout = (60000 * (options.timeout || 2));
     const stopTime = Date.now() + timeout;
-    // Prep to check
-    const checkPath = urlLib.parse(options.progress.url).path;
+    // Prep polling intervals
+    const backoff = Object.assign(
+      {},
+      DEFAULT_BACKOFF,
+      (options.refreshMs ? { initialMs: options.refreshMs } : {}),
+      options.backoff
+    );
+    let waitMs = backoff.initialMs;
+    // Prep to check (we may only have the progress id)
+    const checkPath = (
+      (typeof options.progress === 'object' && options.progress.url)
+        ? urlLib.parse(options.progress.url).path
+        : `${prefix.v1}/progress/${(typeof options.progress === 'object') ? options.progress.id : options.progress}`
+    );
+    // Keep track of changes
+    let lastState;
+    let lastCompletion;
 
     // Create check status function
     const checkStatus = () => {
@@ -41,6 +111,23 @@ module.exports = (options) => {
         dontCache: true,
       })
         .then((statusResponse) => {
+          // Send updates and check more often when the job moves forward
+          if (
+            statusResponse.workflow_state !== lastState
+            || statusResponse.completion !== lastCompletion
+          ) {
+            if (lastState !== undefined) {
+              waitMs = backoff.initialMs;
+            }
+            lastState = statusResponse.workflow_state;
+            lastCompletion = statusResponse.completion;
+            if (options.onUpdate) {
+              options.onUpdate(statusResponse);
+            }
+          } else {
+            waitMs = Math.min(backoff.maxMs, waitMs * backoff.factor);
+          }
+
           // Detect issues
           if (statusResponse.workflow_state === 'failed') {
             return reject(new CACCLError({
@@ -61,13 +148,19 @@ module.exports = (options) => {
             }
 
             // We have more time to try again
-            return setTimeout(checkStatus, options.refreshMs || 250);
+            checkTimeout = setTimeout(checkStatus, waitMs);
+            return checkTimeout;
           }
 
           // Completed! Success
           return resolve(statusResponse);
         })
         .catch((err) => {
+          // Pass along aborted errors
+          if (err.code === errorCodes.endpointCallAborted) {
+            return reject(err);
+          }
+
           // Error occurred while checking status
           return reject(new CACCLError({
             message: `We encountered an error while checking the status of a queued project: "${err.message}"`,
@@ -75,6 +168,6 @@ module.exports = (options) => {
           }));
         });
     };
-    checkStatus();
+    return checkStatus();
   });
 };
@@ -5,22 +5,31 @@
  */
 
 // Highest errors:
-// > CAPI25
-// > CANV17 (exclude 404, 500)
+// > CAPI37
+// > CANV18 (exclude 404, 500)
 
 module.exports = {
   invalid_cache: 'CAPI1',
   unnamedEndpointError: 'CAPI2',
   endpointDidntReturnPromise: 'CAPI3',
   endpointCallExcludedRequiredParam: 'CAP24',
+  endpointCallInvalidParam: 'CAPI35',
+  // > /classes/genAbortedError.js
+  endpointCallAborted: 'CAPI28',
+  // > /classes/instantiateEndpoint/index.js
+  endpointCallDeadlineExceeded: 'CAPI29',
 
   // Errors for visitEndpoint/request sender
   // > /classes/instantiateEndpoint/genVisitEndpoint.js
   notFound: 'CAPI15',
   invalidSyntax: 'CAPI16',
   malformed: 'CAPI17',
+  // > /classes/instantiateEndpoint/helpers/runMiddleware.js
+  middlewareInvalidResponse: 'CAPI26',
   // > /classes/instantiateEndpoint/index.js
   couldNotBindEndpoint: 'CAPI22',
+  // > /classes/instantiateEndpoint/helpers/genEndpointIterator.js
+  endpointIterationStopped: 'CAPI27',
   // Canvas Errors:
   // > /classes/request/helpers/interpretCanvasError.js
   frontPageCannotBeUnpublished: 'CANV2',
@@ -41,9 +50,20 @@ module.exports = {
   termsOnlyInRootAccounts: 'CANV15',
   invalidTabLocation: 'CANV16',
   triedAllTabLocations: 'CANV17',
+  // > /classes/instantiateEndpoint/helpers/interpretCanvasError.js
+  invalidParams: 'CANV18',
 
   // Errors for caches
   sessionCacheNoSession: 'CAPI13',
+  redisCacheNoClient: 'CAPI30',
+  fileCacheNoDirectory: 'CAPI31',
+  fileCacheLockTimeout: 'CAPI32',
+  cachePrefetchInvalidEndpoint: 'CAPI33',
+
+  // Errors for fixtures
+  // > /classes/genFixtureSendRequest.js
+  fixturesInvalidOptions: 'CAPI36',
+  fixtureNotFound: 'CAPI37',
 
   // Errors for helpers
   // > endpoints/waitForCompletion.js
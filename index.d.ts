@@ -0,0 +1,2719 @@
+// Type definitions for caccl-api
+// Generated from the JSDoc in index.js and /endpoints/API by
+// typeBuilder/buildTypes.js. Don't edit this file by hand: update the JSDoc,
+// types/common.d.ts, or types/models.d.ts and then run npm run build-types
+
+import * as Common from './types/common';
+import * as Models from './types/models';
+
+/**
+ * Canvas API. Each endpoint category is a member (e.g. api.course.assignment)
+ * and each endpoint function resolves with the Canvas objects described in
+ * types/models.d.ts
+ */
+declare class API {
+  /** Creates a new API object */
+  constructor(config?: API.Config);
+
+  /** Functions for interacting with accounts */
+  account: API.AccountCategory;
+  /** Functions for conversations */
+  conversation: API.ConversationCategory;
+  /** Functions for interacting with courses */
+  course: API.CourseCategory;
+  /** Functions for sending graphQL requests */
+  graphQL: API.GraphQLCategory;
+  /**
+   * Functions for calling other endpoints not added to our support list of APIs
+   */
+  other: API.OtherCategory;
+  /**
+   * Functions for tracking long-running jobs (grade uploads, content
+   * migrations, reports, etc.)
+   */
+  progress: API.ProgressCategory;
+  /** Functions for users */
+  user: API.UserCategory;
+  /** Rate limit quota info */
+  rateLimit: API.RateLimitManager;
+  /** Functions for looking at and managing the cache */
+  cache: API.CacheManager;
+}
+
+declare namespace API {
+  /* Shared types (see types/common.d.ts) */
+  type Id = Common.Id;
+  type AlternateId = Common.AlternateId;
+  type RetryPolicy = Common.RetryPolicy;
+  type MiddlewareRequest = Common.MiddlewareRequest;
+  type Response = Common.Response;
+  type Middleware = Common.Middleware;
+  type PlannedRequest = Common.PlannedRequest;
+  type CallOptions = Common.CallOptions;
+  type IteratedItem<Result> = Common.IteratedItem<Result>;
+  type ParamRules = Common.ParamRules;
+  type Endpoint<Options, Result> = Common.Endpoint<Options, Result>;
+  type OptionalEndpoint<Options, Result> = Common.OptionalEndpoint<Options, Result>;
+  type RateLimitStats = Common.RateLimitStats;
+  type RateLimitManager = Common.RateLimitManager;
+  type CacheManager = Common.CacheManager;
+
+  /* Canvas objects (see types/models.d.ts) */
+  type Account = Models.Account;
+  type Admin = Models.Admin;
+  type Assignment = Models.Assignment;
+  type AssignmentGroup = Models.AssignmentGroup;
+  type AssignmentOverride = Models.AssignmentOverride;
+  type ColumnDatum = Models.ColumnDatum;
+  type Course = Models.Course;
+  type CourseLevelAssignmentData = Models.CourseLevelAssignmentData;
+  type CourseLevelParticipationData = Models.CourseLevelParticipationData;
+  type CourseLevelStudentSummary = Models.CourseLevelStudentSummary;
+  type CourseLevelStudentSummaries = Models.CourseLevelStudentSummaries;
+  type CustomColumn = Models.CustomColumn;
+  type DiscussionTopic = Models.DiscussionTopic;
+  type Enrollment = Models.Enrollment;
+  type EnrollmentTerm = Models.EnrollmentTerm;
+  type ExternalTool = Models.ExternalTool;
+  type Group = Models.Group;
+  type GroupCategory = Models.GroupCategory;
+  type Page = Models.Page;
+  type Progress = Models.Progress;
+  type Quiz = Models.Quiz;
+  type QuizQuestion = Models.QuizQuestion;
+  type QuizSubmission = Models.QuizSubmission;
+  type Rubric = Models.Rubric;
+  type Section = Models.Section;
+  type Submission = Models.Submission;
+  type Tab = Models.Tab;
+  type User = Models.User;
+  type UserInCourseMessagingData = Models.UserInCourseMessagingData;
+  type UserInCourseParticipationData = Models.UserInCourseParticipationData;
+
+  /** Options for creating an api instance */
+  interface Config {
+    /**
+     * An access token to add to all requests. Can be overridden by including
+     * `access_token` query/body parameter.
+     */
+    accessToken?: string;
+    /**
+     * The hostname to use when sending requests to the Canvas API. Can be
+     * overridden for an individual request by including `host` option. If
+     * canvasHost is null, no hostname is prepended to the request path
+     */
+    canvasHost?: string;
+    /**
+     * If 'memory', cache is stored in memory. If 'session' and req is included,
+     * cache is stored in express session. If 'redis' and cacheOptions.client is
+     * included, cache is stored in redis. If 'file' and cacheOptions.dir is
+     * included, cache is stored on disk. To include a custom cache, include it
+     * as config.cache
+     */
+    cacheType?: string;
+    /**
+     * Options for the cache created by cacheType. For 'memory':
+     * cacheOptions.ttlMs - the number of milliseconds that entries stay in the
+     * cache (entries can be given their own TTL by including a cacheTtlMs
+     * option in an individual request); cacheOptions.maxEntries - the maximum
+     * number of entries; cacheOptions.maxBytes - the maximum total size of all
+     * entries. When full, the least recently used entries are evicted. For
+     * 'redis': cacheOptions.client - a connected ioredis-style client
+     * (required); cacheOptions.ttlMs - the number of milliseconds that entries
+     * stay in the cache; cacheOptions.keyPrefix - a prefix for all keys;
+     * cacheOptions.namespace - a namespace for all keys (defaults to the Canvas
+     * host plus a fingerprint of the access token). For 'file':
+     * cacheOptions.dir - the directory to store the cache in (required);
+     * cacheOptions.ttlMs - the number of milliseconds that entries stay in the
+     * cache; cacheOptions.lockTimeoutMs - the number of milliseconds to wait
+     * for another process to release the lock; cacheOptions.lockStaleMs - the
+     * number of milliseconds after which a lock is assumed to be abandoned
+     */
+    cacheOptions?: { [key: string]: any };
+    /**
+     * Express request object with req.session support. Required if using
+     * 'session' cacheType.
+     */
+    req?: { [key: string]: any };
+    /** Custom cache manager class. Required if using 'custom' cacheType. */
+    cache?: { [key: string]: any };
+    /**
+     * Function that sends a request to the Canvas API. Defaults to HTTPS
+     * request sender.
+     */
+    sendRequest?: (...args: any[]) => any;
+    /**
+     * Options for recording and replaying requests: { mode, dir }. If
+     * fixtures.mode is 'record', every request and response is written (with
+     * access tokens redacted) to a fixture file in fixtures.dir. If
+     * fixtures.mode is 'replay', responses are served from those files instead
+     * of sending requests and requests that weren't recorded fail with a
+     * CACCLError. Works with config.sendRequest (requests are recorded as
+     * they're sent with that function)
+     */
+    fixtures?: { [key: string]: any };
+    /** The prefix to prepend to all endpoint paths */
+    apiPathPrefix?: string;
+    /**
+     * Number of times to retry a request. Can be overridden for an individual
+     * request by including numRetries option
+     */
+    numRetries?: number;
+    /**
+     * Rules for retrying failed requests. Can be overridden for an individual
+     * request by including a retryPolicy option. Any excluded property takes
+     * its default value: retryPolicy.statuses (default: [429, 502, 503, 504]) -
+     * statuses to retry; retryPolicy.methods (default: ['GET', 'HEAD',
+     * 'OPTIONS', 'PUT', 'DELETE']) - methods that are safe to retry (others,
+     * like POST, are never retried); retryPolicy.baseDelayMs (default: 500) -
+     * delay before the first retry, doubled with each retry;
+     * retryPolicy.maxDelayMs (default: 10000) - the maximum delay;
+     * retryPolicy.jitter (default: true) - if true, delays are randomized;
+     * retryPolicy.respectRetryAfter (default: true) - if true, we wait as long
+     * as the Retry-After header asks (and don't retry if it asks for more than
+     * maxDelayMs)
+     */
+    retryPolicy?: RetryPolicy;
+    /**
+     * If truthy and Canvas tells us the number of the last page, the rest of
+     * the pages are requested in parallel (at most this many at once or 4 at
+     * once if true). Can be overridden for an individual request by including
+     * parallelPages option
+     */
+    parallelPages?: boolean | number;
+    /**
+     * Number of milliseconds to wait for Canvas to respond to each request. If
+     * Canvas takes too long, the request is retried (if allowed) and then fails
+     * with a timeout error. Can be overridden for an individual request by
+     * including requestTimeoutMs option
+     */
+    requestTimeoutMs?: number;
+    /**
+     * Number of milliseconds that each endpoint call (including all of its
+     * pages and sub-requests) may take. If the deadline passes, the call is
+     * cancelled and fails with a deadline error. Can be overridden for an
+     * individual request by including deadlineMs option
+     */
+    deadlineMs?: number;
+    /**
+     * If truthy, cached values are returned right away and then refreshed in
+     * the background (identical requests that are in flight at the same time
+     * are always shared). Can be overridden for an individual request by
+     * including staleWhileRevalidate option
+     */
+    staleWhileRevalidate?: boolean;
+    /**
+     * Number of milliseconds after a value is cached before it's refreshed in
+     * the background (see staleWhileRevalidate). Values cached by another
+     * process are refreshed the first time they're used. Can be overridden for
+     * an individual request by including staleAfterMs option
+     */
+    staleAfterMs?: number;
+    /**
+     * Function to call with the fresh value when a value that was refreshed in
+     * the background changed. Can be overridden for an individual request by
+     * including onRevalidate option
+     */
+    onRevalidate?: (...args: any[]) => any;
+    /**
+     * Number of items to request on a get request. Can be overridden for an
+     * individual request by including numPerPage option
+     */
+    itemsPerPage?: number;
+    /**
+     * An authenticity token to add to all requests no matter what (cannot be
+     * overridden)
+     */
+    authenticityToken?: string;
+    /**
+     * A list of request middleware functions of the form (request, next) =>
+     * Promise.<response>. Each function can inspect or rewrite the request ({
+     * method, host, path, params, headers }), call next(request) to continue,
+     * observe the response, or resolve with its own { body, status, headers }
+     * response to skip sending the request. Additional middleware can be
+     * included for an individual request by including a middleware option
+     */
+    middleware?: Middleware[];
+    /**
+     * If truthy, requests that would change Canvas (anything but GET) are
+     * recorded instead of sent and calls that would have sent them resolve with
+     * the list of planned { method, path, params } requests. GET requests are
+     * still sent. Can be overridden for an individual request by including
+     * dryRun option
+     */
+    dryRun?: boolean;
+    /**
+     * A logger to send structured events to (request start, page fetched, cache
+     * hit/miss, retry, error). May be an object with debug/info/warn/error
+     * functions (e.g. console) or a function that is called with each log
+     * entry. Access tokens and other secrets are redacted. If excluded, nothing
+     * is logged
+     */
+    logger?: { [key: string]: any } | ((...args: any[]) => any);
+    /** The minimum level to log: 'debug', 'info', 'warn', or 'error' */
+    logLevel?: string;
+    /**
+     * Options for the rate limit throttler that is shared by all endpoints. As
+     * Canvas's X-Rate-Limit-Remaining quota drops below rateLimit.threshold
+     * (default: 200), requests are queued, sent one at a time, and spaced out
+     * by up to rateLimit.maxSpacingMs (default: 1000). Throttled requests are
+     * retried up to rateLimit.maxRetries (default: 3) times with exponential
+     * backoff starting at rateLimit.baseDelayMs (default: 1000) and capped at
+     * rateLimit.maxDelayMs (default: 30000). Set to false to turn off
+     * throttling. Check the current quota with api.rateLimit.stats()
+     */
+    rateLimit?: { [key: string]: any } | boolean;
+  }
+
+  /*-------- api.account --------*/
+
+  /** Functions for interacting with accounts */
+  interface AccountCategory {
+    /** Functions for interacting with accounts */
+    enrollmentTerm: AccountEnrollmentTermCategory;
+    /** Gets info on a specific course */
+    get: Endpoint<AccountGetOptions, Account>;
+    /** Get the list of accounts */
+    list: OptionalEndpoint<AccountListOptions, Account[]>;
+    /** Gets the list of admins in an account */
+    listAdmins: Endpoint<AccountListAdminsOptions, Admin[]>;
+    /** Gets the list of active courses in an account */
+    listCourses: Endpoint<AccountListCoursesOptions, Course[]>;
+  }
+
+  /** Options for api.account.get */
+  interface AccountGetOptions {
+    /** Canvas account Id to get info on */
+    accountId: Id;
+  }
+
+  /** Options for api.account.list */
+  interface AccountListOptions {}
+
+  /** Options for api.account.listAdmins */
+  interface AccountListAdminsOptions {
+    /** Canvas account Id to get the list of admins from */
+    accountId: Id;
+  }
+
+  /** Options for api.account.listCourses */
+  interface AccountListCoursesOptions {
+    /** Canvas account Id to get the list of courses from */
+    accountId: Id;
+    /** a list of teacher ids to limit the search to */
+    teacherIds?: Id[];
+    /** a list of subaccount ids to limit the search to */
+    subaccountIds?: Id[];
+    /**
+     * if true, require that the course has at least one enrollment, if false,
+     * require that the course has no enrollments
+     */
+    hasEnrollments?: boolean;
+    /** if true, only show courses that have at least one teacher */
+    atLeastOneTeacher?: boolean;
+    /** if true, only show courses that have at least one student */
+    atLeastOneStudent?: boolean;
+    /** if true, only show courses that have at least one TA */
+    atLeastOneTA?: boolean;
+    /** if true, only show courses that have at least one observer */
+    atLeastOneObserver?: boolean;
+    /** if true, only show courses that have at least one designer */
+    atLeastOneDesigner?: boolean;
+    /**
+     * if true, only show courses that are published, if false, only show
+     * courses that are unpublished
+     */
+    published?: boolean;
+    /**
+     * if true, only show courses that are completed, if false, only show
+     * courses that are not completed
+     */
+    completed?: boolean;
+    /**
+     * if true, only include blueprint courses, if false, only show courses that
+     * are not blueprints
+     */
+    blueprint?: boolean;
+    /**
+     * if true, require that the course be associated with a blueprint, if
+     * false, require that the course not be associated with a blueprint
+     */
+    blueprintAssociated?: boolean;
+    /**
+     * a list of states to limit the search to. Allowed values: created,
+     * claimed, available, completed, deleted, all
+     */
+    state?: string[];
+    /** an enrollment term to limit the scope of the search to */
+    enrollmentTermId?: Id;
+    /**
+     * a minimum 3 character string to search the courses by (searches course
+     * name, code, or full id)
+     */
+    searchTerm?: string;
+    /**
+     * the main data column to sort the results by. Allowed values: course_name,
+     * sis_course_id, teacher, account_name
+     */
+    sortColumn?: string;
+    /** the sort order to use: "asc" or "desc" */
+    sortOrder?: string;
+    /**
+     * If set, only return courses that start before the value (inclusive) or
+     * their enrollment term starts before the value (inclusive) or both the
+     * course's start_at and the enrollment term's start_at are set to null.
+     * Format can be an ISO 8601 string or a Date instance
+     */
+    startsBefore?: Date | string;
+    /**
+     * If set, only return courses that end after the value (inclusive) or their
+     * enrollment term ends after the value (inclusive) or both the course's
+     * end_at and the enrollment term's end_at are set to null. Format can be an
+     * ISO 8601 string or a Date instance
+     */
+    endsAfter?: Date | string;
+    /** if true, for each course, include its syllabus */
+    includeSyllabus?: boolean;
+    /** if true, for each course, include its term */
+    includeTerm?: boolean;
+    /** if true, for each course, include its progress */
+    includeCourseProgress?: boolean;
+    /**
+     * if true, for each courses, include the number of megabytes of storage
+     * used
+     */
+    includeStorageQuotaUsedMB?: boolean;
+    /** if true, for each course, include the total number of students */
+    includeTotalStudents?: boolean;
+    /** if true, for each course, include the teachers */
+    includeTeachers?: boolean;
+    /** if true, for each course, include its parent account name */
+    includeAccountName?: boolean;
+    /**
+     * if true, for each course, include whether the course has been concluded
+     */
+    includeConcluded?: boolean;
+  }
+
+  /*-------- api.account.enrollmentTerm --------*/
+
+  /** Functions for interacting with accounts */
+  interface AccountEnrollmentTermCategory {
+    /** List enrollment terms for a specific account */
+    list: Endpoint<AccountEnrollmentTermListOptions, EnrollmentTerm[]>;
+    /** Get an enrollment term */
+    get: Endpoint<AccountEnrollmentTermGetOptions, EnrollmentTerm>;
+  }
+
+  /** Options for api.account.enrollmentTerm.list */
+  interface AccountEnrollmentTermListOptions {
+    /**
+     * Canvas account Id to list enrollment terms. If account is not a root
+     * account, we get info on the provided account (one extra request) and get
+     * its root account, then we request terms for that root account. Only root
+     * accounts have enrollment terms, so this is a required step. You can also
+     * provide a root account id when calling this function and this step is
+     * unnecessary
+     */
+    accountId: Id;
+    /** If set, only returns terms that are in the given state */
+    workflowState?: string;
+    /**
+     * If true, include term start/end dates overridden for different enrollment
+     * types
+     */
+    includeOverrides?: boolean;
+  }
+
+  /** Options for api.account.enrollmentTerm.get */
+  interface AccountEnrollmentTermGetOptions {
+    /** the id for the Canvas account containing enrollment term */
+    accountId: Id;
+    /** Canvas enrollment term id */
+    enrollmentTermId: Id;
+  }
+
+  /*-------- api.conversation --------*/
+
+  /** Functions for conversations */
+  interface ConversationCategory {
+    /** Creates a Canvas conversation */
+    create: Endpoint<ConversationCreateOptions, any>;
+  }
+
+  /** Options for api.conversation.create */
+  interface ConversationCreateOptions {
+    /**
+     * Canvas IDs for the users who will receive the message from the current
+     * user
+     */
+    recipientIds: Id[];
+    /** subject of the conversation */
+    subject: string;
+    /** body of the message */
+    body: string;
+    /** the id of the course to send from */
+    courseId?: Id;
+    /**
+     * Recipients are sent messages in batches of 100. This is the max number of
+     * batches to send at once
+     */
+    concurrency?: number;
+    /**
+     * a checkpoint from a previous call with the same recipients (in any
+     * order). Batches that were already sent are skipped
+     */
+    checkpoint?: { [key: string]: any };
+    /** function called with the latest checkpoint each time a batch is sent */
+    onCheckpoint?: (...args: any[]) => any;
+  }
+
+  /*-------- api.course --------*/
+
+  /** Functions for interacting with courses */
+  interface CourseCategory {
+    /** Functions for getting course analytics */
+    analytics: CourseAnalyticsCategory;
+    /** Functions for interacting with course announcements */
+    announcement: CourseAnnouncementCategory;
+    /** Functions for interacting with external LTI apps within courses */
+    app: CourseAppCategory;
+    /** Functions for interacting with assignments within courses */
+    assignment: CourseAssignmentCategory;
+    /** Functions for interacting with assignment groups within courses */
+    assignmentGroup: CourseAssignmentGroupCategory;
+    /** Functions for interacting with discussion topics within courses */
+    discussionTopic: CourseDiscussionTopicCategory;
+    /** Functions for interacting with gradebook columns within courses */
+    gradebookColumn: CourseGradebookColumnCategory;
+    /** Functions for interacting with student groups within courses */
+    group: CourseGroupCategory;
+    /** Functions for interacting with group sets/categories within courses */
+    groupSet: CourseGroupSetCategory;
+    /** Functions for interacting with course navigation menu items */
+    navMenuItem: CourseNavMenuItemCategory;
+    /** Functions for interacting with pages within courses */
+    page: CoursePageCategory;
+    /** Functions for interacting with quizzes within courses */
+    quiz: CourseQuizCategory;
+    /** Functions for interacting with rubrics within courses */
+    rubric: CourseRubricCategory;
+    /** Functions for interacting with sections within courses */
+    section: CourseSectionCategory;
+    /** Gets info on a specific course */
+    get: Endpoint<CourseGetOptions, Course>;
+    /** Gets the list of enrollments in a course */
+    listEnrollments: Endpoint<CourseListEnrollmentsOptions, Enrollment[]>;
+    /** Gets the list of student enrollmentss in a course */
+    listStudentEnrollments: Endpoint<CourseListStudentEnrollmentsOptions, Enrollment[]>;
+    /** Gets the list of TAs and Teacher enrollments in a course */
+    listTeachingTeamMemberEnrollments: Endpoint<CourseListTeachingTeamMemberEnrollmentsOptions, Enrollment[]>;
+    /** Gets the list of designer enrollments in a course */
+    listDesignerEnrollments: Endpoint<CourseListDesignerEnrollmentsOptions, Enrollment[]>;
+    /** Gets the list of observer enrollments in a course */
+    listObserverEnrollments: Endpoint<CourseListObserverEnrollmentsOptions, Enrollment[]>;
+    /** Gets info on a specific user in a course */
+    getUser: Endpoint<CourseGetUserOptions, User>;
+    /** Gets info on all users in a course */
+    listUsers: Endpoint<CourseListUsersOptions, User[]>;
+    /** Gets the list of students in a course */
+    listStudents: Endpoint<CourseListStudentsOptions, User[]>;
+    /** Gets the list of TAs and Teachers in a course */
+    listTeachingTeamMembers: Endpoint<CourseListTeachingTeamMembersOptions, User[]>;
+    /** Gets the list of TAs in a course */
+    listTAs: Endpoint<CourseListTAsOptions, User[]>;
+    /** Gets the list of teachers in a course */
+    listTeachers: Endpoint<CourseListTeachersOptions, User[]>;
+    /** Gets the list of designers in a course */
+    listDesigners: Endpoint<CourseListDesignersOptions, User[]>;
+    /** Gets the list of observers in a course */
+    listObservers: Endpoint<CourseListObserversOptions, User[]>;
+  }
+
+  /** Options for api.course.get */
+  interface CourseGetOptions {
+    /** Canvas course Id to get info on */
+    courseId: Id;
+    /** If truthy, includes syllabus body */
+    includeSyllabus?: boolean;
+    /** If truthy, includes term */
+    includeTerm?: boolean;
+    /** If truthy, includes account Id */
+    includeAccount?: boolean;
+    /** If truthy, includes public description */
+    includeDescription?: boolean;
+    /** If truthy, includes sections */
+    includeSections?: boolean;
+    /** If truthy, includes teachers */
+    includeTeachers?: boolean;
+    /** If truthy, includes the course image */
+    includeCourseImage?: boolean;
+    /**
+     * If truthy, includes the number of students who still need to be graded
+     */
+    includeNeedsGradingCount?: boolean;
+  }
+
+  /** Options for api.course.listEnrollments */
+  interface CourseListEnrollmentsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /**
+     * list of enrollment types to include: ['student', 'ta', 'teacher',
+     * 'designer', 'observer'] Defaults to all types.
+     */
+    types?: string;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If truthy, avatar_url is included */
+    includeAvatar?: string;
+    /** If truthy, group_ids is included */
+    includeGroups?: string;
+  }
+
+  /** Options for api.course.listStudentEnrollments */
+  interface CourseListStudentEnrollmentsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If truthy, avatar_url is included */
+    includeAvatar?: string;
+    /** If truthy, group_ids is included */
+    includeGroups?: string;
+  }
+
+  /** Options for api.course.listTeachingTeamMemberEnrollments */
+  interface CourseListTeachingTeamMemberEnrollmentsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If truthy, avatar_url is included */
+    includeAvatar?: string;
+    /** If truthy, group_ids is included */
+    includeGroups?: string;
+  }
+
+  /** Options for api.course.listDesignerEnrollments */
+  interface CourseListDesignerEnrollmentsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If truthy, avatar_url is included */
+    includeAvatar?: string;
+    /** If truthy, group_ids is included */
+    includeGroups?: string;
+  }
+
+  /** Options for api.course.listObserverEnrollments */
+  interface CourseListObserverEnrollmentsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If truthy, avatar_url is included */
+    includeAvatar?: string;
+    /** If truthy, group_ids is included */
+    includeGroups?: string;
+  }
+
+  /** Options for api.course.getUser */
+  interface CourseGetUserOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas user Id to get */
+    userId: Id;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /** Options for api.course.listUsers */
+  interface CourseListUsersOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /**
+     * list of enrollment types to include: ['student', 'ta', 'teacher',
+     * 'designer', 'observer'] Defaults to all types.
+     */
+    types?: string;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /** Options for api.course.listStudents */
+  interface CourseListStudentsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /** Options for api.course.listTeachingTeamMembers */
+  interface CourseListTeachingTeamMembersOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /** Options for api.course.listTAs */
+  interface CourseListTAsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /** Options for api.course.listTeachers */
+  interface CourseListTeachersOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /** Options for api.course.listDesigners */
+  interface CourseListDesignersOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /** Options for api.course.listObservers */
+  interface CourseListObserversOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, only active enrollments included */
+    activeOnly?: string;
+    /** If true, user email is included */
+    includeEmail?: boolean;
+    /** If true, user's enrollments in this course are included */
+    includeEnrollments?: boolean;
+    /** If true, includes whether this enrollment is locked */
+    includeLocked?: boolean;
+    /** If true, user avatar url is included */
+    includeAvatar?: boolean;
+    /** If true, user bio is included */
+    includeBio?: boolean;
+  }
+
+  /*-------- api.course.analytics --------*/
+
+  /** Functions for getting course analytics */
+  interface CourseAnalyticsCategory {
+    /** Gets participation data for a student in a course */
+    getStudentParticipationData: Endpoint<CourseAnalyticsGetStudentParticipationDataOptions, UserInCourseParticipationData>;
+    /** Gets messaging data for a student in a course */
+    getStudentMessagingData: Endpoint<CourseAnalyticsGetStudentMessagingDataOptions, UserInCourseMessagingData>;
+    /** Gets a list of daily activity summaries for each day in a course */
+    listDailyActivitySummaries: Endpoint<CourseAnalyticsListDailyActivitySummariesOptions, CourseLevelParticipationData[]>;
+    /** Gets a list of assignments summaries for all assignments in a course */
+    listAssignmentSummaries: Endpoint<CourseAnalyticsListAssignmentSummariesOptions, CourseLevelAssignmentData[]>;
+    /** Gets a list of student summaries for all students in a course */
+    listStudentSummaries: Endpoint<CourseAnalyticsListStudentSummariesOptions, CourseLevelStudentSummaries>;
+    /** Gets a student summary for a student in a course */
+    getStudentSummary: Endpoint<CourseAnalyticsGetStudentSummaryOptions, CourseLevelStudentSummary>;
+  }
+
+  /** Options for api.course.analytics.getStudentParticipationData */
+  interface CourseAnalyticsGetStudentParticipationDataOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** the id of the student to get analytics on */
+    studentId: Id;
+  }
+
+  /** Options for api.course.analytics.getStudentMessagingData */
+  interface CourseAnalyticsGetStudentMessagingDataOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** the id of the student to get analytics on */
+    studentId: Id;
+  }
+
+  /** Options for api.course.analytics.listDailyActivitySummaries */
+  interface CourseAnalyticsListDailyActivitySummariesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+  }
+
+  /** Options for api.course.analytics.listAssignmentSummaries */
+  interface CourseAnalyticsListAssignmentSummariesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+  }
+
+  /** Options for api.course.analytics.listStudentSummaries */
+  interface CourseAnalyticsListStudentSummariesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+  }
+
+  /** Options for api.course.analytics.getStudentSummary */
+  interface CourseAnalyticsGetStudentSummaryOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** id of the user to get analytics for */
+    studentId: Id;
+  }
+
+  /*-------- api.course.announcement --------*/
+
+  /** Functions for interacting with course announcements */
+  interface CourseAnnouncementCategory {
+    /** Create an announcement */
+    create: Endpoint<CourseAnnouncementCreateOptions, DiscussionTopic>;
+    /** Gets the list of announcements in a course */
+    list: Endpoint<CourseAnnouncementListOptions, DiscussionTopic[]>;
+  }
+
+  /** Options for api.course.announcement.create */
+  interface CourseAnnouncementCreateOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** the title of the announcement */
+    title: string;
+    /** the message of the announcement */
+    message: string;
+  }
+
+  /** Options for api.course.announcement.list */
+  interface CourseAnnouncementListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** if true, only include active announcements */
+    onlyIncludeActive?: boolean;
+    /** the start date for the query */
+    startDate?: Date | string;
+    /** the end date for the query */
+    endDate?: Date | string;
+    /**
+     * if true, overwrites the start date with 6 months ago and end date to now
+     */
+    queryLastSixMonths?: boolean;
+  }
+
+  /*-------- api.course.app --------*/
+
+  /** Functions for interacting with external LTI apps within courses */
+  interface CourseAppCategory {
+    /** Gets the list of apps installed into a course */
+    list: Endpoint<CourseAppListOptions, ExternalTool[]>;
+    /** Gets info on a single LTI tool */
+    get: Endpoint<CourseAppGetOptions, ExternalTool>;
+    /** Adds an LTI app to a Canvas course */
+    add: Endpoint<CourseAppAddOptions, ExternalTool>;
+    /** Removes an LTI app from a Canvas course */
+    remove: Endpoint<CourseAppRemoveOptions, ExternalTool>;
+    /**
+     * Gets the metadata for an LTI app in a course. Note: this endpoint
+     * requires that the app have a custom parameter called 'metadata_id' with
+     * an identifier that we will use to refer to the metadata. If each
+     * installation of an app will have its own metadata, each installation
+     * should have a different metadata_id. If all installations share the same
+     * metadata, they should all have the same metadata_id. When getting
+     * metadata, we return the metadata for the first app we find that has this
+     * metadata_id. Also note that the variable is 'metadata_id' all lowercase
+     * because launch params are made lowercase.
+     */
+    getMetadata: Endpoint<CourseAppGetMetadataOptions, any>;
+    /**
+     * Updates the metadata for an LTI app in a course. Note: this endpoint
+     * requires that the app have a custom parameter called 'metadata_id' with
+     * an identifier that we will use to refer to the metadata. If each
+     * installation of an app will have its own metadata, each installation
+     * should have a different metadata_id. If all installations share the same
+     * metadata, they should all have the same metadata_id. When getting
+     * metadata, we return the metadata for the first app we find that has this
+     * metadata_id. Also note that the variable is 'metadata_id' all lowercase
+     * because launch params are made lowercase.
+     */
+    updateMetadata: Endpoint<CourseAppUpdateMetadataOptions, any>;
+    /** Gets a sessionless navigation LTI launch URL */
+    getNavLaunchURL: Endpoint<CourseAppGetNavLaunchURLOptions, ExternalTool>;
+    /** Gets a sessionless navigation LTI launch URL */
+    getAssignmentLaunchURL: Endpoint<CourseAppGetAssignmentLaunchURLOptions, ExternalTool>;
+  }
+
+  /** Options for api.course.app.list */
+  interface CourseAppListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /**
+     * If true, excludes tools installed in all accounts above the current
+     * context
+     */
+    excludeParents?: boolean;
+  }
+
+  /** Options for api.course.app.get */
+  interface CourseAppGetOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** The LTI app Id to get */
+    appId: number;
+  }
+
+  /** Options for api.course.app.add */
+  interface CourseAppAddOptions {
+    /** Canvas course Id to install into */
+    courseId: Id;
+    /** The app name (for settings app list) */
+    name: string;
+    /** Installation consumer key */
+    key: string;
+    /** Installation consumer secret */
+    secret: string;
+    /** XML configuration file, standard LTI format */
+    xml: string;
+    /** A human-readable description of the app */
+    description?: string;
+    /** 'public' by default */
+    launchPrivacy?: string;
+  }
+
+  /** Options for api.course.app.remove */
+  interface CourseAppRemoveOptions {
+    /** Canvas course Id to remove app from */
+    courseId: Id;
+    /** The LTI app Id to remove */
+    appId: number;
+  }
+
+  /** Options for api.course.app.getMetadata */
+  interface CourseAppGetMetadataOptions {
+    /** Canvas course Id that holds the app */
+    courseId: Id;
+    /** metadata identifier (see endpoint description) */
+    metadata_id: number;
+  }
+
+  /** Options for api.course.app.updateMetadata */
+  interface CourseAppUpdateMetadataOptions {
+    /** Canvas course Id that holds the app */
+    courseId: Id;
+    /** metadata identifier (see endpoint description) */
+    metadata_id: number;
+    /** json metadata object */
+    metadata?: { [key: string]: any };
+    /** the max number of apps to update at once */
+    concurrency?: number;
+    /**
+     * a checkpoint from a previous call. Apps that were already updated are
+     * skipped
+     */
+    checkpoint?: { [key: string]: any };
+    /**
+     * function called with the latest checkpoint each time an app is updated
+     */
+    onCheckpoint?: (...args: any[]) => any;
+  }
+
+  /** Options for api.course.app.getNavLaunchURL */
+  interface CourseAppGetNavLaunchURLOptions {
+    /** Canvas course Id that holds the app */
+    courseId: Id;
+    /** The LTI app Id to get a launch URL for */
+    appId: number;
+  }
+
+  /** Options for api.course.app.getAssignmentLaunchURL */
+  interface CourseAppGetAssignmentLaunchURLOptions {
+    /** Canvas course Id that holds the app */
+    courseId: Id;
+    /** The LTI app Id to get a launch URL for */
+    appId: number;
+    /** the Canvas assignment id to launch from */
+    assignmentId: number;
+  }
+
+  /*-------- api.course.assignment --------*/
+
+  /** Functions for interacting with assignments within courses */
+  interface CourseAssignmentCategory {
+    /** Lists the assignments in a course */
+    list: Endpoint<CourseAssignmentListOptions, Assignment[]>;
+    /** Get info on a specific assignment in a course */
+    get: Endpoint<CourseAssignmentGetOptions, Assignment>;
+    /** Updates a Canvas assignment */
+    update: Endpoint<CourseAssignmentUpdateOptions, Assignment>;
+    /** Creates a Canvas assignment */
+    create: Endpoint<CourseAssignmentCreateOptions, Assignment>;
+    /** Delete an assignment */
+    delete: Endpoint<CourseAssignmentDeleteOptions, Assignment>;
+    /** List gradeable students for a specific assignment */
+    listGradeableStudents: Endpoint<CourseAssignmentListGradeableStudentsOptions, User[]>;
+    /** Adds a comment to a submission */
+    createSubmissionComment: Endpoint<CourseAssignmentCreateSubmissionCommentOptions, Submission>;
+    /** Updates a student's grade and/or comment */
+    updateGrade: Endpoint<CourseAssignmentUpdateGradeOptions, Submission>;
+    /**
+     * Batch updates grades and/or comments. Also supports updating rubric items
+     */
+    updateGrades: Endpoint<CourseAssignmentUpdateGradesOptions, Progress>;
+    /** Gets the list of overrides for an assignment */
+    listOverrides: Endpoint<CourseAssignmentListOverridesOptions, AssignmentOverride[]>;
+    /** Get a specific override on an assignment in a course */
+    getOverride: Endpoint<CourseAssignmentGetOverrideOptions, AssignmentOverride>;
+    /**
+     * Create assignment override. Note that if any dates (dueAt, unlockAt, or
+     * lockAt) are left out, they will be set to "none" for the target(s) of
+     * this override. If dueAt is omitted, the target(s) will have no deadline.
+     * If unlockAt is omitted, the target(s) will immediately be able to see the
+     * assignment (even if everyone else has to wait until the unlockAt date).
+     * If lockAt is omitted, the target(s) will be able to submit at any time in
+     * the future (even if everyone else can't submit because their lock date
+     * has passed). In short, it is not recommended to omit dates that are
+     * defined in the assignment.
+     */
+    createOverride: Endpoint<CourseAssignmentCreateOverrideOptions, AssignmentOverride>;
+    /**
+     * Update an assignment override. Note: target can only be updated if the
+     * override is a student override (if this is a group or section override,
+     * the target remains unchanged). Also, note that if any dates (dueAt,
+     * unlockAt, or lockAt) are omitted, their previous override values will be
+     * changed to "none." For instance, if the previous override has a dueAt and
+     * the update does not, the updated override will have no dueAt date (the
+     * target(s) of the override will have no deadline).
+     */
+    updateOverride: Endpoint<CourseAssignmentUpdateOverrideOptions, AssignmentOverride>;
+    /** Deletes an assignment override */
+    deleteOverride: Endpoint<CourseAssignmentDeleteOverrideOptions, AssignmentOverride>;
+    /** Lists the submissions to a specific assignment in a course */
+    listSubmissions: Endpoint<CourseAssignmentListSubmissionsOptions, Submission[]>;
+    /** Lists the submissions for a batch of assignment/students in a course */
+    listAllSubmissions: Endpoint<CourseAssignmentListAllSubmissionsOptions, Submission[]>;
+    /** Gets a single submission for an assignment */
+    getSubmission: Endpoint<CourseAssignmentGetSubmissionOptions, Submission>;
+    /** Creates a text submission on behalf of the current user */
+    createTextSubmission: Endpoint<CourseAssignmentCreateTextSubmissionOptions, Submission>;
+    /** Creates a url submission on behalf of the current user */
+    createURLSubmission: Endpoint<CourseAssignmentCreateURLSubmissionOptions, Submission>;
+    /** Creates a file submission on behalf of the current user */
+    createFileSubmission: Endpoint<CourseAssignmentCreateFileSubmissionOptions, Submission>;
+  }
+
+  /** Options for api.course.assignment.list */
+  interface CourseAssignmentListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /**
+     * if true, assignment dates are taken from the default dates instead of
+     * from the ones in overrides
+     */
+    ignoreOverridesForDates?: boolean;
+  }
+
+  /** Options for api.course.assignment.get */
+  interface CourseAssignmentGetOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas assignment Id */
+    assignmentId: number;
+    /**
+     * if true, assignment dates are taken from the default dates instead of
+     * from the ones in overrides
+     */
+    ignoreOverridesForDates?: boolean;
+  }
+
+  /** Options for api.course.assignment.update */
+  interface CourseAssignmentUpdateOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas assignment Id to update */
+    assignmentId: number;
+    /** The name of the assignment */
+    name?: string;
+    /** Points possible */
+    pointsPossible?: number;
+    /** Due at datetime */
+    dueAt?: Date | string;
+    /** Due at datetime */
+    lockAt?: Date | string;
+    /** Due at datetime */
+    unlockAt?: Date | string;
+    /** html description of the assignment */
+    description?: string;
+    /** Submission type(s) */
+    submissionTypes?: string;
+    /**
+     * List of allowed file extensions (exclude period). Online upload must be
+     * enabled
+     */
+    allowedExtensions?: string;
+    /** Grading type */
+    gradingType?: string;
+    /** Position in assignment list */
+    position?: number;
+    /** If true, publish page upon creation. Must be a boolean */
+    published?: boolean;
+    /** If true, assignment is muted. Must be a boolean */
+    muted?: boolean;
+    /** Student group set Id */
+    groupSetId?: Id;
+    /** Assignment group Id */
+    assignmentGroupId?: number;
+    /** If true, users asked to submit peer reviews. Must be a boolean */
+    peerReviewsEnabled?: boolean;
+    /**
+     * If true, Canvas will automatically assign peer reviews. Must be a boolean
+     */
+    automaticPeerReviewsEnabled?: boolean;
+    /**
+     * If true, assignment is omitted from the final grade. Must be a boolean
+     */
+    omitFromFinalGrade?: boolean;
+    /**
+     * If true, students in groups can be given separate grades and when one
+     * student in a group gets a grade, other students do not get graded. Must
+     * be a boolean
+     */
+    gradeGroupStudentsIndividually?: boolean;
+  }
+
+  /** Options for api.course.assignment.create */
+  interface CourseAssignmentCreateOptions {
+    /** Canvas course Id to create an assignment in */
+    courseId: Id;
+    /** The name of the assignment */
+    name?: string;
+    /** Points possible */
+    pointsPossible?: number;
+    /** Due at datetime */
+    dueAt?: Date | string;
+    /** Due at datetime */
+    lockAt?: Date | string;
+    /** Due at datetime */
+    unlockAt?: Date | string;
+    /** html description of the assignment */
+    description?: string;
+    /** Submission type(s) */
+    submissionTypes?: string;
+    /**
+     * List of allowed file extensions (exclude period). Online upload must be
+     * enabled
+     */
+    allowedExtensions?: string;
+    /** Grading type */
+    gradingType?: string;
+    /** Position in assignment list */
+    position?: number;
+    /** If true, publish page upon creation */
+    published?: boolean;
+    /** If true, assignment is muted */
+    muted?: boolean;
+    /** Student group set Id */
+    groupSetId?: Id;
+    /** Assignment group Id */
+    assignmentGroupId?: number;
+    /** If true, users asked to submit peer reviews */
+    peerReviewsEnabled?: boolean;
+    /** If true, Canvas will automatically assign peer reviews */
+    automaticPeerReviewsEnabled?: boolean;
+    /** If true, assignment is omitted from the final grade */
+    omitFromFinalGrade?: boolean;
+    /**
+     * If true, students in groups can be given separate grades and when one
+     * student in a group gets a grade, other students do not get graded
+     */
+    gradeGroupStudentsIndividually?: boolean;
+    /**
+     * If defined, the external tool that matches this id will be used for
+     * submissions. Also, the submission types will be overwritten with
+     * ['external_tool'] and the student will be redirected via LTI to the
+     * assignmentAppURL when they launch the assignment
+     */
+    assignmentAppId?: string;
+    /**
+     * The launch URL of the external tool. If not included and assignmentAppId
+     * is defined, we will first request info on the external tool to get its
+     * launchURL and will use that value here. Only relevant if assignmentAppId
+     * is defined.
+     */
+    assignmentAppURL?: string;
+    /**
+     * Only relevant if assignmentAppId is defined. If true, when a student
+     * clicks the assignment, their LTI session with the external tool will be
+     * opened in a new tab
+     */
+    assignmentAppNewTab?: boolean;
+  }
+
+  /** Options for api.course.assignment.delete */
+  interface CourseAssignmentDeleteOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** Canvas assignment Id */
+    assignmentId: number;
+  }
+
+  /** Options for api.course.assignment.listGradeableStudents */
+  interface CourseAssignmentListGradeableStudentsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas assignment Id to query */
+    assignmentId: number;
+  }
+
+  /** Options for api.course.assignment.createSubmissionComment */
+  interface CourseAssignmentCreateSubmissionCommentOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** Canvas course Id */
+    assignmentId: number;
+    /** Canvas student Id of the sub to comment on */
+    studentId: Id;
+    /** The text of the comment */
+    comment: string;
+  }
+
+  /** Options for api.course.assignment.updateGrade */
+  interface CourseAssignmentUpdateGradeOptions {
+    /** Canvas course id */
+    courseId: Id;
+    /** Canvas assignment id */
+    assignmentId: number;
+    /** Canvas student id */
+    studentId: Id;
+    /** the overall points to assign to the student */
+    points?: number;
+    /** the grader comment to leave on the submission */
+    comment?: string;
+  }
+
+  /** Options for api.course.assignment.updateGrades */
+  interface CourseAssignmentUpdateGradesOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** Canvas assignment Id */
+    assignmentId: number;
+    /**
+     * List of grade items to upload to Canvas: [{ studentId: <student id>,
+     * points: <optional, points to overwrite with>, comment: <optional, comment
+     * to append (or overwrite if rubric comment)>, rubricId: <optional, rubric
+     * item (overall grade/comment if excluded)> },...]
+     */
+    gradeItems: any[];
+    /**
+     * If true, promise won't resolve until Canvas has finished updating the
+     * grades, instead of resolving once the grade changes have been queued
+     */
+    waitForCompletion?: boolean;
+    /** The number of minutes to wait before timing out the grade update job */
+    waitForCompletionTimeout?: number;
+    /**
+     * When uploading grades to a rubric item, we intelligently merge rubric
+     * item updates with previous rubric assessments. For instance, if the
+     * assignment's rubric is: { grammar, argument, formatting } And the student
+     * of interest has the following rubric assessment so far: { grammar: 10/10,
+     * argument: 8/10, formatting: ungraded } When we upload a new gradeItem
+     * (9/10 points) to the student's formatting rubric item, the result is: {
+     * grammar: 10/10, argument: 8/10, formatting: 9/10 } However, if
+     * dontMergeRubricItemUpdates=true, the result is: { grammar: ungraded,
+     * argument: ungraded, formatting: 9/10 } Note: merging is an added feature.
+     * By default, the Canvas API does not merge rubric assessments.
+     */
+    dontMergeRubricItemUpdates?: boolean;
+  }
+
+  /** Options for api.course.assignment.listOverrides */
+  interface CourseAssignmentListOverridesOptions {
+    /** Canvas course id to query */
+    courseId: Id;
+    /** Canvas assignment id to look up */
+    assignmentId: number;
+  }
+
+  /** Options for api.course.assignment.getOverride */
+  interface CourseAssignmentGetOverrideOptions {
+    /** Canvas course id to query */
+    courseId: Id;
+    /** Canvas assignment id to query */
+    assignmentId: number;
+    /** Canvas override id to look up */
+    overrideId: number;
+  }
+
+  /** Options for api.course.assignment.createOverride */
+  interface CourseAssignmentCreateOverrideOptions {
+    /** Canvas course id */
+    courseId: Id;
+    /** Canvas assignment id */
+    assignmentId: number;
+    /**
+     * List of Canvas student IDs to override (Note: either studentIds, groupId,
+     * or sectionId must be included)
+     */
+    studentIds: any[];
+    /**
+     * Group to override, must be a group assignment (Note: either studentIds,
+     * groupId, or sectionId must be included)
+     */
+    groupId: Id;
+    /**
+     * Section to override (Note: either studentIds, groupId, or sectionId must
+     * be included)
+     */
+    sectionId: Id;
+    /** Title of the override */
+    title?: string;
+    /**
+     * New due date. If excluded, the target(s) of this override have no due
+     * date (they can submit whenever they want without being marked as late)
+     */
+    dueAt?: Date | string;
+    /**
+     * New unlock date. If excluded, the target(s) of this override can
+     * immediately see the assignment (their unlock date is the beginning of
+     * time)
+     */
+    unlockAt?: Date | string;
+    /**
+     * New lock date. If excluded, the target(s) of this override can see and
+     * submit the assignment at any point in the future (their lock date is the
+     * end of time)
+     */
+    lockAt?: Date | string;
+  }
+
+  /** Options for api.course.assignment.updateOverride */
+  interface CourseAssignmentUpdateOverrideOptions {
+    /** Canvas course id */
+    courseId: Id;
+    /** Canvas assignment id */
+    assignmentId: number;
+    /** the override id to update */
+    overrideId: number;
+    /**
+     * List of Canvas student IDs to override (Note: either studentIds, groupId,
+     * or sectionId must be included)
+     */
+    studentIds: any[];
+    /** New title of the override */
+    title?: string;
+    /**
+     * New due date. If excluded, the target(s) of this override have no due
+     * date (they can submit whenever they want without being marked as late)
+     */
+    dueAt?: Date | string;
+    /**
+     * New unlock date. If excluded, the target(s) of this override can
+     * immediately see the assignment (their unlock date is the beginning of
+     * time)
+     */
+    unlockAt?: Date | string;
+    /**
+     * New lock date. If excluded, the target(s) of this override can see and
+     * submit the assignment at any point in the future (their lock date is the
+     * end of time)
+     */
+    lockAt?: Date | string;
+  }
+
+  /** Options for api.course.assignment.deleteOverride */
+  interface CourseAssignmentDeleteOverrideOptions {
+    /** Canvas course id to query */
+    courseId: Id;
+    /** Canvas assignment id to query */
+    assignmentId: number;
+    /** Canvas override id to look up */
+    overrideId: number;
+  }
+
+  /** Options for api.course.assignment.listSubmissions */
+  interface CourseAssignmentListSubmissionsOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** The Canvas assignment Id to query */
+    assignmentId: number;
+    /** If truthy, includes all comments on submissions */
+    includeComments?: boolean;
+    /**
+     * If truthy, includes rubric assessments: breakdown of score for each
+     * rubric item
+     */
+    includeRubricAssessment?: boolean;
+    /**
+     * If truthy, excludes submission[i].user value with the submission's user
+     * information
+     */
+    excludeUser?: boolean;
+    /**
+     * If truthy, includes dummy submission by test student (student view) if
+     * there is one
+     */
+    includeTestStudent?: boolean;
+  }
+
+  /** Options for api.course.assignment.listAllSubmissions */
+  interface CourseAssignmentListAllSubmissionsOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** a list of specific students to pull submissions for */
+    studentIds?: Id[];
+    /** a list of assignments to get submissions for */
+    assignmentIds?: number[];
+    /**
+     * Exclude submissions that were not submitted or were submitted before this
+     * date
+     */
+    submittedSince?: Date | string;
+    /**
+     * Exclude submissions that were not graded or were graded before this date
+     */
+    gradedSince?: Date | string;
+    /**
+     * a workflow state to filter by. Allowed values: 'submitted',
+     * 'unsubmitted', 'graded', or 'pending_review'
+     */
+    workflowState?: string;
+    /**
+     * an enrollment state to filter by. Allowed values: 'active' or 'concluded'
+     */
+    enrollmentState?: string;
+    /** if true, submission history is included */
+    includeSubmissionHistory?: boolean;
+    /** if true, includes all comments on submissions */
+    includeComments?: boolean;
+    /** if true, rubric assessment is included */
+    includeRubricAssessment?: boolean;
+    /** if true, the assignment is included for each submission */
+    includeAssignment?: boolean;
+    /** if true, include the total scores */
+    includeTotalScores?: boolean;
+    /** if true, include visibility */
+    includeVisibility?: boolean;
+    /** if true, include the user info with each submission */
+    includeUser?: boolean;
+  }
+
+  /** Options for api.course.assignment.getSubmission */
+  interface CourseAssignmentGetSubmissionOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** The Canvas assignment Id */
+    assignmentId: number;
+    /** The Canvas student Id */
+    studentId: Id;
+    /** If truthy, includes all comments on submissions */
+    includeComments?: boolean;
+    /**
+     * If truthy, includes rubric assessments: breakdown of score for each
+     * rubric item
+     */
+    includeRubricAssessment?: boolean;
+    /**
+     * If truthy, excludes submission[i].user value with the submission's user
+     * information
+     */
+    excludeUser?: boolean;
+  }
+
+  /** Options for api.course.assignment.createTextSubmission */
+  interface CourseAssignmentCreateTextSubmissionOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** The Canvas assignment Id */
+    assignmentId: number;
+    /** The text body of the submission */
+    text: string;
+    /**
+     * The current user's Canvas Id. If not included, we call the current user
+     * endpoint
+     */
+    currentUserId?: Id;
+    /** A text student comment to include */
+    comment?: string;
+  }
+
+  /** Options for api.course.assignment.createURLSubmission */
+  interface CourseAssignmentCreateURLSubmissionOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** The Canvas assignment Id */
+    assignmentId: number;
+    /** The url of the submission */
+    url: string;
+    /**
+     * The current user's Canvas Id. If not included, we call the current user
+     * endpoint
+     */
+    currentUserId?: Id;
+    /** A text student comment to include */
+    comment?: string;
+  }
+
+  /** Options for api.course.assignment.createFileSubmission */
+  interface CourseAssignmentCreateFileSubmissionOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** The Canvas assignment Id */
+    assignmentId: number;
+    /** The filenames to upload to the submission */
+    filenames: string;
+    /**
+     * The current user's Canvas Id. If not included, we call the current user
+     * endpoint
+     */
+    currentUserId?: Id;
+    /** A text student comment to include */
+    comment?: string;
+  }
+
+  /*-------- api.course.assignmentGroup --------*/
+
+  /** Functions for interacting with assignment groups within courses */
+  interface CourseAssignmentGroupCategory {
+    /** Lists assignment groups in a course */
+    list: Endpoint<CourseAssignmentGroupListOptions, AssignmentGroup[]>;
+    /** Gets info on a specific assignment group in a course */
+    get: Endpoint<CourseAssignmentGroupGetOptions, AssignmentGroup>;
+    /** Updates an assignment group in a course */
+    update: Endpoint<CourseAssignmentGroupUpdateOptions, AssignmentGroup>;
+    /** Create a new assignment group in a course */
+    create: Endpoint<CourseAssignmentGroupCreateOptions, AssignmentGroup>;
+    /** Deletes an assignment group from a course */
+    delete: Endpoint<CourseAssignmentGroupDeleteOptions, AssignmentGroup>;
+  }
+
+  /** Options for api.course.assignmentGroup.list */
+  interface CourseAssignmentGroupListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+  }
+
+  /** Options for api.course.assignmentGroup.get */
+  interface CourseAssignmentGroupGetOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Assignment group to get */
+    assignmentGroupId: number;
+    /** if true, the list of assignments inside the group is included */
+    includeAssignments?: boolean;
+  }
+
+  /** Options for api.course.assignmentGroup.update */
+  interface CourseAssignmentGroupUpdateOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Assignment group to update */
+    assignmentGroupId: number;
+    /** New assignment group name */
+    name?: string;
+    /** New weight */
+    weight?: number;
+  }
+
+  /** Options for api.course.assignmentGroup.create */
+  interface CourseAssignmentGroupCreateOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** New assignment group name */
+    name: string;
+    /** Assignment group weight */
+    weight?: number;
+  }
+
+  /** Options for api.course.assignmentGroup.delete */
+  interface CourseAssignmentGroupDeleteOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Assignment group to delete */
+    assignmentGroupId: number;
+    /**
+     * Assignment group to move assignments to. If this parameter isn't
+     * included, assignments in the assignment group will be deleted.
+     */
+    moveAssignmentsTo?: number;
+  }
+
+  /*-------- api.course.discussionTopic --------*/
+
+  /** Functions for interacting with discussion topics within courses */
+  interface CourseDiscussionTopicCategory {
+    /** Gets the list of discussion topics */
+    list: Endpoint<CourseDiscussionTopicListOptions, DiscussionTopic[]>;
+    /** Creates a new discussion topic */
+    create: Endpoint<CourseDiscussionTopicCreateOptions, DiscussionTopic>;
+    /** Deletes a discussion topic */
+    delete: Endpoint<CourseDiscussionTopicDeleteOptions, DiscussionTopic>;
+    /** Lists the entries in a discussion topic */
+    listEntries: Endpoint<CourseDiscussionTopicListEntriesOptions, DiscussionTopic>;
+  }
+
+  /** Options for api.course.discussionTopic.list */
+  interface CourseDiscussionTopicListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, includes all dates */
+    includeAllDates?: boolean;
+    /** If truthy, includes sections */
+    includeSections?: boolean;
+    /** If truthy, includes section user count */
+    includeSectionsUserCount?: boolean;
+    /** If truthy, includes overrides */
+    includeOverrides?: boolean;
+    /**
+     * If included, the partial title of the discussion topics to match and
+     * return
+     */
+    searchTerm?: string;
+    /**
+     * If included, the results are ordered as instructed. Can be "position" or
+     * "recent_activity" or "title"
+     */
+    orderBy?: string;
+  }
+
+  /** Options for api.course.discussionTopic.create */
+  interface CourseDiscussionTopicCreateOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** title of the discussion */
+    title: string;
+    /** message of the discussion */
+    message: string;
+    /**
+     * the type of discussion. Accepted values are 'side_comment', for
+     * discussions that only allow one level of nested comments, and 'threaded'
+     * for fully threaded discussions.
+     */
+    discussionType?: string;
+    /**
+     * if true, topic is published. If false, discussion topic is left in draft
+     * state
+     */
+    published?: boolean;
+    /** if a date is given, the topic will not be published until that time */
+    delayedPostAt?: Date | string;
+    /** if true, users can rate entries in this topic */
+    allowRating?: boolean;
+    /**
+     * if a date is given, the topic will be scheduled to lock at the provided
+     * timestamp. If the date is in the past, the topic will be locked
+     */
+    lockAt?: Date | string;
+    /** if true, this topic will be listed in the “Pinned Discussion” section */
+    pinned?: boolean;
+    /**
+     * if included, the topic will become a group discussion assigned to the
+     * group
+     */
+    groupSetId?: Id;
+    /** if true, only graders will be allowed to rate entries. */
+    onlyGradersCanRate?: boolean;
+    /**
+     * if true, then a user may not respond to other replies until that user has
+     * made an initial reply
+     */
+    requireInitialPost?: boolean;
+  }
+
+  /** Options for api.course.discussionTopic.delete */
+  interface CourseDiscussionTopicDeleteOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** the id of the Canvas discussion topic to delete */
+    topicId: string;
+  }
+
+  /** Options for api.course.discussionTopic.listEntries */
+  interface CourseDiscussionTopicListEntriesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** the id of the Canvas discussion topic to list entries in */
+    topicId: string;
+  }
+
+  /*-------- api.course.gradebookColumn --------*/
+
+  /** Functions for interacting with gradebook columns within courses */
+  interface CourseGradebookColumnCategory {
+    /** Gets the list of custom gradebook columns in a course */
+    list: Endpoint<CourseGradebookColumnListOptions, CustomColumn[]>;
+    /**
+     * Gets info on a specific gradebook column in a course. This is a simulated
+     * endpoint: it does not exist. We are just pulling the list of columns and
+     * returning one element.
+     */
+    get: Endpoint<CourseGradebookColumnGetOptions, CustomColumn>;
+    /** Updates a gradebook column's information */
+    update: Endpoint<CourseGradebookColumnUpdateOptions, CustomColumn>;
+    /** Creates a new gradebook column in a course */
+    create: Endpoint<CourseGradebookColumnCreateOptions, CustomColumn>;
+    /** Deletes a gradebook column from a course */
+    delete: Endpoint<CourseGradebookColumnDeleteOptions, CustomColumn>;
+    /** Gets the list of entries in a specific gradebook column in a course */
+    listEntries: Endpoint<CourseGradebookColumnListEntriesOptions, ColumnDatum[]>;
+    /** Update a specific entry in a gradebook column */
+    updateEntry: Endpoint<CourseGradebookColumnUpdateEntryOptions, ColumnDatum>;
+    /** Update the list of entries in a specific gradebook column in a course */
+    updateEntries: Endpoint<CourseGradebookColumnUpdateEntriesOptions, Progress>;
+  }
+
+  /** Options for api.course.gradebookColumn.list */
+  interface CourseGradebookColumnListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** If truthy, includes hidden gradebook columns as well. */
+    includeHidden?: boolean;
+  }
+
+  /** Options for api.course.gradebookColumn.get */
+  interface CourseGradebookColumnGetOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas column Id to return */
+    columnId: number;
+    /**
+     * Must be set to true if the column you're retrieving is a hidden column.
+     */
+    isHidden?: boolean;
+  }
+
+  /** Options for api.course.gradebookColumn.update */
+  interface CourseGradebookColumnUpdateOptions {
+    /** Canvas course ID */
+    courseId: Id;
+    /** Canvas custom gradebook column ID to query */
+    columnId: number;
+    /** New title for the column */
+    title?: string;
+    /** New position for the column in the list of custom gradebook columns */
+    position?: number;
+    /**
+     * If set, updates whether the custom gradebook column is hidden from
+     * everyone. Must be a boolean
+     */
+    hidden?: boolean;
+  }
+
+  /** Options for api.course.gradebookColumn.create */
+  interface CourseGradebookColumnCreateOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Title of new custom gradebook column */
+    title?: string;
+    /**
+     * Position of the gradebook column within the list of custom gradebook
+     * columns
+     */
+    position?: number;
+    /**
+     * If truthy, hides the gradebook column from everyone, not just instructor
+     * as usual
+     */
+    hidden?: boolean;
+  }
+
+  /** Options for api.course.gradebookColumn.delete */
+  interface CourseGradebookColumnDeleteOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Gradebook column Id */
+    columnId: number;
+  }
+
+  /** Options for api.course.gradebookColumn.listEntries */
+  interface CourseGradebookColumnListEntriesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Gradebook column Id */
+    columnId: number;
+  }
+
+  /** Options for api.course.gradebookColumn.updateEntry */
+  interface CourseGradebookColumnUpdateEntryOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Gradebook column Id */
+    columnId: number;
+    /** Canvas user id to update */
+    studentId: Id;
+    /** the new text for the user's column cell */
+    content: string;
+  }
+
+  /** Options for api.course.gradebookColumn.updateEntries */
+  interface CourseGradebookColumnUpdateEntriesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Gradebook column Id */
+    columnId: number;
+    /**
+     * list of ColumnDatum objects: `[{user_id: <Canvas User Id>, content: <New
+     * Entry Text>}, ...]`
+     */
+    entries: any[];
+    /** If truthy, waits for completion of batch update request */
+    waitForCompletion?: boolean;
+    /** Number of minutes to wait for completion of batch upload */
+    waitForCompletionTimeout?: number;
+  }
+
+  /*-------- api.course.group --------*/
+
+  /** Functions for interacting with student groups within courses */
+  interface CourseGroupCategory {
+    /** Gets the list of groups in a course */
+    list: Endpoint<CourseGroupListOptions, Group[]>;
+    /** Gets info on a specific group in a course */
+    get: Endpoint<CourseGroupGetOptions, Group>;
+    /** Gets the list of members in a group */
+    listMembers: Endpoint<CourseGroupListMembersOptions, User[]>;
+    /** Gets the list of members in a group */
+    updateMembers: Endpoint<CourseGroupUpdateMembersOptions, Group>;
+  }
+
+  /** Options for api.course.group.list */
+  interface CourseGroupListOptions {
+    /** Canvas course Id */
+    courseId: Id;
+  }
+
+  /** Options for api.course.group.get */
+  interface CourseGroupGetOptions {
+    /** Canvas group Id */
+    groupId: Id;
+  }
+
+  /** Options for api.course.group.listMembers */
+  interface CourseGroupListMembersOptions {
+    /** Canvas group Id */
+    groupId: Id;
+  }
+
+  /** Options for api.course.group.updateMembers */
+  interface CourseGroupUpdateMembersOptions {
+    /** Canvas group Id */
+    groupId: Id;
+    /** The list of user objects/user Ids that should be in the group */
+    members?: any[];
+  }
+
+  /*-------- api.course.groupSet --------*/
+
+  /** Functions for interacting with group sets/categories within courses */
+  interface CourseGroupSetCategory {
+    /** Lists the group sets in the course */
+    list: Endpoint<CourseGroupSetListOptions, GroupCategory[]>;
+    /** Gets info on a specific group set */
+    get: Endpoint<CourseGroupSetGetOptions, GroupCategory>;
+    /** Create a group set in a course */
+    create: Endpoint<CourseGroupSetCreateOptions, GroupCategory>;
+    /** Deletes a group set */
+    delete: Endpoint<CourseGroupSetDeleteOptions, GroupCategory>;
+    /** Gets the list of groups in a group set */
+    listGroups: Endpoint<CourseGroupSetListGroupsOptions, Group[]>;
+    /**
+     * Gets info on a specific group in a group set (alias to
+     * groups.js/getGroup)
+     */
+    getGroup: Endpoint<CourseGroupSetGetGroupOptions, Group>;
+    /** Creates a new group in a group set */
+    createGroup: Endpoint<CourseGroupSetCreateGroupOptions, Group>;
+    /** Deletes a specific group from a group set */
+    deleteGroup: Endpoint<CourseGroupSetDeleteGroupOptions, Group>;
+  }
+
+  /** Options for api.course.groupSet.list */
+  interface CourseGroupSetListOptions {
+    /** Canvas course Id */
+    courseId: Id;
+  }
+
+  /** Options for api.course.groupSet.get */
+  interface CourseGroupSetGetOptions {
+    /** Canvas group set Id */
+    groupSetId: Id;
+  }
+
+  /** Options for api.course.groupSet.create */
+  interface CourseGroupSetCreateOptions {
+    /** Canvas course Id to create a group set in */
+    courseId: Id;
+    /** The name of the new group set */
+    name: string;
+  }
+
+  /** Options for api.course.groupSet.delete */
+  interface CourseGroupSetDeleteOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** Canvas group set Id */
+    groupSetId: Id;
+  }
+
+  /** Options for api.course.groupSet.listGroups */
+  interface CourseGroupSetListGroupsOptions {
+    /** Canvas group set Id to query */
+    groupSetId: Id;
+  }
+
+  /** Options for api.course.groupSet.getGroup */
+  interface CourseGroupSetGetGroupOptions {
+    /** Canvas group Id */
+    groupId: Id;
+  }
+
+  /** Options for api.course.groupSet.createGroup */
+  interface CourseGroupSetCreateGroupOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** Canvas group set Id to query */
+    groupSetId: Id;
+    /** Name of the new group */
+    name?: string;
+    /** Description of the new group */
+    description?: string;
+    /** If truthy, group is public */
+    isPublic?: boolean;
+  }
+
+  /** Options for api.course.groupSet.deleteGroup */
+  interface CourseGroupSetDeleteGroupOptions {
+    /** Canvas group set Id */
+    groupSetId: Id;
+    /** Canvas group Id to delete */
+    groupId: Id;
+    /**
+     * Canvas course Id. If included, the course's cached lists of groups and
+     * group sets are also uncached
+     */
+    courseId?: Id;
+  }
+
+  /*-------- api.course.navMenuItem --------*/
+
+  /** Functions for interacting with course navigation menu items */
+  interface CourseNavMenuItemCategory {
+    /** Lists the nav menu items in the course */
+    list: Endpoint<CourseNavMenuItemListOptions, Tab[]>;
+    /** Update a nav menu item */
+    update: Endpoint<CourseNavMenuItemUpdateOptions, Tab>;
+  }
+
+  /** Options for api.course.navMenuItem.list */
+  interface CourseNavMenuItemListOptions {
+    /** Canvas course Id */
+    courseId: Id;
+  }
+
+  /** Options for api.course.navMenuItem.update */
+  interface CourseNavMenuItemUpdateOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /**
+     * a url string identifying the item to move to the top of the menu. The url
+     * must either be a full url or a path. At least one of url, label, or id
+     * must be included. Case insensitive
+     */
+    url?: string;
+    /**
+     * a text label identifying the item to move to the top of the menu. At
+     * least one of url, label, or id must be included. Case insensitive.
+     */
+    label?: string;
+    /**
+     * the id of the item to move to the top of the menu. At least one of url,
+     * label, or id must be included. Case sensitive.
+     */
+    id?: string;
+    /**
+     * if true, moves the given nav menu item as high up in the nav menu as
+     * allowed by Canvas. At best, the position will be set to 2 because
+     * position 1 is reserved for the "Home" item.
+     */
+    moveToTop?: boolean;
+    /** the new position of the item (starts at 1) */
+    position?: number;
+    /**
+     * if true, menu item is hidden. if false, menu item is made visible. if
+     * excluded, visibility is unchanged.
+     */
+    hidden?: boolean;
+  }
+
+  /*-------- api.course.page --------*/
+
+  /** Functions for interacting with pages within courses */
+  interface CoursePageCategory {
+    /** Gets the list of pages in a course */
+    list: Endpoint<CoursePageListOptions, Page[]>;
+    /** Get info on a specific page in a course */
+    get: Endpoint<CoursePageGetOptions, Page>;
+    /** Updates a Canvas page */
+    update: Endpoint<CoursePageUpdateOptions, Page>;
+    /** Creates a new page in a course */
+    create: Endpoint<CoursePageCreateOptions, Page>;
+    /** Deletes a page from a course */
+    delete: Endpoint<CoursePageDeleteOptions, Page>;
+  }
+
+  /** Options for api.course.page.list */
+  interface CoursePageListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+  }
+
+  /** Options for api.course.page.get */
+  interface CoursePageGetOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas page url (just the last part of path) */
+    pageURL: string;
+  }
+
+  /** Options for api.course.page.update */
+  interface CoursePageUpdateOptions {
+    /** Canvas course Id holding the page to update */
+    courseId: Id;
+    /** Canvas page url (just the last part of path) */
+    pageURL: string;
+    /** if true, send notification */
+    notifyOfUpdate?: boolean;
+    /** New title of the page */
+    title?: string;
+    /** New html body of the page */
+    body?: string;
+    /** New usertype(s) who can edit */
+    editingRoles?: string;
+    /** New publish status of page */
+    published?: boolean;
+    /** New front page status of page */
+    frontPage?: boolean;
+  }
+
+  /** Options for api.course.page.create */
+  interface CoursePageCreateOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** The title of the page */
+    title?: string;
+    /** html body of the page */
+    body?: string;
+    /** usertype(s) who can edit */
+    editingRoles?: string;
+    /** if true, sends notification */
+    notifyOfUpdate?: boolean;
+    /** if true, publishes page upon creation */
+    published?: boolean;
+    /** if true, sets page as front page */
+    frontPage?: boolean;
+  }
+
+  /** Options for api.course.page.delete */
+  interface CoursePageDeleteOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Page url to delete (just last part of path) */
+    pageURL: string;
+  }
+
+  /*-------- api.course.quiz --------*/
+
+  /** Functions for interacting with quizzes within courses */
+  interface CourseQuizCategory {
+    /** Lists the quizzes in a course */
+    list: Endpoint<CourseQuizListOptions, Quiz[]>;
+    /** Get info on a specific quiz in a course */
+    get: Endpoint<CourseQuizGetOptions, Quiz>;
+    /** Updates a specific quiz in a course */
+    update: Endpoint<CourseQuizUpdateOptions, Quiz>;
+    /** Creates a new quiz in a course */
+    create: Endpoint<CourseQuizCreateOptions, Quiz>;
+    /** Deletes a quiz from a course */
+    delete: Endpoint<CourseQuizDeleteOptions, Quiz>;
+    /** Lists the questions in a specific quiz in a course */
+    listQuestions: Endpoint<CourseQuizListQuestionsOptions, QuizSubmission[]>;
+    /**
+     * Creates a new multiple choice question and adds it to a quiz in a course
+     */
+    createMultipleChoiceQuestion: Endpoint<CourseQuizCreateMultipleChoiceQuestionOptions, QuizQuestion>;
+    /** Creates a new essay question and adds it to a quiz in a course */
+    createEssayQuestion: Endpoint<CourseQuizCreateEssayQuestionOptions, QuizQuestion>;
+    /** Creates a new short answer question and adds it to a quiz in a course */
+    createShortAnswerQuestion: Endpoint<CourseQuizCreateShortAnswerQuestionOptions, QuizQuestion>;
+    /** Lists the submissions to a quiz in a course */
+    listSubmissions: Endpoint<CourseQuizListSubmissionsOptions, QuizSubmission[]>;
+    /** Gets info on a specific submission to a quiz in a course */
+    getSubmission: Endpoint<CourseQuizGetSubmissionOptions, QuizSubmission>;
+    /**
+     * Creates a new submission to a specific quiz in a course on behalf of the
+     * current user
+     */
+    createSubmission: Endpoint<CourseQuizCreateSubmissionOptions, QuizSubmission>;
+    /** Lists quiz question grades for a specific quiz in a course */
+    listQuestionGrades: Endpoint<CourseQuizListQuestionGradesOptions, QuizSubmission>;
+    /**
+     * Updates the question grades for a specific submission to a quiz in a
+     * course
+     */
+    updateQuestionGrades: Endpoint<CourseQuizUpdateQuestionGradesOptions, QuizSubmission>;
+  }
+
+  /** Options for api.course.quiz.list */
+  interface CourseQuizListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+  }
+
+  /** Options for api.course.quiz.get */
+  interface CourseQuizGetOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+  }
+
+  /** Options for api.course.quiz.update */
+  interface CourseQuizUpdateOptions {
+    /** Canvas course Id to create the quiz in */
+    courseId: Id;
+    /** Canvas course Id to create the quiz in */
+    quizId: number;
+    /** If true, does not notify users that the quiz has been updated */
+    suppressNotification?: boolean;
+    /** New title of the quiz */
+    title?: string;
+    /** New HTML description of the quiz */
+    description?: string;
+    /**
+     * Quiz type. Allowed values: [ 'practice_quiz', 'assignment',
+     * 'graded_survey', 'survey']
+     */
+    type?: string;
+    /** Date the quiz is due */
+    dueAt?: Date | string;
+    /** Date the quiz is lock */
+    lockAt?: Date | string;
+    /** Date the quiz is unlock */
+    unlockAt?: Date | string;
+    /** If true, quiz is published */
+    published?: boolean;
+    /**
+     * Number of times a student is allowed to take the quiz. Set to -1 for
+     * unlimited attempts
+     */
+    allowedAttempts?: number;
+    /**
+     * Only valid if allowedAttempts > 1. Allowed values: ['keep_highest',
+     * 'keep_latest']
+     */
+    scoringPolicy?: string;
+    /**
+     * If true, shows quiz to student one question at a time. Must be a boolean
+     */
+    oneQuestionAtATime?: boolean;
+    /**
+     * If true, shows quiz to student one question at a time. Must be a boolean
+     */
+    cantGoBack?: boolean;
+    /**
+     * If defined, restricts access to the quiz only to those with this access
+     * code
+     */
+    accessCode?: string;
+    /**
+     * If defined, restricts access to the quiz to computers in a specified IP
+     * range. Filters can be a comma-separated list of addresses, or an address
+     * followed by a mask
+     */
+    ipFilter?: string;
+    /**
+     * The assignment group to put the quiz into. Only valid if type is
+     * "assignment" or "graded_survey"
+     */
+    assignmentGroupId?: number;
+    /** Time limit for the quiz in minutes */
+    timeLimitMins?: number;
+    /**
+     * If true, quiz answers for multiple choice questions will be randomized
+     * for each student
+     */
+    shuffleAnswers?: boolean;
+    /**
+     * Allowed values: ['always', 'until_after_last_attempt'], determines
+     * whether the student can see their own submission and other results
+     */
+    hideResults?: string;
+    /**
+     * Only valid if hideResults is not defined. If true, hides correct answers
+     * from students when results are viewed
+     */
+    hideCorrectAnswers?: boolean;
+    /**
+     * Only valid if hideCorrectAnswers is not true and allowedAttemptes > 1. If
+     * true, hides correct answers from students when quiz results are viewed
+     * until they submit the last attempt for the quiz. Must be a boolean
+     */
+    showCorrectAnswersAfterLastAttempt?: boolean;
+    /**
+     * Only valid if hideCorrectAnswers is not true. If set, correct answers
+     * will only be visible after this date
+     */
+    showCorrectAnswersAt?: Date | string;
+    /**
+     * Only valid if hideCorrectAnswers is not true. If set, correct answers
+     * will stop being visible after this date has passed
+     */
+    hideCorrectAnswersAt?: Date | string;
+    /**
+     * Whether students should be prevented from viewing their quiz results past
+     * the first time (right after they turn in the quiz)
+     */
+    oneTimeResults?: boolean;
+    /** If true, the quiz is only visible to students with overrides */
+    onlyVisibleToOverrides?: boolean;
+  }
+
+  /** Options for api.course.quiz.create */
+  interface CourseQuizCreateOptions {
+    /** Canvas course Id to create the quiz in */
+    courseId: Id;
+    /** Title of the new quiz */
+    title: string;
+    /** HTML description of the quiz */
+    description?: string;
+    /**
+     * Quiz type. Allowed values: [ 'practice_quiz', 'assignment',
+     * 'graded_survey', 'survey']
+     */
+    type?: string;
+    /** Date the quiz is due */
+    dueAt?: Date | string;
+    /** Date the quiz is lock */
+    lockAt?: Date | string;
+    /** Date the quiz is unlock */
+    unlockAt?: Date | string;
+    /** If true, quiz is published */
+    published?: boolean;
+    /**
+     * Number of times a student is allowed to take the quiz. Set to -1 for
+     * unlimited attempts
+     */
+    allowedAttempts?: number;
+    /**
+     * Only valid if allowedAttempts > 1. Allowed values: ['keep_highest',
+     * 'keep_latest']
+     */
+    scoringPolicy?: string;
+    /** If true, shows quiz to student one question at a time */
+    oneQuestionAtATime?: boolean;
+    /** If true, shows quiz to student one question at a time */
+    cantGoBack?: boolean;
+    /**
+     * If defined, restricts access to the quiz only to those with this access
+     * code
+     */
+    accessCode?: string;
+    /**
+     * If defined, restricts access to the quiz to computers in a specified IP
+     * range. Filters can be a comma-separated list of addresses, or an address
+     * followed by a mask
+     */
+    ipFilter?: string;
+    /**
+     * The assignment group to put the quiz into. Only valid if type is
+     * "assignment" or "graded_survey"
+     */
+    assignmentGroupId?: number;
+    /** Time limit for the quiz in minutes */
+    timeLimitMins?: number;
+    /**
+     * If true, quiz answers for multiple choice questions will be randomized
+     * for each student
+     */
+    shuffleAnswers?: boolean;
+    /**
+     * Allowed values: ['always', 'until_after_last_attempt'], determines
+     * whether the student can see their own submission and other results
+     */
+    hideResults?: string;
+    /**
+     * Only valid if hideResults is not defined. If true, hides correct answers
+     * from students when results are viewed
+     */
+    hideCorrectAnswers?: boolean;
+    /**
+     * Only valid if hideCorrectAnswers is not true and allowedAttemptes > 1. If
+     * true, hides correct answers from students when quiz results are viewed
+     * until they submit the last attempt for the quiz
+     */
+    showCorrectAnswersAfterLastAttempt?: boolean;
+    /**
+     * Only valid if hideCorrectAnswers is not true. If set, correct answers
+     * will only be visible after this date
+     */
+    showCorrectAnswersAt?: Date | string;
+    /**
+     * Only valid if hideCorrectAnswers is not true. If set, correct answers
+     * will stop being visible after this date has passed
+     */
+    hideCorrectAnswersAt?: Date | string;
+    /**
+     * Whether students should be prevented from viewing their quiz results past
+     * the first time (right after they turn in the quiz)
+     */
+    oneTimeResults?: boolean;
+    /** If true, the quiz is only visible to students with overrides */
+    onlyVisibleToOverrides?: boolean;
+  }
+
+  /** Options for api.course.quiz.delete */
+  interface CourseQuizDeleteOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+  }
+
+  /** Options for api.course.quiz.listQuestions */
+  interface CourseQuizListQuestionsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+  }
+
+  /** Options for api.course.quiz.createMultipleChoiceQuestion */
+  interface CourseQuizCreateMultipleChoiceQuestionOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+    /** Name of the question */
+    name: string;
+    /** The text of the question, as displayed to the quiz taker */
+    text: string;
+    /** Maximum number of points */
+    pointsPossible: number;
+    /** Array of answers: [{ text, isCorrect, comment }] */
+    answers: any[];
+    /**
+     * Optional. Position of the question with respect to the other questions in
+     * the quiz
+     */
+    position?: number;
+    /** Comment to display if the student answers correctly */
+    correctComment?: string;
+    /** Comment to display if the student answers incorrectly */
+    incorrectComment?: string;
+    /** Comment to display regardless of how the student answers */
+    neutralComment?: string;
+  }
+
+  /** Options for api.course.quiz.createEssayQuestion */
+  interface CourseQuizCreateEssayQuestionOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+    /** Name of the question */
+    name: string;
+    /** The text of the question, as displayed to the quiz taker */
+    text: string;
+    /** Maximum number of points */
+    pointsPossible: number;
+    /**
+     * Optional. Position of the question with respect to the other questions in
+     * the quiz
+     */
+    position?: number;
+    /** Comment to display if the student answers correctly */
+    correctComment?: string;
+    /** Comment to display if the student answers incorrectly */
+    incorrectComment?: string;
+    /** Comment to display regardless of how the student answers */
+    neutralComment?: string;
+  }
+
+  /** Options for api.course.quiz.createShortAnswerQuestion */
+  interface CourseQuizCreateShortAnswerQuestionOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+    /** Name of the question */
+    name: string;
+    /** The text of the question, as displayed to the quiz taker */
+    text: string;
+    /** Maximum number of points */
+    pointsPossible: number;
+    /**
+     * Optional. Position of the question with respect to the other questions in
+     * the quiz
+     */
+    position?: number;
+    /** Comment to display if the student answers correctly */
+    correctComment?: string;
+    /** Comment to display if the student answers incorrectly */
+    incorrectComment?: string;
+    /** Comment to display regardless of how the student answers */
+    neutralComment?: string;
+  }
+
+  /** Options for api.course.quiz.listSubmissions */
+  interface CourseQuizListSubmissionsOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+  }
+
+  /** Options for api.course.quiz.getSubmission */
+  interface CourseQuizGetSubmissionOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+    /** Canvas quiz submission Id */
+    submissionId: number;
+  }
+
+  /** Options for api.course.quiz.createSubmission */
+  interface CourseQuizCreateSubmissionOptions {
+    /** Canvas course Id */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+    /**
+     * List of answers to quiz questions: [{id: <quiz_question_id>, answer:
+     * <answer_object>},...] where the answer object is explained here: {@link
+     * https://canvas.instructure.com/doc/api/quiz_submission_questions.html#Question+Answer+Formats-appendix}
+     */
+    answers: ({ [key: string]: any })[];
+    /** Access code for the quiz if it is locked */
+    accessCode?: string;
+  }
+
+  /** Options for api.course.quiz.listQuestionGrades */
+  interface CourseQuizListQuestionGradesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+  }
+
+  /** Options for api.course.quiz.updateQuestionGrades */
+  interface CourseQuizUpdateQuestionGradesOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Canvas quiz Id (not the quiz's assignment Id) */
+    quizId: number;
+    /** Canvas submission Id for a quiz */
+    submissionId: number;
+    /**
+     * The amount of positive/negative fudge points to apply to this submission
+     */
+    fudgePoints?: number;
+    /**
+     * A map questionId => { score, comment } of the question score/comment
+     * updates
+     */
+    questions?: { [key: string]: any };
+    /**
+     * The attempt to update grades for. If excluded, we pull the user's
+     * submission to get the attempt number
+     */
+    attempt?: number;
+  }
+
+  /*-------- api.course.rubric --------*/
+
+  /** Functions for interacting with rubrics within courses */
+  interface CourseRubricCategory {
+    /** Lists the set of rubrics in a course */
+    list: Endpoint<CourseRubricListOptions, Rubric[]>;
+    /** Gets info on a specific rubric in a course */
+    get: Endpoint<CourseRubricGetOptions, Rubric>;
+    /**
+     * Creates a new rubric for grading with free form comments enabled and add
+     * it to an assignment in a course.
+     */
+    createFreeFormGradingRubricInAssignment: Endpoint<CourseRubricCreateFreeFormGradingRubricInAssignmentOptions, Rubric>;
+  }
+
+  /** Options for api.course.rubric.list */
+  interface CourseRubricListOptions {
+    /** Canvas course Id to add the rubric to */
+    courseId: Id;
+  }
+
+  /** Options for api.course.rubric.get */
+  interface CourseRubricGetOptions {
+    /** Canvas course Id to add the rubric to */
+    courseId: Id;
+    /** Canvas course Id to add the rubric to */
+    rubricId: number;
+    /**
+     * Allowed values: ['assessments', 'graded_assessments',
+     * 'peer_assessments']. If excluded, no assessments will be included
+     * (default: none)
+     */
+    include?: boolean;
+    /**
+     * Allowed values: ['full','comments_only'] (full = entire assessment,
+     * comments_only = only comment part of assessment). Only valid if including
+     * assessments
+     */
+    assessmentStyle?: string;
+  }
+
+  /** Options for api.course.rubric.createFreeFormGradingRubricInAssignment */
+  interface CourseRubricCreateFreeFormGradingRubricInAssignmentOptions {
+    /** Canvas course Id to add the rubric to */
+    courseId: Id;
+    /** Canvas course Id to add the rubric to */
+    assignmentId: number;
+    /**
+     * List of rubric item objects: [{description, points, [longDescription]},
+     * ...]
+     */
+    rubricItems: any[];
+    /** Title of the new rubric */
+    title?: string;
+  }
+
+  /*-------- api.course.section --------*/
+
+  /** Functions for interacting with sections within courses */
+  interface CourseSectionCategory {
+    /** Gets the list of sections in a course */
+    list: Endpoint<CourseSectionListOptions, Section[]>;
+    /** Gets info on a specific section */
+    get: Endpoint<CourseSectionGetOptions, Section>;
+  }
+
+  /** Options for api.course.section.list */
+  interface CourseSectionListOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** if true, the list of students from each section are included */
+    includeStudents?: boolean;
+  }
+
+  /** Options for api.course.section.get */
+  interface CourseSectionGetOptions {
+    /** Canvas course Id to query */
+    courseId: Id;
+    /** Section Id to retrieve */
+    sectionId: Id;
+    /** if true, the list of students in the section are included */
+    includeStudents?: boolean;
+  }
+
+  /*-------- api.graphQL --------*/
+
+  /** Functions for sending graphQL requests */
+  interface GraphQLCategory {
+    /**
+     * Send a GraphQL request to Canvas and fetch all pages. Note: for paged
+     * responses, only the first top-level paged connection is supported (nested
+     * pagination is not supported).
+     */
+    sendQuery: Endpoint<GraphQLSendQueryOptions, any>;
+  }
+
+  /** Options for api.graphQL.sendQuery */
+  interface GraphQLSendQueryOptions {
+    /** the GraphQL query string */
+    query: string;
+    /**
+     * handler to call when there is a new page (called with all data up until
+     * now)
+     */
+    onNewPage?: (...args: any[]) => any;
+  }
+
+  /*-------- api.other --------*/
+
+  /**
+   * Functions for calling other endpoints not added to our support list of APIs
+   */
+  interface OtherCategory {
+    /** Calls any Canvas endpoint */
+    endpoint: Endpoint<OtherEndpointOptions, any>;
+  }
+
+  /** Options for api.other.endpoint */
+  interface OtherEndpointOptions {
+    /**
+     * the path of the endpoint to call (e.g. /api/v1/courses), just the path:
+     * not the host or protocol
+     */
+    path: string;
+    /** the http method to use */
+    method?: string;
+    /** the get query params or the post/put/delete body params */
+    params?: { [key: string]: any };
+  }
+
+  /*-------- api.progress --------*/
+
+  /**
+   * Functions for tracking long-running jobs (grade uploads, content
+   * migrations, reports, etc.)
+   */
+  interface ProgressCategory {
+    /**
+     * Gets the current state of a job. Progress is never cached because it
+     * changes while the job runs
+     */
+    get: Endpoint<ProgressGetOptions, Progress>;
+    /**
+     * Cancels a job (only works for jobs that Canvas allows to be cancelled)
+     */
+    cancel: Endpoint<ProgressCancelOptions, Progress>;
+    /**
+     * Waits for a job to finish. Checks often at first, then less often while
+     * the job's completion doesn't change. To keep tracking a job after a
+     * restart, save its progress id and pass it in later
+     */
+    waitFor: Endpoint<ProgressWaitForOptions, Progress>;
+  }
+
+  /** Options for api.progress.get */
+  interface ProgressGetOptions {
+    /** the id of the Progress object */
+    progressId: number;
+  }
+
+  /** Options for api.progress.cancel */
+  interface ProgressCancelOptions {
+    /** the id of the Progress object */
+    progressId: number;
+    /**
+     * a message to store on the Progress object explaining why the job was
+     * cancelled
+     */
+    message?: string;
+  }
+
+  /** Options for api.progress.waitFor */
+  interface ProgressWaitForOptions {
+    /**
+     * the Canvas Progress object {@link
+     * https://canvas.instructure.com/doc/api/progress.html#Progress} returned
+     * when the job was started, or its id
+     */
+    progress: { [key: string]: any } | number;
+    /**
+     * function called with the Progress object each time the job's state or
+     * completion percentage (progress.completion, 0-100) changes
+     */
+    onUpdate?: (...args: any[]) => any;
+    /**
+     * polling intervals: { initialMs, maxMs, factor } where initialMs (default:
+     * 250) is the number of milliseconds to wait between checks at first and
+     * after the completion changes, the wait is multiplied by factor (default:
+     * 1.5) each time the completion doesn't change, and maxMs (default: 5000)
+     * is the longest wait
+     */
+    backoff?: { [key: string]: any };
+    /**
+     * the number of minutes to wait before giving up (the job keeps running in
+     * Canvas)
+     */
+    timeout?: number;
+  }
+
+  /*-------- api.user --------*/
+
+  /** Functions for users */
+  interface UserCategory {
+    /** Functions for getting info on current user */
+    self: UserSelfCategory;
+  }
+
+  /*-------- api.user.self --------*/
+
+  /** Functions for getting info on current user */
+  interface UserSelfCategory {
+    /** Gets info on the current user */
+    getProfile: OptionalEndpoint<UserSelfGetProfileOptions, User>;
+    /** Gets the list of courses associated with the current user */
+    listCourses: OptionalEndpoint<UserSelfListCoursesOptions, Course[]>;
+  }
+
+  /** Options for api.user.self.getProfile */
+  interface UserSelfGetProfileOptions {}
+
+  /** Options for api.user.self.listCourses */
+  interface UserSelfListCoursesOptions {
+    /** if truthy, term is included */
+    includeTerm?: boolean;
+  }
+}
+
+export = API;
@@ -19,22 +19,115 @@ const API = require('./endpoints/API');
  *   hostname is prepended to the request path
  * @param {string} [config.cacheType] - If 'memory', cache is stored in
  *   memory. If 'session' and req is included, cache is stored in express
- *   session. To include a custom cache, include it as config.cache
+ *   session. If 'redis' and cacheOptions.client is included, cache is stored
+ *   in redis. If 'file' and cacheOptions.dir is included, cache is stored on
+ *   disk. To include a custom cache, include it as config.cache
+ * @param {object} [config.cacheOptions] - Options for the cache created by
+ *   cacheType. For 'memory': cacheOptions.ttlMs - the number of milliseconds
+ *   that entries stay in the cache (entries can be given their own TTL by
+ *   including a cacheTtlMs option in an individual request);
+ *   cacheOptions.maxEntries - the maximum number of entries;
+ *   cacheOptions.maxBytes - the maximum total size of all entries. When full,
+ *   the least recently used entries are evicted. For 'redis':
+ *   cacheOptions.client - a connected ioredis-style client (required);
+ *   cacheOptions.ttlMs - the number of milliseconds that entries stay in the
+ *   cache; cacheOptions.keyPrefix - a prefix for all keys;
+ *   cacheOptions.namespace - a namespace for all keys (defaults to the Canvas
+ *   host plus a fingerprint of the access token). For 'file':
+ *   cacheOptions.dir - the directory to store the cache in (required);
+ *   cacheOptions.ttlMs - the number of milliseconds that entries stay in the
+ *   cache; cacheOptions.lockTimeoutMs - the number of milliseconds to wait
+ *   for another process to release the lock; cacheOptions.lockStaleMs - the
+ *   number of milliseconds after which a lock is assumed to be abandoned
  * @param {object} [config.req] - Express request object with req.session
  *   support. Required if using 'session' cacheType.
  * @param {object} [config.cache] - Custom cache manager class. Required if
  *   using 'custom' cacheType.
  * @param {function} [config.sendRequest] - Function that sends a request to
  *   the Canvas API. Defaults to HTTPS request sender.
- * @param {string} [options.apiPathPrefix=''] - The
+ * @param {object} [config.fixtures] - Options for recording and replaying
+ *   requests: { mode, dir }. If fixtures.mode is 'record', every request and
+ *   response is written (with access tokens redacted) to a fixture file in
+ *   fixtures.dir. If fixtures.mode is 'replay', responses are served from
+ *   those files instead of sending requests and requests that weren't
+ *   recorded fail with a CACCLError. Works with config.sendRequest (requests
+ *   are recorded as they're sent with that function)
+ * @param {string} [config.apiPathPrefix=''] - The
  *   prefix to prepend to all endpoint paths
  * @param {number} [config.numRetries=3] - Number of times to retry a
  *   request. Can be overridden for an individual request by including
  *   numRetries option
+ * @param {object} [config.retryPolicy] - Rules for retrying failed requests.
+ *   Can be overridden for an individual request by including a retryPolicy
+ *   option. Any excluded property takes its default value:
+ *   retryPolicy.statuses (default: [429, 502, 503, 504]) - statuses to retry;
+ *   retryPolicy.methods (default: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])
+ *   - methods that are safe to retry (others, like POST, are never retried);
+ *   retryPolicy.baseDelayMs (default: 500) - delay before the first retry,
+ *   doubled with each retry; retryPolicy.maxDelayMs (default: 10000) - the
+ *   maximum delay; retryPolicy.jitter (default: true) - if true, delays are
+ *   randomized; retryPolicy.respectRetryAfter (default: true) - if true, we
+ *   wait as long as the Retry-After header asks (and don't retry if it asks
+ *   for more than maxDelayMs)
+ * @param {boolean|number} [config.parallelPages] - If truthy and Canvas
+ *   tells us the number of the last page, the rest of the pages are requested
+ *   in parallel (at most this many at once or 4 at once if true). Can be
+ *   overridden for an individual request by including parallelPages option
+ * @param {number} [config.requestTimeoutMs] - Number of milliseconds to wait
+ *   for Canvas to respond to each request. If Canvas takes too long, the
+ *   request is retried (if allowed) and then fails with a timeout error. Can
+ *   be overridden for an individual request by including requestTimeoutMs
+ *   option
+ * @param {number} [config.deadlineMs] - Number of milliseconds that each
+ *   endpoint call (including all of its pages and sub-requests) may take. If
+ *   the deadline passes, the call is cancelled and fails with a deadline
+ *   error. Can be overridden for an individual request by including
+ *   deadlineMs option
+ * @param {boolean} [config.staleWhileRevalidate] - If truthy, cached values
+ *   are returned right away and then refreshed in the background (identical
+ *   requests that are in flight at the same time are always shared). Can be
+ *   overridden for an individual request by including staleWhileRevalidate
+ *   option
+ * @param {number} [config.staleAfterMs=60000] - Number of milliseconds after
+ *   a value is cached before it's refreshed in the background (see
+ *   staleWhileRevalidate). Values cached by another process are refreshed the
+ *   first time they're used. Can be overridden for an individual request by
+ *   including staleAfterMs option
+ * @param {function} [config.onRevalidate] - Function to call with the fresh
+ *   value when a value that was refreshed in the background changed. Can be
+ *   overridden for an individual request by including onRevalidate option
  * @param {number} [config.itemsPerPage=100] - Number of items to
  *   request on a get request. Can be overridden for an individual request by
  *   including numPerPage option
  * @param {string} [config.authenticityToken] - An authenticity token
  *   to add to all requests no matter what (cannot be overridden)
+ * @param {function[]} [config.middleware] - A list of request middleware
+ *   functions of the form (request, next) => Promise.<response>. Each function
+ *   can inspect or rewrite the request ({ method, host, path, params, headers
+ *   }), call next(request) to continue, observe the response, or resolve with
+ *   its own { body, status, headers } response to skip sending the request.
+ *   Additional middleware can be included for an individual request by
+ *   including a middleware option
+ * @param {boolean} [config.dryRun] - If truthy, requests that would change
+ *   Canvas (anything but GET) are recorded instead of sent and calls that
+ *   would have sent them resolve with the list of planned
+ *   { method, path, params } requests. GET requests are still sent. Can be
+ *   overridden for an individual request by including dryRun option
+ * @param {object|function} [config.logger] - A logger to send structured
+ *   events to (request start, page fetched, cache hit/miss, retry, error). May
+ *   be an object with debug/info/warn/error functions (e.g. console) or a
+ *   function that is called with each log entry. Access tokens and other
+ *   secrets are redacted. If excluded, nothing is logged
+ * @param {string} [config.logLevel=info] - The minimum level to log: 'debug',
+ *   'info', 'warn', or 'error'
+ * @param {object|boolean} [config.rateLimit] - Options for the rate limit
+ *   throttler that is shared by all endpoints. As Canvas's
+ *   X-Rate-Limit-Remaining quota drops below rateLimit.threshold (default:
+ *   200), requests are queued, sent one at a time, and spaced out by up to
+ *   rateLimit.maxSpacingMs (default: 1000). Throttled requests are retried up
+ *   to rateLimit.maxRetries (default: 3) times with exponential backoff
+ *   starting at rateLimit.baseDelayMs (default: 1000) and capped at
+ *   rateLimit.maxDelayMs (default: 30000). Set to false to turn off
+ *   throttling. Check the current quota with api.rateLimit.stats()
  */
 module.exports = API;
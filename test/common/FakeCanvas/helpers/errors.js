@@ -0,0 +1,63 @@
+/**
+ * Errors that fake Canvas routes throw. Each one is turned into a response
+ *   with the same status and body that Canvas sends
+ */
+class FakeCanvasError extends Error {
+  constructor(status, body) {
+    super(`Fake Canvas responded with ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+module.exports = {
+  FakeCanvasError,
+
+  /**
+   * Generates a 404 error
+   * @return {FakeCanvasError} the error
+   */
+  genNotFoundError: () => {
+    return new FakeCanvasError(404, {
+      errors: [{ message: 'The specified resource does not exist.' }],
+    });
+  },
+
+  /**
+   * Generates a 401 error for requests without a valid access token
+   * @return {FakeCanvasError} the error
+   */
+  genUnauthenticatedError: () => {
+    return new FakeCanvasError(401, {
+      errors: [{ message: 'Invalid access token.' }],
+    });
+  },
+
+  /**
+   * Generates a 401 error for users without permission
+   * @return {FakeCanvasError} the error
+   */
+  genUnauthorizedError: () => {
+    return new FakeCanvasError(401, {
+      status: 'unauthorized',
+      errors: [{ message: 'user not authorized to perform that action' }],
+    });
+  },
+
+  /**
+   * Generates a 400 error listing invalid params
+   * @param {object} fieldToMessage - map of invalid param => message
+   * @return {FakeCanvasError} the error
+   */
+  genInvalidParamsError: (fieldToMessage) => {
+    const errors = {};
+    Object.keys(fieldToMessage).forEach((field) => {
+      errors[field] = [{
+        attribute: field,
+        type: 'invalid',
+        message: fieldToMessage[field],
+      }];
+    });
+    return new FakeCanvasError(400, { errors });
+  },
+};
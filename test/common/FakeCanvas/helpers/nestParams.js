@@ -0,0 +1,39 @@
+/**
+ * Turns flat request params with bracket keys (e.g. "assignment[name]") into
+ *   nested objects (e.g. { assignment: { name } }), the way Canvas reads them.
+ *   Values keep their types because we read the params before they're
+ *   stringified. Keys inside brackets are kept as strings (e.g. the student
+ *   ids in "grade_data[123][posted_grade]")
+ * @param {object} [params={}] - the flat params
+ * @return {object} nested params
+ */
+module.exports = (params = {}) => {
+  const nested = {};
+
+  Object.keys(params).forEach((key) => {
+    // Skip excluded params
+    if (params[key] === undefined) {
+      return;
+    }
+
+    // Split "a[b][c]" (or "a[]") into ['a', 'b', 'c']
+    const parts = key
+      .replace(/\[\]$/, '')
+      .split('[')
+      .map((part) => {
+        return part.replace(/\]$/, '');
+      });
+
+    // Walk down, creating objects along the way
+    let parent = nested;
+    parts.slice(0, -1).forEach((part) => {
+      if (!parent[part] || typeof parent[part] !== 'object') {
+        parent[part] = {};
+      }
+      parent = parent[part];
+    });
+    parent[parts[parts.length - 1]] = params[key];
+  });
+
+  return nested;
+};
@@ -0,0 +1,72 @@
+/**
+ * Turns an assignment record into a Canvas assignment object
+ * @param {FakeCanvas} canvas - the fake Canvas instance
+ * @param {object} course - the course record
+ * @param {object} assignment - the assignment record
+ * @return {object} Canvas assignment
+ */
+module.exports = (canvas, course, assignment) => {
+  const htmlURL = `https://${canvas.host}/courses/${course.id}/assignments/${assignment.id}`;
+  const serialized = {
+    id: assignment.id,
+    name: assignment.name,
+    description: assignment.description,
+    created_at: assignment.created_at,
+    updated_at: assignment.updated_at,
+    due_at: assignment.due_at,
+    lock_at: assignment.lock_at,
+    unlock_at: assignment.unlock_at,
+    has_overrides: assignment.overrides.length > 0,
+    all_dates: null,
+    course_id: course.id,
+    html_url: htmlURL,
+    submissions_download_url: `${htmlURL}/submissions?zip=1`,
+    assignment_group_id: assignment.assignment_group_id,
+    due_date_required: false,
+    allowed_extensions: assignment.allowed_extensions,
+    max_name_length: 255,
+    turnitin_enabled: false,
+    vericite_enabled: false,
+    grade_group_students_individually: (
+      assignment.grade_group_students_individually
+    ),
+    external_tool_tag_attributes: assignment.external_tool_tag_attributes,
+    peer_reviews: assignment.peer_reviews,
+    automatic_peer_reviews: assignment.automatic_peer_reviews,
+    group_category_id: assignment.group_category_id,
+    needs_grading_count: 0,
+    position: assignment.position,
+    post_to_sis: false,
+    integration_id: null,
+    integration_data: {},
+    points_possible: assignment.points_possible,
+    submission_types: assignment.submission_types,
+    has_submitted_submissions: course.submissions.some((submission) => {
+      return (
+        submission.assignment_id === assignment.id
+        && submission.workflow_state !== 'unsubmitted'
+      );
+    }),
+    grading_type: assignment.grading_type,
+    grading_standard_id: null,
+    published: assignment.published,
+    unpublishable: true,
+    only_visible_to_overrides: false,
+    locked_for_user: false,
+    omit_from_final_grade: assignment.omit_from_final_grade,
+    moderated_grading: false,
+    anonymous_grading: false,
+    muted: assignment.muted,
+    workflow_state: (assignment.published ? 'published' : 'unpublished'),
+  };
+
+  // Add rubric info
+  if (assignment.rubric) {
+    serialized.use_rubric_for_grading = assignment.use_rubric_for_grading;
+    serialized.free_form_criterion_comments = true;
+    serialized.rubric = assignment.rubric;
+    serialized.rubric_settings = assignment.rubric_settings;
+  }
+
+  return serialized;
+};
@@ -0,0 +1,161 @@
+/**
+ * Helpers for fake Canvas routes that don't depend on Canvas state
+ */
+const {
+  genNotFoundError,
+  genUnauthorizedError,
+} = require('./errors');
+
+// Enrollment types that can manage a course
+const TEACHING_TEAM_TYPES = [
+  'TeacherEnrollment',
+  'TaEnrollment',
+  'DesignerEnrollment',
+];
+
+/**
+ * Turns a date param into Canvas's format
+ * @param {*} value - the param value
+ * @return {string|null} ISO 8601 timestamp without milliseconds or null if
+ *   the value isn't a date
+ */
+const toDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().split('.')[0] + 'Z';
+};
+
+/**
+ * Gets a user's enrollments in a course
+ * @param {object} user - the user record
+ * @param {object} course - the course record
+ * @return {object[]} the enrollments
+ */
+const getEnrollments = (user, course) => {
+  return course.enrollments.filter((enrollment) => {
+    return enrollment.user_id === user.id;
+  });
+};
+
+/**
+ * Checks if a user is on the teaching team of a course
+ * @param {object} user - the user record
+ * @param {object} course - the course record
+ * @return {boolean} true if the user can manage the course
+ */
+const isTeacher = (user, course) => {
+  return getEnrollments(user, course).some((enrollment) => {
+    return TEACHING_TEAM_TYPES.indexOf(enrollment.type) >= 0;
+  });
+};
+
+module.exports = {
+  toDate,
+  getEnrollments,
+  isTeacher,
+
+  /**
+   * Makes sure a user is on the teaching team of a course
+   * @param {object} user - the user record
+   * @param {object} course - the course record
+   * @throws {FakeCanvasError} 401 if the user can't manage the course
+   */
+  requireTeacher: (user, course) => {
+    if (!isTeacher(user, course)) {
+      throw genUnauthorizedError();
+    }
+  },
+
+  /**
+   * Gets the current time in Canvas's format
+   * @return {string} ISO 8601 timestamp without milliseconds
+   */
+  now: () => {
+    return toDate(new Date());
+  },
+
+  /**
+   * Turns a boolean param into a boolean
+   * @param {*} value - the param value
+   * @return {boolean} true if the value means true
+   */
+  toBool: (value) => {
+    return [true, 'true', 1, '1'].indexOf(value) >= 0;
+  },
+
+  /**
+   * Turns a number param into a number
+   * @param {*} value - the param value
+   * @return {number|null} the number or null if not included
+   */
+  toNumber: (value) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    return Number(value);
+  },
+
+  /**
+   * Checks if a value was included in the include[] param
+   * @param {object} req - the request
+   * @param {string} value - the value to look for
+   * @return {boolean} true if the value was included
+   */
+  isIncluded: (req, value) => {
+    return [].concat(req.params.include || []).indexOf(value) >= 0;
+  },
+
+  /**
+   * Finds an item by id
+   * @param {object[]} items - the items to search
+   * @param {*} id - the id (or a prefixed SIS id if sisField is included)
+   * @param {string} [sisField] - the name of the SIS id field
+   * @return {object} the item
+   * @throws {FakeCanvasError} 404 if the item doesn't exist
+   */
+  findById: (items, id, sisField) => {
+    const match = String(id).match(/^sis_[a-z_]+:(.+)$/);
+    const item = items.find((candidate) => {
+      if (match) {
+        return (
+          !!sisField
+          && candidate[sisField] !== null
+          && String(candidate[sisField]) === match[1]
+        );
+      }
+      return String(candidate.id) === String(id);
+    });
+    if (!item) {
+      throw genNotFoundError();
+    }
+    return item;
+  },
+
+  /**
+   * Turns a user record into a Canvas user object
+   * @param {object} user - the user record
+   * @param {boolean} [includeEmail] - if true, the email is included
+   * @return {object} Canvas user
+   */
+  serializeUser: (user, includeEmail) => {
+    const serialized = {
+      id: user.id,
+      name: user.name,
+      created_at: user.created_at,
+      sortable_name: user.sortable_name,
+      short_name: user.short_name,
+      sis_user_id: user.sis_user_id,
+      integration_id: null,
+      login_id: user.login_id,
+    };
+    if (includeEmail) {
+      serialized.email = user.email;
+    }
+    return serialized;
+  },
+};
@@ -0,0 +1,626 @@
+/**
+ * In-process stand-in for Canvas. Implements the REST routes that the
+ *   endpoints in /endpoints/API use and keeps courses, users, assignments,
+ *   submissions, pages, quizzes, groups, tabs (and a few other things) in
+ *   memory. Pass its sendRequest function to the API as config.sendRequest to
+ *   run requests against it instead of a real Canvas instance. See
+ *   /test/environment.md for what is and isn't supported
+ */
+const { TimeoutError } = require('../../../classes/errors');
+const nestParams = require('./helpers/nestParams');
+const {
+  now,
+  findById,
+  getEnrollments,
+  requireTeacher,
+} = require('./helpers/utils');
+const {
+  FakeCanvasError,
+  genNotFoundError,
+  genUnauthenticatedError,
+  genUnauthorizedError,
+} = require('./helpers/errors');
+
+const genCoursesRoutes = require('./routes/courses');
+const genAssignmentsRoutes = require('./routes/assignments');
+const genSubmissionsRoutes = require('./routes/submissions');
+const genAssignmentGroupsRoutes = require('./routes/assignmentGroups');
+const genGradebookColumnsRoutes = require('./routes/gradebookColumns');
+const genRubricsRoutes = require('./routes/rubrics');
+const genPagesRoutes = require('./routes/pages');
+const genQuizzesRoutes = require('./routes/quizzes');
+const genGroupsRoutes = require('./routes/groups');
+const genTabsRoutes = require('./routes/tabs');
+const genAppsRoutes = require('./routes/apps');
+const genProgressRoutes = require('./routes/progress');
+const genUsersRoutes = require('./routes/users');
+const genConversationsRoutes = require('./routes/conversations');
+
+// Functions that generate each group of routes: (canvas) => [route, ...]
+//   where route is { method, path, handler, paginated, teachersOnly }
+const ROUTE_GENERATORS = [
+  genCoursesRoutes,
+  genAssignmentsRoutes,
+  genSubmissionsRoutes,
+  genAssignmentGroupsRoutes,
+  genGradebookColumnsRoutes,
+  genRubricsRoutes,
+  genPagesRoutes,
+  genQuizzesRoutes,
+  genGroupsRoutes,
+  genTabsRoutes,
+  genAppsRoutes,
+  genProgressRoutes,
+  genUsersRoutes,
+  genConversationsRoutes,
+];
+
+// All routes are under this prefix
+const API_PREFIX = '/api/v1';
+
+// Pagination (same defaults as Canvas)
+const DEFAULT_PER_PAGE = 10;
+const MAX_PER_PAGE = 100;
+
+// Rate limit headers we send with every response
+const RATE_LIMIT_HEADERS = {
+  'x-rate-limit-remaining': '700.0',
+  'x-request-cost': '0.01',
+};
+
+// Nav menu items that every course starts with
+const DEFAULT_TABS = [
+  ['home', 'Home', ''],
+  ['announcements', 'Announcements', '/announcements'],
+  ['assignments', 'Assignments', '/assignments'],
+  ['discussions', 'Discussions', '/discussion_topics'],
+  ['grades', 'Grades', '/grades'],
+  ['people', 'People', '/users'],
+  ['pages', 'Pages', '/wiki'],
+  ['files', 'Files', '/files'],
+  ['syllabus', 'Syllabus', '/assignments/syllabus'],
+  ['quizzes', 'Quizzes', '/quizzes'],
+  ['modules', 'Modules', '/modules'],
+  ['settings', 'Settings', '/settings'],
+];
+
+/**
+ * Splits a path into its non-empty segments
+ * @param {string} path - the path
+ * @return {string[]} segments
+ */
+const _splitPath = (path) => {
+  return path.split('/').filter((segment) => {
+    return segment.length > 0;
+  });
+};
+
+/**
+ * Matches path segments against a route's segments
+ * @param {string[]} routeSegments - segments of the route (":name" segments
+ *   match anything)
+ * @param {string[]} segments - segments of the requested path
+ * @return {object|null} map of path param name => decoded value or null if
+ *   the path doesn't match
+ */
+const _matchSegments = (routeSegments, segments) => {
+  if (routeSegments.length !== segments.length) {
+    return null;
+  }
+  const pathParams = {};
+  for (let i = 0; i < segments.length; i++) {
+    const routeSegment = routeSegments[i];
+    if (routeSegment.charAt(0) === ':') {
+      pathParams[routeSegment.substring(1)] = decodeURIComponent(segments[i]);
+    } else if (routeSegment !== segments[i]) {
+      return null;
+    }
+  }
+  return pathParams;
+};
+
+class FakeCanvas {
+  /**
+   * Creates a fake Canvas instance with a test course, an instructor, and
+   *   students and graders enrolled in the course
+   * @param {object} [opts={}] - options
+   * @param {string} [opts.host=canvas.fake.edu] - the host to pretend to be
+   * @param {number} [opts.numStudents=20] - number of students to enroll
+   * @param {number} [opts.numGraders=20] - number of graders (TAs) to enroll
+   * @param {number} [opts.latencyMs=5] - how long Canvas takes to respond
+   */
+  constructor(opts = {}) {
+    this.host = opts.host || 'canvas.fake.edu';
+    this.latencyMs = (opts.latencyMs !== undefined ? opts.latencyMs : 5);
+
+    // In-memory state
+    this.users = [];
+    this.courses = [];
+    this.groupSets = [];
+    this.groups = [];
+    this.progresses = [];
+    this.conversations = [];
+    this._nextId = 1000;
+    this._numRequests = 0;
+
+    // Compile routes
+    this._routes = [];
+    ROUTE_GENERATORS.forEach((genRoutes) => {
+      genRoutes(this).forEach((route) => {
+        this._routes.push(Object.assign({}, route, {
+          segments: _splitPath(route.path),
+        }));
+      });
+    });
+
+    // Allow sendRequest to be passed around on its own
+    this.sendRequest = this.sendRequest.bind(this);
+
+    // Set up the test course
+    this._seed(
+      (opts.numStudents !== undefined ? opts.numStudents : 20),
+      (opts.numGraders !== undefined ? opts.numGraders : 20)
+    );
+  }
+
+  /*------------------------------------------------------------------------*/
+  /*                                 Requests                               */
+  /*------------------------------------------------------------------------*/
+
+  /**
+   * Handles a request the way Canvas would. Has the same interface as
+   *   classes/cacclRequest so it can be used as config.sendRequest
+   * @param {object} options - request options
+   * @param {string} options.path - the path of the request
+   * @param {string} [options.method=GET] - the http method
+   * @param {object} [options.params={}] - the request params
+   * @param {object} [options.headers={}] - the request headers
+   * @param {number} [options.timeoutMs] - if Canvas takes longer than this
+   *   to respond (see opts.latencyMs), we reject with a TimeoutError
+   * @return {Promise.<object>} promise that resolves with
+   *   { status, headers, body }
+   */
+  sendRequest(options) {
+    this._numRequests += 1;
+    const requestId = `fake-request-${this._numRequests}`;
+
+    return new Promise((resolve) => {
+      setTimeout(resolve, this.latencyMs);
+    })
+      .then(() => {
+        // Same error as classes/cacclRequest
+        if (options.timeoutMs && options.timeoutMs < this.latencyMs) {
+          throw new TimeoutError({
+            message: `We gave up on a network request because Canvas took longer than ${options.timeoutMs}ms to respond. If this issue persists, contact an admin.`,
+            code: 'CSR3',
+            method: String(options.method || 'GET').toUpperCase(),
+            path: options.path,
+          });
+        }
+        return this._handleRequest(options);
+      })
+      .catch((err) => {
+        if (err instanceof TimeoutError) {
+          throw err;
+        }
+        if (err instanceof FakeCanvasError) {
+          return {
+            status: err.status,
+            body: err.body,
+          };
+        }
+
+        // Bug in a route: respond like Canvas does when it crashes
+        return {
+          status: 500,
+          body: {
+            errors: [{ message: `An error occurred: ${err.message}` }],
+          },
+        };
+      })
+      .then((response) => {
+        return {
+          status: response.status,
+          headers: Object.assign(
+            {
+              'content-type': 'application/json; charset=utf-8',
+              'x-request-context-id': requestId,
+            },
+            RATE_LIMIT_HEADERS,
+            response.headers || {}
+          ),
+          // Copy so callers can't change our state
+          body: JSON.parse(JSON.stringify(
+            response.body === undefined ? {} : response.body
+          )),
+        };
+      });
+  }
+
+  /**
+   * Finds the route for a request and runs it
+   * @param {object} options - request options (see sendRequest)
+   * @return {object} { status, body, [headers] }
+   */
+  _handleRequest(options) {
+    const method = String(options.method || 'GET').toUpperCase();
+    const params = nestParams(options.params);
+    const fullPath = String(options.path || '').split('?')[0];
+
+    // Only API routes are supported
+    if (fullPath.indexOf(`${API_PREFIX}/`) !== 0) {
+      throw genNotFoundError();
+    }
+    const path = fullPath.substring(API_PREFIX.length);
+
+    // Authenticate
+    const authHeader = (options.headers || {}).Authorization;
+    const accessToken = (
+      params.access_token
+      || (authHeader ? String(authHeader).replace(/^Bearer /, '') : null)
+    );
+    const user = this.users.find((u) => {
+      return accessToken && u.accessToken === accessToken;
+    });
+    if (!user) {
+      throw genUnauthenticatedError();
+    }
+
+    // Find the route
+    const segments = _splitPath(path);
+    let route;
+    let pathParams;
+    for (let i = 0; i < this._routes.length && !route; i++) {
+      if (this._routes[i].method === method) {
+        pathParams = _matchSegments(this._routes[i].segments, segments);
+        if (pathParams) {
+          route = this._routes[i];
+        }
+      }
+    }
+    if (!route) {
+      throw genNotFoundError();
+    }
+
+    const req = {
+      method,
+      path,
+      params,
+      pathParams,
+      user,
+    };
+
+    // Look up the course and make sure the user has access
+    if (pathParams.courseId !== undefined) {
+      req.course = this.getCourse(pathParams.courseId);
+      if (route.teachersOnly) {
+        requireTeacher(user, req.course);
+      } else if (getEnrollments(user, req.course).length === 0) {
+        throw genUnauthorizedError();
+      }
+    }
+
+    const body = route.handler(req);
+    if (!route.paginated) {
+      return {
+        body,
+        status: 200,
+      };
+    }
+    return this._paginate(req, body);
+  }
+
+  /**
+   * Responds with one page of a list and a Link header
+   * @param {object} req - the request
+   * @param {array} items - all items in the list
+   * @return {object} { status, body, headers }
+   */
+  _paginate(req, items) {
+    const perPage = Math.min(
+      MAX_PER_PAGE,
+      Math.max(1, Number.parseInt(req.params.per_page, 10) || DEFAULT_PER_PAGE)
+    );
+    const page = Math.max(1, Number.parseInt(req.params.page, 10) || 1);
+    const numPages = Math.max(1, Math.ceil(items.length / perPage));
+
+    // Create the Link header
+    const genLink = (pageNumber, rel) => {
+      return `<https://${this.host}${API_PREFIX}${req.path}?page=${pageNumber}&per_page=${perPage}>; rel="${rel}"`;
+    };
+    const links = [genLink(page, 'current')];
+    if (page < numPages) {
+      links.push(genLink(page + 1, 'next'));
+    }
+    if (page > 1) {
+      links.push(genLink(page - 1, 'prev'));
+    }
+    links.push(genLink(1, 'first'));
+    links.push(genLink(numPages, 'last'));
+
+    return {
+      status: 200,
+      headers: { link: links.join(',') },
+      body: items.slice((page - 1) * perPage, page * perPage),
+    };
+  }
+
+  /*------------------------------------------------------------------------*/
+  /*                                   Setup                                */
+  /*------------------------------------------------------------------------*/
+
+  /**
+   * Adds a user
+   * @param {object} info - user info
+   * @param {string} info.first - first name
+   * @param {string} info.last - last name
+   * @param {string} [info.sisId] - SIS id (also used as the login id)
+   * @param {string} [info.email] - email address
+   * @return {object} the user record (includes an accessToken)
+   */
+  addUser(info) {
+    const id = this.genId();
+    const user = {
+      id,
+      first: info.first,
+      last: info.last,
+      name: `${info.first} ${info.last}`,
+      sortable_name: `${info.last}, ${info.first}`,
+      short_name: `${info.first} ${info.last}`,
+      sis_user_id: info.sisId || null,
+      login_id: info.sisId || `user${id}`,
+      email: info.email || `user${id}@${this.host}`,
+      accessToken: `fake-token-${id}`,
+      created_at: now(),
+    };
+    this.users.push(user);
+    return user;
+  }
+
+  /**
+   * Adds a course with a section, an assignment group and the default nav
+   *   menu items
+   * @param {object} info - course info
+   * @param {string} info.name - course name
+   * @param {string} [info.courseCode=info.name] - course code
+   * @param {string} [info.sisId] - SIS id
+   * @return {object} the course record
+   */
+  addCourse(info) {
+    const course = {
+      id: this.genId(),
+      name: info.name,
+      course_code: info.courseCode || info.name,
+      sis_course_id: info.sisId || null,
+      time_zone: 'America/New_York',
+      created_at: now(),
+      sections: [],
+      enrollments: [],
+      assignmentGroups: [],
+      assignments: [],
+      submissions: [],
+      gradebookColumns: [],
+      rubrics: [],
+      pages: [],
+      quizzes: [],
+      quizSubmissions: [],
+      apps: [],
+      tabs: [],
+    };
+    course.sections.push({
+      id: this.genId(),
+      name: info.name,
+      course_id: course.id,
+      sis_section_id: null,
+      start_at: null,
+      end_at: null,
+    });
+    course.assignmentGroups.push({
+      id: this.genId(),
+      name: 'Assignments',
+      position: 1,
+      group_weight: 0,
+      sis_source_id: null,
+      integration_data: {},
+      rules: {},
+    });
+    course.tabs = DEFAULT_TABS.map(([id, label, subpath], i) => {
+      return {
+        id,
+        label,
+        html_url: `/courses/${course.id}${subpath}`,
+        full_url: `https://${this.host}/courses/${course.id}${subpath}`,
+        position: i + 1,
+        visibility: (id === 'settings' ? 'admins' : 'public'),
+        type: 'internal',
+      };
+    });
+    this.courses.push(course);
+    return course;
+  }
+
+  /**
+   * Enrolls a user in a course
+   * @param {object} user - the user record
+   * @param {object} course - the course record
+   * @param {string} type - the enrollment type (e.g. StudentEnrollment)
+   * @return {object} the enrollment record
+   */
+  enroll(user, course, type) {
+    const enrollment = {
+      id: this.genId(),
+      user_id: user.id,
+      course_id: course.id,
+      course_section_id: course.sections[0].id,
+      type,
+      role: type,
+      enrollment_state: 'active',
+      created_at: now(),
+      updated_at: now(),
+    };
+    course.enrollments.push(enrollment);
+    return enrollment;
+  }
+
+  /**
+   * Generates the contents of /test/environment.js for this instance (see
+   *   /test/environment.md) plus the sendRequest function
+   * @return {object} the environment
+   */
+  genEnvironment() {
+    const { instructor, students, graders } = this._seeded;
+    const genUserInfo = (user) => {
+      return {
+        first: user.first,
+        last: user.last,
+        email: user.email,
+        canvasId: user.id,
+        sis_user_id: user.sis_user_id,
+        accessToken: user.accessToken,
+      };
+    };
+    return {
+      accessToken: instructor.accessToken,
+      testCourseId: this._seeded.course.id,
+      canvasHost: this.host,
+      students: students.map(genUserInfo),
+      graders: graders.map(genUserInfo),
+      sendRequest: this.sendRequest,
+      isFakeCanvas: true,
+    };
+  }
+
+  /**
+   * Creates the test course and its users
+   * @param {number} numStudents - number of students to enroll
+   * @param {number} numGraders - number of graders to enroll
+   */
+  _seed(numStudents, numGraders) {
+    const course = this.addCourse({
+      name: 'Fake Test Course',
+      courseCode: 'FAKE 101',
+      sisId: 'FAKE-101',
+    });
+    course.sections[0].sis_section_id = 'FAKE-101-1';
+
+    const instructor = this.addUser({
+      first: 'Fake',
+      last: 'Instructor',
+      sisId: 'fake-instructor',
+    });
+    this.enroll(instructor, course, 'TeacherEnrollment');
+
+    const genUsers = (num, role, type) => {
+      const users = [];
+      for (let i = 1; i <= num; i++) {
+        const user = this.addUser({
+          first: 'Fake',
+          last: `${role}${i}`,
+          sisId: `fake-${role.toLowerCase()}-${i}`,
+          email: `fake.${role.toLowerCase()}${i}@example.edu`,
+        });
+        this.enroll(user, course, type);
+        users.push(user);
+      }
+      return users;
+    };
+
+    this._seeded = {
+      course,
+      instructor,
+      students: genUsers(numStudents, 'Student', 'StudentEnrollment'),
+      graders: genUsers(numGraders, 'Grader', 'TaEnrollment'),
+    };
+  }
+
+  /*------------------------------------------------------------------------*/
+  /*                            Helpers for routes                          */
+  /*------------------------------------------------------------------------*/
+
+  /**
+   * Generates a new id
+   * @return {number} id
+   */
+  genId() {
+    this._nextId += 1;
+    return this._nextId;
+  }
+
+  /**
+   * Adds a progress object for a job. The job's changes should be made right
+   *   away: the progress object just reports that the job is queued, then
+   *   running, then completed as it's polled
+   * @param {object} info - progress info
+   * @param {string} info.tag - the type of job (e.g. submissions_update)
+   * @param {object} info.user - the user record of the user who started the job
+   * @param {object} [info.course] - the course record of the job's course
+   * @return {object} the Canvas progress object
+   */
+  addProgress(info) {
+    const id = this.genId();
+    const progress = {
+      id,
+      context_id: (info.course ? info.course.id : info.user.id),
+      context_type: (info.course ? 'Course' : 'User'),
+      user_id: info.user.id,
+      tag: info.tag,
+      completion: 0,
+      workflow_state: 'queued',
+      created_at: now(),
+      updated_at: now(),
+      message: null,
+      results: null,
+      url: `https://${this.host}${API_PREFIX}/progress/${id}`,
+    };
+    this.progresses.push(progress);
+    return progress;
+  }
+
+  /**
+   * Gets a course
+   * @param {*} courseId - the course id (or SIS id)
+   * @return {object} the course record
+   */
+  getCourse(courseId) {
+    return findById(this.courses, courseId, 'sis_course_id');
+  }
+
+  /**
+   * Gets a user
+   * @param {*} userId - the user id, SIS id, login id, or "self"
+   * @param {object} [currentUser] - the current user (for "self")
+   * @return {object} the user record
+   */
+  getUser(userId, currentUser) {
+    if (userId === 'self' && currentUser) {
+      return currentUser;
+    }
+    if (String(userId).indexOf('sis_login_id:') === 0) {
+      return findById(this.users, userId, 'login_id');
+    }
+    return findById(this.users, userId, 'sis_user_id');
+  }
+
+  /**
+   * Gets the users in a course with a given type of enrollment
+   * @param {object} course - the course record
+   * @param {string[]} [types] - enrollment types to include. If excluded,
+   *   all users are included
+   * @return {object[]} the user records (each user is only included once)
+   */
+  getCourseUsers(course, types) {
+    const users = [];
+    course.enrollments.forEach((enrollment) => {
+      if (types && types.indexOf(enrollment.type) < 0) {
+        return;
+      }
+      const user = this.getUser(enrollment.user_id);
+      if (users.indexOf(user) < 0) {
+        users.push(user);
+      }
+    });
+    return users;
+  }
+}
+
+module.exports = FakeCanvas;
@@ -0,0 +1,207 @@
+/**
+ * Fake Canvas routes for apps (external tools) and sessionless launches
+ */
+const { genInvalidParamsError } = require('../helpers/errors');
+const {
+  now,
+  findById,
+} = require('../helpers/utils');
+
+// Privacy levels that Canvas accepts
+const PRIVACY_LEVELS = [
+  'anonymous',
+  'name_only',
+  'email_only',
+  'public',
+];
+
+/**
+ * Reads the launch url and custom fields from an LTI cartridge xml file
+ * @param {string} xml - the LTI xml
+ * @return {object} { url, customFields } where url is null if the xml
+ *   doesn't have a launch url
+ */
+const _parseXML = (xml) => {
+  const urlMatch = String(xml || '').match(
+    /<blti:launch_url>\s*([^<]*?)\s*<\/blti:launch_url>/
+  );
+
+  // Custom fields are properties inside <blti:custom>
+  const customFields = {};
+  const customMatch = String(xml || '').match(
+    /<blti:custom>([\s\S]*?)<\/blti:custom>/
+  );
+  if (customMatch) {
+    const propRegex = (
+      /<lticm:property name="([^"]+)">([^<]*)<\/lticm:property>/g
+    );
+    let propMatch = propRegex.exec(customMatch[1]);
+    while (propMatch) {
+      customFields[propMatch[1]] = propMatch[2];
+      propMatch = propRegex.exec(customMatch[1]);
+    }
+  }
+
+  return {
+    customFields,
+    url: (urlMatch ? urlMatch[1] : null),
+  };
+};
+
+module.exports = (canvas) => {
+  /**
+   * Gets an app in the course of a request
+   * @param {object} req - the request
+   * @return {object} the app record
+   */
+  const getApp = (req) => {
+    return findById(req.course.apps, req.pathParams.appId);
+  };
+
+  /**
+   * Turns an app record into a Canvas external tool object
+   * @param {object} app - the app record
+   * @return {object} Canvas external tool
+   */
+  const serializeApp = (app) => {
+    return {
+      id: app.id,
+      domain: null,
+      url: app.url,
+      consumer_key: app.consumer_key,
+      name: app.name,
+      description: app.description,
+      created_at: app.created_at,
+      updated_at: app.updated_at,
+      privacy_level: app.privacy_level,
+      custom_fields: app.custom_fields,
+      workflow_state: app.privacy_level,
+      vendor_help_link: null,
+      icon_url: app.icon_url,
+      selection_width: 500,
+      selection_height: 500,
+      not_selectable: false,
+      version: '1.1',
+      deployment_id: `fake-deployment-${app.id}`,
+    };
+  };
+
+  return [
+    {
+      method: 'GET',
+      path: '/courses/:courseId/external_tools',
+      paginated: true,
+      handler: (req) => {
+        return req.course.apps.map(serializeApp);
+      },
+    },
+    {
+      // Must come before the route for a specific app
+      method: 'GET',
+      path: '/courses/:courseId/external_tools/sessionless_launch',
+      handler: (req) => {
+        const app = findById(req.course.apps, req.params.id);
+        let launchURL = `https://${canvas.host}/courses/${req.course.id}/external_tools/${app.id}?display=borderless`;
+        if (req.params.launch_type === 'assessment') {
+          const assignment = findById(
+            req.course.assignments,
+            req.params.assignment_id
+          );
+          launchURL = `https://${canvas.host}/courses/${req.course.id}/assignments/${assignment.id}?display=borderless`;
+        }
+        return {
+          id: app.id,
+          name: app.name,
+          url: `${launchURL}&verifier=fake-verifier-${canvas.genId()}`,
+        };
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/external_tools/:appId',
+      handler: (req) => {
+        return serializeApp(getApp(req));
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/external_tools',
+      teachersOnly: true,
+      handler: (req) => {
+        const { params } = req;
+        const parsed = _parseXML(params.config_xml);
+        const errors = {};
+        if (!params.name) {
+          errors.name = 'can\'t be blank';
+        }
+        if (!params.consumer_key) {
+          errors.consumer_key = 'can\'t be blank';
+        }
+        if (!params.shared_secret) {
+          errors.shared_secret = 'can\'t be blank';
+        }
+        if (PRIVACY_LEVELS.indexOf(params.privacy_level) < 0) {
+          errors.privacy_level = 'is not included in the list';
+        }
+        if (!parsed.url) {
+          errors.url = 'Either the url or domain should be set.';
+        }
+        if (Object.keys(errors).length > 0) {
+          throw genInvalidParamsError(errors);
+        }
+
+        const app = {
+          id: canvas.genId(),
+          name: params.name,
+          description: params.description || null,
+          consumer_key: params.consumer_key,
+          shared_secret: params.shared_secret,
+          privacy_level: params.privacy_level,
+          url: parsed.url,
+          icon_url: params.icon_url || null,
+          custom_fields: Object.assign(
+            parsed.customFields,
+            params.custom_fields || {}
+          ),
+          created_at: now(),
+          updated_at: now(),
+        };
+        req.course.apps.push(app);
+        return serializeApp(app);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/external_tools/:appId',
+      teachersOnly: true,
+      handler: (req) => {
+        const app = getApp(req);
+        ['name', 'description', 'consumer_key', 'shared_secret', 'url']
+          .forEach((prop) => {
+            if (req.params[prop] !== undefined) {
+              app[prop] = req.params[prop];
+            }
+          });
+        if (req.params.custom_fields) {
+          app.custom_fields = Object.assign(
+            {},
+            app.custom_fields,
+            req.params.custom_fields
+          );
+        }
+        app.updated_at = now();
+        return serializeApp(app);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/courses/:courseId/external_tools/:appId',
+      teachersOnly: true,
+      handler: (req) => {
+        const app = getApp(req);
+        req.course.apps.splice(req.course.apps.indexOf(app), 1);
+        return serializeApp(app);
+      },
+    },
+  ];
+};
@@ -0,0 +1,148 @@
+/**
+ * Fake Canvas routes for assignment groups
+ */
+const serializeAssignment = require('../helpers/serializeAssignment');
+const { genInvalidParamsError } = require('../helpers/errors');
+const {
+  toNumber,
+  isIncluded,
+  findById,
+} = require('../helpers/utils');
+
+module.exports = (canvas) => {
+  /**
+   * Gets an assignment group in the course of a request
+   * @param {object} req - the request
+   * @return {object} the assignment group record
+   */
+  const getAssignmentGroup = (req) => {
+    return findById(
+      req.course.assignmentGroups,
+      req.pathParams.assignmentGroupId
+    );
+  };
+
+  /**
+   * Turns an assignment group record into a Canvas assignment group object
+   * @param {object} group - the assignment group record
+   * @param {object} req - the request
+   * @return {object} Canvas assignment group
+   */
+  const serializeAssignmentGroup = (group, req) => {
+    const serialized = Object.assign({}, group);
+    if (isIncluded(req, 'assignments')) {
+      serialized.assignments = req.course.assignments
+        .filter((assignment) => {
+          return assignment.assignment_group_id === group.id;
+        })
+        .map((assignment) => {
+          return serializeAssignment(canvas, req.course, assignment);
+        });
+    }
+    return serialized;
+  };
+
+  /**
+   * Copies params onto an assignment group record
+   * @param {object} group - the assignment group record to update
+   * @param {object} params - the request params
+   */
+  const applyParams = (group, params) => {
+    const updated = group;
+    if (params.name !== undefined) {
+      updated.name = params.name;
+    }
+    if (params.group_weight !== undefined) {
+      updated.group_weight = toNumber(params.group_weight);
+    }
+  };
+
+  return [
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignment_groups',
+      paginated: true,
+      handler: (req) => {
+        return req.course.assignmentGroups.map((group) => {
+          return serializeAssignmentGroup(group, req);
+        });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignment_groups/:assignmentGroupId',
+      handler: (req) => {
+        return serializeAssignmentGroup(getAssignmentGroup(req), req);
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/assignment_groups',
+      teachersOnly: true,
+      handler: (req) => {
+        const group = {
+          id: canvas.genId(),
+          name: 'Assignments',
+          position: req.course.assignmentGroups.length + 1,
+          group_weight: 0,
+          sis_source_id: null,
+          integration_data: {},
+          rules: {},
+        };
+        applyParams(group, req.params);
+        req.course.assignmentGroups.push(group);
+        return serializeAssignmentGroup(group, req);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/assignment_groups/:assignmentGroupId',
+      teachersOnly: true,
+      handler: (req) => {
+        const group = getAssignmentGroup(req);
+        applyParams(group, req.params);
+        return serializeAssignmentGroup(group, req);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/courses/:courseId/assignment_groups/:assignmentGroupId',
+      teachersOnly: true,
+      handler: (req) => {
+        const { course } = req;
+        const group = getAssignmentGroup(req);
+        if (course.assignmentGroups.length === 1) {
+          throw genInvalidParamsError({
+            workflow_state: 'cannot delete the last assignment group',
+          });
+        }
+
+        // Move or delete the group's assignments
+        let destination;
+        if (req.params.move_assignments_to !== undefined) {
+          destination = findById(
+            course.assignmentGroups,
+            req.params.move_assignments_to
+          );
+        }
+        course.assignments = course.assignments.filter((assignment) => {
+          if (assignment.assignment_group_id !== group.id) {
+            return true;
+          }
+          if (destination) {
+            const moved = assignment;
+            moved.assignment_group_id = destination.id;
+            return true;
+          }
+          return false;
+        });
+
+        course.assignmentGroups.splice(
+          course.assignmentGroups.indexOf(group),
+          1
+        );
+        return serializeAssignmentGroup(group, req);
+      },
+    },
+  ];
+};
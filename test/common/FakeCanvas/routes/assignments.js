@@ -0,0 +1,360 @@
+/**
+ * Fake Canvas routes for assignments, assignment overrides, and gradeable
+ *   students
+ */
+const serializeAssignment = require('../helpers/serializeAssignment');
+const { genInvalidParamsError } = require('../helpers/errors');
+const {
+  now,
+  toDate,
+  toBool,
+  toNumber,
+  findById,
+  isTeacher,
+} = require('../helpers/utils');
+
+// Grading types that Canvas accepts
+const GRADING_TYPES = [
+  'pass_fail',
+  'percent',
+  'letter_grade',
+  'gpa_scale',
+  'points',
+  'not_graded',
+];
+
+module.exports = (canvas) => {
+  /**
+   * Gets an assignment in the course of a request
+   * @param {object} req - the request
+   * @return {object} the assignment record
+   */
+  const getAssignment = (req) => {
+    return findById(
+      req.course.assignments,
+      req.pathParams.assignmentId
+    );
+  };
+
+  /**
+   * Copies assignment[...] params onto an assignment record
+   * @param {object} assignment - the assignment record to update
+   * @param {object} info - the assignment[...] params
+   */
+  const applyAssignmentParams = (assignment, info) => {
+    const updated = assignment;
+    if (
+      info.grading_type !== undefined
+      && GRADING_TYPES.indexOf(info.grading_type) < 0
+    ) {
+      throw genInvalidParamsError({
+        grading_type: 'Invalid grading type',
+      });
+    }
+
+    ['name', 'description', 'grading_type'].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = info[prop];
+      }
+    });
+    ['submission_types', 'allowed_extensions'].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = [].concat(info[prop]);
+      }
+    });
+    [
+      'published',
+      'muted',
+      'omit_from_final_grade',
+      'peer_reviews',
+      'automatic_peer_reviews',
+      'grade_group_students_individually',
+    ].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = toBool(info[prop]);
+      }
+    });
+    ['due_at', 'lock_at', 'unlock_at'].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = toDate(info[prop]);
+      }
+    });
+    if (info.points_possible !== undefined) {
+      updated.points_possible = toNumber(info.points_possible);
+    }
+    if (info.group_category_id !== undefined) {
+      updated.group_category_id = toNumber(info.group_category_id);
+    }
+    if (info.assignment_group_id !== undefined) {
+      updated.assignment_group_id = toNumber(info.assignment_group_id);
+    }
+    if (info.external_tool_tag_attributes) {
+      const attrs = info.external_tool_tag_attributes;
+      updated.external_tool_tag_attributes = {
+        url: attrs.url || null,
+        new_tab: toBool(attrs.new_tab),
+        resource_link_id: `fake-resource-link-${assignment.id}`,
+        external_data: null,
+        content_type: attrs.content_type || 'context_external_tool',
+        content_id: toNumber(attrs.content_id),
+      };
+    }
+    updated.updated_at = now();
+  };
+
+  /**
+   * Turns an override record into a Canvas assignment override object
+   * @param {object} override - the override record
+   * @return {object} Canvas assignment override
+   */
+  const serializeOverride = (override) => {
+    const serialized = {
+      id: override.id,
+      assignment_id: override.assignment_id,
+      title: override.title,
+      due_at: override.due_at,
+      all_day: false,
+      all_day_date: null,
+      unlock_at: override.unlock_at,
+      lock_at: override.lock_at,
+    };
+    if (override.student_ids) {
+      serialized.student_ids = override.student_ids;
+    }
+    if (override.group_id) {
+      serialized.group_id = override.group_id;
+    }
+    if (override.course_section_id) {
+      serialized.course_section_id = override.course_section_id;
+    }
+    return serialized;
+  };
+
+  /**
+   * Copies assignment_override[...] params onto an override record
+   * @param {object} override - the override record to update
+   * @param {object} info - the assignment_override[...] params
+   */
+  const applyOverrideParams = (override, info) => {
+    const updated = override;
+    if (info.title !== undefined) {
+      updated.title = info.title;
+    }
+    if (info.student_ids !== undefined) {
+      updated.student_ids = [].concat(info.student_ids).map((id) => {
+        return canvas.getUser(id).id;
+      });
+    }
+    if (info.group_id !== undefined) {
+      updated.group_id = toNumber(info.group_id);
+    }
+    if (info.course_section_id !== undefined) {
+      updated.course_section_id = toNumber(info.course_section_id);
+    }
+    ['due_at', 'lock_at', 'unlock_at'].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = toDate(info[prop]);
+      }
+    });
+  };
+
+  return [
+    /*----------------------------------------*/
+    /*               Assignments              */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignments',
+      paginated: true,
+      handler: (req) => {
+        return req.course.assignments
+          .filter((assignment) => {
+            return (
+              assignment.published
+              || isTeacher(req.user, req.course)
+            );
+          })
+          .map((assignment) => {
+            return serializeAssignment(canvas, req.course, assignment);
+          });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignments/:assignmentId',
+      handler: (req) => {
+        return serializeAssignment(canvas, req.course, getAssignment(req));
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/assignments',
+      teachersOnly: true,
+      handler: (req) => {
+        const info = req.params.assignment || {};
+        const assignment = {
+          id: canvas.genId(),
+          name: 'Unnamed Assignment',
+          description: null,
+          created_at: now(),
+          due_at: null,
+          lock_at: null,
+          unlock_at: null,
+          assignment_group_id: req.course.assignmentGroups[0].id,
+          allowed_extensions: [],
+          grade_group_students_individually: false,
+          peer_reviews: false,
+          automatic_peer_reviews: false,
+          group_category_id: null,
+          position: req.course.assignments.length + 1,
+          points_possible: 0,
+          submission_types: ['none'],
+          grading_type: 'points',
+          published: false,
+          muted: false,
+          omit_from_final_grade: false,
+          overrides: [],
+        };
+        applyAssignmentParams(assignment, info);
+        req.course.assignments.push(assignment);
+        return serializeAssignment(canvas, req.course, assignment);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/assignments/:assignmentId',
+      teachersOnly: true,
+      handler: (req) => {
+        const assignment = getAssignment(req);
+        applyAssignmentParams(assignment, req.params.assignment || {});
+        return serializeAssignment(canvas, req.course, assignment);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/courses/:courseId/assignments/:assignmentId',
+      teachersOnly: true,
+      handler: (req) => {
+        const { course } = req;
+        const assignment = getAssignment(req);
+        course.assignments.splice(course.assignments.indexOf(assignment), 1);
+        course.submissions = course.submissions.filter((submission) => {
+          return submission.assignment_id !== assignment.id;
+        });
+        return Object.assign(
+          serializeAssignment(canvas, course, assignment),
+          { workflow_state: 'deleted' }
+        );
+      },
+    },
+
+    /*----------------------------------------*/
+    /*           Gradeable Students           */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignments/:assignmentId/gradeable_students',
+      paginated: true,
+      teachersOnly: true,
+      handler: (req) => {
+        getAssignment(req);
+        return canvas
+          .getCourseUsers(req.course, ['StudentEnrollment'])
+          .map((user) => {
+            return {
+              id: user.id,
+              display_name: user.name,
+              avatar_image_url: null,
+              html_url: `https://${canvas.host}/courses/${req.course.id}/users/${user.id}`,
+              pronouns: null,
+              fake_student: false,
+            };
+          });
+      },
+    },
+
+    /*----------------------------------------*/
+    /*                Overrides               */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignments/:assignmentId/overrides',
+      paginated: true,
+      teachersOnly: true,
+      handler: (req) => {
+        return getAssignment(req).overrides.map(serializeOverride);
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignments/:assignmentId/overrides/:overrideId',
+      teachersOnly: true,
+      handler: (req) => {
+        return serializeOverride(findById(
+          getAssignment(req).overrides,
+          req.pathParams.overrideId
+        ));
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/assignments/:assignmentId/overrides',
+      teachersOnly: true,
+      handler: (req) => {
+        const assignment = getAssignment(req);
+        const info = req.params.assignment_override || {};
+        if (!info.student_ids && !info.group_id && !info.course_section_id) {
+          throw genInvalidParamsError({
+            set: 'must include student_ids, group_id, or course_section_id',
+          });
+        }
+        if (info.student_ids && !info.title) {
+          throw genInvalidParamsError({
+            title: 'can\'t be blank',
+          });
+        }
+        const override = {
+          id: canvas.genId(),
+          assignment_id: assignment.id,
+          title: null,
+          due_at: null,
+          unlock_at: null,
+          lock_at: null,
+        };
+        applyOverrideParams(override, info);
+        assignment.overrides.push(override);
+        return serializeOverride(override);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/assignments/:assignmentId/overrides/:overrideId',
+      teachersOnly: true,
+      handler: (req) => {
+        const override = findById(
+          getAssignment(req).overrides,
+          req.pathParams.overrideId
+        );
+        applyOverrideParams(override, req.params.assignment_override || {});
+        return serializeOverride(override);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/courses/:courseId/assignments/:assignmentId/overrides/:overrideId',
+      teachersOnly: true,
+      handler: (req) => {
+        const { overrides } = getAssignment(req);
+        const override = findById(
+          overrides,
+          req.pathParams.overrideId
+        );
+        overrides.splice(overrides.indexOf(override), 1);
+        return serializeOverride(override);
+      },
+    },
+  ];
+};
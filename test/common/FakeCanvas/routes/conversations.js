@@ -0,0 +1,80 @@
+/**
+ * Fake Canvas routes for conversations (messages)
+ */
+const { genInvalidParamsError } = require('../helpers/errors');
+const {
+  now,
+  getEnrollments,
+} = require('../helpers/utils');
+
+module.exports = (canvas) => {
+  return [
+    {
+      method: 'POST',
+      path: '/conversations',
+      handler: (req) => {
+        const { params } = req;
+        const recipients = [].concat(params.recipients || []).map((id) => {
+          return canvas.getUser(id);
+        });
+        if (recipients.length === 0) {
+          throw genInvalidParamsError({
+            recipients: 'no recipients',
+          });
+        }
+        if (!params.body) {
+          throw genInvalidParamsError({
+            body: 'can\'t be blank',
+          });
+        }
+
+        // Make sure the context is a course the sender is in
+        let contextName = null;
+        if (params.context_code) {
+          const course = canvas.getCourse(
+            String(params.context_code).replace(/^course_/, '')
+          );
+          if (getEnrollments(req.user, course).length === 0) {
+            throw genInvalidParamsError({
+              context_code: 'invalid context',
+            });
+          }
+          contextName = course.name;
+        }
+
+        const participants = [req.user].concat(recipients).map((user) => {
+          return {
+            id: user.id,
+            name: user.name,
+            full_name: user.name,
+          };
+        });
+        const conversation = {
+          id: canvas.genId(),
+          subject: params.subject || null,
+          workflow_state: 'read',
+          last_message: params.body,
+          last_message_at: now(),
+          message_count: 1,
+          subscribed: true,
+          private: recipients.length === 1,
+          starred: false,
+          properties: ['last_author'],
+          audience: recipients.map((user) => {
+            return user.id;
+          }),
+          audience_contexts: { courses: {}, groups: {} },
+          avatar_url: `https://${canvas.host}/images/messages/avatar-group-50.png`,
+          participants,
+          visible: true,
+          context_code: params.context_code || null,
+          context_name: contextName,
+        };
+        canvas.conversations.push(conversation);
+
+        // Canvas responds with a list of the conversations it created
+        return [conversation];
+      },
+    },
+  ];
+};
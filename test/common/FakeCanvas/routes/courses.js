@@ -0,0 +1,297 @@
+/**
+ * Fake Canvas routes for courses, enrollments, course users, and sections
+ */
+const { genNotFoundError } = require('../helpers/errors');
+const {
+  isIncluded,
+  findById,
+  getEnrollments,
+  serializeUser,
+} = require('../helpers/utils');
+
+// Enrollment types for each value of the enrollment_type param
+const ENROLLMENT_TYPES = {
+  student: 'StudentEnrollment',
+  teacher: 'TeacherEnrollment',
+  ta: 'TaEnrollment',
+  designer: 'DesignerEnrollment',
+  observer: 'ObserverEnrollment',
+};
+
+module.exports = (canvas) => {
+  /**
+   * Turns a course record into a Canvas course object
+   * @param {object} course - the course record
+   * @param {object} req - the request
+   * @return {object} Canvas course
+   */
+  const serializeCourse = (course, req) => {
+    const serialized = {
+      id: course.id,
+      name: course.name,
+      account_id: 1,
+      root_account_id: 1,
+      enrollment_term_id: 1,
+      course_code: course.course_code,
+      sis_course_id: course.sis_course_id,
+      integration_id: null,
+      created_at: course.created_at,
+      start_at: null,
+      end_at: null,
+      default_view: 'modules',
+      is_public: false,
+      public_syllabus: false,
+      license: 'private',
+      storage_quota_mb: 500,
+      apply_assignment_group_weights: false,
+      time_zone: course.time_zone,
+      blueprint: false,
+      hide_final_grades: false,
+      restrict_enrollments_to_course_dates: false,
+      workflow_state: 'available',
+      enrollments: getEnrollments(req.user, course).map((enrollment) => {
+        return {
+          type: enrollment.type.replace('Enrollment', '').toLowerCase(),
+          role: enrollment.role,
+          user_id: enrollment.user_id,
+          enrollment_state: enrollment.enrollment_state,
+        };
+      }),
+    };
+
+    // Add included values
+    if (isIncluded(req, 'syllabus_body')) {
+      serialized.syllabus_body = null;
+    }
+    if (isIncluded(req, 'term')) {
+      serialized.term = {
+        id: 1,
+        name: 'Default Term',
+        start_at: null,
+        end_at: null,
+      };
+    }
+    if (isIncluded(req, 'public_description')) {
+      serialized.public_description = null;
+    }
+    if (isIncluded(req, 'needs_grading_count')) {
+      serialized.needs_grading_count = 0;
+    }
+    if (isIncluded(req, 'course_image')) {
+      serialized.image_download_url = null;
+    }
+    if (isIncluded(req, 'sections')) {
+      serialized.sections = course.sections.map((section) => {
+        return {
+          id: section.id,
+          name: section.name,
+          start_at: section.start_at,
+          end_at: section.end_at,
+        };
+      });
+    }
+    if (isIncluded(req, 'teachers')) {
+      serialized.teachers = canvas
+        .getCourseUsers(course, ['TeacherEnrollment'])
+        .map((user) => {
+          return {
+            id: user.id,
+            display_name: user.name,
+            avatar_image_url: null,
+            html_url: `https://${canvas.host}/courses/${course.id}/users/${user.id}`,
+          };
+        });
+    }
+
+    return serialized;
+  };
+
+  /**
+   * Turns an enrollment record into a Canvas enrollment object
+   * @param {object} enrollment - the enrollment record
+   * @return {object} Canvas enrollment
+   */
+  const serializeEnrollment = (enrollment) => {
+    const user = canvas.getUser(enrollment.user_id);
+    return Object.assign({}, enrollment, {
+      root_account_id: 1,
+      course_integration_id: null,
+      limit_privileges_to_course_section: false,
+      associated_user_id: null,
+      sis_user_id: user.sis_user_id,
+      html_url: `https://${canvas.host}/courses/${enrollment.course_id}/users/${user.id}`,
+      user: serializeUser(user),
+    });
+  };
+
+  /**
+   * Turns a user record into a Canvas user object in the context of a course
+   * @param {object} user - the user record
+   * @param {object} req - the request
+   * @return {object} Canvas user
+   */
+  const serializeCourseUser = (user, req) => {
+    const serialized = serializeUser(
+      user,
+      isIncluded(req, 'email')
+    );
+    if (isIncluded(req, 'enrollments')) {
+      serialized.enrollments = (
+        getEnrollments(user, req.course).map(serializeEnrollment)
+      );
+    }
+    if (isIncluded(req, 'avatar_url')) {
+      serialized.avatar_url = `https://${canvas.host}/images/messages/avatar-50.png`;
+    }
+    if (isIncluded(req, 'bio')) {
+      serialized.bio = null;
+    }
+    return serialized;
+  };
+
+  /**
+   * Turns a section record into a Canvas section object
+   * @param {object} section - the section record
+   * @param {object} req - the request
+   * @return {object} Canvas section
+   */
+  const serializeSection = (section, req) => {
+    const serialized = Object.assign({}, section, {
+      integration_id: null,
+      nonxlist_course_id: null,
+    });
+    const types = (
+      isIncluded(req, 'students')
+        ? ['StudentEnrollment']
+        : null
+    );
+    if (types) {
+      serialized.students = canvas
+        .getCourseUsers(req.course, types)
+        .map((user) => {
+          return serializeUser(user);
+        });
+    }
+    if (isIncluded(req, 'total_students')) {
+      serialized.total_students = (
+        canvas.getCourseUsers(req.course, ['StudentEnrollment']).length
+      );
+    }
+    return serialized;
+  };
+
+  return [
+    /*----------------------------------------*/
+    /*                 Courses                */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses',
+      paginated: true,
+      handler: (req) => {
+        return canvas.courses
+          .filter((course) => {
+            return getEnrollments(req.user, course).length > 0;
+          })
+          .map((course) => {
+            return serializeCourse(course, req);
+          });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId',
+      handler: (req) => {
+        return serializeCourse(req.course, req);
+      },
+    },
+
+    /*----------------------------------------*/
+    /*               Enrollments              */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/enrollments',
+      paginated: true,
+      handler: (req) => {
+        const types = (req.params.type ? [].concat(req.params.type) : null);
+        const states = (req.params.state ? [].concat(req.params.state) : null);
+        return req.course.enrollments
+          .filter((enrollment) => {
+            return (
+              (!types || types.indexOf(enrollment.type) >= 0)
+              && (!states || states.indexOf(enrollment.enrollment_state) >= 0)
+            );
+          })
+          .map(serializeEnrollment);
+      },
+    },
+
+    /*----------------------------------------*/
+    /*                  Users                 */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/users',
+      paginated: true,
+      handler: (req) => {
+        const types = (
+          req.params.enrollment_type
+            ? [].concat(req.params.enrollment_type).map((type) => {
+              return ENROLLMENT_TYPES[type] || type;
+            })
+            : null
+        );
+        return canvas
+          .getCourseUsers(req.course, types)
+          .sort((a, b) => {
+            return a.sortable_name.localeCompare(b.sortable_name);
+          })
+          .map((user) => {
+            return serializeCourseUser(user, req);
+          });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/users/:userId',
+      handler: (req) => {
+        const user = canvas.getUser(req.pathParams.userId, req.user);
+        if (getEnrollments(user, req.course).length === 0) {
+          throw genNotFoundError();
+        }
+        return serializeCourseUser(user, req);
+      },
+    },
+
+    /*----------------------------------------*/
+    /*                Sections                */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/sections',
+      paginated: true,
+      handler: (req) => {
+        return req.course.sections.map((section) => {
+          return serializeSection(section, req);
+        });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/sections/:sectionId',
+      handler: (req) => {
+        const section = findById(
+          req.course.sections,
+          req.pathParams.sectionId,
+          'sis_section_id'
+        );
+        return serializeSection(section, req);
+      },
+    },
+  ];
+};
@@ -0,0 +1,215 @@
+/**
+ * Fake Canvas routes for custom gradebook columns and their data
+ */
+const { genInvalidParamsError } = require('../helpers/errors');
+const {
+  toBool,
+  toNumber,
+  findById,
+  getEnrollments,
+} = require('../helpers/utils');
+
+module.exports = (canvas) => {
+  /**
+   * Gets a gradebook column in the course of a request
+   * @param {object} req - the request
+   * @return {object} the column record
+   */
+  const getColumn = (req) => {
+    return findById(
+      req.course.gradebookColumns,
+      req.pathParams.columnId
+    );
+  };
+
+  /**
+   * Turns a column record into a Canvas custom gradebook column object
+   * @param {object} column - the column record
+   * @return {object} Canvas custom gradebook column
+   */
+  const serializeColumn = (column) => {
+    return {
+      id: column.id,
+      title: column.title,
+      position: column.position,
+      hidden: column.hidden,
+      read_only: false,
+      teacher_notes: false,
+    };
+  };
+
+  /**
+   * Copies column[...] params onto a column record
+   * @param {object} column - the column record to update
+   * @param {object} info - the column[...] params
+   */
+  const applyColumnParams = (column, info) => {
+    const updated = column;
+    if (info.title !== undefined) {
+      updated.title = info.title;
+    }
+    if (info.hidden !== undefined) {
+      updated.hidden = toBool(info.hidden);
+    }
+    if (info.position !== undefined) {
+      updated.position = toNumber(info.position);
+    }
+  };
+
+  /**
+   * Sets the content of a student's entry in a column
+   * @param {object} course - the course record
+   * @param {object} column - the column record
+   * @param {*} studentId - the id of the student
+   * @param {string} content - the new content
+   * @return {object} the Canvas column datum
+   */
+  const setEntry = (course, column, studentId, content) => {
+    const student = canvas.getUser(studentId);
+    if (getEnrollments(student, course).length === 0) {
+      throw genInvalidParamsError({
+        user_id: 'user is not in this course',
+      });
+    }
+
+    const updated = column;
+    updated.data[student.id] = content;
+    return {
+      content,
+      user_id: student.id,
+    };
+  };
+
+  return [
+    /*----------------------------------------*/
+    /*                 Columns                */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/custom_gradebook_columns',
+      paginated: true,
+      teachersOnly: true,
+      handler: (req) => {
+        const includeHidden = toBool(req.params.include_hidden);
+        return req.course.gradebookColumns
+          .filter((column) => {
+            return includeHidden || !column.hidden;
+          })
+          .sort((a, b) => {
+            return a.position - b.position;
+          })
+          .map(serializeColumn);
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/custom_gradebook_columns',
+      teachersOnly: true,
+      handler: (req) => {
+        const info = req.params.column || {};
+        if (!info.title) {
+          throw genInvalidParamsError({
+            title: 'can\'t be blank',
+          });
+        }
+        const column = {
+          id: canvas.genId(),
+          title: null,
+          position: req.course.gradebookColumns.length + 1,
+          hidden: false,
+          data: {},
+        };
+        applyColumnParams(column, info);
+        req.course.gradebookColumns.push(column);
+        return serializeColumn(column);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/custom_gradebook_columns/:columnId',
+      teachersOnly: true,
+      handler: (req) => {
+        const column = getColumn(req);
+        applyColumnParams(column, req.params.column || {});
+        return serializeColumn(column);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/courses/:courseId/custom_gradebook_columns/:columnId',
+      teachersOnly: true,
+      handler: (req) => {
+        const columns = req.course.gradebookColumns;
+        const column = getColumn(req);
+        columns.splice(columns.indexOf(column), 1);
+        return serializeColumn(column);
+      },
+    },
+
+    /*----------------------------------------*/
+    /*               Column Data              */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/custom_gradebook_columns/:columnId/data',
+      paginated: true,
+      teachersOnly: true,
+      handler: (req) => {
+        const column = getColumn(req);
+        return Object.keys(column.data).map((userId) => {
+          return {
+            content: column.data[userId],
+            user_id: Number(userId),
+          };
+        });
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/custom_gradebook_columns/:columnId/data/:userId',
+      teachersOnly: true,
+      handler: (req) => {
+        const info = req.params.column_data || {};
+        return setEntry(
+          req.course,
+          getColumn(req),
+          req.pathParams.userId,
+          info.content
+        );
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/custom_gradebook_column_data',
+      teachersOnly: true,
+      handler: (req) => {
+        // Entries are either a list or a map of index => entry
+        const data = req.params.column_data || [];
+        const entries = (
+          Array.isArray(data)
+            ? data
+            : Object.keys(data).map((key) => {
+              return data[key];
+            })
+        );
+
+        // Canvas runs this update in a job. We run it right away
+        entries.forEach((entry) => {
+          const column = findById(
+            req.course.gradebookColumns,
+            entry.column_id
+          );
+          setEntry(req.course, column, entry.user_id, entry.content);
+        });
+
+        return canvas.addProgress({
+          tag: 'custom_columns_submissions_update',
+          user: req.user,
+          course: req.course,
+        });
+      },
+    },
+  ];
+};
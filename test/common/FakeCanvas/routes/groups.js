@@ -0,0 +1,266 @@
+/**
+ * Fake Canvas routes for group sets (group categories), groups, and group
+ *   members
+ */
+const {
+  genInvalidParamsError,
+  genUnauthorizedError,
+} = require('../helpers/errors');
+const {
+  toBool,
+  findById,
+  getEnrollments,
+  serializeUser,
+  requireTeacher,
+} = require('../helpers/utils');
+
+module.exports = (canvas) => {
+  /**
+   * Gets a group set and makes sure the user can access it
+   * @param {*} groupSetId - the id of the group set
+   * @param {object} user - the user record of the current user
+   * @param {boolean} [mustBeTeacher] - if true, the user must be on the
+   *   teaching team of the group set's course
+   * @return {object} the group set record
+   */
+  const getGroupSet = (groupSetId, user, mustBeTeacher) => {
+    const groupSet = findById(canvas.groupSets, groupSetId);
+    const course = canvas.getCourse(groupSet.course_id);
+    if (mustBeTeacher) {
+      requireTeacher(user, course);
+    } else if (getEnrollments(user, course).length === 0) {
+      throw genUnauthorizedError();
+    }
+    return groupSet;
+  };
+
+  /**
+   * Gets a group and makes sure the user can access it
+   * @param {*} groupId - the id of the group
+   * @param {object} user - the user record of the current user
+   * @param {boolean} [mustBeTeacher] - if true, the user must be on the
+   *   teaching team of the group's course
+   * @return {object} the group record
+   */
+  const getGroup = (groupId, user, mustBeTeacher) => {
+    const group = findById(canvas.groups, groupId);
+    getGroupSet(group.group_category_id, user, mustBeTeacher);
+    return group;
+  };
+
+  /**
+   * Turns a group set record into a Canvas group category object
+   * @param {object} groupSet - the group set record
+   * @return {object} Canvas group category
+   */
+  const serializeGroupSet = (groupSet) => {
+    return Object.assign({}, groupSet, {
+      context_type: 'Course',
+      role: null,
+      self_signup: null,
+      auto_leader: null,
+      group_limit: null,
+      groups_count: canvas.groups.filter((group) => {
+        return group.group_category_id === groupSet.id;
+      }).length,
+    });
+  };
+
+  /**
+   * Turns a group record into a Canvas group object
+   * @param {object} group - the group record
+   * @return {object} Canvas group
+   */
+  const serializeGroup = (group) => {
+    return Object.assign({}, group, {
+      members_count: group.member_ids.length,
+      member_ids: undefined,
+      context_type: 'Course',
+      join_level: 'invitation_only',
+      avatar_url: null,
+      role: null,
+      max_membership: null,
+      storage_quota_mb: 50,
+      leader: null,
+    });
+  };
+
+  return [
+    /*----------------------------------------*/
+    /*               Group Sets               */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/group_categories',
+      paginated: true,
+      handler: (req) => {
+        return canvas.groupSets
+          .filter((groupSet) => {
+            return groupSet.course_id === req.course.id;
+          })
+          .map(serializeGroupSet);
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/group_categories',
+      teachersOnly: true,
+      handler: (req) => {
+        if (!req.params.name) {
+          throw genInvalidParamsError({
+            name: 'can\'t be blank',
+          });
+        }
+        const groupSet = {
+          id: canvas.genId(),
+          name: req.params.name,
+          course_id: req.course.id,
+        };
+        canvas.groupSets.push(groupSet);
+        return serializeGroupSet(groupSet);
+      },
+    },
+    {
+      method: 'GET',
+      path: '/group_categories/:groupSetId',
+      handler: (req) => {
+        return serializeGroupSet(getGroupSet(
+          req.pathParams.groupSetId,
+          req.user
+        ));
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/group_categories/:groupSetId',
+      handler: (req) => {
+        const groupSet = getGroupSet(req.pathParams.groupSetId, req.user, true);
+        const serialized = serializeGroupSet(groupSet);
+        canvas.groupSets.splice(canvas.groupSets.indexOf(groupSet), 1);
+        canvas.groups
+          .filter((group) => {
+            return group.group_category_id === groupSet.id;
+          })
+          .forEach((group) => {
+            canvas.groups.splice(canvas.groups.indexOf(group), 1);
+          });
+        return serialized;
+      },
+    },
+
+    /*----------------------------------------*/
+    /*                 Groups                 */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/groups',
+      paginated: true,
+      handler: (req) => {
+        return canvas.groups
+          .filter((group) => {
+            return group.course_id === req.course.id;
+          })
+          .map(serializeGroup);
+      },
+    },
+    {
+      method: 'GET',
+      path: '/group_categories/:groupSetId/groups',
+      paginated: true,
+      handler: (req) => {
+        const groupSet = getGroupSet(req.pathParams.groupSetId, req.user);
+        return canvas.groups
+          .filter((group) => {
+            return group.group_category_id === groupSet.id;
+          })
+          .map(serializeGroup);
+      },
+    },
+    {
+      method: 'POST',
+      path: '/group_categories/:groupSetId/groups',
+      handler: (req) => {
+        const groupSet = getGroupSet(req.pathParams.groupSetId, req.user, true);
+        const group = {
+          id: canvas.genId(),
+          name: req.params.name || 'Unnamed Group',
+          description: req.params.description || null,
+          is_public: toBool(req.params.is_public),
+          followed_by_user: false,
+          course_id: groupSet.course_id,
+          group_category_id: groupSet.id,
+          sis_group_id: null,
+          sis_import_id: null,
+          member_ids: [],
+        };
+        canvas.groups.push(group);
+        return serializeGroup(group);
+      },
+    },
+    {
+      method: 'GET',
+      path: '/groups/:groupId',
+      handler: (req) => {
+        return serializeGroup(getGroup(req.pathParams.groupId, req.user));
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/groups/:groupId',
+      handler: (req) => {
+        const group = getGroup(req.pathParams.groupId, req.user, true);
+        ['name', 'description'].forEach((prop) => {
+          if (req.params[prop] !== undefined) {
+            group[prop] = req.params[prop];
+          }
+        });
+        if (req.params.is_public !== undefined) {
+          group.is_public = toBool(req.params.is_public);
+        }
+
+        // The list of members replaces the current members
+        if (req.params.members !== undefined) {
+          const course = canvas.getCourse(group.course_id);
+          group.member_ids = [].concat(req.params.members).map((id) => {
+            const member = canvas.getUser(id);
+            if (getEnrollments(member, course).length === 0) {
+              throw genInvalidParamsError({
+                members: 'user is not in this course',
+              });
+            }
+            return member.id;
+          });
+        }
+
+        return serializeGroup(group);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/groups/:groupId',
+      handler: (req) => {
+        const group = getGroup(req.pathParams.groupId, req.user, true);
+        canvas.groups.splice(canvas.groups.indexOf(group), 1);
+        return serializeGroup(group);
+      },
+    },
+
+    /*----------------------------------------*/
+    /*                 Members                */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/groups/:groupId/users',
+      paginated: true,
+      handler: (req) => {
+        const group = getGroup(req.pathParams.groupId, req.user);
+        return group.member_ids.map((id) => {
+          return serializeUser(canvas.getUser(id));
+        });
+      },
+    },
+  ];
+};
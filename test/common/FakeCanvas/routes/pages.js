@@ -0,0 +1,213 @@
+/**
+ * Fake Canvas routes for pages
+ */
+const {
+  genInvalidParamsError,
+  genNotFoundError,
+} = require('../helpers/errors');
+const {
+  now,
+  toBool,
+  isTeacher,
+} = require('../helpers/utils');
+
+/**
+ * Turns a page title into a url slug the way Canvas does
+ * @param {string} title - the page title
+ * @return {string} slug
+ */
+const _slugify = (title) => {
+  return String(title)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'page';
+};
+
+module.exports = (canvas) => {
+  /**
+   * Generates a url for a page that no other page in the course has
+   * @param {object} course - the course record
+   * @param {string} title - the page title
+   * @param {object} [page] - the page record to ignore (when renaming)
+   * @return {string} unique url
+   */
+  const genUniqueURL = (course, title, page) => {
+    const base = _slugify(title);
+    const isTaken = (url) => {
+      return course.pages.some((other) => {
+        return other !== page && other.url === url;
+      });
+    };
+    let url = base;
+    for (let i = 2; isTaken(url); i++) {
+      url = `${base}-${i}`;
+    }
+    return url;
+  };
+
+  /**
+   * Gets a page in the course of a request by url or by "page_id:<id>"
+   * @param {object} req - the request
+   * @return {object} the page record
+   */
+  const getPage = (req) => {
+    const { pageURL } = req.pathParams;
+    const idMatch = pageURL.match(/^page_id:(.+)$/);
+    const page = req.course.pages.find((candidate) => {
+      if (idMatch) {
+        return String(candidate.page_id) === idMatch[1];
+      }
+      return candidate.url === pageURL;
+    });
+    if (!page || (!page.published && !isTeacher(req.user, req.course))) {
+      throw genNotFoundError();
+    }
+    return page;
+  };
+
+  /**
+   * Turns a page record into a Canvas page object
+   * @param {object} course - the course record
+   * @param {object} page - the page record
+   * @param {boolean} [includeBody] - if true, the body is included
+   * @return {object} Canvas page
+   */
+  const serializePage = (course, page, includeBody) => {
+    const serialized = {
+      page_id: page.page_id,
+      url: page.url,
+      html_url: `https://${canvas.host}/courses/${course.id}/pages/${page.url}`,
+      title: page.title,
+      created_at: page.created_at,
+      updated_at: page.updated_at,
+      hide_from_students: !page.published,
+      editing_roles: page.editing_roles,
+      last_edited_by: page.last_edited_by,
+      published: page.published,
+      front_page: page.front_page,
+      locked_for_user: false,
+    };
+    if (includeBody) {
+      serialized.body = page.body;
+    }
+    return serialized;
+  };
+
+  /**
+   * Copies wiki_page[...] params onto a page record
+   * @param {object} course - the course record
+   * @param {object} page - the page record to update
+   * @param {object} info - the wiki_page[...] params
+   * @param {object} editor - the user record of the person making the change
+   */
+  const applyPageParams = (course, page, info, editor) => {
+    const updated = page;
+    if (info.title !== undefined) {
+      updated.title = info.title;
+      updated.url = genUniqueURL(course, info.title, page);
+    }
+    if (info.body !== undefined) {
+      updated.body = info.body;
+    }
+    if (info.editing_roles !== undefined) {
+      updated.editing_roles = info.editing_roles;
+    }
+    if (info.published !== undefined) {
+      updated.published = toBool(info.published);
+    }
+    if (info.front_page !== undefined) {
+      updated.front_page = toBool(info.front_page);
+      if (updated.front_page) {
+        // Only one page can be the front page
+        course.pages.forEach((other) => {
+          const otherPage = other;
+          if (otherPage !== page) {
+            otherPage.front_page = false;
+          }
+        });
+      }
+    }
+    updated.updated_at = now();
+    updated.last_edited_by = {
+      id: editor.id,
+      display_name: editor.name,
+      avatar_image_url: null,
+      html_url: `https://${canvas.host}/courses/${course.id}/users/${editor.id}`,
+    };
+  };
+
+  return [
+    {
+      method: 'GET',
+      path: '/courses/:courseId/pages',
+      paginated: true,
+      handler: (req) => {
+        const userIsTeacher = isTeacher(req.user, req.course);
+        return req.course.pages
+          .filter((page) => {
+            return page.published || userIsTeacher;
+          })
+          .map((page) => {
+            return serializePage(req.course, page);
+          });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/pages/:pageURL',
+      handler: (req) => {
+        return serializePage(req.course, getPage(req), true);
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/pages',
+      teachersOnly: true,
+      handler: (req) => {
+        const info = req.params.wiki_page || {};
+        if (!info.title) {
+          throw genInvalidParamsError({
+            title: 'can\'t be blank',
+          });
+        }
+        const page = {
+          page_id: canvas.genId(),
+          title: null,
+          body: '',
+          created_at: now(),
+          editing_roles: 'teachers',
+          published: false,
+          front_page: false,
+        };
+        applyPageParams(req.course, page, info, req.user);
+        req.course.pages.push(page);
+        return serializePage(req.course, page, true);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/pages/:pageURL',
+      teachersOnly: true,
+      handler: (req) => {
+        const page = getPage(req);
+        applyPageParams(req.course, page, req.params.wiki_page || {}, req.user);
+        return serializePage(req.course, page, true);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/courses/:courseId/pages/:pageURL',
+      teachersOnly: true,
+      handler: (req) => {
+        const page = getPage(req);
+        if (page.front_page) {
+          throw genInvalidParamsError({
+            front_page: 'The front page cannot be deleted',
+          });
+        }
+        req.course.pages.splice(req.course.pages.indexOf(page), 1);
+        return serializePage(req.course, page, true);
+      },
+    },
+  ];
+};
@@ -0,0 +1,71 @@
+/**
+ * Fake Canvas routes for progress objects of jobs
+ */
+const {
+  genInvalidParamsError,
+  genUnauthorizedError,
+} = require('../helpers/errors');
+const {
+  now,
+  findById,
+} = require('../helpers/utils');
+
+module.exports = (canvas) => {
+  /**
+   * Gets a progress object and makes sure it belongs to the current user
+   * @param {object} req - the request
+   * @return {object} the progress object
+   */
+  const getProgress = (req) => {
+    const progress = findById(
+      canvas.progresses,
+      req.pathParams.progressId
+    );
+    if (progress.user_id !== req.user.id) {
+      throw genUnauthorizedError();
+    }
+    return progress;
+  };
+
+  return [
+    {
+      method: 'GET',
+      path: '/progress/:progressId',
+      handler: (req) => {
+        const progress = getProgress(req);
+
+        // Jobs finish as they're polled: queued => running => completed
+        if (progress.workflow_state === 'queued') {
+          progress.workflow_state = 'running';
+          progress.completion = 50;
+          progress.updated_at = now();
+        } else if (progress.workflow_state === 'running') {
+          progress.workflow_state = 'completed';
+          progress.completion = 100;
+          progress.updated_at = now();
+        }
+
+        return progress;
+      },
+    },
+    {
+      method: 'POST',
+      path: '/progress/:progressId/cancel',
+      handler: (req) => {
+        const progress = getProgress(req);
+        if (
+          progress.workflow_state === 'completed'
+          || progress.workflow_state === 'failed'
+        ) {
+          throw genInvalidParamsError({
+            workflow_state: 'the job has already finished',
+          });
+        }
+        progress.workflow_state = 'failed';
+        progress.message = req.params.message || 'canceled';
+        progress.updated_at = now();
+        return progress;
+      },
+    },
+  ];
+};
@@ -0,0 +1,600 @@
+/**
+ * Fake Canvas routes for quizzes, quiz questions, and quiz submissions.
+ *   Quizzes don't get linked assignments (assignment_id is always null)
+ */
+const {
+  genInvalidParamsError,
+  genNotFoundError,
+  genUnauthorizedError,
+} = require('../helpers/errors');
+const {
+  now,
+  toDate,
+  toBool,
+  toNumber,
+  findById,
+  isTeacher,
+} = require('../helpers/utils');
+
+// Quiz types that Canvas accepts
+const QUIZ_TYPES = [
+  'practice_quiz',
+  'assignment',
+  'graded_survey',
+  'survey',
+];
+
+/**
+ * Gets the first value of a param that's sent as a list of objects (e.g.
+ *   "quiz_submissions[][attempt]")
+ * @param {*} value - the param value
+ * @return {object} the first object in the list
+ */
+const _firstOfList = (value) => {
+  if (!value || typeof value !== 'object') {
+    return {};
+  }
+  const list = (
+    Array.isArray(value)
+      ? value
+      : Object.keys(value).map((key) => {
+        return value[key];
+      })
+  );
+  return list[0] || {};
+};
+
+/**
+ * Normalizes a short answer so answers can be compared
+ * @param {string} text - the answer text
+ * @return {string} the normalized answer
+ */
+const _normalizeAnswer = (text) => {
+  return String(text)
+    .trim()
+    .toLowerCase();
+};
+
+module.exports = (canvas) => {
+  /**
+   * Gets a quiz in the course of a request
+   * @param {object} req - the request
+   * @return {object} the quiz record
+   */
+  const getQuiz = (req) => {
+    const quiz = findById(req.course.quizzes, req.pathParams.quizId);
+    if (!quiz.published && !isTeacher(req.user, req.course)) {
+      throw genNotFoundError();
+    }
+    return quiz;
+  };
+
+  /**
+   * Turns a quiz record into a Canvas quiz object
+   * @param {object} course - the course record
+   * @param {object} quiz - the quiz record
+   * @return {object} Canvas quiz
+   */
+  const serializeQuiz = (course, quiz) => {
+    const htmlURL = `https://${canvas.host}/courses/${course.id}/quizzes/${quiz.id}`;
+    return Object.assign({}, quiz, {
+      html_url: htmlURL,
+      mobile_url: `${htmlURL}?force_user=1&persist_headless=1`,
+      assignment_id: null,
+      question_count: quiz.questions.length,
+      points_possible: quiz.questions.reduce((total, question) => {
+        return total + (question.points_possible || 0);
+      }, 0),
+      locked_for_user: false,
+      questions: undefined,
+    });
+  };
+
+  /**
+   * Copies quiz[...] params onto a quiz record
+   * @param {object} quiz - the quiz record to update
+   * @param {object} info - the quiz[...] params
+   */
+  const applyQuizParams = (quiz, info) => {
+    const updated = quiz;
+    if (
+      info.quiz_type !== undefined
+      && QUIZ_TYPES.indexOf(info.quiz_type) < 0
+    ) {
+      throw genInvalidParamsError({
+        quiz_type: 'invalid quiz type',
+      });
+    }
+
+    [
+      'title',
+      'description',
+      'quiz_type',
+      'hide_results',
+      'scoring_policy',
+      'access_code',
+      'ip_filter',
+    ].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = info[prop];
+      }
+    });
+    [
+      'shuffle_answers',
+      'show_correct_answers',
+      'show_correct_answers_last_attempt',
+      'one_question_at_a_time',
+      'cant_go_back',
+      'published',
+      'one_time_results',
+      'only_visible_to_overrides',
+    ].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = toBool(info[prop]);
+      }
+    });
+    [
+      'assignment_group_id',
+      'time_limit',
+      'allowed_attempts',
+    ].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = toNumber(info[prop]);
+      }
+    });
+    [
+      'show_correct_answers_at',
+      'hide_correct_answers_at',
+      'due_at',
+      'lock_at',
+      'unlock_at',
+    ].forEach((prop) => {
+      if (info[prop] !== undefined) {
+        updated[prop] = toDate(info[prop]);
+      }
+    });
+  };
+
+  /**
+   * Turns a quiz submission record into a Canvas quiz submission object
+   * @param {object} submission - the quiz submission record
+   * @return {object} Canvas quiz submission
+   */
+  const serializeQuizSubmission = (submission) => {
+    return Object.assign({}, submission, {
+      answers: undefined,
+      questionScores: undefined,
+    });
+  };
+
+  /**
+   * Finds a quiz submission (from any course) and the course it's in
+   * @param {*} submissionId - the id of the quiz submission
+   * @return {object} { course, submission }
+   * @throws {FakeCanvasError} 404 if the quiz submission doesn't exist
+   */
+  const findQuizSubmission = (submissionId) => {
+    for (let i = 0; i < canvas.courses.length; i++) {
+      const course = canvas.courses[i];
+      const submission = course.quizSubmissions.find((candidate) => {
+        return String(candidate.id) === String(submissionId);
+      });
+      if (submission) {
+        return { course, submission };
+      }
+    }
+    throw genNotFoundError();
+  };
+
+  /**
+   * Makes sure a quiz-taking session is still open and belongs to the user
+   * @param {object} submission - the quiz submission record
+   * @param {object} req - the request
+   */
+  const checkSession = (submission, req) => {
+    if (submission.user_id !== req.user.id) {
+      throw genUnauthorizedError();
+    }
+    if (
+      submission.workflow_state !== 'untaken'
+      || String(req.params.validation_token) !== submission.validation_token
+      || Number(req.params.attempt) !== submission.attempt
+    ) {
+      throw genInvalidParamsError({
+        validation_token: 'This quiz submission is no longer open',
+      });
+    }
+  };
+
+  /**
+   * Scores a student's answer to a question
+   * @param {object} question - the question record
+   * @param {*} answer - the student's answer
+   * @return {number|null} the score or null if the question must be graded by
+   *   hand
+   */
+  const scoreAnswer = (question, answer) => {
+    if (question.question_type === 'essay_question') {
+      return null;
+    }
+    const correct = question.answers.filter((option) => {
+      return option.weight === 100;
+    });
+    const isCorrect = correct.some((option) => {
+      if (question.question_type === 'short_answer_question') {
+        return _normalizeAnswer(option.text) === _normalizeAnswer(answer);
+      }
+      return String(option.id) === String(answer);
+    });
+    return (isCorrect ? question.points_possible : 0);
+  };
+
+  return [
+    /*----------------------------------------*/
+    /*                 Quizzes                */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/quizzes',
+      paginated: true,
+      handler: (req) => {
+        const userIsTeacher = isTeacher(req.user, req.course);
+        return req.course.quizzes
+          .filter((quiz) => {
+            return quiz.published || userIsTeacher;
+          })
+          .map((quiz) => {
+            return serializeQuiz(req.course, quiz);
+          });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/quizzes/:quizId',
+      handler: (req) => {
+        return serializeQuiz(req.course, getQuiz(req));
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/quizzes',
+      teachersOnly: true,
+      handler: (req) => {
+        const info = req.params.quiz || {};
+        if (!info.title) {
+          throw genInvalidParamsError({
+            title: 'can\'t be blank',
+          });
+        }
+        const quiz = {
+          id: canvas.genId(),
+          title: null,
+          description: null,
+          quiz_type: 'assignment',
+          assignment_group_id: null,
+          time_limit: null,
+          shuffle_answers: false,
+          hide_results: null,
+          show_correct_answers: true,
+          show_correct_answers_last_attempt: false,
+          show_correct_answers_at: null,
+          hide_correct_answers_at: null,
+          allowed_attempts: 1,
+          scoring_policy: 'keep_highest',
+          one_question_at_a_time: false,
+          cant_go_back: false,
+          access_code: null,
+          ip_filter: null,
+          due_at: null,
+          lock_at: null,
+          unlock_at: null,
+          published: false,
+          one_time_results: false,
+          only_visible_to_overrides: false,
+          questions: [],
+        };
+        applyQuizParams(quiz, info);
+        req.course.quizzes.push(quiz);
+        return serializeQuiz(req.course, quiz);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/quizzes/:quizId',
+      teachersOnly: true,
+      handler: (req) => {
+        const quiz = getQuiz(req);
+        applyQuizParams(quiz, req.params.quiz || {});
+        return serializeQuiz(req.course, quiz);
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/courses/:courseId/quizzes/:quizId',
+      teachersOnly: true,
+      handler: (req) => {
+        const { course } = req;
+        const quiz = getQuiz(req);
+        course.quizzes.splice(course.quizzes.indexOf(quiz), 1);
+        course.quizSubmissions = course.quizSubmissions.filter((submission) => {
+          return submission.quiz_id !== quiz.id;
+        });
+        return serializeQuiz(course, quiz);
+      },
+    },
+
+    /*----------------------------------------*/
+    /*                Questions               */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/quizzes/:quizId/questions',
+      paginated: true,
+      teachersOnly: true,
+      handler: (req) => {
+        return getQuiz(req).questions;
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/quizzes/:quizId/questions',
+      teachersOnly: true,
+      handler: (req) => {
+        const quiz = getQuiz(req);
+        const info = req.params.question || {};
+        const answersInfo = info.answers || {};
+        const question = {
+          id: canvas.genId(),
+          quiz_id: quiz.id,
+          position: (
+            toNumber(info.position)
+            || quiz.questions.length + 1
+          ),
+          question_name: info.question_name || 'Question',
+          question_type: info.question_type,
+          question_text: info.question_text || '',
+          points_possible: toNumber(info.points_possible) || 0,
+          correct_comments: info.correct_comments || '',
+          incorrect_comments: info.incorrect_comments || '',
+          neutral_comments: info.neutral_comments || '',
+          text_after_answers: info.text_after_answers || '',
+          answers: Object.keys(answersInfo).map((key) => {
+            const answer = answersInfo[key];
+            return {
+              id: canvas.genId(),
+              text: answer.answer_text,
+              comments: answer.answer_comment || '',
+              weight: toNumber(answer.answer_weight) || 0,
+            };
+          }),
+        };
+        quiz.questions.push(question);
+        quiz.questions.sort((a, b) => {
+          return a.position - b.position;
+        });
+        return question;
+      },
+    },
+
+    /*----------------------------------------*/
+    /*               Submissions              */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/quizzes/:quizId/submissions',
+      handler: (req) => {
+        const quiz = getQuiz(req);
+        const userIsTeacher = isTeacher(req.user, req.course);
+        return {
+          quiz_submissions: req.course.quizSubmissions
+            .filter((submission) => {
+              return (
+                submission.quiz_id === quiz.id
+                && (userIsTeacher || submission.user_id === req.user.id)
+              );
+            })
+            .map(serializeQuizSubmission),
+        };
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/quizzes/:quizId/submissions/:submissionId',
+      handler: (req) => {
+        const quiz = getQuiz(req);
+        const submission = findById(
+          req.course.quizSubmissions.filter((candidate) => {
+            return candidate.quiz_id === quiz.id;
+          }),
+          req.pathParams.submissionId
+        );
+        if (
+          submission.user_id !== req.user.id
+          && !isTeacher(req.user, req.course)
+        ) {
+          throw genUnauthorizedError();
+        }
+        return {
+          quiz_submissions: [serializeQuizSubmission(submission)],
+        };
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/quizzes/:quizId/submissions',
+      handler: (req) => {
+        const quiz = getQuiz(req);
+        if (quiz.access_code && req.params.access_code !== quiz.access_code) {
+          throw genUnauthorizedError();
+        }
+
+        // Count previous attempts
+        const previous = req.course.quizSubmissions.filter((submission) => {
+          return (
+            submission.quiz_id === quiz.id
+            && submission.user_id === req.user.id
+          );
+        });
+        if (
+          quiz.allowed_attempts > 0
+          && previous.length >= quiz.allowed_attempts
+        ) {
+          throw genInvalidParamsError({
+            attempt: 'You have no more attempts left',
+          });
+        }
+
+        const submission = {
+          id: canvas.genId(),
+          quiz_id: quiz.id,
+          user_id: req.user.id,
+          submission_id: null,
+          started_at: now(),
+          finished_at: null,
+          end_at: null,
+          attempt: previous.length + 1,
+          extra_attempts: null,
+          extra_time: null,
+          manually_unlocked: null,
+          time_spent: 0,
+          score: null,
+          score_before_regrade: null,
+          kept_score: null,
+          fudge_points: null,
+          has_seen_results: false,
+          workflow_state: 'untaken',
+          overdue_and_needs_submission: false,
+          validation_token: `fake-validation-token-${canvas.genId()}`,
+          answers: {},
+        };
+        req.course.quizSubmissions.push(submission);
+        return {
+          quiz_submissions: [serializeQuizSubmission(submission)],
+        };
+      },
+    },
+    {
+      method: 'POST',
+      path: '/quiz_submissions/:submissionId/questions',
+      handler: (req) => {
+        const { submission } = findQuizSubmission(req.pathParams.submissionId);
+        checkSession(submission, req);
+
+        // Answers are a list of { id, answer }
+        const answers = req.params.quiz_questions || [];
+        const list = (
+          Array.isArray(answers)
+            ? answers
+            : Object.keys(answers).map((key) => {
+              return answers[key];
+            })
+        );
+        list.forEach((item) => {
+          submission.answers[item.id] = item.answer;
+        });
+
+        return {
+          quiz_submission_questions: list.map((item) => {
+            return {
+              id: toNumber(item.id),
+              flagged: false,
+              answer: item.answer,
+            };
+          }),
+        };
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/quizzes/:quizId/submissions/:submissionId/complete',
+      handler: (req) => {
+        const quiz = getQuiz(req);
+        const submission = findById(
+          req.course.quizSubmissions.filter((candidate) => {
+            return candidate.quiz_id === quiz.id;
+          }),
+          req.pathParams.submissionId
+        );
+        checkSession(submission, req);
+
+        // Score the submission
+        let score = 0;
+        let needsReview = false;
+        quiz.questions.forEach((question) => {
+          const questionScore = scoreAnswer(
+            question,
+            submission.answers[question.id]
+          );
+          if (questionScore === null) {
+            needsReview = true;
+          } else {
+            score += questionScore;
+          }
+        });
+        submission.score = score;
+        submission.kept_score = score;
+        submission.finished_at = now();
+        submission.workflow_state = (needsReview ? 'pending_review' : 'complete');
+
+        return {
+          quiz_submissions: [serializeQuizSubmission(submission)],
+        };
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/quizzes/:quizId/submissions/:submissionId',
+      teachersOnly: true,
+      handler: (req) => {
+        const quiz = getQuiz(req);
+        const submission = findById(
+          req.course.quizSubmissions.filter((candidate) => {
+            return candidate.quiz_id === quiz.id;
+          }),
+          req.pathParams.submissionId
+        );
+        const info = _firstOfList(req.params.quiz_submissions);
+        if (Number(info.attempt) !== submission.attempt) {
+          throw genInvalidParamsError({
+            attempt: 'Can\'t update a previous attempt',
+          });
+        }
+
+        // Update question scores
+        const questions = info.questions || {};
+        submission.questionScores = submission.questionScores || {};
+        Object.keys(questions).forEach((questionId) => {
+          if (questions[questionId].score !== undefined) {
+            submission.questionScores[questionId] = toNumber(
+              questions[questionId].score
+            );
+          }
+        });
+        if (info.fudge_points !== undefined) {
+          submission.fudge_points = toNumber(info.fudge_points);
+        }
+
+        // Recalculate the score
+        let score = submission.fudge_points || 0;
+        quiz.questions.forEach((question) => {
+          const override = submission.questionScores[question.id];
+          score += (
+            override !== undefined
+              ? override
+              : (scoreAnswer(question, submission.answers[question.id]) || 0)
+          );
+        });
+        submission.score = score;
+        submission.kept_score = score;
+        submission.workflow_state = 'complete';
+
+        return {
+          quiz_submissions: [serializeQuizSubmission(submission)],
+        };
+      },
+    },
+  ];
+};
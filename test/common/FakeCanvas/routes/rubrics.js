@@ -0,0 +1,147 @@
+/**
+ * Fake Canvas routes for rubrics
+ */
+const {
+  toBool,
+  toNumber,
+  findById,
+} = require('../helpers/utils');
+
+module.exports = (canvas) => {
+  /**
+   * Turns a rubric record into a Canvas rubric object
+   * @param {object} course - the course record
+   * @param {object} rubric - the rubric record
+   * @return {object} Canvas rubric
+   */
+  const serializeRubric = (course, rubric) => {
+    return {
+      id: rubric.id,
+      title: rubric.title,
+      context_id: course.id,
+      context_type: 'Course',
+      points_possible: rubric.points_possible,
+      reusable: false,
+      public: false,
+      read_only: false,
+      free_form_criterion_comments: rubric.free_form_criterion_comments,
+      hide_score_total: false,
+      data: rubric.criteria,
+    };
+  };
+
+  return [
+    {
+      method: 'GET',
+      path: '/courses/:courseId/rubrics',
+      paginated: true,
+      teachersOnly: true,
+      handler: (req) => {
+        return req.course.rubrics.map((rubric) => {
+          return serializeRubric(req.course, rubric);
+        });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/rubrics/:rubricId',
+      teachersOnly: true,
+      handler: (req) => {
+        return serializeRubric(
+          req.course,
+          findById(req.course.rubrics, req.pathParams.rubricId)
+        );
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/rubrics',
+      teachersOnly: true,
+      handler: (req) => {
+        const info = req.params.rubric || {};
+        const associationInfo = req.params.rubric_association || {};
+
+        // Criteria are sent as a map of index => criterion. Criterion ids
+        //   aren't numbers (Canvas generates ids like "_1234")
+        const criteriaInfo = info.criteria || {};
+        const criteria = Object.keys(criteriaInfo).map((key) => {
+          const criterion = criteriaInfo[key];
+          const ratingsInfo = criterion.ratings || {};
+          const id = `_${canvas.genId()}`;
+          return {
+            id,
+            description: criterion.description,
+            long_description: criterion.long_description || null,
+            points: toNumber(criterion.points),
+            criterion_use_range: toBool(criterion.criterion_use_range),
+            ratings: Object.keys(ratingsInfo).map((ratingKey) => {
+              const rating = ratingsInfo[ratingKey];
+              return {
+                id: `_${canvas.genId()}`,
+                criterion_id: id,
+                description: rating.description,
+                long_description: null,
+                points: toNumber(rating.points),
+              };
+            }),
+          };
+        });
+
+        const rubric = {
+          criteria,
+          id: canvas.genId(),
+          title: info.title || req.params.title,
+          points_possible: toNumber(info.points_possible),
+          free_form_criterion_comments: toBool(
+            info.free_form_criterion_comments
+          ),
+        };
+        req.course.rubrics.push(rubric);
+
+        // Add the rubric to the assignment
+        let rubricAssociation = null;
+        if (associationInfo.association_type === 'Assignment') {
+          const assignment = findById(
+            req.course.assignments,
+            associationInfo.association_id
+          );
+          assignment.rubric = criteria;
+          assignment.rubric_settings = {
+            id: rubric.id,
+            title: rubric.title,
+            points_possible: rubric.points_possible,
+            free_form_criterion_comments: (
+              rubric.free_form_criterion_comments
+            ),
+            hide_score_total: false,
+            hide_points: false,
+          };
+          assignment.use_rubric_for_grading = toBool(
+            associationInfo.use_for_grading
+          );
+          if (!toBool(req.params.skip_updating_points_possible)) {
+            assignment.points_possible = rubric.points_possible;
+          }
+          rubricAssociation = {
+            id: canvas.genId(),
+            rubric_id: rubric.id,
+            association_id: assignment.id,
+            association_type: 'Assignment',
+            use_for_grading: assignment.use_rubric_for_grading,
+            purpose: associationInfo.purpose || 'grading',
+            hide_score_total: false,
+            hide_points: false,
+            hide_outcome_results: false,
+          };
+        }
+
+        return {
+          rubric: Object.assign(serializeRubric(req.course, rubric), {
+            criteria,
+          }),
+          rubric_association: rubricAssociation,
+        };
+      },
+    },
+  ];
+};
@@ -0,0 +1,460 @@
+/**
+ * Fake Canvas routes for submissions, submission comments, and grading
+ */
+const serializeAssignment = require('../helpers/serializeAssignment');
+const {
+  genInvalidParamsError,
+  genNotFoundError,
+  genUnauthorizedError,
+} = require('../helpers/errors');
+const {
+  now,
+  toBool,
+  toNumber,
+  isIncluded,
+  findById,
+  getEnrollments,
+  serializeUser,
+  isTeacher,
+} = require('../helpers/utils');
+
+module.exports = (canvas) => {
+  /**
+   * Gets an assignment in the course of a request
+   * @param {object} req - the request
+   * @return {object} the assignment record
+   */
+  const getAssignment = (req) => {
+    return findById(
+      req.course.assignments,
+      req.pathParams.assignmentId
+    );
+  };
+
+  /**
+   * Gets a student's submission record, creating an unsubmitted one if the
+   *   student hasn't submitted yet
+   * @param {object} course - the course record
+   * @param {object} assignment - the assignment record
+   * @param {object} user - the student's user record
+   * @return {object} the submission record
+   */
+  const getSubmission = (course, assignment, user) => {
+    const existing = course.submissions.find((submission) => {
+      return (
+        submission.assignment_id === assignment.id
+        && submission.user_id === user.id
+      );
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const submission = {
+      id: canvas.genId(),
+      assignment_id: assignment.id,
+      user_id: user.id,
+      body: null,
+      url: null,
+      submission_type: null,
+      workflow_state: 'unsubmitted',
+      attempt: null,
+      submitted_at: null,
+      score: null,
+      grade: null,
+      entered_score: null,
+      entered_grade: null,
+      graded_at: null,
+      grader_id: null,
+      excused: null,
+      comments: [],
+      rubricAssessment: null,
+    };
+    course.submissions.push(submission);
+    return submission;
+  };
+
+  /**
+   * Gets the student whose submission is at the path of a request
+   * @param {object} req - the request
+   * @return {object} the student's user record
+   * @throws {FakeCanvasError} 404 if the user isn't a student in the course
+   */
+  const getStudent = (req) => {
+    const user = canvas.getUser(req.pathParams.userId, req.user);
+    const students = canvas.getCourseUsers(req.course, ['StudentEnrollment']);
+    if (!students.includes(user)) {
+      throw genNotFoundError();
+    }
+    return user;
+  };
+
+  /**
+   * Turns a submission record into a Canvas submission object
+   * @param {object} course - the course record
+   * @param {object} submission - the submission record
+   * @param {object} req - the request
+   * @param {object} [forceInclude={}] - map of include value => true for
+   *   values to include even if they weren't requested
+   * @return {object} Canvas submission
+   */
+  const serializeSubmission = (course, submission, req, forceInclude = {}) => {
+    const assignment = findById(
+      course.assignments,
+      submission.assignment_id
+    );
+    const wants = (value) => {
+      return forceInclude[value] || isIncluded(req, value);
+    };
+
+    const serialized = {
+      id: submission.id,
+      body: submission.body,
+      url: submission.url,
+      grade: submission.grade,
+      score: submission.score,
+      submitted_at: submission.submitted_at,
+      assignment_id: submission.assignment_id,
+      user_id: submission.user_id,
+      submission_type: submission.submission_type,
+      workflow_state: submission.workflow_state,
+      grade_matches_current_submission: true,
+      graded_at: submission.graded_at,
+      grader_id: submission.grader_id,
+      attempt: submission.attempt,
+      cached_due_date: assignment.due_at,
+      excused: submission.excused,
+      late_policy_status: null,
+      points_deducted: null,
+      grading_period_id: null,
+      extra_attempts: null,
+      posted_at: submission.graded_at,
+      late: false,
+      missing: false,
+      seconds_late: 0,
+      entered_grade: submission.entered_grade,
+      entered_score: submission.entered_score,
+      preview_url: `https://${canvas.host}/courses/${course.id}/assignments/${assignment.id}/submissions/${submission.user_id}?preview=1`,
+    };
+
+    if (wants('submission_comments')) {
+      serialized.submission_comments = submission.comments;
+    }
+    if (wants('rubric_assessment') && submission.rubricAssessment) {
+      serialized.rubric_assessment = submission.rubricAssessment;
+    }
+    if (wants('user')) {
+      serialized.user = serializeUser(
+        canvas.getUser(submission.user_id)
+      );
+    }
+    if (wants('assignment')) {
+      serialized.assignment = serializeAssignment(canvas, course, assignment);
+    }
+
+    return serialized;
+  };
+
+  /**
+   * Adds a comment to a submission
+   * @param {object} submission - the submission record
+   * @param {object} author - the user record of the author
+   * @param {string} text - the text of the comment
+   */
+  const addComment = (submission, author, text) => {
+    submission.comments.push({
+      id: canvas.genId(),
+      author_id: author.id,
+      author_name: author.name,
+      author: {
+        id: author.id,
+        display_name: author.name,
+        avatar_image_url: null,
+        html_url: `https://${canvas.host}/about/${author.id}`,
+        pronouns: null,
+      },
+      comment: text,
+      created_at: now(),
+      edited_at: null,
+      attempt: submission.attempt,
+    });
+  };
+
+  /**
+   * Grades a submission
+   * @param {object} submission - the submission record
+   * @param {object} grader - the user record of the grader
+   * @param {*} postedGrade - the grade (a number of points)
+   */
+  const grade = (submission, grader, postedGrade) => {
+    const updated = submission;
+    const score = toNumber(postedGrade);
+    updated.score = score;
+    updated.grade = (score === null ? null : String(score));
+    updated.entered_score = updated.score;
+    updated.entered_grade = updated.grade;
+    updated.graded_at = now();
+    updated.grader_id = grader.id;
+    updated.workflow_state = (score === null ? 'submitted' : 'graded');
+  };
+
+  /**
+   * Replaces the rubric assessment of a submission and updates the score to
+   *   the sum of the rubric points
+   * @param {object} assignment - the assignment record
+   * @param {object} submission - the submission record
+   * @param {object} grader - the user record of the grader
+   * @param {object} assessment - map of criterion id => { points, comments }
+   */
+  const assess = (assignment, submission, grader, assessment) => {
+    if (!assignment.rubric) {
+      throw genInvalidParamsError({
+        rubric_assessment: 'assignment has no rubric',
+      });
+    }
+
+    // Canvas lists every criterion, in order
+    const rubricAssessment = {};
+    let score = 0;
+    assignment.rubric.forEach((criterion) => {
+      const item = assessment[criterion.id] || {};
+      const points = toNumber(item.points);
+      rubricAssessment[criterion.id] = {
+        points,
+        comments: (item.comments === undefined ? null : item.comments),
+      };
+      score += (points || 0);
+    });
+
+    const updated = submission;
+    updated.rubricAssessment = rubricAssessment;
+    grade(updated, grader, score);
+  };
+
+  return [
+    /*----------------------------------------*/
+    /*               Submissions              */
+    /*----------------------------------------*/
+
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignments/:assignmentId/submissions',
+      paginated: true,
+      teachersOnly: true,
+      handler: (req) => {
+        const assignment = getAssignment(req);
+        return canvas
+          .getCourseUsers(req.course, ['StudentEnrollment'])
+          .map((user) => {
+            return serializeSubmission(
+              req.course,
+              getSubmission(req.course, assignment, user),
+              req
+            );
+          });
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/students/submissions',
+      paginated: true,
+      handler: (req) => {
+        const { course } = req;
+        const userIsTeacher = isTeacher(req.user, course);
+
+        // Figure out which students and assignments to include
+        const studentIds = [].concat(req.params.student_ids || []);
+        let students = canvas.getCourseUsers(course, ['StudentEnrollment']);
+        if (!userIsTeacher) {
+          students = students.filter((student) => {
+            return student.id === req.user.id;
+          });
+        } else if (studentIds.indexOf('all') < 0) {
+          const included = studentIds.map((id) => {
+            return canvas.getUser(id, req.user);
+          });
+          students = students.filter((student) => {
+            return included.includes(student);
+          });
+        }
+        const assignmentIds = [].concat(req.params.assignment_ids || []);
+        const assignments = course.assignments.filter((assignment) => {
+          return (
+            (assignment.published || userIsTeacher)
+            && (
+              assignmentIds.length === 0
+              || assignmentIds.map(String).includes(String(assignment.id))
+            )
+          );
+        });
+
+        const submissions = [];
+        students.forEach((student) => {
+          assignments.forEach((assignment) => {
+            const submission = getSubmission(course, assignment, student);
+            if (
+              !req.params.workflow_state
+              || req.params.workflow_state === submission.workflow_state
+            ) {
+              submissions.push(serializeSubmission(course, submission, req));
+            }
+          });
+        });
+        return submissions;
+      },
+    },
+    {
+      method: 'GET',
+      path: '/courses/:courseId/assignments/:assignmentId/submissions/:userId',
+      handler: (req) => {
+        const assignment = getAssignment(req);
+        const student = getStudent(req);
+        if (
+          student !== req.user
+          && !isTeacher(req.user, req.course)
+        ) {
+          throw genUnauthorizedError();
+        }
+        return serializeSubmission(
+          req.course,
+          getSubmission(req.course, assignment, student),
+          req
+        );
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/assignments/:assignmentId/submissions',
+      handler: (req) => {
+        const assignment = getAssignment(req);
+        const isStudent = getEnrollments(req.user, req.course)
+          .some((enrollment) => {
+            return enrollment.type === 'StudentEnrollment';
+          });
+        if (!isStudent || !assignment.published) {
+          throw genUnauthorizedError();
+        }
+
+        // Make sure the submission type is allowed
+        const info = req.params.submission || {};
+        if (assignment.submission_types.indexOf(info.submission_type) < 0) {
+          throw genInvalidParamsError({
+            'submission[submission_type]': 'Invalid submission[submission_type] given',
+          });
+        }
+
+        // Submit
+        const submission = getSubmission(req.course, assignment, req.user);
+        submission.submission_type = info.submission_type;
+        submission.body = (
+          info.submission_type === 'online_text_entry'
+            ? info.body
+            : null
+        );
+        submission.url = (
+          info.submission_type === 'online_url'
+            ? info.url
+            : null
+        );
+        submission.attempt = (submission.attempt || 0) + 1;
+        submission.submitted_at = now();
+        if (submission.workflow_state !== 'graded') {
+          submission.workflow_state = 'submitted';
+        }
+        if (req.params.comment && req.params.comment.text_comment) {
+          addComment(submission, req.user, req.params.comment.text_comment);
+        }
+
+        return serializeSubmission(req.course, submission, req, {
+          submission_comments: true,
+        });
+      },
+    },
+
+    /*----------------------------------------*/
+    /*                 Grading                */
+    /*----------------------------------------*/
+
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/assignments/:assignmentId/submissions/:userId',
+      teachersOnly: true,
+      handler: (req) => {
+        const assignment = getAssignment(req);
+        const submission = getSubmission(
+          req.course,
+          assignment,
+          getStudent(req)
+        );
+
+        if (req.params.comment && req.params.comment.text_comment) {
+          addComment(submission, req.user, req.params.comment.text_comment);
+        }
+        if (req.params.rubric_assessment) {
+          assess(
+            assignment,
+            submission,
+            req.user,
+            req.params.rubric_assessment
+          );
+        }
+        const info = req.params.submission || {};
+        if (info.posted_grade !== undefined) {
+          grade(submission, req.user, info.posted_grade);
+        }
+        if (info.excuse !== undefined) {
+          submission.excused = toBool(info.excuse);
+        }
+
+        return serializeSubmission(req.course, submission, req, {
+          submission_comments: true,
+        });
+      },
+    },
+    {
+      method: 'POST',
+      path: '/courses/:courseId/assignments/:assignmentId/submissions/update_grades',
+      teachersOnly: true,
+      handler: (req) => {
+        const assignment = getAssignment(req);
+        const gradeData = req.params.grade_data || {};
+
+        // Look up all students before changing anything
+        const students = {};
+        Object.keys(gradeData).forEach((studentId) => {
+          students[studentId] = getStudent({
+            course: req.course,
+            user: req.user,
+            pathParams: { userId: studentId },
+          });
+        });
+
+        // Canvas runs these updates in a job. We run them right away and
+        //   report progress as the job is polled
+        Object.keys(gradeData).forEach((studentId) => {
+          const info = gradeData[studentId];
+          const submission = getSubmission(
+            req.course,
+            assignment,
+            students[studentId]
+          );
+          if (info.text_comment) {
+            addComment(submission, req.user, info.text_comment);
+          }
+          if (info.rubric_assessment) {
+            assess(assignment, submission, req.user, info.rubric_assessment);
+          }
+          if (info.posted_grade !== undefined) {
+            grade(submission, req.user, info.posted_grade);
+          }
+        });
+
+        return canvas.addProgress({
+          tag: 'submissions_update',
+          user: req.user,
+          course: req.course,
+        });
+      },
+    },
+  ];
+};
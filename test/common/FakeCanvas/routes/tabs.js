@@ -0,0 +1,85 @@
+/**
+ * Fake Canvas routes for nav menu items (tabs)
+ */
+const {
+  FakeCanvasError,
+  genNotFoundError,
+} = require('../helpers/errors');
+const {
+  toBool,
+  toNumber,
+  isTeacher,
+} = require('../helpers/utils');
+
+module.exports = () => {
+  /**
+   * Turns a tab record into a Canvas tab object
+   * @param {object} tab - the tab record
+   * @return {object} Canvas tab
+   */
+  const serializeTab = (tab) => {
+    const serialized = Object.assign({}, tab);
+    if (!tab.hidden) {
+      delete serialized.hidden;
+    }
+    return serialized;
+  };
+
+  return [
+    {
+      method: 'GET',
+      path: '/courses/:courseId/tabs',
+      paginated: true,
+      handler: (req) => {
+        const userIsTeacher = isTeacher(req.user, req.course);
+        return req.course.tabs
+          .filter((tab) => {
+            return userIsTeacher || (!tab.hidden && tab.visibility === 'public');
+          })
+          .map(serializeTab);
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/courses/:courseId/tabs/:tabId',
+      teachersOnly: true,
+      handler: (req) => {
+        const { tabs } = req.course;
+        const tab = tabs.find((candidate) => {
+          return candidate.id === req.pathParams.tabId;
+        });
+        if (!tab) {
+          throw genNotFoundError();
+        }
+
+        // Home must stay first and other tabs can't move before it
+        if (req.params.position !== undefined) {
+          const position = toNumber(req.params.position);
+          if (
+            tab.id === 'home'
+            || !Number.isInteger(position)
+            || position < 2
+            || position > tabs.length
+          ) {
+            throw new FakeCanvasError(400, {
+              error: 'That tab location is invalid',
+            });
+          }
+
+          // Move the tab and renumber
+          tabs.splice(tabs.indexOf(tab), 1);
+          tabs.splice(position - 1, 0, tab);
+          tabs.forEach((other, i) => {
+            const renumbered = other;
+            renumbered.position = i + 1;
+          });
+        }
+        if (req.params.hidden !== undefined) {
+          tab.hidden = toBool(req.params.hidden);
+        }
+
+        return serializeTab(tab);
+      },
+    },
+  ];
+};
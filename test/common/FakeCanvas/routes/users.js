@@ -0,0 +1,34 @@
+/**
+ * Fake Canvas routes for the current user
+ */
+module.exports = (canvas) => {
+  return [
+    {
+      method: 'GET',
+      path: '/users/:userId/profile',
+      handler: (req) => {
+        const user = canvas.getUser(req.pathParams.userId, req.user);
+        return {
+          id: user.id,
+          name: user.name,
+          short_name: user.short_name,
+          sortable_name: user.sortable_name,
+          title: null,
+          bio: null,
+          primary_email: user.email,
+          login_id: user.login_id,
+          sis_user_id: user.sis_user_id,
+          integration_id: null,
+          avatar_url: `https://${canvas.host}/images/messages/avatar-50.png`,
+          calendar: {
+            ics: `https://${canvas.host}/feeds/calendars/user_${user.id}.ics`,
+          },
+          time_zone: 'America/New_York',
+          locale: null,
+          k5_user: false,
+          use_classic_font_in_k5: false,
+        };
+      },
+    },
+  ];
+};
@@ -0,0 +1,124 @@
+/**
+ * In-process stand-in for a redis client. Only implements the commands that
+ *   RedisCache uses (with an ioredis-style promise interface). Swap in a real
+ *   client (e.g. new Redis() from ioredis) to test against a redis-server
+ */
+class FakeRedisClient {
+  constructor() {
+    // key => { value, expiresAt }
+    this._strings = new Map();
+    // key => Set
+    this._sets = new Map();
+    // key => Set (all scores are 0, so members are sorted lexicographically)
+    this._sortedSets = new Map();
+  }
+
+  get(key) {
+    const entry = this._strings.get(key);
+    if (!entry) {
+      return Promise.resolve(null);
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this._strings.delete(key);
+      return Promise.resolve(null);
+    }
+    return Promise.resolve(entry.value);
+  }
+
+  set(key, value, mode, ms) {
+    this._strings.set(key, {
+      value: String(value),
+      expiresAt: (mode === 'PX' ? Date.now() + ms : null),
+    });
+    return Promise.resolve('OK');
+  }
+
+  del(...keys) {
+    let numDeleted = 0;
+    keys.forEach((key) => {
+      [this._strings, this._sets, this._sortedSets].forEach((map) => {
+        if (map.delete(key)) {
+          numDeleted += 1;
+        }
+      });
+    });
+    return Promise.resolve(numDeleted);
+  }
+
+  exists(key) {
+    return this.get(key)
+      .then((value) => {
+        return (
+          (value !== null || this._sets.has(key) || this._sortedSets.has(key))
+            ? 1
+            : 0
+        );
+      });
+  }
+
+  sadd(key, member) {
+    if (!this._sets.has(key)) {
+      this._sets.set(key, new Set());
+    }
+    const set = this._sets.get(key);
+    const isNew = !set.has(member);
+    set.add(member);
+    return Promise.resolve(isNew ? 1 : 0);
+  }
+
+  srem(key, ...members) {
+    const set = this._sets.get(key);
+    if (!set) {
+      return Promise.resolve(0);
+    }
+    const numRemoved = members.filter((member) => {
+      return set.delete(member);
+    }).length;
+
+    // Like redis, empty sets are deleted
+    if (set.size === 0) {
+      this._sets.delete(key);
+    }
+    return Promise.resolve(numRemoved);
+  }
+
+  smembers(key) {
+    return Promise.resolve(Array.from(this._sets.get(key) || []));
+  }
+
+  zadd(key, score, member) {
+    if (!this._sortedSets.has(key)) {
+      this._sortedSets.set(key, new Set());
+    }
+    this._sortedSets.get(key).add(member);
+    return Promise.resolve(1);
+  }
+
+  zrem(key, member) {
+    const set = this._sortedSets.get(key);
+    return Promise.resolve(set && set.delete(member) ? 1 : 0);
+  }
+
+  zscore(key, member) {
+    const set = this._sortedSets.get(key);
+    return Promise.resolve(set && set.has(member) ? '0' : null);
+  }
+
+  zrange(key) {
+    return Promise.resolve(Array.from(this._sortedSets.get(key) || []).sort());
+  }
+
+  zrangebylex(key, min, max) {
+    // Only inclusive ranges ("[value") are supported
+    const low = min.substring(1);
+    const high = max.substring(1);
+    return this.zrange(key)
+      .then((members) => {
+        return members.filter((member) => {
+          return member >= low && member <= high;
+        });
+      });
+  }
+}
+
+module.exports = FakeRedisClient;
@@ -0,0 +1,16 @@
+/**
+ * Test environment: uses /test/environment.js if it exists (real Canvas),
+ *   otherwise creates a FakeCanvas instance and runs against it
+ */
+const fs = require('fs');
+const path = require('path');
+
+const FakeCanvas = require('./FakeCanvas');
+
+const ENVIRONMENT_PATH = path.join(__dirname, '..', 'environment.js');
+
+module.exports = (
+  fs.existsSync(ENVIRONMENT_PATH)
+    ? require('../environment.js')
+    : new FakeCanvas().genEnvironment()
+);
@@ -1,9 +1,10 @@
 const API = require('../../index.js');
-const environment = require('../environment.js');
+const environment = require('./environment.js');
 
 module.exports = (config = {}) => {
   const newConfig = config;
   newConfig.accessToken = config.accessToken || environment.accessToken;
   newConfig.canvasHost = config.canvasHost || environment.canvasHost;
+  newConfig.sendRequest = config.sendRequest || environment.sendRequest;
   return new API(newConfig);
 };
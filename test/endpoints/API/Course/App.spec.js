@@ -3,7 +3,7 @@ const path = require('path');
 
 const utils = require('../../../common/utils.js');
 const api = require('../../../common/genInstructorAPI.js')();
-const courseId = require('../../../environment.js').testCourseId;
+const courseId = require('../../../common/environment.js').testCourseId;
 
 /*------------------------------------------------------------------------*/
 /*                                 Helpers                                */
@@ -2,7 +2,7 @@ const path = require('path');
 const api = require('../../../common/genInstructorAPI.js')();
 const studentAPI = require('../../../common/genStudentAPI.js')();
 const studentAPI2 = require('../../../common/genStudentAPI.js')(1);
-const environment = require('../../../environment.js');
+const environment = require('../../../common/environment.js');
 const utils = require('../../../common/utils.js');
 
 const courseId = environment.testCourseId;
@@ -1251,6 +1251,10 @@ describe('Endpoints > Course > Assignment', function () {
     });
 
     it('Creates an assignment submission (file)', function () {
+      // The fake Canvas doesn't support file uploads
+      if (environment.isFakeCanvas) {
+        this.skip();
+      }
       this.timeout(15000);
       const publishedTestAssignment = genTestAssignment();
       publishedTestAssignment.published = true;
@@ -1,6 +1,6 @@
 const api = require('../../../common/genInstructorAPI.js')();
 const utils = require('../../../common/utils.js');
-const courseId = require('../../../environment.js').testCourseId;
+const courseId = require('../../../common/environment.js').testCourseId;
 
 /*------------------------------------------------------------------------*/
 /*                                 Helpers                                */
@@ -1,6 +1,6 @@
 const api = require('../../../common/genInstructorAPI.js')();
 const utils = require('../../../common/utils.js');
-const environment = require('../../../environment.js');
+const environment = require('../../../common/environment.js');
 
 const courseId = environment.testCourseId;
 const allStudentIds = environment.students.map((x) => {
@@ -1,6 +1,6 @@
 const utils = require('../../../common/utils.js');
 const api = require('../../../common/genInstructorAPI.js')();
-const courseId = require('../../../environment.js').testCourseId;
+const courseId = require('../../../common/environment.js').testCourseId;
 
 /*------------------------------------------------------------------------*/
 /*                                 Helpers                                */
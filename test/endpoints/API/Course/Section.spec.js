@@ -1,5 +1,5 @@
 const api = require('../../../common/genInstructorAPI.js')();
-const courseId = require('../../../environment.js').testCourseId;
+const courseId = require('../../../common/environment.js').testCourseId;
 
 // TODO: write more rigorous tests. These tests are crippled by the fact that
 // we do not have the permissions to create sections
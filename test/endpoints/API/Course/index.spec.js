@@ -1,5 +1,5 @@
 const api = require('../../../common/genInstructorAPI.js')();
-const environment = require('../../../environment.js');
+const environment = require('../../../common/environment.js');
 
 const courseId = environment.testCourseId;
 const { students, graders } = environment;
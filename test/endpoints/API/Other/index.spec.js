@@ -1,5 +1,5 @@
 const api = require('../../../common/genInstructorAPI.js')();
-const courseId = require('../../../environment.js').testCourseId;
+const courseId = require('../../../common/environment.js').testCourseId;
 
 describe('Endpoints > Other', function () {
   it('Lists apps', async function () {
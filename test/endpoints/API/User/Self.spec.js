@@ -1,7 +1,7 @@
 const utils = require('../../../common/utils.js');
 const api = require('../../../common/genInstructorAPI.js')();
 const studentAPI = require('../../../common/genStudentAPI.js')();
-const environment = require('../../../environment.js');
+const environment = require('../../../common/environment.js');
 
 const studentInfo = environment.students[0];
 const courseId = environment.testCourseId;
@@ -0,0 +1,59 @@
+const genApi = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Abort', function () {
+  it('Rejects right away if the signal was already aborted', async function () {
+    const api = genApi();
+
+    const controller = new AbortController();
+    controller.abort();
+
+    try {
+      await api.course.get({
+        courseId,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err.code !== 'CAPI28') {
+        throw new Error(`Expected error CAPI28 but got ${err.code}`);
+      }
+      return;
+    }
+    throw new Error('Endpoint should have rejected');
+  });
+
+  it('Stops requesting pages once aborted', async function () {
+    let numPagesRequested = 0;
+    const api = genApi({
+      middleware: [
+        (request, next) => {
+          numPagesRequested += 1;
+          return next(request);
+        },
+      ],
+    });
+
+    const controller = new AbortController();
+    try {
+      await api.course.listUsers({
+        courseId,
+        itemsPerPage: 1,
+        signal: controller.signal,
+        onNewPage: () => {
+          controller.abort();
+        },
+      });
+    } catch (err) {
+      if (err.code !== 'CAPI28') {
+        throw new Error(`Expected error CAPI28 but got ${err.code}`);
+      }
+      if (numPagesRequested !== 1) {
+        throw new Error(`Expected 1 page to be requested but ${numPagesRequested} pages were requested`);
+      }
+      return;
+    }
+    throw new Error('Endpoint should have rejected');
+  });
+});
@@ -0,0 +1,127 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const { CanvasAPIError } = require('../../../classes/errors.js');
+
+// Recipients (more than 100 so they're sent in multiple batches)
+const recipientIds = [];
+for (let i = 1; i <= 250; i++) {
+  recipientIds.push(i);
+}
+
+/**
+ * Generates middleware that responds to conversation requests, failing the
+ *   batch that starts with the given recipient
+ * @param {number} [failingRecipientId] - the first recipient of the batch to
+ *   fail
+ * @return {object} { middleware, getNumRequests }
+ */
+const genConversationResponder = (failingRecipientId) => {
+  let numRequests = 0;
+  return {
+    middleware: [
+      (request) => {
+        numRequests += 1;
+        const { recipients } = request.params;
+        if (recipients[0] === failingRecipientId) {
+          return Promise.resolve({
+            status: 500,
+            headers: {},
+            body: { errors: [{ message: 'Internal error' }] },
+          });
+        }
+        return Promise.resolve({
+          status: 200,
+          headers: {},
+          body: [{ id: recipients[0] }],
+        });
+      },
+    ],
+    getNumRequests: () => {
+      return numRequests;
+    },
+  };
+};
+
+describe('Endpoints > Functionality > Bulk Operations', function () {
+  it('Reports partial failures and resumes from a checkpoint', async function () {
+    const api = genInstructorAPI({ numRetries: 0 });
+
+    // Send with the second batch failing
+    const checkpoints = [];
+    const firstResponder = genConversationResponder(101);
+    const firstResults = await api.conversation.create({
+      recipientIds,
+      subject: 'Bulk Test',
+      body: 'Bulk Test',
+      concurrency: 2,
+      onCheckpoint: (checkpoint) => {
+        checkpoints.push(checkpoint);
+      },
+      middleware: firstResponder.middleware,
+    });
+
+    const succeededIndexes = firstResults.succeeded.map((entry) => {
+      return entry.index;
+    });
+    if (succeededIndexes.join(',') !== '0,2') {
+      throw new Error(`Unexpected succeeded batches: ${succeededIndexes.join(', ')}`);
+    }
+    if (
+      firstResults.failed.length !== 1
+      || firstResults.failed[0].index !== 1
+      || !(firstResults.failed[0].error instanceof CanvasAPIError)
+    ) {
+      throw new Error(`Unexpected failed batches: ${JSON.stringify(firstResults.failed)}`);
+    }
+    if (checkpoints.length !== 2) {
+      throw new Error(`Expected 2 checkpoints but got ${checkpoints.length}`);
+    }
+
+    // Resume: only the failed batch should be sent
+    const secondResponder = genConversationResponder();
+    const secondResults = await api.conversation.create({
+      recipientIds,
+      subject: 'Bulk Test',
+      body: 'Bulk Test',
+      checkpoint: firstResults.checkpoint,
+      middleware: secondResponder.middleware,
+    });
+
+    if (secondResponder.getNumRequests() !== 1) {
+      throw new Error(`Expected 1 request but got ${secondResponder.getNumRequests()}`);
+    }
+    if (
+      secondResults.succeeded.length !== 1
+      || secondResults.succeeded[0].index !== 1
+      || secondResults.failed.length !== 0
+      || secondResults.checkpoint.completed.length !== 3
+    ) {
+      throw new Error(`Unexpected results: ${JSON.stringify(secondResults)}`);
+    }
+  });
+
+  it('Resumes from a checkpoint when the recipients are reordered', async function () {
+    const api = genInstructorAPI({ numRetries: 0 });
+
+    // Send with the second batch failing
+    const firstResults = await api.conversation.create({
+      recipientIds,
+      subject: 'Bulk Test',
+      body: 'Bulk Test',
+      middleware: genConversationResponder(101).middleware,
+    });
+
+    // Resume with the recipients in reverse order
+    const secondResponder = genConversationResponder();
+    await api.conversation.create({
+      recipientIds: recipientIds.slice().reverse(),
+      subject: 'Bulk Test',
+      body: 'Bulk Test',
+      checkpoint: firstResults.checkpoint,
+      middleware: secondResponder.middleware,
+    });
+
+    if (secondResponder.getNumRequests() !== 1) {
+      throw new Error(`Expected only the failed batch to be sent but ${secondResponder.getNumRequests()} batches were sent`);
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const MemoryCache = require('../../../classes/caches/MemoryCache.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Cache Management', function () {
+  it('Prefetches, lists, and clears cached values', async function () {
+    this.timeout(25000);
+
+    const api = genInstructorAPI({ cacheType: 'memory' });
+
+    await api.cache.prefetch(api.course.get, { courseId });
+    const paths = await api.cache.list();
+    if (paths.join(',') !== `/api/v1/courses/${courseId}`) {
+      throw new Error(`Expected the course to be cached but got: ${paths.join(', ')}`);
+    }
+
+    const stats = await api.cache.stats();
+    if (stats.numPaths !== 1 || stats.misses !== 1) {
+      throw new Error(`Unexpected stats: ${JSON.stringify(stats)}`);
+    }
+
+    await api.cache.clear();
+    const pathsAfterClear = await api.cache.list();
+    if (pathsAfterClear.length !== 0) {
+      throw new Error('The cache was not cleared');
+    }
+  });
+
+  it('Invalidates paths that match a pattern', async function () {
+    this.timeout(25000);
+
+    const api = genInstructorAPI({ cacheType: 'memory' });
+
+    await api.course.get({ courseId });
+    await api.course.assignment.list({ courseId });
+
+    const invalidatedPaths = await api.cache.invalidate(/\/assignments$/);
+    if (invalidatedPaths.join(',') !== `/api/v1/courses/${courseId}/assignments`) {
+      throw new Error(`Expected the assignments to be invalidated but got: ${invalidatedPaths.join(', ')}`);
+    }
+
+    const paths = await api.cache.list();
+    if (paths.join(',') !== `/api/v1/courses/${courseId}`) {
+      throw new Error(`Expected only the course to stay cached but got: ${paths.join(', ')}`);
+    }
+  });
+
+  it('Works with custom caches', async function () {
+    this.timeout(25000);
+
+    // Custom cache without stats or prefix lookups
+    const memoryCache = new MemoryCache();
+    const cache = {
+      storePromises: false,
+      get: memoryCache.get.bind(memoryCache),
+      set: memoryCache.set.bind(memoryCache),
+      deletePaths: memoryCache.deletePaths.bind(memoryCache),
+      getAllPaths: memoryCache.getAllPaths.bind(memoryCache),
+      deleteAllPaths: memoryCache.deleteAllPaths.bind(memoryCache),
+    };
+    const api = genInstructorAPI({ cache });
+
+    await api.course.get({ courseId });
+    await api.cache.invalidate('/api/v1/courses/*');
+
+    const stats = await api.cache.stats();
+    if (stats.numPaths !== 0) {
+      throw new Error(`Expected the cache to be empty but got: ${JSON.stringify(stats)}`);
+    }
+  });
+});
@@ -1,8 +1,11 @@
 const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const MemoryCache = require('../../../classes/caches/MemoryCache.js');
+const SessionCache = require('../../../classes/caches/SessionCache.js');
+const Course = require('../../../endpoints/API/Course/index.js');
 
 let api;
 const utils = require('../../common/utils.js');
-const environment = require('../../environment.js');
+const environment = require('../../common/environment.js');
 
 const courseId = environment.testCourseId;
 
@@ -57,4 +60,308 @@ describe('Endpoints > Functionality > Caching', function () {
         }
       });
   });
+
+  it('Expires entries after their TTL', async function () {
+    this.timeout(25000);
+
+    const cache = new MemoryCache({ ttlMs: 60000 });
+    const ttlAPI = genInstructorAPI({ cache });
+
+    await ttlAPI.course.get({ courseId, cacheTtlMs: 100 });
+    await new Promise((resolve) => {
+      setTimeout(resolve, 200);
+    });
+    await ttlAPI.course.get({ courseId });
+
+    const stats = cache.getStats();
+    if (stats.expirations !== 1 || stats.hits !== 0) {
+      throw new Error(`Expected the entry to expire but got stats: ${JSON.stringify(stats)}`);
+    }
+  });
+
+  it('Uses the endpoint\'s TTL unless the call includes one', async function () {
+    this.timeout(25000);
+
+    Course.get.cacheTtlMs = 100;
+    try {
+      const cache = new MemoryCache({ ttlMs: 60000 });
+      const ttlAPI = genInstructorAPI({ cache });
+
+      await ttlAPI.course.get({ courseId });
+      await ttlAPI.course.listEnrollments({ courseId });
+      const wait = () => {
+        return new Promise((resolve) => {
+          setTimeout(resolve, 200);
+        });
+      };
+
+      // The course expires but the enrollments don't
+      await wait();
+      await ttlAPI.course.get({ courseId, cacheTtlMs: 60000 });
+      await ttlAPI.course.listEnrollments({ courseId });
+
+      // The call's TTL overrides the endpoint's TTL
+      await wait();
+      await ttlAPI.course.get({ courseId });
+
+      const stats = cache.getStats();
+      if (stats.expirations !== 1 || stats.hits !== 2) {
+        throw new Error(`Expected only the course to expire but got stats: ${JSON.stringify(stats)}`);
+      }
+    } finally {
+      delete Course.get.cacheTtlMs;
+    }
+  });
+
+  it('Evicts the least recently used entries when full', async function () {
+    this.timeout(25000);
+
+    const cache = new MemoryCache({ maxEntries: 1 });
+    const lruAPI = genInstructorAPI({ cache });
+
+    await lruAPI.course.get({ courseId });
+    await lruAPI.course.listEnrollments({ courseId });
+
+    const stats = cache.getStats();
+    if (stats.evictions !== 1 || stats.numEntries !== 1) {
+      throw new Error(`Expected one entry to be evicted but got stats: ${JSON.stringify(stats)}`);
+    }
+  });
+
+  it('Does not share cached values between users', async function () {
+    this.timeout(25000);
+
+    const cache = new MemoryCache();
+    const api1 = genInstructorAPI({ cache });
+    const api2 = genInstructorAPI({
+      cache,
+      accessToken: `${environment.accessToken}-other-user`,
+    });
+
+    await api1.course.get({ courseId });
+
+    let numRequests = 0;
+    try {
+      await api2.course.get({
+        courseId,
+        middleware: [
+          (request, next) => {
+            numRequests += 1;
+            return next(request);
+          },
+        ],
+      });
+    } catch (err) {
+      // The other user's token is invalid. We only care that a request was
+      // sent instead of using the first user's cached value
+    }
+
+    if (numRequests === 0) {
+      throw new Error('The second user got the first user\'s cached value');
+    }
+  });
+
+  it('Uncaches values by tag', async function () {
+    this.timeout(25000);
+
+    const cache = new MemoryCache();
+    const tagAPI = genInstructorAPI({ cache });
+
+    await tagAPI.course.assignment.listAllSubmissions({ courseId });
+    await tagAPI.course.get({ courseId });
+
+    const submissionsPaths = await cache.getPathsWithTags([
+      `course:${courseId}:submissions`,
+    ]);
+    if (submissionsPaths.length !== 1) {
+      throw new Error(`Expected the list of submissions to be tagged but got: ${submissionsPaths.join(', ')}`);
+    }
+
+    // Pretend that a grade was updated
+    await tagAPI.course.assignment.updateGrade({
+      courseId,
+      assignmentId: 1,
+      studentId: 1,
+      points: 1,
+      middleware: [
+        () => {
+          return Promise.resolve({ status: 200, headers: {}, body: {} });
+        },
+      ],
+    });
+
+    const paths = await cache.getAllPaths();
+    if (paths.length !== 1 || paths[0] !== `/api/v1/courses/${courseId}`) {
+      throw new Error(`Expected only the course to stay cached but got: ${paths.join(', ')}`);
+    }
+  });
+
+  it('Removes uncached paths from the session\'s tags', async function () {
+    const req = {
+      session: {
+        save: (callback) => {
+          callback();
+        },
+      },
+    };
+    const cache = new SessionCache(req);
+
+    await cache.set('/api/v1/courses/1', {}, { id: 1 });
+    await cache.set('/api/v1/courses/2', {}, { id: 2 });
+    await cache.addTags('/api/v1/courses/1', ['course:1', 'courses']);
+    await cache.addTags('/api/v1/courses/2', ['courses']);
+    await cache.deletePaths(['/api/v1/courses/1']);
+
+    const tags = JSON.stringify(req.session.cacheTags);
+    if (tags !== JSON.stringify({ courses: ['/api/v1/courses/2'] })) {
+      throw new Error(`Expected the deleted path to be untagged but got: ${tags}`);
+    }
+  });
+
+  it('Uncaches paths under the changed path as well as tagged paths', async function () {
+    this.timeout(25000);
+
+    const cache = new MemoryCache();
+    const tagAPI = genInstructorAPI({ cache });
+
+    // Cache a path under the assignment that no endpoint tags
+    const untaggedPath = `/api/v1/courses/${courseId}/assignments/1/untagged`;
+    await cache.set(untaggedPath, {}, { untagged: true });
+    await tagAPI.course.assignment.list({ courseId });
+
+    // Pretend that the assignment was updated
+    await tagAPI.course.assignment.update({
+      courseId,
+      assignmentId: 1,
+      name: 'Renamed Assignment',
+      middleware: [
+        () => {
+          return Promise.resolve({ status: 200, headers: {}, body: {} });
+        },
+      ],
+    });
+
+    const paths = await cache.getAllPaths();
+    if (paths.length !== 0) {
+      throw new Error(`Expected nothing to stay cached but got: ${paths.join(', ')}`);
+    }
+  });
+
+  it('Uncaches the course\'s groups when a group is created in a group set', async function () {
+    this.timeout(25000);
+
+    const groupsAPI = genInstructorAPI({ cacheType: 'memory' });
+
+    const groupSet = await groupsAPI.course.groupSet.create({
+      courseId,
+      name: 'Caching Test Group Set',
+    });
+    try {
+      const groupsBefore = await groupsAPI.course.group.list({ courseId });
+      const group = await groupsAPI.course.groupSet.createGroup({
+        courseId,
+        groupSetId: groupSet.id,
+        name: 'Caching Test Group',
+      });
+
+      const groupsAfter = await groupsAPI.course.group.list({ courseId });
+      if (groupsAfter.length !== groupsBefore.length + 1) {
+        throw new Error('The course\'s list of groups was not uncached when a group was created');
+      }
+
+      await groupsAPI.course.groupSet.deleteGroup({
+        courseId,
+        groupSetId: groupSet.id,
+        groupId: group.id,
+      });
+      const groupsAfterDelete = await groupsAPI.course.group.list({
+        courseId,
+      });
+      if (groupsAfterDelete.length !== groupsBefore.length) {
+        throw new Error('The course\'s list of groups was not uncached when a group was deleted');
+      }
+    } finally {
+      await groupsAPI.course.groupSet.delete({
+        courseId,
+        groupSetId: groupSet.id,
+      });
+    }
+  });
+
+  it('Shares identical requests that are in flight', async function () {
+    this.timeout(25000);
+
+    let numRequests = 0;
+    const sharedAPI = genInstructorAPI({
+      middleware: [
+        (request, next) => {
+          numRequests += 1;
+          return next(request);
+        },
+      ],
+    });
+
+    const [course1, course2] = await Promise.all([
+      sharedAPI.course.get({ courseId }),
+      sharedAPI.course.get({ courseId }),
+    ]);
+
+    if (numRequests !== 1) {
+      throw new Error(`Expected 1 request but ${numRequests} were sent`);
+    }
+    if (course1.id !== course2.id) {
+      throw new Error('Both calls should have resolved with the course');
+    }
+  });
+
+  it('Refreshes stale values in the background', async function () {
+    this.timeout(25000);
+
+    let numRequests = 0;
+    let name = 'Old Name';
+    let resolveRevalidated;
+    const revalidated = new Promise((resolve) => {
+      resolveRevalidated = resolve;
+    });
+    const swrAPI = genInstructorAPI({
+      cacheType: 'memory',
+      staleWhileRevalidate: true,
+      staleAfterMs: 100,
+      onRevalidate: resolveRevalidated,
+      middleware: [
+        () => {
+          numRequests += 1;
+          return Promise.resolve({
+            status: 200,
+            headers: {},
+            body: { id: courseId, name },
+          });
+        },
+      ],
+    });
+
+    await swrAPI.course.get({ courseId });
+    name = 'New Name';
+
+    // Doesn't refresh values that are still fresh
+    await swrAPI.course.get({ courseId });
+    if (numRequests !== 1) {
+      throw new Error('Expected a fresh value to be used without refreshing it');
+    }
+    await new Promise((resolve) => {
+      setTimeout(resolve, 150);
+    });
+
+    // Returns the stale value right away
+    const staleCourse = await swrAPI.course.get({ courseId });
+    if (staleCourse.name !== 'Old Name') {
+      throw new Error('Expected the cached value to be returned right away');
+    }
+
+    // Then gets the fresh value
+    const freshCourse = await revalidated;
+    if (freshCourse.name !== 'New Name' || numRequests !== 2) {
+      throw new Error('Expected the value to be refreshed in the background');
+    }
+  });
 });
@@ -0,0 +1,52 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Dry Run', function () {
+  it('Returns planned changes instead of sending them', async function () {
+    this.timeout(25000);
+
+    const api = genInstructorAPI();
+
+    const sentRequests = [];
+    const plannedRequests = await api.course.assignment.update({
+      courseId,
+      assignmentId: 5,
+      name: 'Renamed Assignment',
+      dryRun: true,
+      middleware: [
+        (request, next) => {
+          sentRequests.push(request);
+          return next(request);
+        },
+      ],
+    });
+
+    if (sentRequests.length !== 0) {
+      throw new Error('A request was sent during a dry run');
+    }
+    if (
+      plannedRequests.length !== 1
+      || plannedRequests[0].method !== 'PUT'
+      || plannedRequests[0].path !== `/api/v1/courses/${courseId}/assignments/5`
+      || plannedRequests[0].params['assignment[name]'] !== 'Renamed Assignment'
+    ) {
+      throw new Error(`Unexpected planned requests: ${JSON.stringify(plannedRequests)}`);
+    }
+    if (plannedRequests[0].params.access_token) {
+      throw new Error('The access token was included in the planned request');
+    }
+  });
+
+  it('Still sends GET requests', async function () {
+    this.timeout(25000);
+
+    const api = genInstructorAPI({ dryRun: true });
+
+    const course = await api.course.get({ courseId });
+    if (!course || String(course.id) !== String(courseId)) {
+      throw new Error('The course was not fetched during a dry run');
+    }
+  });
+});
@@ -0,0 +1,146 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const {
+  CanvasAPIError,
+  NotFoundError,
+  ValidationError,
+} = require('../../../classes/errors.js');
+const errorCodes = require('../../../errorCodes.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Errors', function () {
+  it('Rejects with a NotFoundError when the resource does not exist', async function () {
+    this.timeout(25000);
+
+    const api = genInstructorAPI();
+
+    let error;
+    try {
+      await api.course.assignment.get({
+        courseId,
+        assignmentId: 999999999,
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    if (!(error instanceof NotFoundError)) {
+      throw new Error(`Expected a NotFoundError but got: ${error}`);
+    }
+    if (
+      error.status !== 404
+      || error.method !== 'GET'
+      || error.path !== `/api/v1/courses/${courseId}/assignments/999999999`
+      || error.retryable
+    ) {
+      throw new Error(`The error had the wrong details: ${JSON.stringify(error)}`);
+    }
+  });
+
+  it('Attaches Canvas errors and keeps error codes', async function () {
+    const api = genInstructorAPI();
+
+    let error;
+    try {
+      await api.course.assignment.create({
+        courseId,
+        name: '',
+        middleware: [
+          () => {
+            return Promise.resolve({
+              status: 400,
+              headers: { 'X-Request-Context-Id': 'test-request' },
+              body: {
+                errors: {
+                  name: [
+                    {
+                      attribute: 'name',
+                      type: 'blank',
+                      message: 'blank',
+                    },
+                  ],
+                },
+              },
+            });
+          },
+        ],
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    if (
+      !(error instanceof ValidationError)
+      || !(error instanceof CanvasAPIError)
+      || !error.isCACCLError
+    ) {
+      throw new Error(`Expected a ValidationError but got: ${error}`);
+    }
+    if (error.code !== errorCodes.invalidSyntax) {
+      throw new Error(`Expected error code ${errorCodes.invalidSyntax} but got ${error.code}`);
+    }
+    if (
+      error.requestId !== 'test-request'
+      || error.canvasErrors.length !== 1
+      || error.canvasErrors[0].attribute !== 'name'
+    ) {
+      throw new Error(`The error had the wrong details: ${JSON.stringify(error)}`);
+    }
+  });
+
+  it('Lists the invalid fields of a 422 response', async function () {
+    const api = genInstructorAPI();
+
+    let error;
+    try {
+      await api.course.assignment.create({
+        courseId,
+        name: 'Invalid Assignment',
+        pointsPossible: -5,
+        middleware: [
+          () => {
+            return Promise.resolve({
+              status: 422,
+              headers: {},
+              body: {
+                errors: {
+                  points_possible: [
+                    {
+                      attribute: 'points_possible',
+                      type: 'greater_than_or_equal_to',
+                      message: 'must be greater than or equal to 0',
+                    },
+                  ],
+                  base: ['The assignment could not be saved'],
+                },
+              },
+            });
+          },
+        ],
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    if (!(error instanceof ValidationError)) {
+      throw new Error(`Expected a ValidationError but got: ${error}`);
+    }
+    if (error.code !== errorCodes.invalidParams) {
+      throw new Error(`Expected error code ${errorCodes.invalidParams} but got ${error.code}`);
+    }
+    const expectedFields = [
+      {
+        field: 'points_possible',
+        messages: ['must be greater than or equal to 0'],
+      },
+      {
+        field: null,
+        messages: ['The assignment could not be saved'],
+      },
+    ];
+    if (JSON.stringify(error.fields) !== JSON.stringify(expectedFields)) {
+      throw new Error(`Unexpected fields: ${JSON.stringify(error.fields)}`);
+    }
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const FileCache = require('../../../classes/caches/FileCache.js');
+const environment = require('../../common/environment.js');
+const errorCodes = require('../../../errorCodes.js');
+
+const courseId = environment.testCourseId;
+
+/**
+ * Creates an empty directory for a cache
+ * @return {string} the directory
+ */
+const genCacheDir = () => {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'caccl-api-file-cache-'));
+};
+
+describe('Endpoints > Functionality > File Cache', function () {
+  it('Keeps cached values between api instances', async function () {
+    this.timeout(25000);
+
+    const dir = genCacheDir();
+    const api1 = genInstructorAPI({
+      cacheType: 'file',
+      cacheOptions: { dir },
+    });
+    const api2 = genInstructorAPI({
+      cacheType: 'file',
+      cacheOptions: { dir },
+    });
+
+    await api1.course.get({ courseId });
+
+    let numRequests = 0;
+    await api2.course.get({
+      courseId,
+      middleware: [
+        (request, next) => {
+          numRequests += 1;
+          return next(request);
+        },
+      ],
+    });
+
+    if (numRequests !== 0) {
+      throw new Error('The second api instance did not use the cached value');
+    }
+  });
+
+  it('Expires entries after their TTL', async function () {
+    const cache = new FileCache({ dir: genCacheDir(), ttlMs: 50 });
+
+    await cache.set('/api/v1/courses/1', {}, { id: 1 });
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+
+    const value = await cache.get('/api/v1/courses/1', {});
+    if (value !== undefined) {
+      throw new Error('Expected the entry to expire');
+    }
+  });
+
+  it('Exports and imports snapshots', async function () {
+    const cache = new FileCache({ dir: genCacheDir() });
+    await cache.set('/api/v1/courses/1', { include: ['term'] }, { id: 1 });
+    await cache.addTags('/api/v1/courses/1', ['course:1']);
+
+    // Pretend that the snapshot was shipped to another machine
+    const snapshot = JSON.parse(JSON.stringify(await cache.export()));
+    const otherCache = new FileCache({ dir: genCacheDir() });
+    const numImported = await otherCache.import(snapshot);
+
+    const value = await otherCache.get(
+      '/api/v1/courses/1',
+      { include: ['term'] }
+    );
+    if (numImported !== 1 || !value || value.id !== 1) {
+      throw new Error('The imported cache did not have the exported entry');
+    }
+    const paths = await otherCache.getPathsWithTags(['course:1']);
+    if (paths.join(',') !== '/api/v1/courses/1') {
+      throw new Error(`Expected the tag to be imported but got: ${paths.join(', ')}`);
+    }
+  });
+
+  it('Takes over a lock left by a process that crashed', async function () {
+    const dir = genCacheDir();
+    const lockFile = path.join(dir, 'lock');
+    fs.writeFileSync(lockFile, 'crashed-process');
+    const longAgo = (Date.now() - 60000) / 1000;
+    fs.utimesSync(lockFile, longAgo, longAgo);
+
+    const cache = new FileCache({ dir, lockStaleMs: 1000 });
+    await cache.set('/api/v1/courses/1', {}, { id: 1 });
+
+    if (fs.existsSync(lockFile)) {
+      throw new Error('Expected the lock to be released after the change');
+    }
+    const value = await cache.get('/api/v1/courses/1', {});
+    if (!value || value.id !== 1) {
+      throw new Error('Expected the change to be made');
+    }
+  });
+
+  it('Leaves a lock that another process holds', async function () {
+    const dir = genCacheDir();
+    const lockFile = path.join(dir, 'lock');
+    fs.writeFileSync(lockFile, 'other-process');
+
+    const cache = new FileCache({ dir, lockTimeoutMs: 100 });
+    try {
+      await cache.set('/api/v1/courses/1', {}, { id: 1 });
+    } catch (err) {
+      if (err.code !== errorCodes.fileCacheLockTimeout) {
+        throw err;
+      }
+      if (fs.readFileSync(lockFile, 'utf-8') !== 'other-process') {
+        throw new Error('The other process\'s lock was changed');
+      }
+      return;
+    }
+    throw new Error('Expected the change to wait for the other process');
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API = require('../../../index.js');
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+/**
+ * Creates an empty directory for fixtures
+ * @return {string} the directory
+ */
+const genFixtureDir = () => {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'caccl-api-fixtures-'));
+};
+
+/**
+ * sendRequest function that fails the test if a request is sent
+ * @return {Promise} promise that rejects
+ */
+const failIfSent = () => {
+  return Promise.reject(new Error('A request was sent while replaying'));
+};
+
+describe('Endpoints > Functionality > Fixtures', function () {
+  it('Records requests and responses without access tokens', async function () {
+    this.timeout(25000);
+
+    const dir = genFixtureDir();
+    const api = genInstructorAPI({
+      fixtures: { dir, mode: 'record' },
+    });
+
+    await api.course.get({ courseId });
+    await api.course.listEnrollments({ courseId });
+
+    const filenames = fs.readdirSync(dir);
+    if (filenames.length !== 2) {
+      throw new Error(`Expected 2 fixture files but found ${filenames.length}`);
+    }
+    filenames.forEach((filename) => {
+      const contents = fs.readFileSync(path.join(dir, filename), 'utf8');
+      if (contents.includes(environment.accessToken)) {
+        throw new Error(`The access token was recorded in ${filename}`);
+      }
+      const fixture = JSON.parse(contents);
+      if (!fixture.request || fixture.responses.length !== 1) {
+        throw new Error(`Fixture ${filename} is malformed`);
+      }
+    });
+  });
+
+  it('Replays recorded responses without sending requests', async function () {
+    this.timeout(25000);
+
+    const dir = genFixtureDir();
+    const recordingAPI = genInstructorAPI({
+      fixtures: { dir, mode: 'record' },
+    });
+    const recordedCourse = await recordingAPI.course.get({ courseId });
+    const recordedEnrollments = await recordingAPI.course.listEnrollments({
+      courseId,
+    });
+
+    const replayingAPI = genInstructorAPI({
+      fixtures: { dir, mode: 'replay' },
+      sendRequest: failIfSent,
+    });
+    const course = await replayingAPI.course.get({ courseId });
+    const enrollments = await replayingAPI.course.listEnrollments({
+      courseId,
+    });
+
+    if (JSON.stringify(course) !== JSON.stringify(recordedCourse)) {
+      throw new Error('The replayed course did not match the recorded course');
+    }
+    if (JSON.stringify(enrollments) !== JSON.stringify(recordedEnrollments)) {
+      throw new Error('The replayed enrollments did not match the recorded enrollments');
+    }
+  });
+
+  it('Replays with a different access token or none', async function () {
+    this.timeout(25000);
+
+    const dir = genFixtureDir();
+    await genInstructorAPI({
+      fixtures: { dir, mode: 'record' },
+    }).course.get({ courseId });
+
+    const replayingAPI = genInstructorAPI({
+      accessToken: 'not-a-real-token',
+      fixtures: { dir, mode: 'replay' },
+      sendRequest: failIfSent,
+    });
+    const course = await replayingAPI.course.get({ courseId });
+    if (String(course.id) !== String(courseId)) {
+      throw new Error('The course was not replayed');
+    }
+
+    const tokenlessAPI = new API({
+      canvasHost: environment.canvasHost,
+      fixtures: { dir, mode: 'replay' },
+      sendRequest: failIfSent,
+    });
+    const tokenlessCourse = await tokenlessAPI.course.get({ courseId });
+    if (String(tokenlessCourse.id) !== String(courseId)) {
+      throw new Error('The course was not replayed without an access token');
+    }
+  });
+
+  it('Fails on requests that were not recorded', async function () {
+    this.timeout(25000);
+
+    const replayingAPI = genInstructorAPI({
+      fixtures: { dir: genFixtureDir(), mode: 'replay' },
+      sendRequest: failIfSent,
+    });
+
+    try {
+      await replayingAPI.course.get({ courseId });
+    } catch (err) {
+      if (err.code !== 'CAPI37') {
+        throw new Error(`Expected error CAPI37 but got ${err.code}: ${err.message}`);
+      }
+      return;
+    }
+    throw new Error('An unrecorded request was replayed');
+  });
+
+  it('Rejects invalid fixture options', function () {
+    try {
+      genInstructorAPI({
+        fixtures: { dir: genFixtureDir(), mode: 'rewind' },
+      });
+    } catch (err) {
+      if (err.code !== 'CAPI36') {
+        throw new Error(`Expected error CAPI36 but got ${err.code}`);
+      }
+      return;
+    }
+    throw new Error('Invalid fixture options were accepted');
+  });
+});
@@ -1,5 +1,5 @@
 const genApi = require('../../common/genInstructorAPI.js');
-const environment = require('../../environment.js');
+const environment = require('../../common/environment.js');
 
 const courseId = environment.testCourseId;
 
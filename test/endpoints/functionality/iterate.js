@@ -0,0 +1,78 @@
+const genApi = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+/**
+ * Iterates through all items in an async iterator
+ * @param {object} iterator - the async iterator
+ * @param {object[]} [items=[]] - the items iterated through so far
+ * @return {Promise.<object[]>} all items
+ */
+const collect = (iterator, items = []) => {
+  return iterator.next()
+    .then((result) => {
+      if (result.done) {
+        return items;
+      }
+      return collect(iterator, items.concat([result.value]));
+    });
+};
+
+describe('Endpoints > Functionality > Iterate', function () {
+  it('Iterates through all items in a list', async function () {
+    const api = genApi();
+
+    const assignments = await api.course.assignment.list({ courseId });
+
+    const iteratedAssignments = await collect(
+      api.course.assignment.list.iterate({
+        courseId,
+        itemsPerPage: 1,
+      })
+    );
+
+    if (iteratedAssignments.length !== assignments.length) {
+      throw new Error(`Expected ${assignments.length} assignments but iterated through ${iteratedAssignments.length}`);
+    }
+  });
+
+  it('Stops requesting pages when the loop ends early', async function () {
+    const pageNumbers = [];
+    const api = genApi({
+      middleware: [
+        (request, next) => {
+          pageNumbers.push(request.params.page || 1);
+          return next(request);
+        },
+      ],
+    });
+
+    // Get the first item then end the loop
+    const iterator = api.course.assignment.list.iterate({
+      courseId,
+      itemsPerPage: 1,
+    });
+    await iterator.next();
+    await iterator.return();
+
+    // Wait to make sure no more pages are requested
+    await new Promise((resolve) => {
+      setTimeout(resolve, 1000);
+    });
+
+    if (pageNumbers.length !== 1) {
+      throw new Error(`Expected 1 page to be requested but ${pageNumbers.length} pages were requested`);
+    }
+  });
+
+  it('Iterates through endpoints that return a single item', async function () {
+    const api = genApi();
+
+    const items = await collect(api.course.get.iterate({ courseId }));
+
+    if (items.length !== 1 || String(items[0].id) !== String(courseId)) {
+      throw new Error('Expected to iterate through the course');
+    }
+  });
+});
@@ -0,0 +1,62 @@
+const genApi = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Logging', function () {
+  it('Sends structured events to the logger', async function () {
+    const entries = [];
+    const api = genApi({
+      cacheType: 'memory',
+      logLevel: 'debug',
+      logger: (entry) => {
+        entries.push(entry);
+      },
+    });
+
+    await api.course.get({ courseId });
+    await api.course.get({ courseId });
+
+    const events = entries.map((entry) => {
+      return entry.event;
+    });
+    ['cache.miss', 'request.start', 'page.fetched', 'cache.hit'].forEach((event) => {
+      if (events.indexOf(event) < 0) {
+        throw new Error(`Expected a "${event}" event but only got: ${events.join(', ')}`);
+      }
+    });
+  });
+
+  it('Never logs the access token', async function () {
+    const entries = [];
+    const api = genApi({
+      logLevel: 'debug',
+      logger: (entry) => {
+        entries.push(entry);
+      },
+    });
+
+    await api.course.get({ courseId });
+
+    const logged = JSON.stringify(entries);
+    if (logged.includes(environment.accessToken)) {
+      throw new Error('The access token was included in a log entry');
+    }
+  });
+
+  it('Only logs events at or above the log level', async function () {
+    const entries = [];
+    const api = genApi({
+      logLevel: 'warn',
+      logger: (entry) => {
+        entries.push(entry);
+      },
+    });
+
+    await api.course.get({ courseId });
+
+    if (entries.length > 0) {
+      throw new Error(`Expected no entries but got ${JSON.stringify(entries)}`);
+    }
+  });
+});
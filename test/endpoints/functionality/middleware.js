@@ -0,0 +1,107 @@
+const genApi = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Middleware', function () {
+  it('Runs middleware around each request and observes responses', async function () {
+    const seen = [];
+    const api = genApi({
+      middleware: [
+        (request, next) => {
+          return next(request)
+            .then((response) => {
+              seen.push({
+                method: request.method,
+                path: request.path,
+                status: response.status,
+              });
+              return response;
+            });
+        },
+      ],
+    });
+
+    await api.course.get({ courseId });
+
+    if (seen.length !== 1) {
+      throw new Error(`Middleware should have seen 1 request but saw ${seen.length}`);
+    }
+    if (
+      seen[0].method !== 'GET'
+      || seen[0].path !== `/api/v1/courses/${courseId}`
+      || seen[0].status !== 200
+    ) {
+      throw new Error(`Middleware saw an unexpected request: ${JSON.stringify(seen[0])}`);
+    }
+  });
+
+  it('Lets middleware rewrite requests before inner middleware', async function () {
+    let headerValue;
+    const api = genApi({
+      middleware: [
+        (request, next) => {
+          const newRequest = request;
+          newRequest.headers['X-Test-Header'] = 'caccl';
+          return next(newRequest);
+        },
+      ],
+    });
+
+    await api.course.get({
+      courseId,
+      middleware: [
+        (request, next) => {
+          headerValue = request.headers['X-Test-Header'];
+          return next(request);
+        },
+      ],
+    });
+
+    if (headerValue !== 'caccl') {
+      throw new Error('Call middleware did not see the header added by the api middleware');
+    }
+  });
+
+  it('Short-circuits with a synthetic response', async function () {
+    const api = genApi();
+
+    const course = await api.course.get({
+      courseId,
+      middleware: [
+        () => {
+          return Promise.resolve({
+            status: 200,
+            headers: {},
+            body: { id: 'synthetic' },
+          });
+        },
+      ],
+    });
+
+    if (course.id !== 'synthetic') {
+      throw new Error(`Expected the synthetic course but got ${JSON.stringify(course)}`);
+    }
+  });
+
+  it('Rejects if middleware does not resolve with a response', async function () {
+    const api = genApi();
+
+    try {
+      await api.course.get({
+        courseId,
+        middleware: [
+          () => {
+            return Promise.resolve();
+          },
+        ],
+      });
+    } catch (err) {
+      if (err.code !== 'CAPI26') {
+        throw new Error(`Expected error CAPI26 but got ${err.code}`);
+      }
+      return;
+    }
+    throw new Error('Endpoint should have rejected');
+  });
+});
@@ -0,0 +1,112 @@
+const genApi = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Parallel Pages', function () {
+  it('Gets the same items in the same order as sequential requests', async function () {
+    const api = genApi();
+
+    const assignments = await api.course.assignment.list({
+      courseId,
+      itemsPerPage: 1,
+    });
+    const parallelAssignments = await api.course.assignment.list({
+      courseId,
+      itemsPerPage: 1,
+      parallelPages: 3,
+    });
+
+    const ids = assignments.map((assignment) => {
+      return assignment.id;
+    });
+    const parallelIds = parallelAssignments.map((assignment) => {
+      return assignment.id;
+    });
+    if (ids.join(',') !== parallelIds.join(',')) {
+      throw new Error(`Expected assignments ${ids.join(', ')} but got ${parallelIds.join(', ')}`);
+    }
+  });
+
+  it('Respects maxPages and calls onNewPage in order', async function () {
+    const api = genApi();
+
+    const pageNumbers = [];
+    const assignments = await api.course.assignment.list({
+      courseId,
+      itemsPerPage: 1,
+      maxPages: 2,
+      parallelPages: true,
+      onNewPage: (page, pageNumber) => {
+        pageNumbers.push(pageNumber);
+      },
+    });
+
+    if (assignments.length > 2) {
+      throw new Error(`Expected at most 2 assignments but got ${assignments.length}`);
+    }
+    pageNumbers.forEach((pageNumber, i) => {
+      if (pageNumber !== i + 1) {
+        throw new Error(`Pages were not added in order: ${pageNumbers.join(', ')}`);
+      }
+    });
+  });
+
+  it('Stops adding and requesting pages after a page fails', async function () {
+    const pageNumbers = [];
+    const requestedPages = [];
+    const link = [
+      `<https://localhost/api/v1/courses/${courseId}/assignments?page=2>; rel="next"`,
+      `<https://localhost/api/v1/courses/${courseId}/assignments?page=5>; rel="last"`,
+    ].join(', ');
+    const api = genApi({
+      middleware: [
+        (request) => {
+          const pageNumber = request.params.page || 1;
+          requestedPages.push(pageNumber);
+
+          // The third page fails right away
+          if (pageNumber === 3) {
+            return Promise.reject(new Error('Page 3 failed'));
+          }
+
+          // The other pages take a while
+          return new Promise((resolve) => {
+            setTimeout(resolve, (pageNumber === 1 ? 0 : 50));
+          })
+            .then(() => {
+              return {
+                status: 200,
+                headers: { link },
+                body: [{ id: pageNumber }],
+              };
+            });
+        },
+      ],
+    });
+
+    try {
+      await api.course.assignment.list({
+        courseId,
+        parallelPages: 2,
+        onNewPage: (page, pageNumber) => {
+          pageNumbers.push(pageNumber);
+        },
+      });
+    } catch (err) {
+      // Wait for the page that was in flight
+      await new Promise((resolve) => {
+        setTimeout(resolve, 100);
+      });
+
+      if (pageNumbers.join(',') !== '1') {
+        throw new Error(`Expected only the first page to be added but got pages: ${pageNumbers.join(', ')}`);
+      }
+      if (requestedPages.join(',') !== '1,2,3') {
+        throw new Error(`Expected no more pages to be requested but got: ${requestedPages.join(', ')}`);
+      }
+      return;
+    }
+    throw new Error('Expected the request to fail');
+  });
+});
@@ -0,0 +1,111 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const { ValidationError } = require('../../../classes/errors.js');
+const errorCodes = require('../../../errorCodes.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+/**
+ * Generates middleware that counts the requests that are sent
+ * @return {object} { middleware, getNumRequests }
+ */
+const genRequestCounter = () => {
+  let numRequests = 0;
+  return {
+    middleware: [
+      (request, next) => {
+        numRequests += 1;
+        return next(request);
+      },
+    ],
+    getNumRequests: () => {
+      return numRequests;
+    },
+  };
+};
+
+describe('Endpoints > Functionality > Param Schemas', function () {
+  it('Rejects invalid params without contacting Canvas', async function () {
+    const api = genInstructorAPI();
+    const counter = genRequestCounter();
+
+    let error;
+    try {
+      await api.course.assignment.updateGrades({
+        courseId: 'abc',
+        assignmentId: 5,
+        gradeItems: { studentId: 5, points: 10 },
+        middleware: counter.middleware,
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    if (!(error instanceof ValidationError)) {
+      throw new Error(`Expected a ValidationError but got: ${error}`);
+    }
+    if (error.code !== errorCodes.endpointCallInvalidParam) {
+      throw new Error(`Expected error code ${errorCodes.endpointCallInvalidParam} but got ${error.code}`);
+    }
+    const invalidFields = error.fields.map((item) => {
+      return item.field;
+    });
+    if (invalidFields.join(',') !== 'courseId,gradeItems') {
+      throw new Error(`Unexpected invalid fields: ${invalidFields.join(', ')}`);
+    }
+    if (counter.getNumRequests() !== 0) {
+      throw new Error('A request was sent even though the params were invalid');
+    }
+  });
+
+  it('Rejects mutually exclusive params', async function () {
+    const api = genInstructorAPI();
+
+    let error;
+    try {
+      await api.course.assignment.createOverride({
+        courseId,
+        assignmentId: 5,
+        studentIds: [1, 2],
+        sectionId: 3,
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    if (!(error instanceof ValidationError)) {
+      throw new Error(`Expected a ValidationError but got: ${error}`);
+    }
+    if (error.fields.length !== 2) {
+      throw new Error(`Expected both params to be invalid but got: ${JSON.stringify(error.fields)}`);
+    }
+  });
+
+  it('Fills in defaults and exposes the schema', async function () {
+    const api = genInstructorAPI();
+
+    let params;
+    await api.course.assignment.create({
+      courseId,
+      middleware: [
+        (request) => {
+          ({ params } = request);
+          return Promise.resolve({ status: 200, headers: {}, body: {} });
+        },
+      ],
+    });
+
+    if (params['assignment[grading_type]'] !== 'points') {
+      throw new Error(`Expected the default grading type but got ${params['assignment[grading_type]']}`);
+    }
+
+    const { paramSchema } = api.course.assignment.create;
+    if (
+      !paramSchema.courseId.required
+      || paramSchema.courseId.type !== 'id'
+      || paramSchema.gradingType.default !== 'points'
+    ) {
+      throw new Error(`Unexpected schema: ${JSON.stringify(paramSchema)}`);
+    }
+  });
+});
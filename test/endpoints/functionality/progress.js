@@ -0,0 +1,64 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+
+/**
+ * Generates middleware that responds to progress requests with the given
+ *   completion percentages (one per request)
+ * @param {number[]} completions - the completion percentages to respond with
+ * @return {object[]} middleware
+ */
+const genProgressResponder = (completions) => {
+  let numRequests = 0;
+  return [
+    (request) => {
+      const completion = completions[
+        Math.min(numRequests, completions.length - 1)
+      ];
+      numRequests += 1;
+      return Promise.resolve({
+        status: 200,
+        headers: {},
+        body: {
+          id: 58,
+          completion,
+          workflow_state: (completion === 100 ? 'completed' : 'running'),
+          url: `https://canvas.instructure.com${request.path}`,
+        },
+      });
+    },
+  ];
+};
+
+describe('Endpoints > Functionality > Progress', function () {
+  it('Waits for a saved progress id and reports updates', async function () {
+    const api = genInstructorAPI();
+
+    const updates = [];
+    const progress = await api.progress.waitFor({
+      progress: 58,
+      backoff: { initialMs: 10 },
+      onUpdate: (update) => {
+        updates.push(update.completion);
+      },
+      middleware: genProgressResponder([0, 0, 25, 25, 25, 100]),
+    });
+
+    if (progress.workflow_state !== 'completed') {
+      throw new Error(`Expected a completed job but got ${progress.workflow_state}`);
+    }
+    if (updates.join(',') !== '0,25,100') {
+      throw new Error(`Unexpected updates: ${updates.join(', ')}`);
+    }
+  });
+
+  it('Does not cache progress', async function () {
+    const api = genInstructorAPI();
+    const middleware = genProgressResponder([10, 20]);
+
+    const first = await api.progress.get({ progressId: 58, middleware });
+    const second = await api.progress.get({ progressId: 58, middleware });
+
+    if (first.completion !== 10 || second.completion !== 20) {
+      throw new Error(`Expected fresh progress but got ${first.completion} then ${second.completion}`);
+    }
+  });
+});
@@ -0,0 +1,154 @@
+const genApi = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+const RateLimitThrottler = require('../../../classes/RateLimitThrottler.js');
+const errorCodes = require('../../../errorCodes.js');
+
+const courseId = environment.testCourseId;
+
+// Response that Canvas sends when it throttles a request
+const THROTTLED_RESPONSE = {
+  status: 403,
+  headers: { 'x-rate-limit-remaining': '0' },
+  body: '403 Forbidden (Rate Limit Exceeded)',
+};
+
+describe('Endpoints > Functionality > Rate Limit', function () {
+  it('Keeps track of the remaining quota', async function () {
+    const api = genApi();
+
+    await api.course.get({ courseId });
+
+    const stats = api.rateLimit.stats();
+    if (typeof stats.remaining !== 'number') {
+      throw new Error(`Expected the remaining quota to be a number but got ${stats.remaining}`);
+    }
+  });
+
+  it('Retries throttled requests', async function () {
+    let numAttempts = 0;
+    const api = genApi({
+      rateLimit: {
+        baseDelayMs: 10,
+      },
+      middleware: [
+        (request, next) => {
+          numAttempts += 1;
+          if (numAttempts === 1) {
+            return Promise.resolve(THROTTLED_RESPONSE);
+          }
+          return next(request);
+        },
+      ],
+    });
+
+    const course = await api.course.get({ courseId });
+
+    if (String(course.id) !== String(courseId)) {
+      throw new Error('Did not get the course after retrying');
+    }
+    if (api.rateLimit.stats().numRetries !== 1) {
+      throw new Error(`Expected 1 retry but got ${api.rateLimit.stats().numRetries}`);
+    }
+  });
+
+  it('Rejects with a throttled error when out of retries', async function () {
+    const api = genApi({
+      rateLimit: {
+        baseDelayMs: 10,
+        maxRetries: 2,
+      },
+      middleware: [
+        () => {
+          return Promise.resolve(THROTTLED_RESPONSE);
+        },
+      ],
+    });
+
+    try {
+      await api.course.get({ courseId });
+    } catch (err) {
+      if (err.code !== 'CANV7') {
+        throw new Error(`Expected error CANV7 but got ${err.code}`);
+      }
+      return;
+    }
+    throw new Error('Endpoint should have rejected');
+  });
+
+  it('Stops waiting to retry a throttled request once aborted', async function () {
+    const throttler = new RateLimitThrottler({
+      baseDelayMs: 5000,
+      maxDelayMs: 5000,
+    });
+    let numAttempts = 0;
+    const controller = new AbortController();
+    setTimeout(() => {
+      controller.abort();
+    }, 50);
+
+    const startTime = Date.now();
+    try {
+      await throttler.send(
+        () => {
+          numAttempts += 1;
+          return Promise.resolve(THROTTLED_RESPONSE);
+        },
+        controller.signal
+      );
+    } catch (err) {
+      if (err.code !== errorCodes.endpointCallAborted) {
+        throw err;
+      }
+      if (Date.now() - startTime > 1000) {
+        throw new Error('Kept waiting to retry after the request was aborted');
+      }
+      if (numAttempts !== 1) {
+        throw new Error(`Expected 1 attempt but got ${numAttempts}`);
+      }
+      return;
+    }
+    throw new Error('Expected the request to be aborted');
+  });
+
+  it('Removes aborted requests from the queue', async function () {
+    const throttler = new RateLimitThrottler({ maxSpacingMs: 5000 });
+
+    // Use up the quota so requests are spaced out
+    await throttler.send(() => {
+      return Promise.resolve({
+        status: 200,
+        headers: { 'x-rate-limit-remaining': '0' },
+        body: {},
+      });
+    });
+
+    let sent = false;
+    const controller = new AbortController();
+    setTimeout(() => {
+      controller.abort();
+    }, 50);
+
+    const startTime = Date.now();
+    try {
+      await throttler.send(
+        () => {
+          sent = true;
+          return Promise.resolve({ status: 200, headers: {}, body: {} });
+        },
+        controller.signal
+      );
+    } catch (err) {
+      if (err.code !== errorCodes.endpointCallAborted) {
+        throw err;
+      }
+      if (Date.now() - startTime > 1000 || sent) {
+        throw new Error('The aborted request was not removed from the queue');
+      }
+      if (throttler.getStats().numQueued !== 0) {
+        throw new Error('The aborted request is still queued');
+      }
+      return;
+    }
+    throw new Error('Expected the request to be aborted');
+  });
+});
@@ -0,0 +1,110 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const FakeRedisClient = require('../../common/FakeRedisClient.js');
+const RedisCache = require('../../../classes/caches/RedisCache.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Redis Cache', function () {
+  it('Shares cached values between api instances', async function () {
+    this.timeout(25000);
+
+    const client = new FakeRedisClient();
+    const api1 = genInstructorAPI({
+      cacheType: 'redis',
+      cacheOptions: { client },
+    });
+    const api2 = genInstructorAPI({
+      cacheType: 'redis',
+      cacheOptions: { client },
+    });
+
+    await api1.course.get({ courseId });
+
+    let numRequests = 0;
+    await api2.course.get({
+      courseId,
+      middleware: [
+        (request, next) => {
+          numRequests += 1;
+          return next(request);
+        },
+      ],
+    });
+
+    if (numRequests !== 0) {
+      throw new Error('The second api instance did not use the cached value');
+    }
+  });
+
+  it('Finds paths by prefix', async function () {
+    const cache = new RedisCache({ client: new FakeRedisClient() });
+
+    await cache.set('/api/v1/courses/1/assignments', {}, [1]);
+    await cache.set('/api/v1/courses/1/assignments/2', {}, { id: 2 });
+    await cache.set('/api/v1/courses/1', {}, { id: 1 });
+
+    const paths = await cache.getPathsWithPrefix('/api/v1/courses/1/assignments');
+    if (paths.length !== 2) {
+      throw new Error(`Expected 2 paths but got: ${paths.join(', ')}`);
+    }
+
+    await cache.deletePaths(paths);
+    const remainingPaths = await cache.getAllPaths();
+    if (remainingPaths.join(',') !== '/api/v1/courses/1') {
+      throw new Error(`Expected only the course to remain but got: ${remainingPaths.join(', ')}`);
+    }
+  });
+
+  it('Namespaces keys by Canvas host and user', async function () {
+    const client = new FakeRedisClient();
+    const api = genInstructorAPI({
+      cacheType: 'redis',
+      cacheOptions: { client },
+    });
+
+    await api.course.get({ courseId });
+
+    const keys = Array.from(client._strings.keys());
+    if (!keys[0] || !keys[0].includes(environment.canvasHost)) {
+      throw new Error(`Expected keys to include the Canvas host but got: ${keys.join(', ')}`);
+    }
+    if (keys[0].includes(environment.accessToken)) {
+      throw new Error('Keys should not include the access token');
+    }
+  });
+
+  it('Removes expired entries from its indexes', async function () {
+    const client = new FakeRedisClient();
+    const cache = new RedisCache({ client, namespace: 'test' });
+
+    await cache.set('/api/v1/courses/1', {}, { id: 1 }, { ttlMs: 50 });
+    await cache.set('/api/v1/courses/2', {}, { id: 2 });
+    await cache.addTags('/api/v1/courses/1', ['course:1']);
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+
+    // Looking up the expired entry removes it from the indexes
+    await cache.get('/api/v1/courses/1', {});
+    const paths = await cache.getAllPaths();
+    if (paths.join(',') !== '/api/v1/courses/2') {
+      throw new Error(`Expected only the unexpired path to remain but got: ${paths.join(', ')}`);
+    }
+    if (client._sets.has('caccl-api:test:params:/api/v1/courses/1')) {
+      throw new Error('Expected the expired path\'s params to be removed');
+    }
+
+    // Looking up the tag removes the path from the tag
+    const taggedPaths = await cache.getPathsWithTags(['course:1']);
+    if (taggedPaths.length !== 0) {
+      throw new Error(`Expected no paths with the tag but got: ${taggedPaths.join(', ')}`);
+    }
+    if (client._sets.has('caccl-api:test:tag:course:1')) {
+      throw new Error('Expected the tag to be removed');
+    }
+    if (client._sets.has('caccl-api:test:tags')) {
+      throw new Error('Expected the list of tags to be emptied');
+    }
+  });
+});
@@ -0,0 +1,111 @@
+const http = require('http');
+
+const sendRequest = require('../../../classes/cacclRequest.js');
+
+/**
+ * Starts a local server that handles each request with the next handler in a
+ *   list (the last handler handles the rest of the requests)
+ * @param {function[]} handlers - list of functions of the form (req, res)
+ * @return {Promise.<object>} promise that resolves with { host, close,
+ *   getNumRequests }
+ */
+const startServer = (handlers) => {
+  let numRequests = 0;
+  const server = http.createServer((req, res) => {
+    const handler = handlers[Math.min(numRequests, handlers.length - 1)];
+    numRequests += 1;
+    handler(req, res);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, 'localhost', () => {
+      resolve({
+        host: `localhost:${server.address().port}`,
+        close: () => {
+          return new Promise((done) => {
+            server.close(done);
+          });
+        },
+        getNumRequests: () => {
+          return numRequests;
+        },
+      });
+    });
+  });
+};
+
+/**
+ * Drops the connection without responding
+ * @param {object} req - the request
+ * @param {object} res - the response
+ */
+const dropConnection = (req, res) => {
+  res.socket.destroy();
+};
+
+/**
+ * Responds with a 503 status
+ * @param {object} req - the request
+ * @param {object} res - the response
+ */
+const respondUnavailable = (req, res) => {
+  res.statusCode = 503;
+  res.end('{}');
+};
+
+describe('Endpoints > Functionality > Retries', function () {
+  it('Retries a network error then retryable statuses only numRetries times', async function () {
+    const server = await startServer([dropConnection, respondUnavailable]);
+
+    try {
+      const response = await sendRequest({
+        host: server.host,
+        proto: 'http',
+        path: '/api/v1/courses/5',
+        method: 'GET',
+        numRetries: 2,
+        retryPolicy: {
+          baseDelayMs: 1,
+          jitter: false,
+        },
+      });
+
+      if (response.status !== 503) {
+        throw new Error(`Expected status 503 but got ${response.status}`);
+      }
+      if (server.getNumRequests() !== 3) {
+        throw new Error(`Expected 3 requests but ${server.getNumRequests()} were sent`);
+      }
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('Retries retryable statuses then a network error only numRetries times', async function () {
+    const server = await startServer([respondUnavailable, dropConnection]);
+
+    try {
+      await sendRequest({
+        host: server.host,
+        proto: 'http',
+        path: '/api/v1/courses/5',
+        method: 'GET',
+        numRetries: 2,
+        retryPolicy: {
+          baseDelayMs: 1,
+          jitter: false,
+        },
+      });
+    } catch (err) {
+      if (err.code !== 'CSR1') {
+        throw new Error(`Expected error CSR1 but got ${err.code}`);
+      }
+      if (server.getNumRequests() !== 3) {
+        throw new Error(`Expected 3 requests but ${server.getNumRequests()} were sent`);
+      }
+      return;
+    } finally {
+      await server.close();
+    }
+    throw new Error('Request should have rejected');
+  });
+});
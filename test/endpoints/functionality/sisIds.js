@@ -0,0 +1,105 @@
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+const { ValidationError } = require('../../../classes/errors.js');
+
+/**
+ * Generates middleware that records requests and responds with an empty
+ *   object
+ * @return {object} { middleware, requests }
+ */
+const genRecorder = () => {
+  const requests = [];
+  return {
+    requests,
+    middleware: [
+      (request) => {
+        requests.push(request);
+        return Promise.resolve({ status: 200, headers: {}, body: {} });
+      },
+    ],
+  };
+};
+
+describe('Endpoints > Functionality > SIS Ids', function () {
+  it('Encodes SIS ids and login ids in paths', async function () {
+    const api = genInstructorAPI();
+    const recorder = genRecorder();
+
+    await api.course.get({
+      courseId: { sisId: 'CS 50/Fall' },
+      middleware: recorder.middleware,
+    });
+    await api.course.get({
+      courseId: 'sis_course_id:CS.50',
+      middleware: recorder.middleware,
+    });
+    await api.course.getUser({
+      courseId: 'sis_course_id:CS 50/Fall',
+      userId: { loginId: 'jdoe@school.edu' },
+      middleware: recorder.middleware,
+    });
+
+    const paths = recorder.requests.map((request) => {
+      return request.path;
+    });
+    const expectedPaths = [
+      '/api/v1/courses/sis_course_id:CS%2050%2FFall',
+      '/api/v1/courses/sis_course_id:CS%2E50',
+      '/api/v1/courses/sis_course_id:CS%2050%2FFall/users/sis_login_id:jdoe%40school%2Eedu',
+    ];
+    if (JSON.stringify(paths) !== JSON.stringify(expectedPaths)) {
+      throw new Error(`Unexpected paths: ${paths.join(', ')}`);
+    }
+  });
+
+  it('Does not double-encode SIS ids in params', async function () {
+    const api = genInstructorAPI();
+    const recorder = genRecorder();
+
+    await api.course.assignment.createOverride({
+      courseId: 5,
+      assignmentId: 6,
+      title: 'sis_section_id:Not%20An%20Id',
+      sectionId: { sisId: 'CS.50 Section' },
+      middleware: recorder.middleware,
+    });
+
+    const { params } = recorder.requests[0];
+    if (params['assignment_override[course_section_id]'] !== 'sis_section_id:CS.50 Section') {
+      throw new Error(`Unexpected params: ${JSON.stringify(params)}`);
+    }
+
+    // Other values that look like ids are left as is
+    if (params['assignment_override[title]'] !== 'sis_section_id:Not%20An%20Id') {
+      throw new Error(`Unexpected params: ${JSON.stringify(params)}`);
+    }
+  });
+
+  it('Rejects alternate ids where Canvas does not support them', async function () {
+    const api = genInstructorAPI();
+    const recorder = genRecorder();
+
+    let error;
+    try {
+      await api.course.assignment.get({
+        courseId: { loginId: 'jdoe' },
+        assignmentId: { sisId: 'HW1' },
+        middleware: recorder.middleware,
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    if (!(error instanceof ValidationError)) {
+      throw new Error(`Expected a ValidationError but got: ${error}`);
+    }
+    const invalidFields = error.fields.map((item) => {
+      return item.field;
+    });
+    if (invalidFields.join(',') !== 'courseId,assignmentId') {
+      throw new Error(`Unexpected invalid fields: ${invalidFields.join(', ')}`);
+    }
+    if (recorder.requests.length !== 0) {
+      throw new Error('A request was sent even though the ids were invalid');
+    }
+  });
+});
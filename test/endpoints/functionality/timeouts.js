@@ -0,0 +1,52 @@
+const genApi = require('../../common/genInstructorAPI.js');
+const environment = require('../../common/environment.js');
+
+const courseId = environment.testCourseId;
+
+describe('Endpoints > Functionality > Timeouts', function () {
+  it('Rejects with a timeout error if Canvas is too slow to respond', async function () {
+    const api = genApi();
+
+    try {
+      await api.course.get({
+        courseId,
+        numRetries: 0,
+        requestTimeoutMs: 1,
+      });
+    } catch (err) {
+      if (err.code !== 'CSR3') {
+        throw new Error(`Expected error CSR3 but got ${err.code}`);
+      }
+      return;
+    }
+    throw new Error('Endpoint should have rejected');
+  });
+
+  it('Rejects with a deadline error if the call takes too long', async function () {
+    const api = genApi({
+      middleware: [
+        (request, next) => {
+          return new Promise((resolve) => {
+            setTimeout(resolve, 500);
+          })
+            .then(() => {
+              return next(request);
+            });
+        },
+      ],
+    });
+
+    try {
+      await api.course.listUsers({
+        courseId,
+        deadlineMs: 100,
+      });
+    } catch (err) {
+      if (err.code !== 'CAPI29') {
+        throw new Error(`Expected error CAPI29 but got ${err.code}`);
+      }
+      return;
+    }
+    throw new Error('Endpoint should have rejected');
+  });
+});
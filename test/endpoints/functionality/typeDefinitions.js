@@ -0,0 +1,56 @@
+const fs = require('fs');
+
+const genTypes = require('../../../typeBuilder/buildTypes.js');
+const genInstructorAPI = require('../../common/genInstructorAPI.js');
+
+/**
+ * Capitalizes the first letter of a string
+ * @param {string} str - the string to capitalize
+ * @return {string} the capitalized string
+ */
+const capitalize = (str) => {
+  return `${str.charAt(0).toUpperCase()}${str.substring(1)}`;
+};
+
+describe('Endpoints > Functionality > Type Definitions', function () {
+  it('Are up to date with the JSDoc', function () {
+    const committed = fs.readFileSync(genTypes.OUTPUT_PATH, 'utf-8');
+    if (genTypes() !== committed) {
+      throw new Error('index.d.ts is out of date. Run npm run build-types');
+    }
+  });
+
+  it('Declare every endpoint function', function () {
+    const types = fs.readFileSync(genTypes.OUTPUT_PATH, 'utf-8');
+    const api = genInstructorAPI();
+
+    const missing = [];
+    const checkCategory = (category, apiPath) => {
+      const interfaceName = `${apiPath.map(capitalize).join('')}Category`;
+      const start = types.indexOf(`  interface ${interfaceName} {\n`);
+      const body = (
+        start >= 0
+          ? types.substring(start, types.indexOf('\n  }\n', start))
+          : ''
+      );
+      Object.keys(category).forEach((prop) => {
+        if (typeof category[prop] === 'function') {
+          if (!body.includes(`\n    ${prop}: `)) {
+            missing.push(`api.${apiPath.concat([prop]).join('.')}`);
+          }
+        } else if (category[prop] && typeof category[prop] === 'object') {
+          checkCategory(category[prop], apiPath.concat([prop]));
+        }
+      });
+    };
+    Object.keys(api).forEach((prop) => {
+      if (prop !== 'rateLimit' && prop !== 'cache') {
+        checkCategory(api[prop], [prop]);
+      }
+    });
+
+    if (missing.length > 0) {
+      throw new Error(`These endpoint functions are not declared: ${missing.join(', ')}`);
+    }
+  });
+});
@@ -1,9 +1,6 @@
-if [ -f ./test/environment.js ];
+if [ ! -f ./test/environment.js ];
 then
-  mocha --exit --recursive --timeout 18000 --reporter spec
-else
-  echo "\n\n----------------------- Oops! -----------------------"
-  echo "To run tests, you need to set up a Canvas environment"
-  echo "View /test/environment.md for instructions."
-  echo "-----------------------------------------------------\n\n"
+  echo "\n\nNo /test/environment.js file, so tests will run against a fake Canvas"
+  echo "instance. View /test/environment.md to run them against real Canvas.\n\n"
 fi
+mocha --exit --recursive --timeout 18000 --reporter spec
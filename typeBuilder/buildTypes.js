@@ -0,0 +1,619 @@
+const path = require('path');
+const fs = require('fs');
+const doctrine = require('doctrine');
+
+const API = require('../endpoints/API');
+const EndpointCategory = require('../classes/EndpointCategory');
+const { ID_TYPES } = require('../classes/instantiateEndpoint/helpers/resolveIds');
+
+/*------------------------------------------------------------------------*/
+/*                                Constants                               */
+/*------------------------------------------------------------------------*/
+
+const ROOT = path.join(__dirname, '..');
+
+// Generated file
+const OUTPUT_PATH = path.join(ROOT, 'index.d.ts');
+
+// Sources
+const CONFIG_PATH = path.join(ROOT, 'index.js');
+const ENDPOINTS_DIR = path.join(ROOT, 'endpoints/API');
+const COMMON_PATH = path.join(ROOT, 'types/common.d.ts');
+const MODELS_PATH = path.join(ROOT, 'types/models.d.ts');
+
+// Config params that have a more specific type in types/common.d.ts than
+// their JSDoc type
+const CONFIG_TYPES = {
+  retryPolicy: 'RetryPolicy',
+  middleware: 'Middleware[]',
+};
+
+// Members that are added to each api instance by its constructor (instead of
+// being static props of the API class)
+const INSTANCE_MEMBERS = [
+  {
+    name: 'rateLimit',
+    type: 'RateLimitManager',
+    description: 'Rate limit quota info',
+  },
+  {
+    name: 'cache',
+    type: 'CacheManager',
+    description: 'Functions for looking at and managing the cache',
+  },
+];
+
+// JSDoc types that are the same in TypeScript
+const SAME_TYPES = [
+  'number',
+  'boolean',
+  'string',
+  'null',
+  'undefined',
+  'AbortSignal',
+  'Error',
+  'API',
+];
+
+const HEADER = `// Type definitions for caccl-api
+// Generated from the JSDoc in index.js and /endpoints/API by
+// typeBuilder/buildTypes.js. Don't edit this file by hand: update the JSDoc,
+// types/common.d.ts, or types/models.d.ts and then run npm run build-types`;
+
+/*------------------------------------------------------------------------*/
+/*                                 Helpers                                */
+/*------------------------------------------------------------------------*/
+
+/**
+ * Capitalizes the first letter of a string
+ * @param {string} str - the string to capitalize
+ * @return {string} the capitalized string
+ */
+const _capitalize = (str) => {
+  return `${str.charAt(0).toUpperCase()}${str.substring(1)}`;
+};
+
+/**
+ * Lists the js files in a directory (and its subdirectories)
+ * @param {string} dir - the directory to search
+ * @return {string[]} the paths of the files
+ */
+const _listFiles = (dir) => {
+  const files = [];
+  const names = fs.readdirSync(dir).sort();
+  names.forEach((name) => {
+    const filePath = path.join(dir, name);
+    if (fs.statSync(filePath).isDirectory()) {
+      files.push(..._listFiles(filePath));
+    } else if (name.endsWith('.js')) {
+      files.push(filePath);
+    }
+  });
+  return files;
+};
+
+/**
+ * Lists the types that a hand-written declaration file exports
+ * @param {string} filePath - the path of the declaration file
+ * @return {object[]} list of { name, typeParams } where typeParams is the
+ *   text between the <> of a generic type (or null)
+ */
+const _listExports = (filePath) => {
+  const contents = fs.readFileSync(filePath, 'utf-8');
+  const exportRegex = /^export (?:interface|type) (\w+)(?:<([^>]*)>)?/gm;
+  const exports = [];
+  let match = exportRegex.exec(contents);
+  while (match) {
+    exports.push({
+      name: match[1],
+      typeParams: match[2] || null,
+    });
+    match = exportRegex.exec(contents);
+  }
+  return exports;
+};
+
+/**
+ * Parses a JSDoc comment
+ * @param {string} comment - the comment (with its slashes and stars)
+ * @return {object} the doctrine parse result ({ description, tags })
+ */
+const _parseComment = (comment) => {
+  return doctrine.parse(comment, { unwrap: true, sloppy: true });
+};
+
+/**
+ * Cleans up a description so it can be used in a declaration file
+ * @param {string} description - the description from the JSDoc
+ * @return {string} the description on one line
+ */
+const _cleanDescription = (description) => {
+  return (description || '')
+    .replace(/\s+/g, ' ')
+    .replace(/\*\//g, '*\\/')
+    .trim();
+};
+
+/**
+ * Reads the docs of each endpoint category
+ * @return {Map} map of category class name => { description, docs } where
+ *   docs is a map of endpoint name => parsed JSDoc
+ */
+const _readSources = () => {
+  const sources = new Map();
+  _listFiles(ENDPOINTS_DIR).forEach((filePath) => {
+    const contents = fs.readFileSync(filePath, 'utf-8');
+    const classMatch = contents.match(/class (\w+) extends EndpointCategory/);
+    if (!classMatch) {
+      return;
+    }
+    const className = classMatch[1];
+    if (sources.has(className)) {
+      throw new Error(`Two endpoint categories are named ${className}`);
+    }
+
+    // Go through each doc comment: endpoint docs come right before the
+    // endpoint function and the category description has a @namespace tag
+    const docs = new Map();
+    let description = null;
+    const commentRegex = /\/\*\*[\s\S]*?\*\//g;
+    let match = commentRegex.exec(contents);
+    while (match) {
+      const endpointMatch = (
+        contents
+          .substring(commentRegex.lastIndex)
+          .match(/^\s*\w+\.(\w+) = function/)
+      );
+      if (endpointMatch) {
+        docs.set(endpointMatch[1], _parseComment(match[0]));
+      } else if (match[0].includes('@namespace')) {
+        ({ description } = _parseComment(match[0]));
+      }
+      match = commentRegex.exec(contents);
+    }
+
+    sources.set(className, { docs, description });
+  });
+  return sources;
+};
+
+/**
+ * Turns a declaration into lines of text with a doc comment above it
+ * @param {string} description - the description for the doc comment
+ * @param {string} declaration - the declaration
+ * @param {string} indent - the indentation to add to each line
+ * @return {string[]} the lines
+ */
+const _genDeclarationLines = (description, declaration, indent) => {
+  const lines = [];
+  const text = _cleanDescription(description);
+  if (text) {
+    if (`${indent}/** ${text} */`.length <= 80) {
+      lines.push(`${indent}/** ${text} */`);
+    } else {
+      // Wrap the description
+      lines.push(`${indent}/**`);
+      let line = `${indent} *`;
+      text.split(' ').forEach((word) => {
+        if (line.length + word.length + 1 > 80 && line !== `${indent} *`) {
+          lines.push(line);
+          line = `${indent} *`;
+        }
+        line += ` ${word}`;
+      });
+      lines.push(line);
+      lines.push(`${indent} */`);
+    }
+  }
+  lines.push(`${indent}${declaration}`);
+  return lines;
+};
+
+/*------------------------------------------------------------------------*/
+/*                                Generator                               */
+/*------------------------------------------------------------------------*/
+
+/**
+ * Generates the contents of index.d.ts
+ * @return {string} the TypeScript declarations
+ * @throws {Error} if the JSDoc can't be turned into declarations (e.g. an
+ *   endpoint has no docs, uses a model that isn't in types/models.d.ts, or
+ *   has required params that aren't documented as required)
+ */
+const genTypes = () => {
+  const commonExports = _listExports(COMMON_PATH);
+  const modelExports = _listExports(MODELS_PATH);
+  const knownTypes = new Set(
+    [].concat(commonExports, modelExports).map((exported) => {
+      return exported.name;
+    })
+  );
+
+  // Problems with the JSDoc
+  const errors = [];
+
+  /**
+   * Turns a JSDoc type into a TypeScript type
+   * @param {object} node - the doctrine type node
+   * @param {string} where - description of where the type is (for errors)
+   * @param {boolean} [isReturnType] - true if the type is a return type
+   * @return {string} the TypeScript type
+   */
+  const toTSType = (node, where, isReturnType) => {
+    if (!node) {
+      return 'any';
+    }
+
+    // Optional params: the type is inside
+    if (node.type === 'OptionalType') {
+      return toTSType(node.expression, where, isReturnType);
+    }
+
+    // Any
+    if (node.type === 'AllLiteral') {
+      return 'any';
+    }
+
+    // Null
+    if (node.type === 'NullLiteral') {
+      return 'null';
+    }
+
+    // Unions
+    if (node.type === 'UnionType') {
+      return node.elements
+        .map((element) => {
+          // Function types must be wrapped to be part of a union
+          const type = toTSType(element, where, isReturnType);
+          return (type.includes('=>') ? `(${type})` : type);
+        })
+        .join(' | ');
+    }
+
+    // Generics (Array.<X>, Object.<K, V>, Promise.<X>)
+    if (node.type === 'TypeApplication') {
+      const base = node.expression.name;
+      const params = node.applications.map((application) => {
+        return toTSType(application, where, isReturnType);
+      });
+      if (base === 'Array' || base === 'array') {
+        const item = params[0];
+        return (item.includes(' ') ? `(${item})[]` : `${item}[]`);
+      }
+      if (base === 'Object' || base === 'object') {
+        return `{ [key: string]: ${params[params.length - 1]} }`;
+      }
+      if (base === 'Promise') {
+        // Endpoint functions always return promises
+        return (isReturnType ? params[0] : `Promise<${params[0]}>`);
+      }
+      errors.push(`${where}: unsupported generic type ${base}`);
+      return 'any';
+    }
+
+    // Names
+    if (node.type === 'NameExpression') {
+      const { name } = node;
+      if (SAME_TYPES.indexOf(name) >= 0) {
+        return name;
+      }
+      if (name === 'date' || name === 'Date') {
+        return 'Date | string';
+      }
+      if (name === 'object' || name === 'Object') {
+        return (isReturnType ? 'any' : '{ [key: string]: any }');
+      }
+      if (name === 'array' || name === 'Array') {
+        return 'any[]';
+      }
+      if (name === 'function' || name === 'Function') {
+        return '(...args: any[]) => any';
+      }
+      if (name === 'Promise') {
+        return (isReturnType ? 'any' : 'Promise<any>');
+      }
+      if (knownTypes.has(name)) {
+        return name;
+      }
+      errors.push(`${where}: type ${name} is not in types/models.d.ts or types/common.d.ts`);
+      return 'any';
+    }
+
+    errors.push(`${where}: unsupported type ${doctrine.type.stringify(node)}`);
+    return 'any';
+  };
+
+  /**
+   * Gets the TypeScript type of an option (ids that may be SIS ids or login
+   *   ids get the Id type)
+   * @param {string} name - the name of the option
+   * @param {object} node - the doctrine type node
+   * @param {string} where - description of where the type is (for errors)
+   * @return {string} the TypeScript type
+   */
+  const toOptionType = (name, node, where) => {
+    const type = toTSType(node, where);
+    const idMatch = name.match(/^(\w+)Id(s?)$/);
+    if (!idMatch || !ID_TYPES[idMatch[1]]) {
+      return type;
+    }
+    if (type === 'number') {
+      return 'Id';
+    }
+    if (type === 'number[]') {
+      return 'Id[]';
+    }
+    return type;
+  };
+
+  /* ----------------------- Config ----------------------- */
+
+  const configComment = fs.readFileSync(CONFIG_PATH, 'utf-8')
+    .match(/\/\*\*(?:(?!\*\/)[\s\S])*config\.(?:(?!\*\/)[\s\S])*\*\//);
+  const configDoc = _parseComment(configComment[0]);
+  const configLines = [];
+  configDoc.tags.forEach((tag) => {
+    if (tag.title !== 'param') {
+      return;
+    }
+    if (!tag.name.startsWith('config.')) {
+      errors.push(`index.js: param ${tag.name} should be named config.${tag.name.split('.').pop()}`);
+      return;
+    }
+    const name = tag.name.substring('config.'.length);
+    const type = (
+      CONFIG_TYPES[name]
+      || toTSType(tag.type, `index.js config.${name}`)
+    );
+    configLines.push(..._genDeclarationLines(
+      tag.description,
+      `${name}?: ${type};`,
+      '    '
+    ));
+  });
+
+  /* --------------------- Categories --------------------- */
+
+  const sources = _readSources();
+
+  // Lines of each category interface (followed by its options interfaces)
+  const categoryBlocks = [];
+
+  // Names of the options interfaces
+  const optionsNames = new Set();
+
+  /**
+   * Generates the declarations of an endpoint category and its
+   *   subcategories
+   * @param {class} Category - the endpoint category class
+   * @param {string[]} apiPath - the path to the category (e.g.
+   *   ['course', 'assignment'])
+   * @return {object} { memberLines, optionsBlocks } where memberLines are the
+   *   lines of the category's member declarations and optionsBlocks are the
+   *   lines of each of its endpoints' options interfaces
+   */
+  const genCategory = (Category, apiPath) => {
+    // Top level members are in the API class (outside the API namespace)
+    const isTopLevel = (apiPath.length === 0);
+    const indent = (isTopLevel ? '  ' : '    ');
+    const namespace = (isTopLevel ? 'API.' : '');
+
+    const source = sources.get(Category.name) || { docs: new Map() };
+    const typePrefix = apiPath.map(_capitalize).join('');
+    const memberLines = [];
+    const optionsBlocks = [];
+
+    Object.keys(Category).forEach((prop) => {
+      const value = Category[prop];
+      const memberPath = apiPath.concat([prop]);
+      const where = `api.${memberPath.join('.')}`;
+
+      // Subcategory
+      if (value.prototype instanceof EndpointCategory) {
+        const subcategoryName = `${memberPath.map(_capitalize).join('')}Category`;
+        const { description } = sources.get(value.name) || {};
+
+        // Reserve a spot so the subcategory comes before its own subcategories
+        const blockIndex = categoryBlocks.length;
+        categoryBlocks.push([]);
+        const subcategory = genCategory(value, memberPath);
+        categoryBlocks[blockIndex] = [].concat(
+          [`  /*${'-'.repeat(8)} ${where} ${'-'.repeat(8)}*/`, ''],
+          _genDeclarationLines(
+            description,
+            `interface ${subcategoryName} {`,
+            '  '
+          ),
+          subcategory.memberLines,
+          ['  }'],
+          ...subcategory.optionsBlocks.map((block) => {
+            return [''].concat(block);
+          })
+        );
+        memberLines.push(..._genDeclarationLines(
+          description,
+          `${prop}: ${namespace}${subcategoryName};`,
+          indent
+        ));
+        return;
+      }
+
+      // Endpoint
+      const doc = source.docs.get(prop);
+      if (!doc) {
+        errors.push(`${where}: no JSDoc found`);
+        return;
+      }
+      const optionsName = `${typePrefix}${_capitalize(prop)}Options`;
+      if (optionsNames.has(optionsName)) {
+        errors.push(`${where}: another endpoint's options are named ${optionsName}`);
+      }
+      optionsNames.add(optionsName);
+      const optionLines = [];
+      const documentedOptions = [];
+      const requiredOptions = [];
+      doc.tags.forEach((tag) => {
+        if (tag.title !== 'param' || tag.name === 'options') {
+          return;
+        }
+        if (!tag.name.startsWith('options.')) {
+          errors.push(`${where}: param ${tag.name} should be named options.${tag.name}`);
+          return;
+        }
+        const name = tag.name.substring('options.'.length);
+        documentedOptions.push(name);
+        const isRequired = (tag.type && tag.type.type !== 'OptionalType');
+        if (isRequired) {
+          requiredOptions.push(name);
+        }
+        optionLines.push(..._genDeclarationLines(
+          tag.description,
+          `${name}${isRequired ? '' : '?'}: ${toOptionType(name, tag.type, `${where} options.${name}`)};`,
+          '    '
+        ));
+      });
+
+      // Params that the endpoint requires must be documented as required and
+      // params that the endpoint checks must be documented
+      (value.requiredParams || []).forEach((param) => {
+        if (requiredOptions.indexOf(param) < 0) {
+          errors.push(`${where}: required param ${param} is not documented as required`);
+        }
+      });
+      Object.keys(value.paramSchema || {}).forEach((param) => {
+        if (documentedOptions.indexOf(param) < 0) {
+          errors.push(`${where}: param ${param} is in the param schema but not documented`);
+        }
+      });
+
+      // Return type
+      const returnTag = doc.tags.find((tag) => {
+        return (tag.title === 'return' || tag.title === 'returns');
+      });
+      const returnType = (
+        returnTag
+          ? toTSType(returnTag.type, `${where} return`, true)
+          : 'void'
+      );
+
+      optionsBlocks.push(
+        optionLines.length > 0
+          ? [].concat(
+            _genDeclarationLines(
+              `Options for ${where}`,
+              `interface ${optionsName} {`,
+              '  '
+            ),
+            optionLines,
+            ['  }']
+          )
+          : _genDeclarationLines(
+            `Options for ${where}`,
+            `interface ${optionsName} {}`,
+            '  '
+          )
+      );
+      const endpointType = (
+        requiredOptions.length > 0
+          ? 'Endpoint'
+          : 'OptionalEndpoint'
+      );
+      memberLines.push(..._genDeclarationLines(
+        doc.description,
+        `${prop}: ${namespace}${endpointType}<${optionsName}, ${returnType}>;`,
+        indent
+      ));
+    });
+
+    return { memberLines, optionsBlocks };
+  };
+
+  const apiMemberLines = genCategory(API, []).memberLines;
+  INSTANCE_MEMBERS.forEach((member) => {
+    apiMemberLines.push(..._genDeclarationLines(
+      member.description,
+      `${member.name}: API.${member.type};`,
+      '  '
+    ));
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`The JSDoc can't be turned into type definitions:\n${errors.join('\n')}`);
+  }
+
+  /* ----------------------- Output ----------------------- */
+
+  /**
+   * Generates aliases (inside the API namespace) for the types exported by
+   *   a hand-written declaration file
+   * @param {object[]} exports - the exports (see _listExports)
+   * @param {string} moduleName - the name that the file is imported as
+   * @return {string[]} the lines of the aliases
+   */
+  const genAliases = (exports, moduleName) => {
+    return exports.map(({ name, typeParams }) => {
+      const generic = (typeParams ? `<${typeParams}>` : '');
+      return `  type ${name}${generic} = ${moduleName}.${name}${generic};`;
+    });
+  };
+
+  const lines = [].concat(
+    [
+      HEADER,
+      '',
+      'import * as Common from \'./types/common\';',
+      'import * as Models from \'./types/models\';',
+      '',
+    ],
+    _genDeclarationLines(
+      'Canvas API. Each endpoint category is a member (e.g. api.course.assignment) and each endpoint function resolves with the Canvas objects described in types/models.d.ts',
+      'declare class API {',
+      ''
+    ),
+    ['  /** Creates a new API object */'],
+    ['  constructor(config?: API.Config);', ''],
+    apiMemberLines,
+    ['}', '', 'declare namespace API {'],
+    ['  /* Shared types (see types/common.d.ts) */'],
+    genAliases(commonExports, 'Common'),
+    ['', '  /* Canvas objects (see types/models.d.ts) */'],
+    genAliases(modelExports, 'Models'),
+    [''],
+    _genDeclarationLines('Options for creating an api instance', 'interface Config {', '  '),
+    configLines,
+    ['  }']
+  );
+  categoryBlocks.forEach((block) => {
+    lines.push('', ...block);
+  });
+  lines.push('}', '', 'export = API;', '');
+
+  return lines.join('\n');
+};
+
+/*------------------------------------------------------------------------*/
+/*                                   Run                                  */
+/*------------------------------------------------------------------------*/
+
+if (require.main === module) {
+  const types = genTypes();
+  if (process.argv.indexOf('--check') >= 0) {
+    // Make sure the committed declarations are up to date
+    const existing = (
+      fs.existsSync(OUTPUT_PATH)
+        ? fs.readFileSync(OUTPUT_PATH, 'utf-8')
+        : ''
+    );
+    if (existing !== types) {
+      console.log('index.d.ts is out of date. Run npm run build-types');
+      process.exit(1);
+    }
+    console.log('index.d.ts is up to date');
+  } else {
+    fs.writeFileSync(OUTPUT_PATH, types, 'utf-8');
+    console.log('Wrote index.d.ts');
+  }
+}
+
+module.exports = genTypes;
+module.exports.OUTPUT_PATH = OUTPUT_PATH;
@@ -0,0 +1,200 @@
+// Types that are shared by all endpoint functions. Unlike /index.d.ts, this
+// file is written by hand (see typeBuilder/buildTypes.js)
+
+/**
+ * Canvas id. Any id param for a course, section, account, term, group, group
+ *   set, or user may also be a SIS id ({ sisId }), a login id ({ loginId },
+ *   users only), or a prefixed string (e.g. 'sis_course_id:CS 50')
+ */
+export type Id = number | string | AlternateId;
+
+/**
+ * SIS id or login id (see Id)
+ */
+export type AlternateId = { sisId: string | number } | { loginId: string };
+
+/**
+ * Rules for retrying failed requests. Any excluded property takes its
+ *   default value
+ */
+export interface RetryPolicy {
+  /** Statuses to retry (default: [429, 502, 503, 504]) */
+  statuses?: number[];
+  /** Methods that are safe to retry (default: GET, HEAD, OPTIONS, PUT, DELETE) */
+  methods?: string[];
+  /** Delay before the first retry, doubled with each retry (default: 500) */
+  baseDelayMs?: number;
+  /** The maximum delay (default: 10000) */
+  maxDelayMs?: number;
+  /** If true, delays are randomized (default: true) */
+  jitter?: boolean;
+  /** If true, we wait as long as the Retry-After header asks (default: true) */
+  respectRetryAfter?: boolean;
+}
+
+/**
+ * Request that is passed through request middleware
+ */
+export interface MiddlewareRequest {
+  method: string;
+  host?: string;
+  path: string;
+  params: { [key: string]: any };
+  headers?: { [key: string]: string };
+}
+
+/**
+ * Response from Canvas (or from request middleware)
+ */
+export interface Response {
+  status: number;
+  headers: { [key: string]: string };
+  body: any;
+}
+
+/**
+ * Request middleware function. Call next(request) to continue or resolve
+ *   with a response to skip sending the request
+ */
+export type Middleware = (
+  request: MiddlewareRequest,
+  next: (request: MiddlewareRequest) => Promise<Response>,
+) => Promise<Response>;
+
+/**
+ * Request that would have been sent if dryRun was false
+ */
+export interface PlannedRequest {
+  method: string;
+  path: string;
+  params: { [key: string]: any };
+}
+
+/**
+ * Arguments that every endpoint function takes in addition to its own
+ */
+export interface CallOptions {
+  /** If true, the returned value will not be cached */
+  dontCache?: boolean;
+  /** If true, cached values are ignored and new data is requested */
+  ignoreCache?: boolean;
+  /** Number of milliseconds that the returned value stays in the cache */
+  cacheTtlMs?: number;
+  /** If true, cached values are returned and then refreshed in the background */
+  staleWhileRevalidate?: boolean;
+  /** Called with the fresh value if a refreshed value changed */
+  onRevalidate?: (value: any) => void;
+  /** Called when each page is received from Canvas */
+  onNewPage?: (page: any[]) => void;
+  /** Number of the first page to fetch */
+  startPage?: number;
+  /** Maximum number of pages to fetch */
+  maxPages?: number;
+  /** If truthy, pages are fetched in parallel (at most this many at once) */
+  parallelPages?: boolean | number;
+  /** Number of items to request in each page */
+  itemsPerPage?: number;
+  /** Number of times to retry failed network requests */
+  numRetries?: number;
+  /** Rules for retrying this call's requests */
+  retryPolicy?: RetryPolicy;
+  /** Number of milliseconds to wait for Canvas to respond to each request */
+  requestTimeoutMs?: number;
+  /** Number of milliseconds that the whole call may take */
+  deadlineMs?: number;
+  /** Hostname for Canvas */
+  canvasHost?: string;
+  /** Access token to use for authentication */
+  accessToken?: string;
+  /** Request middleware to run around this call's requests */
+  middleware?: Middleware[];
+  /** If true, requests that would change Canvas are planned instead of sent */
+  dryRun?: boolean;
+  /** If triggered, the call is cancelled */
+  signal?: AbortSignal;
+}
+
+/**
+ * Type of each item that iterate() hands out (lists are iterated item by
+ *   item, anything else is handed out as is)
+ */
+export type IteratedItem<Result> = Result extends (infer Item)[] ? Item : Result;
+
+/**
+ * Rules for a param (see classes/instantiateEndpoint/helpers/validateParams)
+ */
+export interface ParamRules {
+  type?: string | string[];
+  items?: string | string[];
+  enum?: any[];
+  excludes?: string[];
+  required?: boolean;
+}
+
+/**
+ * Endpoint function that takes options
+ */
+export interface Endpoint<Options, Result> {
+  (options: Options & CallOptions): Promise<Result>;
+  /** Loops through results as each page arrives */
+  iterate(
+    options: Options & CallOptions,
+  ): AsyncIterableIterator<IteratedItem<Result>>;
+  /** Rules for the endpoint's params (param name => rules) */
+  paramSchema: { [param: string]: ParamRules };
+}
+
+/**
+ * Endpoint function whose options can all be excluded
+ */
+export interface OptionalEndpoint<Options, Result> {
+  (options?: Options & CallOptions): Promise<Result>;
+  /** Loops through results as each page arrives */
+  iterate(
+    options?: Options & CallOptions,
+  ): AsyncIterableIterator<IteratedItem<Result>>;
+  /** Rules for the endpoint's params (param name => rules) */
+  paramSchema: { [param: string]: ParamRules };
+}
+
+/**
+ * Rate limit quota info (see api.rateLimit)
+ */
+export interface RateLimitStats {
+  remaining: number | null;
+  lastRequestCost: number | null;
+  isThrottling: boolean;
+  numInFlight: number;
+  numQueued: number;
+  numThrottled: number;
+  numRetries: number;
+}
+
+/**
+ * Functions for checking the rate limit quota (see api.rateLimit)
+ */
+export interface RateLimitManager {
+  /** Gets the current stats or null if throttling is turned off */
+  stats(): RateLimitStats | null;
+}
+
+/**
+ * Functions for looking at and managing the cache (see api.cache)
+ */
+export interface CacheManager {
+  /** Resolves with the cache's stats plus numPaths or null if there's no cache */
+  stats(): Promise<{ numPaths: number, [key: string]: any } | null>;
+  /** Resolves with the sorted list of cached paths */
+  list(): Promise<string[]>;
+  /** Uncaches the paths that match and resolves with the uncached paths */
+  invalidate(
+    pattern: string | RegExp | (string | RegExp)[],
+  ): Promise<string[]>;
+  /** Uncaches everything */
+  clear(): Promise<void>;
+  /** Calls an endpoint ahead of time so its value is cached */
+  prefetch<Options>(
+    endpointFn: (options: Options) => Promise<any>,
+    args?: Options | Options[],
+  ): Promise<void>;
+}
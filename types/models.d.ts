@@ -0,0 +1,484 @@
+// Canvas objects that endpoint functions resolve with. Unlike /index.d.ts,
+// this file is written by hand (see typeBuilder/buildTypes.js). Each model
+// lists the properties we rely on and allows any other property that Canvas
+// includes. See https://canvas.instructure.com/doc/api/ for full details
+
+/**
+ * Canvas Account
+ *   {@link https://canvas.instructure.com/doc/api/accounts.html}
+ */
+export interface Account {
+  id: number;
+  name: string;
+  uuid?: string;
+  parent_account_id?: number | null;
+  root_account_id?: number | null;
+  default_time_zone?: string;
+  sis_account_id?: string | null;
+  workflow_state?: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Admin
+ *   {@link https://canvas.instructure.com/doc/api/admins.html}
+ */
+export interface Admin {
+  id: number;
+  role: string;
+  role_id?: number;
+  user: User;
+  workflow_state?: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Assignment
+ *   {@link https://canvas.instructure.com/doc/api/assignments.html}
+ */
+export interface Assignment {
+  id: number;
+  name: string;
+  description: string | null;
+  course_id: number;
+  assignment_group_id: number;
+  created_at: string;
+  updated_at: string;
+  due_at: string | null;
+  lock_at: string | null;
+  unlock_at: string | null;
+  points_possible: number | null;
+  grading_type: string;
+  submission_types: string[];
+  position?: number;
+  published: boolean;
+  muted?: boolean;
+  omit_from_final_grade?: boolean;
+  html_url?: string;
+  overrides?: AssignmentOverride[];
+  rubric?: any[];
+  [key: string]: any;
+}
+
+/**
+ * Canvas AssignmentGroup
+ *   {@link https://canvas.instructure.com/doc/api/assignment_groups.html}
+ */
+export interface AssignmentGroup {
+  id: number;
+  name: string;
+  position: number;
+  group_weight: number;
+  sis_source_id?: string | null;
+  integration_data?: { [key: string]: any };
+  assignments?: Assignment[];
+  rules?: { [key: string]: any };
+  [key: string]: any;
+}
+
+/**
+ * Canvas AssignmentOverride
+ *   {@link https://canvas.instructure.com/doc/api/assignments.html}
+ */
+export interface AssignmentOverride {
+  id: number;
+  assignment_id: number;
+  title: string;
+  student_ids?: number[];
+  group_id?: number;
+  course_section_id?: number;
+  due_at?: string | null;
+  unlock_at?: string | null;
+  lock_at?: string | null;
+  [key: string]: any;
+}
+
+/**
+ * Canvas ColumnDatum (an entry in a custom gradebook column)
+ *   {@link https://canvas.instructure.com/doc/api/custom_gradebook_columns.html}
+ */
+export interface ColumnDatum {
+  content: string;
+  user_id: number;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Course
+ *   {@link https://canvas.instructure.com/doc/api/courses.html}
+ */
+export interface Course {
+  id: number;
+  name: string;
+  course_code: string;
+  uuid?: string;
+  sis_course_id?: string | null;
+  account_id?: number;
+  enrollment_term_id?: number;
+  start_at?: string | null;
+  end_at?: string | null;
+  workflow_state?: string;
+  default_view?: string;
+  time_zone?: string;
+  enrollments?: Enrollment[];
+  syllabus_body?: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas CourseLevelAssignmentData (course analytics for an assignment)
+ *   {@link https://canvas.instructure.com/doc/api/analytics.html}
+ */
+export interface CourseLevelAssignmentData {
+  assignment_id: number;
+  title: string;
+  due_at?: string | null;
+  points_possible?: number | null;
+  max_score?: number | null;
+  min_score?: number | null;
+  median?: number | null;
+  first_quartile?: number | null;
+  third_quartile?: number | null;
+  tardiness_breakdown?: { [key: string]: number };
+  [key: string]: any;
+}
+
+/**
+ * Canvas CourseLevelParticipationData (course analytics for a day)
+ *   {@link https://canvas.instructure.com/doc/api/analytics.html}
+ */
+export interface CourseLevelParticipationData {
+  date: string;
+  participations: number;
+  views: number;
+  [key: string]: any;
+}
+
+/**
+ * Canvas CourseLevelStudentSummary (course analytics for a student)
+ *   {@link https://canvas.instructure.com/doc/api/analytics.html}
+ */
+export interface CourseLevelStudentSummary {
+  id: number;
+  page_views: number;
+  page_views_level?: number;
+  max_page_view?: number;
+  participations: number;
+  participations_level?: number;
+  max_participations?: number;
+  tardiness_breakdown?: { [key: string]: number };
+  [key: string]: any;
+}
+
+/**
+ * List of Canvas CourseLevelStudentSummaries
+ *   {@link https://canvas.instructure.com/doc/api/analytics.html}
+ */
+export type CourseLevelStudentSummaries = CourseLevelStudentSummary[];
+
+/**
+ * Canvas CustomColumn (custom gradebook column)
+ *   {@link https://canvas.instructure.com/doc/api/custom_gradebook_columns.html}
+ */
+export interface CustomColumn {
+  id: number;
+  title: string;
+  position: number;
+  hidden: boolean;
+  read_only?: boolean;
+  teacher_notes?: boolean;
+  [key: string]: any;
+}
+
+/**
+ * Canvas DiscussionTopic
+ *   {@link https://canvas.instructure.com/doc/api/discussion_topics.html}
+ */
+export interface DiscussionTopic {
+  id: number;
+  title: string;
+  message: string;
+  html_url?: string;
+  posted_at?: string | null;
+  delayed_post_at?: string | null;
+  published?: boolean;
+  locked?: boolean;
+  pinned?: boolean;
+  is_announcement?: boolean;
+  discussion_type?: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Enrollment
+ *   {@link https://canvas.instructure.com/doc/api/enrollments.html}
+ */
+export interface Enrollment {
+  id: number;
+  course_id: number;
+  course_section_id?: number;
+  user_id: number;
+  type: string;
+  role?: string;
+  role_id?: number;
+  enrollment_state: string;
+  user?: User;
+  grades?: { [key: string]: any };
+  [key: string]: any;
+}
+
+/**
+ * Canvas EnrollmentTerm
+ *   {@link https://canvas.instructure.com/doc/api/enrollment_terms.html}
+ */
+export interface EnrollmentTerm {
+  id: number;
+  name: string;
+  sis_term_id?: string | null;
+  start_at: string | null;
+  end_at: string | null;
+  workflow_state?: string;
+  overrides?: { [enrollmentType: string]: any };
+  [key: string]: any;
+}
+
+/**
+ * Canvas ExternalTool (LTI app)
+ *   {@link https://canvas.instructure.com/doc/api/external_tools.html}
+ */
+export interface ExternalTool {
+  id: number;
+  name: string;
+  description?: string;
+  url?: string;
+  domain?: string;
+  consumer_key?: string;
+  privacy_level?: string;
+  custom_fields?: { [key: string]: string };
+  [key: string]: any;
+}
+
+/**
+ * Canvas Group
+ *   {@link https://canvas.instructure.com/doc/api/groups.html}
+ */
+export interface Group {
+  id: number;
+  name: string;
+  description?: string | null;
+  course_id?: number;
+  group_category_id: number;
+  members_count?: number;
+  join_level?: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas GroupCategory (group set)
+ *   {@link https://canvas.instructure.com/doc/api/group_categories.html}
+ */
+export interface GroupCategory {
+  id: number;
+  name: string;
+  role?: string | null;
+  self_signup?: string | null;
+  group_limit?: number | null;
+  course_id?: number;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Page
+ *   {@link https://canvas.instructure.com/doc/api/pages.html}
+ */
+export interface Page {
+  page_id?: number;
+  url: string;
+  title: string;
+  body?: string;
+  created_at: string;
+  updated_at: string;
+  published: boolean;
+  front_page: boolean;
+  editing_roles?: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Progress (a long-running job)
+ *   {@link https://canvas.instructure.com/doc/api/progress.html}
+ */
+export interface Progress {
+  id: number;
+  context_id: number;
+  context_type: string;
+  tag: string;
+  completion: number | null;
+  workflow_state: 'queued' | 'running' | 'completed' | 'failed' | string;
+  message: string | null;
+  results?: any;
+  url: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Quiz
+ *   {@link https://canvas.instructure.com/doc/api/quizzes.html}
+ */
+export interface Quiz {
+  id: number;
+  title: string;
+  description?: string;
+  quiz_type: string;
+  assignment_id?: number | null;
+  points_possible?: number | null;
+  question_count?: number;
+  time_limit?: number | null;
+  allowed_attempts?: number;
+  published: boolean;
+  due_at?: string | null;
+  [key: string]: any;
+}
+
+/**
+ * Canvas QuizQuestion
+ *   {@link https://canvas.instructure.com/doc/api/quiz_questions.html}
+ */
+export interface QuizQuestion {
+  id: number;
+  quiz_id: number;
+  position?: number;
+  question_name: string;
+  question_type: string;
+  question_text: string;
+  points_possible: number;
+  answers?: any[];
+  [key: string]: any;
+}
+
+/**
+ * Canvas QuizSubmission
+ *   {@link https://canvas.instructure.com/doc/api/quiz_submissions.html}
+ */
+export interface QuizSubmission {
+  id: number;
+  quiz_id: number;
+  user_id: number;
+  submission_id?: number;
+  attempt: number;
+  score?: number | null;
+  kept_score?: number | null;
+  started_at?: string | null;
+  finished_at?: string | null;
+  workflow_state: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Rubric
+ *   {@link https://canvas.instructure.com/doc/api/rubrics.html}
+ */
+export interface Rubric {
+  id: number;
+  title: string;
+  context_id?: number;
+  context_type?: string;
+  points_possible: number;
+  free_form_criterion_comments?: boolean;
+  data?: any[];
+  [key: string]: any;
+}
+
+/**
+ * Canvas Section
+ *   {@link https://canvas.instructure.com/doc/api/sections.html}
+ */
+export interface Section {
+  id: number;
+  name: string;
+  course_id: number;
+  sis_section_id?: string | null;
+  start_at?: string | null;
+  end_at?: string | null;
+  students?: User[] | null;
+  [key: string]: any;
+}
+
+/**
+ * Canvas Submission
+ *   {@link https://canvas.instructure.com/doc/api/submissions.html}
+ */
+export interface Submission {
+  id: number;
+  assignment_id: number;
+  user_id: number;
+  attempt: number | null;
+  body?: string | null;
+  url?: string | null;
+  grade: string | null;
+  score: number | null;
+  submitted_at: string | null;
+  graded_at?: string | null;
+  grader_id?: number | null;
+  submission_type: string | null;
+  workflow_state: string;
+  late?: boolean;
+  missing?: boolean;
+  excused?: boolean | null;
+  submission_comments?: any[];
+  attachments?: any[];
+  [key: string]: any;
+}
+
+/**
+ * Canvas Tab (nav menu item)
+ *   {@link https://canvas.instructure.com/doc/api/tabs.html}
+ */
+export interface Tab {
+  id: string;
+  html_url: string;
+  full_url?: string;
+  position: number;
+  hidden?: boolean;
+  visibility: string;
+  label: string;
+  type: string;
+  [key: string]: any;
+}
+
+/**
+ * Canvas User
+ *   {@link https://canvas.instructure.com/doc/api/users.html}
+ */
+export interface User {
+  id: number;
+  name: string;
+  sortable_name?: string;
+  short_name?: string;
+  sis_user_id?: string | null;
+  login_id?: string;
+  email?: string;
+  avatar_url?: string;
+  enrollments?: Enrollment[];
+  [key: string]: any;
+}
+
+/**
+ * Canvas UserInCourseMessagingData (course analytics for messages between a
+ *   student and the teachers)
+ *   {@link https://canvas.instructure.com/doc/api/analytics.html}
+ */
+export interface UserInCourseMessagingData {
+  [date: string]: any;
+}
+
+/**
+ * Canvas UserInCourseParticipationData (course analytics for a student's
+ *   page views and participations)
+ *   {@link https://canvas.instructure.com/doc/api/analytics.html}
+ */
+export interface UserInCourseParticipationData {
+  page_views: { [hour: string]: number };
+  participations: { created_at: string, url: string }[];
+  [key: string]: any;
+}